@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// =====================================================
+// TravelMate database CLI
+// Usage: node db/cli.js <command>
+//   migrate    apply pending migrations (creates DB_NAME if it does not exist)
+//   rollback   undo the most recent migrate batch; needs --force when NODE_ENV=production
+//   seed       load the sample data in seeds/ (safe to repeat)
+//   status     list migrations and when they were applied
+//   baseline   mark the baseline as applied on a database built from the old schema script
+// Connection settings are the server's DB_* variables.
+// =====================================================
+
+require('dotenv').config();
+const { mysqlConnectionConfig } = require('../repositories');
+const { createMigrator } = require('./migrator');
+
+const COMMANDS = ['migrate', 'rollback', 'seed', 'status', 'baseline'];
+
+const usage = () => {
+    console.error(`Usage: node db/cli.js <${COMMANDS.join('|')}> [--force]`);
+    process.exit(1);
+};
+
+// Opens the configured database; migrate may create it first, the other commands expect it
+const connect = async (command) => {
+    const mysql = require('mysql2/promise');
+    const { database, ...server } = mysqlConnectionConfig(process.env);
+
+    try {
+        return await mysql.createConnection({ ...server, database, multipleStatements: true });
+    } catch (error) {
+        if (error.code !== 'ER_BAD_DB_ERROR' || command !== 'migrate') {
+            throw error;
+        }
+    }
+
+    const db = await mysql.createConnection({ ...server, multipleStatements: true });
+    await db.query('CREATE DATABASE ?? CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci', [database]);
+    await db.query('USE ??', [database]);
+    console.log(`✓ Created database ${database}`);
+    return db;
+};
+
+const formatDate = (value) => (value instanceof Date ? value.toISOString().replace('T', ' ').slice(0, 19) : value);
+
+const run = async (command, flags) => {
+    if ((process.env.DB_BACKEND || 'mysql') !== 'mysql') {
+        throw new Error(`Migrations and seeds only apply to the mysql backend (DB_BACKEND is "${process.env.DB_BACKEND}")`);
+    }
+
+    // The baseline's down section drops every table
+    if (command === 'rollback' && process.env.NODE_ENV === 'production' && !flags.has('--force')) {
+        throw new Error('Refusing to roll back in production without --force');
+    }
+
+    const db = await connect(command);
+    const migrator = createMigrator(db);
+
+    try {
+        if (command === 'migrate') {
+            const applied = await migrator.migrate();
+            console.log(applied.length ? `✓ Applied ${applied.length} migration(s)` : '✓ Already up to date');
+        } else if (command === 'rollback') {
+            const reverted = await migrator.rollback();
+            console.log(reverted.length ? `✓ Rolled back ${reverted.length} migration(s)` : '✓ Nothing to roll back');
+        } else if (command === 'seed') {
+            const files = await migrator.seed();
+            console.log(`✓ Ran ${files.length} seed file(s)`);
+        } else if (command === 'baseline') {
+            const migration = await migrator.baseline();
+            console.log(`✓ Recorded ${migration.file} as applied`);
+        } else {
+            const migrations = await migrator.status();
+            for (const migration of migrations) {
+                const state = migration.applied_at
+                    ? `applied ${formatDate(migration.applied_at)} (batch ${migration.batch})`
+                    : 'pending';
+                console.log(`${migration.file.padEnd(40)} ${state}`);
+            }
+        }
+    } finally {
+        await db.end();
+    }
+};
+
+const [command, ...rest] = process.argv.slice(2);
+
+if (!COMMANDS.includes(command)) {
+    usage();
+}
+
+run(command, new Set(rest)).catch(error => {
+    console.error(`✗ ${command} failed:`, error.message);
+    process.exit(1);
+});
@@ -0,0 +1,297 @@
+// =====================================================
+// TravelMate Migrations
+// Runs the versioned SQL files in migrations/ and the seed files in seeds/.
+//
+// A migration is one file named <version>_<name>.sql with two sections:
+//   -- migrate:up     statements that apply the change
+//   -- migrate:down   statements that undo it
+// Applied versions are recorded in schema_migrations. Each `migrate` run is a batch,
+// and `rollback` undoes the most recent batch.
+//
+// MySQL commits DDL implicitly, so a migration that fails halfway is not undone;
+// fix the file and run it again. Seeds are plain DML and run inside a transaction.
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const SEEDS_DIR = path.join(__dirname, '..', 'seeds');
+
+const HISTORY_TABLE = 'schema_migrations';
+const LOCK_NAME = 'travelmate_migrations';
+const LOCK_TIMEOUT_SECONDS = 10;
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+const SECTION_MARKER = /^--\s*migrate:(up|down)\s*$/m;
+const CREATE_TABLE = /CREATE TABLE\s+(?:IF NOT EXISTS\s+)?`?(\w+)`?\s*\(/gi;
+const INDEX_DEFINITION = /^(PRIMARY|FOREIGN|UNIQUE|INDEX|KEY|CONSTRAINT|CHECK|FULLTEXT|SPATIAL)\b/i;
+
+// Split a migration file into its up and down SQL
+const parseMigration = (sql, file) => {
+    const parts = sql.split(SECTION_MARKER);
+    const sections = {};
+
+    // split() with a capture group yields [preamble, 'up', upSql, 'down', downSql]
+    for (let i = 1; i < parts.length; i += 2) {
+        if (sections[parts[i]] !== undefined) {
+            throw new Error(`${file} has more than one "-- migrate:${parts[i]}" section`);
+        }
+        sections[parts[i]] = parts[i + 1].trim();
+    }
+
+    if (!sections.up) {
+        throw new Error(`${file} has no "-- migrate:up" section`);
+    }
+
+    return { up: sections.up, down: sections.down || '' };
+};
+
+// The tables a migration creates and their columns: Map of table name -> [column names].
+// Splits each CREATE TABLE body on top-level commas, so ENUM lists and generated columns
+// spanning several lines count once.
+const tableColumns = (sql) => {
+    const code = sql.replace(/--.*$/gm, '');
+    const tables = new Map();
+
+    for (const match of code.matchAll(CREATE_TABLE)) {
+        const definitions = [];
+        let start = match.index + match[0].length;
+        let depth = 1;
+
+        for (let i = start; depth > 0 && i < code.length; i++) {
+            if (code[i] === '(') {
+                depth += 1;
+            } else if (code[i] === ')') {
+                depth -= 1;
+            }
+            if (depth === 0 || (depth === 1 && code[i] === ',')) {
+                definitions.push(code.slice(start, i).trim());
+                start = i + 1;
+            }
+        }
+
+        const columns = definitions
+            .filter(definition => definition && !INDEX_DEFINITION.test(definition))
+            .map(definition => definition.match(/^`?(\w+)/)[1]);
+        tables.set(match[1], columns);
+    }
+
+    return tables;
+};
+
+// Migration files sorted by version: [{ version, name, file }]
+const listMigrations = (dir = MIGRATIONS_DIR) => {
+    const migrations = fs.readdirSync(dir)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE);
+            return match && { version: match[1], name: match[2], file };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Number(a.version) - Number(b.version));
+
+    const seen = new Set();
+    for (const migration of migrations) {
+        if (seen.has(Number(migration.version))) {
+            throw new Error(`Two migrations share version ${migration.version}`);
+        }
+        seen.add(Number(migration.version));
+    }
+
+    return migrations;
+};
+
+const listSeeds = (dir = SEEDS_DIR) => fs.readdirSync(dir).filter(file => file.endsWith('.sql')).sort();
+
+// db must be a single mysql2/promise connection opened with multipleStatements: true,
+// since a file is sent as one query and the migration lock belongs to the connection
+const createMigrator = (db, { migrationsDir = MIGRATIONS_DIR, seedsDir = SEEDS_DIR, log = console.log } = {}) => {
+    const readMigration = (migration) =>
+        parseMigration(fs.readFileSync(path.join(migrationsDir, migration.file), 'utf8'), migration.file);
+
+    const ensureHistoryTable = () => db.query(`
+        CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+            version VARCHAR(50) PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            batch INT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB
+    `);
+
+    const appliedMigrations = async () => {
+        const [rows] = await db.query(`SELECT * FROM ${HISTORY_TABLE} ORDER BY batch, version + 0`);
+        return rows;
+    };
+
+    // Serialises runs from several deploy hosts against the same database
+    const withLock = async (work) => {
+        const [[{ acquired }]] = await db.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+
+        if (acquired !== 1) {
+            throw new Error('Another migration run holds the lock; try again when it finishes');
+        }
+
+        try {
+            await ensureHistoryTable();
+            return await work();
+        } finally {
+            await db.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    };
+
+    const nextBatch = async () => {
+        const [[{ batch }]] = await db.query(`SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM ${HISTORY_TABLE}`);
+        return batch;
+    };
+
+    const pending = (applied) => {
+        const appliedVersions = new Set(applied.map(row => row.version));
+        return listMigrations(migrationsDir).filter(migration => !appliedVersions.has(migration.version));
+    };
+
+    return {
+        // Every migration file plus when (if ever) it was applied
+        status: () => withLock(async () => {
+            const applied = new Map((await appliedMigrations()).map(row => [row.version, row]));
+
+            return listMigrations(migrationsDir).map(migration => {
+                const row = applied.get(migration.version);
+                return {
+                    ...migration,
+                    batch: row ? row.batch : null,
+                    applied_at: row ? row.applied_at : null
+                };
+            });
+        }),
+
+        // Apply every pending migration in version order as one batch; returns what ran
+        migrate: () => withLock(async () => {
+            const todo = pending(await appliedMigrations());
+
+            if (todo.length === 0) {
+                return [];
+            }
+
+            const batch = await nextBatch();
+
+            for (const migration of todo) {
+                log(`→ Applying ${migration.file}`);
+                await db.query(readMigration(migration).up);
+                await db.query(
+                    `INSERT INTO ${HISTORY_TABLE} (version, name, batch) VALUES (?, ?, ?)`,
+                    [migration.version, migration.name, batch]
+                );
+            }
+
+            return todo;
+        }),
+
+        // Undo the most recent batch, newest migration first; returns what was undone
+        rollback: () => withLock(async () => {
+            const applied = await appliedMigrations();
+
+            if (applied.length === 0) {
+                return [];
+            }
+
+            const lastBatch = Math.max(...applied.map(row => row.batch));
+            const files = new Map(listMigrations(migrationsDir).map(migration => [migration.version, migration]));
+            const todo = applied
+                .filter(row => row.batch === lastBatch)
+                .sort((a, b) => Number(b.version) - Number(a.version));
+
+            for (const row of todo) {
+                const migration = files.get(row.version);
+
+                if (!migration) {
+                    throw new Error(`Migration ${row.version}_${row.name} was applied but its file is missing`);
+                }
+
+                const { down } = readMigration(migration);
+                if (!down) {
+                    throw new Error(`${migration.file} has no "-- migrate:down" section and cannot be rolled back`);
+                }
+
+                log(`← Reverting ${migration.file}`);
+                await db.query(down);
+                await db.query(`DELETE FROM ${HISTORY_TABLE} WHERE version = ?`, [row.version]);
+            }
+
+            return todo.map(row => files.get(row.version));
+        }),
+
+        // Record the baseline as applied without running it, for databases created from the
+        // old schema script before migrations existed. Refuses unless every table and column
+        // the baseline creates is already there, since later migrations build on them.
+        baseline: () => withLock(async () => {
+            const applied = await appliedMigrations();
+
+            if (applied.length > 0) {
+                throw new Error('Migrations have already been recorded for this database');
+            }
+
+            const [first] = listMigrations(migrationsDir);
+            const [rows] = await db.query(
+                'SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()'
+            );
+            const existing = new Set(rows.map(row => `${row.table_name}.${row.column_name}`));
+            const existingTables = new Set(rows.map(row => row.table_name));
+            const missing = [];
+
+            for (const [table, columns] of tableColumns(readMigration(first).up)) {
+                if (!existingTables.has(table)) {
+                    missing.push(table);
+                    continue;
+                }
+                for (const column of columns) {
+                    if (!existing.has(`${table}.${column}`)) {
+                        missing.push(`${table}.${column}`);
+                    }
+                }
+            }
+
+            if (missing.length > 0) {
+                throw new Error(
+                    `The database does not match ${first.file}; missing ${missing.join(', ')}. ` +
+                    'Add them by hand, or migrate a fresh database and copy the data across.'
+                );
+            }
+
+            await db.query(
+                `INSERT INTO ${HISTORY_TABLE} (version, name, batch) VALUES (?, ?, 1)`,
+                [first.version, first.name]
+            );
+
+            return first;
+        }),
+
+        // Run every seed file in name order. Seeds must be safe to run repeatedly; each file
+        // runs in its own transaction so a failure leaves no partial rows behind.
+        seed: async () => {
+            const files = listSeeds(seedsDir);
+
+            for (const file of files) {
+                log(`→ Seeding ${file}`);
+                await db.beginTransaction();
+                try {
+                    await db.query(fs.readFileSync(path.join(seedsDir, file), 'utf8'));
+                    await db.commit();
+                } catch (error) {
+                    await db.rollback();
+                    throw error;
+                }
+            }
+
+            return files;
+        }
+    };
+};
+
+module.exports = {
+    createMigrator,
+    parseMigration,
+    tableColumns,
+    listMigrations,
+    listSeeds,
+    HISTORY_TABLE
+};
@@ -1,12 +1,10 @@
 -- =====================================================
--- TravelMate Database Schema
--- MySQL Database for Smart Travel Companion App
+-- Migration 001: Baseline
+-- The schema as it stood before migrations: tables, views, stored procedures,
+-- triggers and indexes. Sample data lives in seeds/.
 -- =====================================================
 
--- Create Database
-DROP DATABASE IF EXISTS travelmate_db;
-CREATE DATABASE travelmate_db CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
-USE travelmate_db;
+-- migrate:up
 
 -- =====================================================
 -- Table: users
@@ -19,6 +17,9 @@ CREATE TABLE users (
     password VARCHAR(255) NOT NULL,
     phone VARCHAR(15),
     profile_image VARCHAR(500),
+    role ENUM('user', 'admin') DEFAULT 'user',
+    email_verified BOOLEAN DEFAULT FALSE,
+    email_verified_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     last_login TIMESTAMP NULL,
@@ -27,6 +28,46 @@ CREATE TABLE users (
     INDEX idx_created_at (created_at)
 ) ENGINE=InnoDB;
 
+-- =====================================================
+-- Table: refresh_tokens
+-- Stores hashed refresh tokens for user sessions
+-- =====================================================
+CREATE TABLE refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    family_id CHAR(36) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    replaced_by INT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_family_id (family_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB;
+
+-- =====================================================
+-- Table: user_tokens
+-- Stores hashed single-use tokens for password resets
+-- and email verification
+-- =====================================================
+CREATE TABLE user_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    purpose ENUM('password_reset', 'email_verification') NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_purpose (user_id, purpose)
+) ENGINE=InnoDB;
+
 -- =====================================================
 -- Table: destinations
 -- Stores information about travel destinations
@@ -86,6 +127,7 @@ CREATE TABLE trips (
     end_date DATE,
     num_days INT NOT NULL DEFAULT 1,
     status ENUM('planning', 'confirmed', 'completed', 'cancelled') DEFAULT 'planning',
+    currency CHAR(3) NOT NULL DEFAULT 'INR',
     
     -- Budget breakdown
     budget_flights DECIMAL(10,2) DEFAULT 0,
@@ -133,6 +175,43 @@ CREATE TABLE trip_itinerary (
     INDEX idx_order (order_index)
 ) ENGINE=InnoDB;
 
+-- =====================================================
+-- Table: trip_collaborators
+-- Users invited to a trip by its owner, as viewer or editor
+-- =====================================================
+CREATE TABLE trip_collaborators (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    trip_id INT NOT NULL,
+    user_id INT NOT NULL,
+    role ENUM('viewer', 'editor') NOT NULL DEFAULT 'viewer',
+    invited_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_trip_collaborator (trip_id, user_id),
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB;
+
+-- =====================================================
+-- Table: trip_share_links
+-- Stores hashed tokens for public read-only trip links
+-- =====================================================
+CREATE TABLE trip_share_links (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    trip_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_trip (trip_id)
+) ENGINE=InnoDB;
+
 -- =====================================================
 -- Table: bookings
 -- Stores flight/hotel bookings
@@ -147,6 +226,7 @@ CREATE TABLE bookings (
     booking_date DATE,
     booking_time TIME,
     amount DECIMAL(10,2) DEFAULT 0,
+    currency CHAR(3) NOT NULL DEFAULT 'INR',
     status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending',
     details JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -160,6 +240,61 @@ CREATE TABLE bookings (
     INDEX idx_status (status)
 ) ENGINE=InnoDB;
 
+-- =====================================================
+-- Table: trip_expenses
+-- Stores actual spending against the trip budget categories
+-- =====================================================
+CREATE TABLE trip_expenses (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    trip_id INT NOT NULL,
+    user_id INT NOT NULL,
+    category ENUM('flights', 'hotel', 'food', 'activities', 'transport', 'misc') NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    currency CHAR(3) NOT NULL DEFAULT 'INR',
+    expense_date DATE NOT NULL,
+    note VARCHAR(500),
+    paid_by VARCHAR(100),
+    paid_by_user_id INT NULL,
+    split_type ENUM('equal', 'shares', 'exact') NOT NULL DEFAULT 'equal',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (paid_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_trip_date (trip_id, expense_date),
+    INDEX idx_category (category)
+) ENGINE=InnoDB;
+
+-- =====================================================
+-- Table: expense_splits
+-- Each traveller's part of a trip expense, in the expense's
+-- currency. Expenses without rows are split equally between
+-- everyone on the trip.
+-- =====================================================
+CREATE TABLE expense_splits (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    expense_id INT NOT NULL,
+    user_id INT NOT NULL,
+    shares DECIMAL(8,2) NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    
+    FOREIGN KEY (expense_id) REFERENCES trip_expenses(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_expense_user (expense_id, user_id)
+) ENGINE=InnoDB;
+
+-- =====================================================
+-- Table: exchange_rates
+-- Units of each currency per 1 INR (the catalogue's base currency)
+-- =====================================================
+CREATE TABLE exchange_rates (
+    currency CHAR(3) PRIMARY KEY,
+    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+    source VARCHAR(100),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
 -- =====================================================
 -- Table: user_preferences
 -- Stores user travel preferences
@@ -222,90 +357,6 @@ CREATE TABLE saved_destinations (
     INDEX idx_user_id (user_id)
 ) ENGINE=InnoDB;
 
--- =====================================================
--- Insert Sample Data
--- =====================================================
-
--- Sample Users (password is 'password123' hashed with bcrypt)
-INSERT INTO users (name, email, password, phone) VALUES
-('Ananya Sharma', 'ananya@travelmate.com', '$2a$10$rXVXvXvXvXvXvXvXvXvXveuqG0JYvXMkXvXvXvXvXvXvXvXvXvXvXvX', '9876543210'),
-('Demo User', 'demo@travelmate.com', '$2a$10$rXVXvXvXvXvXvXvXvXvXveuqG0JYvXMkXvXvXvXvXvXvXvXvXvXvXvX', '9876543211'),
-('Rahul Kumar', 'rahul@example.com', '$2a$10$rXVXvXvXvXvXvXvXvXvXveuqG0JYvXMkXvXvXvXvXvXvXvXvXvXvXvX', '9876543212');
-
--- Sample Destinations
-INSERT INTO destinations (name, category, state, description, image_url, rating, duration, best_time, avg_cost, popular, latitude, longitude) VALUES
-('Goa', 'beach', 'Goa', 'Sun, sand, and sea - the perfect beach paradise with vibrant nightlife', 'https://images.unsplash.com/photo-1512343879784-a960bf40e7f2?w=500', 4.8, '3-5 days', 'November to February', 15000, TRUE, 15.2993, 74.1240),
-('Manali', 'mountain', 'Himachal Pradesh', 'Breathtaking Himalayan views, adventure activities, and serene landscapes', 'https://images.unsplash.com/photo-1626621341517-4364f6c739c8?w=500', 4.7, '4-6 days', 'March to June', 18000, TRUE, 32.2396, 77.1887),
-('Jaipur', 'cultural', 'Rajasthan', 'The Pink City - Rich heritage, majestic forts, and royal palaces', 'https://images.unsplash.com/photo-1599661046289-e31897846e41?w=500', 4.6, '2-3 days', 'October to March', 12000, TRUE, 26.9124, 75.7873),
-('Ladakh', 'adventure', 'Ladakh', 'Land of high passes - Adventure, monasteries, and stunning landscapes', 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=500', 4.9, '7-10 days', 'May to September', 35000, TRUE, 34.1526, 77.5771),
-('Kerala', 'beach', 'Kerala', 'Gods Own Country - Backwaters, beaches, and lush greenery', 'https://images.unsplash.com/photo-1602216056096-3b40cc0c9944?w=500', 4.7, '5-7 days', 'September to March', 20000, FALSE, 10.8505, 76.2711),
-('Udaipur', 'cultural', 'Rajasthan', 'City of Lakes - Romantic palaces, beautiful lakes, and rich culture', 'https://images.unsplash.com/photo-1587474260584-136574528ed5?w=500', 4.8, '2-3 days', 'September to March', 14000, FALSE, 24.5854, 73.7125),
-('Rishikesh', 'adventure', 'Uttarakhand', 'Yoga capital and adventure hub - Spiritual retreat with thrilling activities', 'https://images.unsplash.com/photo-1626092107797-36f3a6c423c3?w=500', 4.5, '3-4 days', 'September to November', 10000, FALSE, 30.0869, 78.2676),
-('Shimla', 'mountain', 'Himachal Pradesh', 'Queen of Hills - Colonial charm, scenic beauty, and pleasant weather', 'https://images.unsplash.com/photo-1597074866923-dc0589150358?w=500', 4.4, '3-4 days', 'March to June', 13000, FALSE, 31.1048, 77.1734);
-
--- Sample Activities for Goa
-INSERT INTO destination_activities (destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
-(1, 'Beach Hopping', 'relaxation', 500, 4, 'Visit multiple beautiful beaches including Baga, Calangute, and Anjuna'),
-(1, 'Water Sports', 'adventure', 1500, 2, 'Enjoy parasailing, jet skiing, and banana boat rides'),
-(1, 'Fort Exploration', 'cultural', 300, 3, 'Explore historical Aguada and Chapora forts'),
-(1, 'Night Markets', 'shopping', 1000, 3, 'Shop at vibrant flea markets and enjoy local food'),
-(1, 'Cruise Party', 'nightlife', 2000, 4, 'Dance night away on a luxury cruise with dinner');
-
--- Sample Activities for Manali
-INSERT INTO destination_activities (destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
-(2, 'Rohtang Pass', 'sightseeing', 2000, 8, 'Visit the breathtaking high mountain pass'),
-(2, 'Solang Valley', 'adventure', 1500, 5, 'Enjoy skiing, paragliding, and zorbing'),
-(2, 'Trekking', 'adventure', 1000, 6, 'Trek through beautiful Himalayan trails'),
-(2, 'River Rafting', 'adventure', 1200, 3, 'Experience thrilling white water rafting'),
-(2, 'Paragliding', 'adventure', 2500, 1, 'Soar above the valleys with professional guides');
-
--- Sample Activities for Jaipur
-INSERT INTO destination_activities (destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
-(3, 'Amber Fort', 'cultural', 500, 3, 'Explore the magnificent hilltop fort'),
-(3, 'City Palace', 'cultural', 400, 2, 'Visit the royal residence with museums'),
-(3, 'Hawa Mahal', 'cultural', 200, 1, 'See the iconic Palace of Winds'),
-(3, 'Local Markets', 'shopping', 1500, 4, 'Shop for traditional jewelry, textiles, and handicrafts'),
-(3, 'Camel Ride', 'adventure', 600, 2, 'Enjoy a traditional camel safari');
-
--- Sample Activities for Ladakh
-INSERT INTO destination_activities (destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
-(4, 'Leh Palace', 'cultural', 300, 2, 'Visit the historic 17th-century palace'),
-(4, 'Pangong Lake', 'sightseeing', 3000, 10, 'Visit the stunning high-altitude lake'),
-(4, 'Nubra Valley', 'sightseeing', 2500, 8, 'Explore the valley of flowers with sand dunes'),
-(4, 'Bike Trip', 'adventure', 5000, 10, 'Take an adventurous bike ride through mountain passes'),
-(4, 'Monastery Tour', 'cultural', 500, 4, 'Visit ancient Buddhist monasteries');
-
--- Sample Trip
-INSERT INTO trips (user_id, destination_id, trip_name, destination_name, start_date, end_date, num_days, status, 
-                   budget_flights, budget_hotel, budget_food, budget_activities, budget_transport, budget_misc) VALUES
-(1, 1, '5-Day Goa Beach Vacation', 'Goa', '2024-12-15', '2024-12-20', 5, 'planning', 
- 8000, 10000, 5000, 7000, 3000, 2000);
-
--- Sample Itinerary for the trip
-INSERT INTO trip_itinerary (trip_id, day_number, activity_name, activity_time, activity_notes, estimated_cost, order_index) VALUES
-(1, 1, 'Arrive in Goa', '10:00:00', 'Flight from Delhi', 8000, 1),
-(1, 1, 'Check-in at Hotel', '14:00:00', 'Beach-side resort', 0, 2),
-(1, 1, 'Beach Walk and Dinner', '18:00:00', 'Baga Beach area', 1500, 3),
-(1, 2, 'Water Sports', '09:00:00', 'Pre-booked package', 1500, 1),
-(1, 2, 'Beach Hopping', '13:00:00', 'Visit Anjuna and Vagator', 500, 2),
-(1, 2, 'Sunset at Chapora Fort', '17:00:00', 'Photography spot', 0, 3),
-(1, 3, 'Fort Exploration', '09:00:00', 'Aguada Fort', 300, 1),
-(1, 3, 'Local Markets', '15:00:00', 'Shopping for souvenirs', 1000, 2),
-(1, 3, 'Night Market Visit', '20:00:00', 'Arpora Saturday Night Market', 1500, 3);
-
--- Sample Reviews
-INSERT INTO reviews (user_id, destination_id, trip_id, rating, review_title, review_text, visit_date) VALUES
-(1, 1, 1, 4.5, 'Amazing Beach Vacation', 'Had a wonderful time in Goa. The beaches are beautiful and the food is amazing!', '2024-12-20'),
-(2, 2, NULL, 5.0, 'Manali is Heaven', 'The mountains, the snow, the adventure - everything was perfect. Highly recommended!', '2024-06-15'),
-(3, 3, NULL, 4.0, 'Rich Cultural Experience', 'Jaipur offers a glimpse into royal history. The forts are magnificent.', '2024-01-20');
-
--- Sample Saved Destinations
-INSERT INTO saved_destinations (user_id, destination_id) VALUES
-(1, 2),
-(1, 4),
-(2, 1),
-(2, 3);
-
 -- =====================================================
 -- Create Views for Quick Access
 -- =====================================================
@@ -373,7 +424,6 @@ GROUP BY u.id;
 -- =====================================================
 
 -- Procedure: Get Complete Trip Details
-DELIMITER //
 CREATE PROCEDURE GetTripDetails(IN tripId INT)
 BEGIN
     -- Get trip info
@@ -386,11 +436,9 @@ BEGIN
     
     -- Get bookings
     SELECT * FROM bookings WHERE trip_id = tripId;
-END //
-DELIMITER ;
+END;
 
 -- Procedure: Get Destination with Activities
-DELIMITER //
 CREATE PROCEDURE GetDestinationDetails(IN destId INT)
 BEGIN
     -- Get destination info
@@ -408,11 +456,9 @@ BEGIN
     WHERE r.destination_id = destId
     ORDER BY r.created_at DESC
     LIMIT 10;
-END //
-DELIMITER ;
+END;
 
 -- Procedure: Calculate Trip Budget
-DELIMITER //
 CREATE PROCEDURE CalculateTripBudget(IN tripId INT)
 BEGIN
     SELECT 
@@ -423,14 +469,13 @@ BEGIN
         budget_transport,
         budget_misc,
         budget_total,
-        (SELECT SUM(estimated_cost) FROM trip_itinerary WHERE trip_id = tripId) AS actual_itinerary_cost
+        (SELECT SUM(estimated_cost) FROM trip_itinerary WHERE trip_id = tripId) AS actual_itinerary_cost,
+        (SELECT SUM(amount) FROM trip_expenses WHERE trip_id = tripId) AS actual_expense_total
     FROM trips
     WHERE id = tripId;
-END //
-DELIMITER ;
+END;
 
 -- Procedure: Search Destinations
-DELIMITER //
 CREATE PROCEDURE SearchDestinations(
     IN searchTerm VARCHAR(200),
     IN categoryFilter VARCHAR(50),
@@ -449,15 +494,13 @@ BEGIN
         AND d.avg_cost BETWEEN minCost AND maxCost
     GROUP BY d.id
     ORDER BY d.popular DESC, d.rating DESC;
-END //
-DELIMITER ;
+END;
 
 -- =====================================================
 -- Triggers
 -- =====================================================
 
 -- Trigger: Update destination rating when review is added
-DELIMITER //
 CREATE TRIGGER update_destination_rating AFTER INSERT ON reviews
 FOR EACH ROW
 BEGIN
@@ -468,19 +511,16 @@ BEGIN
         WHERE destination_id = NEW.destination_id
     )
     WHERE id = NEW.destination_id;
-END //
-DELIMITER ;
+END;
 
 -- Trigger: Set end_date automatically based on num_days
-DELIMITER //
 CREATE TRIGGER set_trip_end_date BEFORE INSERT ON trips
 FOR EACH ROW
 BEGIN
     IF NEW.end_date IS NULL AND NEW.start_date IS NOT NULL THEN
         SET NEW.end_date = DATE_ADD(NEW.start_date, INTERVAL NEW.num_days - 1 DAY);
     END IF;
-END //
-DELIMITER ;
+END;
 
 -- =====================================================
 -- Indexes for Performance
@@ -491,39 +531,34 @@ CREATE INDEX idx_destination_cost ON destinations(avg_cost);
 CREATE INDEX idx_itinerary_composite ON trip_itinerary(trip_id, day_number, order_index);
 CREATE INDEX idx_reviews_destination_rating ON reviews(destination_id, rating);
 
--- =====================================================
--- Grant Permissions to User
--- =====================================================
-
--- Create user if not exists
-CREATE USER IF NOT EXISTS 'ananyatravel'@'localhost' IDENTIFIED BY 'root123';
-
--- Grant all privileges on travelmate_db
-GRANT ALL PRIVILEGES ON travelmate_db.* TO 'ananyatravel'@'localhost';
-
--- Flush privileges
-FLUSH PRIVILEGES;
-
--- =====================================================
--- Verification Queries
--- =====================================================
-
--- Show all tables
-SHOW TABLES;
-
--- Show table structures
-DESCRIBE users;
-DESCRIBE destinations;
-DESCRIBE trips;
-
--- Sample verification queries
-SELECT 'Database created successfully!' AS message;
-SELECT COUNT(*) AS total_destinations FROM destinations;
-SELECT COUNT(*) AS total_users FROM users;
-SELECT COUNT(*) AS total_trips FROM trips;
-
--- Display sample data
-SELECT * FROM destinations LIMIT 5;
-SELECT * FROM trip_summary;
-
-COMMIT;
\ No newline at end of file
+-- migrate:down
+
+DROP TRIGGER IF EXISTS set_trip_end_date;
+DROP TRIGGER IF EXISTS update_destination_rating;
+
+DROP PROCEDURE IF EXISTS SearchDestinations;
+DROP PROCEDURE IF EXISTS CalculateTripBudget;
+DROP PROCEDURE IF EXISTS GetDestinationDetails;
+DROP PROCEDURE IF EXISTS GetTripDetails;
+
+DROP VIEW IF EXISTS user_statistics;
+DROP VIEW IF EXISTS popular_destinations_view;
+DROP VIEW IF EXISTS trip_summary;
+
+-- Children before parents so the foreign keys never block a drop
+DROP TABLE IF EXISTS saved_destinations;
+DROP TABLE IF EXISTS reviews;
+DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS exchange_rates;
+DROP TABLE IF EXISTS expense_splits;
+DROP TABLE IF EXISTS trip_expenses;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS trip_share_links;
+DROP TABLE IF EXISTS trip_collaborators;
+DROP TABLE IF EXISTS trip_itinerary;
+DROP TABLE IF EXISTS trips;
+DROP TABLE IF EXISTS destination_activities;
+DROP TABLE IF EXISTS destinations;
+DROP TABLE IF EXISTS user_tokens;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,158 @@
+-- =====================================================
+-- Migration 002: Review moderation
+-- One review per user per destination, helpful votes, flags and a moderation status.
+-- Destination ratings are recalculated from published reviews on every insert, update
+-- and delete instead of on insert only.
+-- =====================================================
+
+-- migrate:up
+
+-- Keep each user's newest review of a destination so the unique key can be added.
+-- The older ones are moved to reviews_duplicates_backup, and down puts them back.
+CREATE TABLE reviews_duplicates_backup LIKE reviews;
+
+INSERT INTO reviews_duplicates_backup
+SELECT r.* FROM reviews r
+WHERE EXISTS (
+    SELECT 1 FROM reviews newer
+    WHERE newer.user_id = r.user_id
+      AND newer.destination_id = r.destination_id
+      AND newer.id > r.id
+);
+
+DELETE r FROM reviews r
+JOIN reviews_duplicates_backup b ON b.id = r.id;
+
+ALTER TABLE reviews
+    ADD COLUMN status ENUM('published', 'hidden') NOT NULL DEFAULT 'published' AFTER helpful_count,
+    ADD COLUMN flag_count INT NOT NULL DEFAULT 0 AFTER status,
+    ADD COLUMN moderated_at TIMESTAMP NULL AFTER flag_count,
+    ADD COLUMN moderated_by INT NULL AFTER moderated_at,
+    ADD CONSTRAINT fk_reviews_moderated_by FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL,
+    ADD UNIQUE KEY unique_user_destination (user_id, destination_id),
+    ADD INDEX idx_flag_count (flag_count);
+
+-- =====================================================
+-- Table: review_votes
+-- One "helpful" vote per user per review; reviews.helpful_count is the total
+-- =====================================================
+CREATE TABLE review_votes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_vote (review_id, user_id)
+) ENGINE=InnoDB;
+
+-- =====================================================
+-- Table: review_flags
+-- Reports sent to the moderation queue; reviews.flag_count counts the unresolved ones
+-- =====================================================
+CREATE TABLE review_flags (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    reason ENUM('spam', 'offensive', 'off_topic', 'fake', 'other') NOT NULL,
+    note VARCHAR(500),
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_flag (review_id, user_id),
+    INDEX idx_unresolved (review_id, resolved_at)
+) ENGINE=InnoDB;
+
+-- =====================================================
+-- Destination rating: the average of published reviews, or 0 when there are none
+-- =====================================================
+DROP TRIGGER IF EXISTS update_destination_rating;
+
+CREATE PROCEDURE RefreshDestinationRating(IN p_destination_id INT)
+BEGIN
+    UPDATE destinations
+    SET rating = COALESCE((
+        SELECT AVG(rating)
+        FROM reviews
+        WHERE destination_id = p_destination_id AND status = 'published'
+    ), 0)
+    WHERE id = p_destination_id;
+END;
+
+CREATE TRIGGER update_destination_rating AFTER INSERT ON reviews
+FOR EACH ROW
+BEGIN
+    CALL RefreshDestinationRating(NEW.destination_id);
+END;
+
+-- Vote and flag counters also update reviews, so only rating and status changes recalculate
+CREATE TRIGGER update_destination_rating_on_change AFTER UPDATE ON reviews
+FOR EACH ROW
+BEGIN
+    IF NOT (OLD.rating <=> NEW.rating AND OLD.status <=> NEW.status AND OLD.destination_id <=> NEW.destination_id) THEN
+        CALL RefreshDestinationRating(NEW.destination_id);
+        IF OLD.destination_id <> NEW.destination_id THEN
+            CALL RefreshDestinationRating(OLD.destination_id);
+        END IF;
+    END IF;
+END;
+
+-- Triggers do not fire for foreign key cascades, so a deleted user's reviews leave the
+-- rating as it was until the destination's next review change
+CREATE TRIGGER update_destination_rating_on_delete AFTER DELETE ON reviews
+FOR EACH ROW
+BEGIN
+    CALL RefreshDestinationRating(OLD.destination_id);
+END;
+
+-- Bring ratings in line with reviews that were edited or removed before this migration,
+-- by the same rule as RefreshDestinationRating
+UPDATE destinations d
+SET d.rating = COALESCE((
+    SELECT AVG(r.rating)
+    FROM reviews r
+    WHERE r.destination_id = d.id AND r.status = 'published'
+), 0);
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS update_destination_rating_on_delete;
+DROP TRIGGER IF EXISTS update_destination_rating_on_change;
+DROP TRIGGER IF EXISTS update_destination_rating;
+DROP PROCEDURE IF EXISTS RefreshDestinationRating;
+
+CREATE TRIGGER update_destination_rating AFTER INSERT ON reviews
+FOR EACH ROW
+BEGIN
+    UPDATE destinations
+    SET rating = (
+        SELECT AVG(rating)
+        FROM reviews
+        WHERE destination_id = NEW.destination_id
+    )
+    WHERE id = NEW.destination_id;
+END;
+
+DROP TABLE IF EXISTS review_flags;
+DROP TABLE IF EXISTS review_votes;
+
+ALTER TABLE reviews
+    DROP FOREIGN KEY fk_reviews_moderated_by,
+    DROP INDEX unique_user_destination,
+    DROP INDEX idx_flag_count,
+    DROP COLUMN moderated_by,
+    DROP COLUMN moderated_at,
+    DROP COLUMN flag_count,
+    DROP COLUMN status;
+
+-- Restore the duplicate reviews up removed; the insert trigger recalculates their ratings.
+-- Reviews whose user or destination has since been deleted would have cascaded away.
+INSERT INTO reviews
+SELECT b.* FROM reviews_duplicates_backup b
+WHERE b.user_id IN (SELECT id FROM users)
+  AND b.destination_id IN (SELECT id FROM destinations);
+
+DROP TABLE reviews_duplicates_backup;
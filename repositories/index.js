@@ -0,0 +1,77 @@
+// =====================================================
+// TravelMate Repositories
+// Picks the data store from the environment:
+//   DB_BACKEND=mysql (default)  MySQL pool from DB_HOST, DB_PORT, DB_USER, DB_PASSWORD, DB_NAME
+//   DB_BACKEND=memory           in-process store, optionally seeded from MEMORY_SEED_FILE (JSON)
+// =====================================================
+
+const fs = require('fs');
+const { createMysqlRepositories } = require('./mysql');
+const { createMemoryRepositories } = require('./memory');
+
+// Development fallbacks; production must configure its own credentials
+const DEV_DB_CONFIG = {
+    user: 'ananyatravel',
+    password: 'root123',
+    database: 'travelmate_db'
+};
+
+// Host, credentials and database for a MySQL connection; shared by the pool and the migration CLI
+const mysqlConnectionConfig = (env) => {
+    if ((!env.DB_USER || env.DB_PASSWORD === undefined) && env.NODE_ENV === 'production') {
+        throw new Error('DB_USER and DB_PASSWORD must be set when NODE_ENV is production');
+    }
+
+    if (!env.DB_USER) {
+        console.warn('⚠ DB_USER is not set; using the development database credentials');
+    }
+
+    return {
+        host: env.DB_HOST || 'localhost',
+        port: parseInt(env.DB_PORT) || 3306,
+        user: env.DB_USER || DEV_DB_CONFIG.user,
+        password: env.DB_USER ? env.DB_PASSWORD : DEV_DB_CONFIG.password,
+        database: env.DB_NAME || DEV_DB_CONFIG.database
+    };
+};
+
+const createMysqlPool = (env) => {
+    const config = mysqlConnectionConfig(env);
+
+    // Only loaded for this backend so the memory store runs without a MySQL driver
+    const mysql = require('mysql2/promise');
+
+    return mysql.createPool({
+        ...config,
+        waitForConnections: true,
+        connectionLimit: parseInt(env.DB_CONNECTION_LIMIT) || 10,
+        queueLimit: 0,
+        enableKeepAlive: true,
+        keepAliveInitialDelay: 0
+    });
+};
+
+const loadMemorySeed = (file) => (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+
+// Returns the repositories plus backend ('mysql' | 'memory'), transaction(work), ping(),
+// poolStats() (null on memory) and close()
+const createRepositories = (env = process.env) => {
+    const backend = env.DB_BACKEND || 'mysql';
+
+    if (backend === 'memory') {
+        return createMemoryRepositories(loadMemorySeed(env.MEMORY_SEED_FILE));
+    }
+
+    if (backend === 'mysql') {
+        return createMysqlRepositories(createMysqlPool(env));
+    }
+
+    throw new Error(`Unknown DB_BACKEND "${backend}"; use mysql or memory`);
+};
+
+module.exports = {
+    createRepositories,
+    mysqlConnectionConfig,
+    createMysqlRepositories,
+    createMemoryRepositories
+};
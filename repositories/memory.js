@@ -0,0 +1,1343 @@
+// =====================================================
+// TravelMate In-Memory Repositories
+// The same interface as the MySQL repositories, kept in plain arrays so the API
+// can run and be tested without a database server
+// =====================================================
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const TABLES = [
+    'users',
+    'refresh_tokens',
+    'user_tokens',
+    'user_preferences',
+    'exchange_rates',
+    'destinations',
+    'destination_activities',
+    'trips',
+    'trip_itinerary',
+    'trip_collaborators',
+    'trip_share_links',
+    'bookings',
+    'trip_expenses',
+    'expense_splits',
+    'reviews',
+    'review_votes',
+    'review_flags',
+    'saved_destinations'
+];
+
+// Column defaults from migrations/001_baseline.sql
+const COLUMN_DEFAULTS = {
+    users: {
+        phone: null, profile_image: null, role: 'user', email_verified: 0, email_verified_at: null,
+        last_login: null, is_active: 1
+    },
+    refresh_tokens: { revoked_at: null, replaced_by: null, user_agent: null, ip_address: null },
+    user_tokens: { used_at: null },
+    user_preferences: {
+        preferred_categories: null, budget_range_min: 0, budget_range_max: 100000, preferred_duration_days: 3,
+        travel_style: 'moderate', currency: 'INR', language: 'en', notifications_enabled: 1
+    },
+    destinations: {
+        country: 'India', state: null, description: null, image_url: null, rating: 0, duration: null,
+        best_time: null, avg_cost: 0, popular: 0, latitude: null, longitude: null
+    },
+    destination_activities: { activity_type: 'sightseeing', estimated_cost: 0, duration_hours: 2, description: null },
+    trips: {
+        destination_id: null, end_date: null, num_days: 1, status: 'planning', currency: 'INR',
+        budget_flights: 0, budget_hotel: 0, budget_food: 0, budget_activities: 0, budget_transport: 0, budget_misc: 0,
+        notes: null
+    },
+    trip_itinerary: { activity_time: null, activity_notes: null, estimated_cost: 0, location: null, order_index: 0 },
+    trip_collaborators: { role: 'viewer', invited_by: null },
+    trip_share_links: { created_by: null, revoked_at: null },
+    reviews: {
+        trip_id: null, review_title: null, review_text: null, visit_date: null, helpful_count: 0,
+        status: 'published', flag_count: 0, moderated_at: null, moderated_by: null
+    },
+    review_votes: {},
+    review_flags: { note: null, resolved_at: null },
+    bookings: {
+        booking_reference: null, provider_name: null, booking_date: null, booking_time: null, amount: 0,
+        currency: 'INR', status: 'pending', details: null
+    },
+    trip_expenses: { currency: 'INR', note: null, paid_by: null, paid_by_user_id: null, split_type: 'equal' },
+    expense_splits: { shares: null },
+    saved_destinations: {},
+    exchange_rates: { source: null }
+};
+
+// BOOLEAN columns come back from MySQL as 0/1, DATE columns as Date objects at local midnight
+// and TIME columns as 'HH:MM:SS'; rows here are stored the same way
+const BOOLEAN_COLUMNS = ['email_verified', 'is_active', 'popular', 'notifications_enabled'];
+const DATE_COLUMNS = ['start_date', 'end_date', 'visit_date', 'booking_date', 'expense_date'];
+const TIME_COLUMNS = ['activity_time', 'booking_time'];
+
+// Tables with an updated_at column
+const UPDATED_AT_TABLES = [
+    'users', 'user_preferences', 'destinations', 'trips', 'trip_collaborators', 'bookings', 'trip_expenses', 'reviews'
+];
+
+const BUDGET_COLUMNS = ['budget_flights', 'budget_hotel', 'budget_food', 'budget_activities', 'budget_transport', 'budget_misc'];
+
+const toDate = (value) => {
+    if (value === null || value === undefined || value instanceof Date) {
+        return value === undefined ? null : value;
+    }
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const toTime = (value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const [hours, minutes, seconds] = String(value).split(':');
+    return [hours, minutes, seconds || '00'].map(part => part.padStart(2, '0')).join(':');
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Coerce a row's values into their stored types
+const normalizeRow = (row) => {
+    const normalized = { ...row };
+
+    for (const [column, value] of Object.entries(normalized)) {
+        if (value === null || value === undefined) {
+            continue;
+        }
+        if (BOOLEAN_COLUMNS.includes(column)) {
+            normalized[column] = value ? 1 : 0;
+        } else if (DATE_COLUMNS.includes(column)) {
+            normalized[column] = toDate(value);
+        } else if (TIME_COLUMNS.includes(column)) {
+            normalized[column] = toTime(value);
+        } else if (/_at$/.test(column) && !(value instanceof Date)) {
+            normalized[column] = new Date(value);
+        }
+    }
+
+    return normalized;
+};
+
+// Generated and trigger-maintained trips columns
+const refreshTripColumns = (trip) => {
+    trip.budget_total = BUDGET_COLUMNS.reduce((sum, column) => sum + parseFloat(trip[column] || 0), 0);
+    if (trip.start_date) {
+        trip.end_date = addDays(trip.start_date, trip.num_days - 1);
+    }
+};
+
+// Errors carry the mysql2 codes the routes already handle
+const dbError = (code, message) => Object.assign(new Error(message), { code });
+
+// Order rows by [value getter, 'asc' | 'desc'] keys; NULLs sort first ascending, as in MySQL
+const sortRows = (rows, keys) => rows.sort((a, b) => {
+    for (const [get, order] of keys) {
+        const x = get(a);
+        const y = get(b);
+        if (x === y) {
+            continue;
+        }
+        const direction = order === 'asc' ? 1 : -1;
+        if (x === null || x === undefined) {
+            return -direction;
+        }
+        if (y === null || y === undefined) {
+            return direction;
+        }
+        return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+});
+
+const numeric = (column) => (row) => (row[column] === null ? null : parseFloat(row[column]));
+const timestamp = (column) => (row) => (row[column] ? row[column].getTime() : null);
+
+const DESTINATION_SORTS = {
+    rating: [numeric('rating'), 'desc'],
+    avg_cost: [numeric('avg_cost'), 'asc'],
+    popularity: [numeric('rating'), 'desc'],
+    review_count: [row => row.review_count, 'desc'],
+    newest: [timestamp('created_at'), 'desc']
+};
+
+const REVIEW_SORTS = {
+    newest: [timestamp('created_at'), 'desc'],
+    rating: [numeric('rating'), 'desc'],
+    helpful: [row => row.helpful_count, 'desc']
+};
+
+// Which trips each scope of listForUser includes, given whether the user owns the trip
+// and their collaborator role on it (null when they aren't a collaborator)
+const USER_TRIP_SCOPES = {
+    all: (owned, collaborator) => owned || collaborator !== null,
+    owned: (owned) => owned,
+    shared: (owned, collaborator) => !owned && collaborator !== null
+};
+
+// API itinerary item fields mapped to their trip_itinerary columns
+const ITINERARY_ITEM_COLUMNS = {
+    name: 'activity_name',
+    time: 'activity_time',
+    notes: 'activity_notes',
+    estimated_cost: 'estimated_cost',
+    location: 'location'
+};
+
+const PROFILE_COLUMNS = ['id', 'name', 'email', 'phone', 'profile_image', 'role', 'email_verified', 'email_verified_at', 'created_at'];
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+// `seed` maps table names to arrays of rows, e.g. { destinations: [...], destination_activities: [...] }
+const createMemoryRepositories = (seed = {}) => {
+    let state = { tables: {}, nextIds: {} };
+
+    const table = (name) => state.tables[name];
+
+    // Rows leave the store as copies so callers can't change stored data by accident
+    const copy = (row) => (row ? structuredClone(row) : null);
+    const copyAll = (rows) => rows.map(copy);
+
+    // Copies of the rows of several trips, keyed by trip id (trips without rows map to [])
+    const groupByTrip = (tripIds, rows) => {
+        const grouped = new Map(tripIds.map(id => [id, []]));
+        for (const row of rows) {
+            if (grouped.has(row.trip_id)) {
+                grouped.get(row.trip_id).push(copy(row));
+            }
+        }
+        return grouped;
+    };
+
+    const insert = (name, values) => {
+        const now = new Date();
+        const row = normalizeRow({
+            ...COLUMN_DEFAULTS[name],
+            created_at: now,
+            ...values
+        });
+
+        if (row.id === undefined) {
+            row.id = ++state.nextIds[name];
+        } else {
+            state.nextIds[name] = Math.max(state.nextIds[name], row.id);
+        }
+        if (UPDATED_AT_TABLES.includes(name) && !row.updated_at) {
+            row.updated_at = now;
+        }
+
+        table(name).push(row);
+        return row;
+    };
+
+    const update = (name, row, changes) => {
+        Object.assign(row, normalizeRow(changes));
+        if (UPDATED_AT_TABLES.includes(name)) {
+            row.updated_at = new Date();
+        }
+        return row;
+    };
+
+    const findBy = (name, predicate) => table(name).find(predicate) || null;
+
+    const removeWhere = (name, predicate) => {
+        const before = table(name).length;
+        state.tables[name] = table(name).filter(row => !predicate(row));
+        return before - table(name).length;
+    };
+
+    const requireRow = (name, id) => {
+        if (!findBy(name, row => row.id === id)) {
+            throw dbError('ER_NO_REFERENCED_ROW_2', `Cannot add or update a child row: ${name} ${id} does not exist`);
+        }
+    };
+
+    for (const name of TABLES) {
+        state.tables[name] = [];
+        state.nextIds[name] = 0;
+    }
+
+    for (const [name, rows] of Object.entries(seed)) {
+        if (!state.tables[name]) {
+            throw new Error(`Unknown table "${name}" in memory seed`);
+        }
+        for (const row of rows) {
+            // exchange_rates is keyed by currency and has no id or created_at
+            if (name === 'exchange_rates') {
+                table(name).push(normalizeRow({ source: null, updated_at: new Date(), ...row }));
+                continue;
+            }
+            const stored = insert(name, row);
+            if (name === 'trips') {
+                refreshTripColumns(stored);
+            }
+        }
+    }
+
+    const userName = (userId) => {
+        const user = findBy('users', row => row.id === userId);
+        return user ? user.name : null;
+    };
+
+    // =====================================================
+    // Users
+    // =====================================================
+    const users = {
+        findById: async (id) => copy(findBy('users', row => row.id === Number(id))),
+
+        // Emails compare case-insensitively, like the column's collation
+        findByEmail: async (email) =>
+            copy(findBy('users', row => row.email.toLowerCase() === String(email).toLowerCase())),
+
+        findProfile: async (id) => {
+            const user = findBy('users', row => row.id === Number(id));
+            return user ? copy(pick(user, PROFILE_COLUMNS)) : null;
+        },
+
+        create: async ({ name, email, password, phone }) => {
+            if (await users.findByEmail(email)) {
+                throw dbError('ER_DUP_ENTRY', `Duplicate entry '${email}' for key 'email'`);
+            }
+            return insert('users', { name, email, password, phone: phone || null }).id;
+        },
+
+        updateProfile: async (id, fields) => {
+            const user = findBy('users', row => row.id === Number(id));
+            if (user) {
+                update('users', user, fields);
+            }
+        },
+
+        setPassword: async (id, passwordHash) => {
+            const user = findBy('users', row => row.id === Number(id));
+            if (user) {
+                update('users', user, { password: passwordHash });
+            }
+        },
+
+        recordLogin: async (id) => {
+            const user = findBy('users', row => row.id === Number(id));
+            if (user) {
+                user.last_login = new Date();
+            }
+        },
+
+        markEmailVerified: async (id) => {
+            const user = findBy('users', row => row.id === Number(id));
+            if (user) {
+                update('users', user, { email_verified: 1, email_verified_at: new Date() });
+            }
+        },
+
+        // Mirrors the user_statistics view
+        statistics: async (id) => {
+            const user = findBy('users', row => row.id === Number(id));
+            if (!user) {
+                return null;
+            }
+
+            const trips = table('trips').filter(trip => trip.user_id === user.id);
+            const reviews = table('reviews').filter(review => review.user_id === user.id);
+            const average = (rows, column) => (rows.length === 0
+                ? null
+                : rows.reduce((sum, row) => sum + parseFloat(row[column]), 0) / rows.length);
+
+            return {
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                total_trips: trips.length,
+                total_spent: trips.length === 0 ? null : trips.reduce((sum, trip) => sum + trip.budget_total, 0),
+                avg_trip_duration: average(trips, 'num_days'),
+                total_reviews: reviews.length,
+                avg_rating_given: average(reviews, 'rating')
+            };
+        },
+
+        count: async () => table('users').length
+    };
+
+    // =====================================================
+    // Sessions (refresh tokens)
+    // =====================================================
+    const sessions = {
+        create: async (session) => {
+            requireRow('users', session.user_id);
+            return insert('refresh_tokens', session).id;
+        },
+
+        findByHash: async (tokenHash) => {
+            const session = findBy('refresh_tokens', row => row.token_hash === tokenHash);
+            const user = session && findBy('users', row => row.id === session.user_id);
+            if (!user) {
+                return null;
+            }
+            return copy({ ...session, name: user.name, email: user.email, role: user.role, is_active: user.is_active });
+        },
+
+        revoke: async (id, replacedBy = null) => {
+            const session = findBy('refresh_tokens', row => row.id === id);
+            if (session) {
+                Object.assign(session, { revoked_at: new Date(), replaced_by: replacedBy });
+            }
+        },
+
+        revokeFamily: async (familyId) => {
+            for (const session of table('refresh_tokens')) {
+                if (session.family_id === familyId && !session.revoked_at) {
+                    session.revoked_at = new Date();
+                }
+            }
+        },
+
+        revokeAllForUser: async (userId, exceptId) => {
+            for (const session of table('refresh_tokens')) {
+                if (session.user_id === userId && !session.revoked_at && session.id !== exceptId) {
+                    session.revoked_at = new Date();
+                }
+            }
+        }
+    };
+
+    // =====================================================
+    // Account tokens (password reset, email verification)
+    // =====================================================
+    const accountTokens = {
+        invalidate: async (userId, purpose) => {
+            for (const token of table('user_tokens')) {
+                if (token.user_id === userId && token.purpose === purpose && !token.used_at) {
+                    token.used_at = new Date();
+                }
+            }
+        },
+
+        create: async (token) => {
+            insert('user_tokens', token);
+        },
+
+        findByHash: async (tokenHash, purpose) =>
+            copy(findBy('user_tokens', row => row.token_hash === tokenHash && row.purpose === purpose)),
+
+        markUsed: async (id) => {
+            const token = findBy('user_tokens', row => row.id === id);
+            if (token) {
+                token.used_at = new Date();
+            }
+        }
+    };
+
+    // =====================================================
+    // Preferences
+    // =====================================================
+    const preferences = {
+        find: async (userId) => copy(findBy('user_preferences', row => row.user_id === userId)),
+
+        save: async (userId, prefs) => {
+            const values = pick(prefs, Object.keys(COLUMN_DEFAULTS.user_preferences));
+            const existing = findBy('user_preferences', row => row.user_id === userId);
+
+            if (existing) {
+                update('user_preferences', existing, values);
+            } else {
+                requireRow('users', userId);
+                insert('user_preferences', { user_id: userId, ...values });
+            }
+        }
+    };
+
+    // =====================================================
+    // Exchange rates
+    // =====================================================
+    const exchangeRates = {
+        list: async () => copyAll(sortRows([...table('exchange_rates')], [[row => row.currency, 'asc']])),
+
+        save: async (rates) => {
+            for (const { currency, rate, source } of rates) {
+                const existing = findBy('exchange_rates', row => row.currency === currency);
+                if (existing) {
+                    Object.assign(existing, { rate, source, updated_at: new Date() });
+                } else {
+                    table('exchange_rates').push({ currency, rate, source, updated_at: new Date() });
+                }
+            }
+        },
+
+        remove: async (currency) => removeWhere('exchange_rates', row => row.currency === currency) > 0,
+
+        countUses: async (currency) => ['trips', 'bookings', 'trip_expenses']
+            .reduce((sum, name) => sum + table(name).filter(row => row.currency === currency).length, 0)
+    };
+
+    // =====================================================
+    // Destinations
+    // =====================================================
+    const withCounts = (destination) => ({
+        ...destination,
+        activity_count: table('destination_activities').filter(a => a.destination_id === destination.id).length,
+        review_count: table('reviews').filter(r => r.destination_id === destination.id).length,
+        relevance: 0
+    });
+
+    const destinations = {
+        findById: async (id) => copy(findBy('destinations', row => row.id === Number(id))),
+
+        listAll: async () => copyAll(table('destinations')),
+
+        listSeasons: async () => table('destinations').map(row => ({ id: row.id, best_time: row.best_time })),
+
+        listActivities: async (destinationId) => copyAll(sortRows(
+            table('destination_activities').filter(row => row.destination_id === Number(destinationId)),
+            [[row => row.activity_type, 'asc']]
+        )),
+
+        listAllActivities: async () => copyAll(sortRows(
+            [...table('destination_activities')],
+            [[row => row.destination_id, 'asc'], [row => row.activity_type, 'asc'], [row => row.id, 'asc']]
+        )),
+
+        listPopular: async (limit) => copyAll(sortRows(
+            table('destinations').filter(row => row.popular),
+            [[numeric('rating'), 'desc']]
+        ).slice(0, limit)),
+
+        // There is no full-text index here, so searches always match substrings ('like' mode)
+        search: async (filters) => {
+            const { category, minCost, maxCost, state: region, country, ids, search, limit, offset } = filters;
+            const needle = search ? search.toLowerCase() : null;
+
+            const matches = table('destinations')
+                .filter(d => !category || d.category === category)
+                .filter(d => minCost === undefined || parseFloat(d.avg_cost) >= minCost)
+                .filter(d => maxCost === undefined || parseFloat(d.avg_cost) <= maxCost)
+                .filter(d => !region || d.state === region)
+                .filter(d => !country || d.country === country)
+                .filter(d => !ids || ids.includes(d.id))
+                .filter(d => !needle || [d.name, d.description].some(text => (text || '').toLowerCase().includes(needle)))
+                .map(withCounts);
+
+            const sort = filters.sort && filters.sort !== 'relevance' ? filters.sort : 'popularity';
+            const [getValue, defaultOrder] = DESTINATION_SORTS[sort];
+            const order = filters.order || defaultOrder;
+            const keys = sort === 'popularity'
+                ? [[row => row.popular, 'desc'], [getValue, order]]
+                : [[getValue, order]];
+
+            sortRows(matches, keys.concat([[row => row.id, 'asc']]));
+
+            return {
+                rows: copyAll(matches.slice(offset, offset + limit)),
+                total: matches.length,
+                searchMode: search ? 'like' : null
+            };
+        },
+
+        findNear: async (lat, lng, radiusKm, limit, excludeId) => {
+            const nearby = table('destinations')
+                .filter(d => d.latitude !== null && d.longitude !== null && d.id !== (excludeId || 0))
+                .map(d => ({
+                    ...d,
+                    distance_km: Math.round(haversineKm(lat, lng, parseFloat(d.latitude), parseFloat(d.longitude)) * 10) / 10
+                }))
+                .filter(d => d.distance_km <= radiusKm);
+
+            return copyAll(sortRows(nearby, [[row => row.distance_km, 'asc']]).slice(0, limit));
+        },
+
+        create: async (fields) => insert('destinations', fields).id,
+
+        update: async (id, changes) => {
+            const destination = findBy('destinations', row => row.id === Number(id));
+            if (destination) {
+                update('destinations', destination, changes);
+            }
+        },
+
+        // Deleting a destination cascades like the schema's foreign keys
+        remove: async (id) => {
+            const destinationId = Number(id);
+            removeWhere('destinations', row => row.id === destinationId);
+            const reviewIds = table('reviews').filter(row => row.destination_id === destinationId).map(row => row.id);
+            for (const name of ['review_votes', 'review_flags']) {
+                removeWhere(name, row => reviewIds.includes(row.review_id));
+            }
+            for (const name of ['destination_activities', 'reviews', 'saved_destinations']) {
+                removeWhere(name, row => row.destination_id === destinationId);
+            }
+            for (const trip of table('trips')) {
+                if (trip.destination_id === destinationId) {
+                    trip.destination_id = null;
+                }
+            }
+        },
+
+        findActivity: async (destinationId, activityId) => copy(findBy('destination_activities',
+            row => row.id === Number(activityId) && row.destination_id === Number(destinationId))),
+
+        createActivity: async (destinationId, fields) => {
+            requireRow('destinations', Number(destinationId));
+            return insert('destination_activities', { destination_id: Number(destinationId), ...fields }).id;
+        },
+
+        updateActivity: async (activityId, changes) => {
+            const activity = findBy('destination_activities', row => row.id === Number(activityId));
+            if (activity) {
+                update('destination_activities', activity, changes);
+            }
+        },
+
+        removeActivities: async (activityIds) => {
+            removeWhere('destination_activities', row => activityIds.includes(row.id));
+        },
+
+        count: async () => table('destinations').length
+    };
+
+    // =====================================================
+    // Trips
+    // =====================================================
+    const collaboratorRole = (tripId, userId) => {
+        const collaborator = findBy('trip_collaborators', row => row.trip_id === tripId && row.user_id === userId);
+        return collaborator ? collaborator.role : null;
+    };
+
+    const tripColumns = (trip) => {
+        const budget = trip.budget || {};
+        return {
+            destination_id: trip.destination_id || null,
+            trip_name: trip.trip_name,
+            destination_name: trip.destination_name,
+            start_date: trip.start_date,
+            num_days: trip.num_days,
+            budget_flights: budget.flights || 0,
+            budget_hotel: budget.hotel || 0,
+            budget_food: budget.food || 0,
+            budget_activities: budget.activities || 0,
+            budget_transport: budget.transport || 0,
+            budget_misc: budget.misc || 0,
+            status: trip.status,
+            notes: trip.notes || null,
+            currency: trip.currency
+        };
+    };
+
+    const trips = {
+        findById: async (id) => copy(findBy('trips', row => row.id === Number(id))),
+
+        findCollaboratorRole: async (tripId, userId) => collaboratorRole(tripId, userId),
+
+        listForUser: async (userId, scope = 'all') => {
+            const rows = [];
+
+            for (const trip of table('trips')) {
+                const owned = trip.user_id === userId;
+                const collaborator = collaboratorRole(trip.id, userId);
+                if (!USER_TRIP_SCOPES[scope](owned, collaborator)) {
+                    continue;
+                }
+
+                const destination = findBy('destinations', row => row.id === trip.destination_id) || {};
+                rows.push({
+                    ...trip,
+                    destination_full_name: destination.name || null,
+                    destination_image: destination.image_url || null,
+                    destination_latitude: destination.latitude === undefined ? null : destination.latitude,
+                    destination_longitude: destination.longitude === undefined ? null : destination.longitude,
+                    owner_name: userName(trip.user_id),
+                    role: owned ? 'owner' : collaborator
+                });
+            }
+
+            return copyAll(sortRows(rows, [[timestamp('created_at'), 'desc'], [row => row.id, 'desc']]));
+        },
+
+        listVisitedDestinations: async (userId) => table('trips')
+            .filter(trip => trip.user_id === userId && trip.status !== 'cancelled')
+            .map(trip => findBy('destinations', row => row.id === trip.destination_id))
+            .filter(Boolean)
+            .map(destination => ({ id: destination.id, category: destination.category })),
+
+        create: async (userId, trip) => {
+            requireRow('users', userId);
+            if (trip.destination_id) {
+                requireRow('destinations', trip.destination_id);
+            }
+
+            const row = insert('trips', { user_id: userId, ...tripColumns(trip) });
+            refreshTripColumns(row);
+            return row.id;
+        },
+
+        update: async (id, changes) => {
+            if (changes.destination_id) {
+                requireRow('destinations', changes.destination_id);
+            }
+
+            const trip = findBy('trips', row => row.id === Number(id));
+            if (trip) {
+                update('trips', trip, changes);
+                refreshTripColumns(trip);
+            }
+        },
+
+        // Deleting a trip cascades like the schema's foreign keys
+        remove: async (id) => {
+            const tripId = Number(id);
+            removeWhere('trips', row => row.id === tripId);
+            const expenseIds = table('trip_expenses').filter(row => row.trip_id === tripId).map(row => row.id);
+            removeWhere('expense_splits', row => expenseIds.includes(row.expense_id));
+            for (const name of ['trip_itinerary', 'trip_collaborators', 'trip_share_links', 'bookings', 'trip_expenses']) {
+                removeWhere(name, row => row.trip_id === tripId);
+            }
+            for (const review of table('reviews')) {
+                if (review.trip_id === tripId) {
+                    review.trip_id = null;
+                }
+            }
+        },
+
+        // Mirrors the CalculateTripBudget procedure
+        calculateBudget: async (id) => {
+            const trip = findBy('trips', row => row.id === Number(id));
+            if (!trip) {
+                return null;
+            }
+
+            const sum = (rows, column) => (rows.length === 0
+                ? null
+                : rows.reduce((total, row) => total + parseFloat(row[column]), 0));
+
+            return copy({
+                ...pick(trip, [...BUDGET_COLUMNS, 'budget_total']),
+                actual_itinerary_cost: sum(table('trip_itinerary').filter(row => row.trip_id === trip.id), 'estimated_cost'),
+                actual_expense_total: sum(table('trip_expenses').filter(row => row.trip_id === trip.id), 'amount')
+            });
+        },
+
+        budgetTotals: async (userId = null) => {
+            const totals = new Map();
+            for (const trip of table('trips')) {
+                if (userId === null || trip.user_id === Number(userId)) {
+                    totals.set(trip.currency, (totals.get(trip.currency) || 0) + trip.budget_total);
+                }
+            }
+            return [...totals].map(([currency, total]) => ({ currency, total }));
+        },
+
+        count: async () => table('trips').length
+    };
+
+    // =====================================================
+    // Itinerary
+    // =====================================================
+    const dayOrder = [[row => row.day_number, 'asc'], [row => row.order_index, 'asc'], [row => row.id, 'asc']];
+
+    const itineraryColumns = (dayNumber, orderIndex, item) => ({
+        day_number: dayNumber,
+        activity_name: item.name,
+        activity_time: item.time || null,
+        activity_notes: item.notes || null,
+        estimated_cost: item.estimated_cost || 0,
+        location: item.location || null,
+        order_index: orderIndex
+    });
+
+    const itinerary = {
+        listForTrip: async (tripId) =>
+            copyAll(sortRows(table('trip_itinerary').filter(row => row.trip_id === tripId), dayOrder)),
+
+        listForTrips: async (tripIds) => groupByTrip(tripIds, sortRows([...table('trip_itinerary')], dayOrder)),
+
+        findItem: async (tripId, itemId) =>
+            copy(findBy('trip_itinerary', row => row.id === Number(itemId) && row.trip_id === tripId)),
+
+        insert: async (tripId, dayNumber, orderIndex, item) => {
+            requireRow('trips', tripId);
+            return insert('trip_itinerary', { trip_id: tripId, ...itineraryColumns(dayNumber, orderIndex, item) }).id;
+        },
+
+        replace: async (itemId, dayNumber, orderIndex, item) => {
+            const row = findBy('trip_itinerary', candidate => candidate.id === itemId);
+            if (row) {
+                Object.assign(row, normalizeRow(itineraryColumns(dayNumber, orderIndex, item)));
+            }
+        },
+
+        update: async (tripId, itemId, fields) => {
+            const row = findBy('trip_itinerary', candidate => candidate.id === Number(itemId) && candidate.trip_id === tripId);
+            if (!row) {
+                return false;
+            }
+
+            const changes = {};
+            for (const [field, column] of Object.entries(ITINERARY_ITEM_COLUMNS)) {
+                if (fields[field] !== undefined) {
+                    changes[column] = field === 'estimated_cost' ? fields[field] || 0 : fields[field];
+                }
+            }
+            Object.assign(row, normalizeRow(changes));
+            return true;
+        },
+
+        setDay: async (itemId, dayNumber) => {
+            const row = findBy('trip_itinerary', candidate => candidate.id === itemId);
+            if (row) {
+                row.day_number = dayNumber;
+            }
+        },
+
+        renumberDay: async (tripId, dayNumber, itemId = null, position = null) => {
+            const items = sortRows(
+                table('trip_itinerary').filter(row => row.trip_id === tripId && row.day_number === dayNumber),
+                [[row => row.order_index, 'asc'], [row => row.id, 'asc']]
+            );
+            const ordered = items.filter(item => item.id !== itemId);
+
+            if (itemId !== null) {
+                const index = position === null || position === undefined ? ordered.length : Math.min(position, ordered.length);
+                ordered.splice(index, 0, findBy('trip_itinerary', row => row.id === itemId));
+            }
+
+            ordered.forEach((item, i) => {
+                item.order_index = i;
+            });
+        },
+
+        remove: async (itemIds) => {
+            removeWhere('trip_itinerary', row => itemIds.includes(row.id));
+        }
+    };
+
+    // =====================================================
+    // Bookings
+    // =====================================================
+    const bookingOrder = [[timestamp('booking_date'), 'asc'], [row => row.booking_time, 'asc'], [row => row.id, 'asc']];
+
+    const findBooking = (tripId, bookingId) =>
+        findBy('bookings', row => row.id === Number(bookingId) && row.trip_id === Number(tripId));
+
+    const bookingColumns = (booking) => ({
+        booking_type: booking.booking_type,
+        booking_reference: booking.booking_reference || null,
+        provider_name: booking.provider_name || null,
+        booking_date: booking.booking_date || null,
+        booking_time: booking.booking_time || null,
+        amount: booking.amount || 0,
+        details: booking.details || {}
+    });
+
+    const bookings = {
+        listForTrip: async (tripId, { status, type } = {}) => copyAll(sortRows(
+            table('bookings').filter(row => row.trip_id === tripId &&
+                (!status || row.status === status) && (!type || row.booking_type === type)),
+            bookingOrder
+        )),
+
+        listForTrips: async (tripIds) => groupByTrip(tripIds, sortRows([...table('bookings')], bookingOrder)),
+
+        find: async (tripId, bookingId) => copy(findBooking(tripId, bookingId)),
+
+        create: async (tripId, userId, booking) => {
+            requireRow('trips', tripId);
+            requireRow('users', userId);
+            return insert('bookings', {
+                trip_id: tripId,
+                user_id: userId,
+                ...bookingColumns(booking),
+                currency: booking.currency,
+                status: booking.status || 'pending'
+            }).id;
+        },
+
+        update: async (id, booking) => {
+            const row = findBy('bookings', candidate => candidate.id === id);
+            if (row) {
+                update('bookings', row, { ...bookingColumns(booking), currency: booking.currency || row.currency });
+            }
+        },
+
+        setStatus: async (id, status) => {
+            const row = findBy('bookings', candidate => candidate.id === id);
+            if (row) {
+                update('bookings', row, { status });
+            }
+        },
+
+        remove: async (tripId, bookingId) =>
+            removeWhere('bookings', row => row.id === Number(bookingId) && row.trip_id === Number(tripId)) > 0
+    };
+
+    // =====================================================
+    // Expenses and their splits
+    // =====================================================
+    const findExpense = (tripId, expenseId) =>
+        findBy('trip_expenses', row => row.id === Number(expenseId) && row.trip_id === Number(tripId));
+
+    const expenseColumns = (expense) => ({
+        category: expense.category,
+        amount: expense.amount,
+        expense_date: expense.expense_date,
+        note: expense.note || null,
+        paid_by: expense.paid_by,
+        paid_by_user_id: expense.paid_by_user_id,
+        split_type: expense.split_type
+    });
+
+    // Sum `amount` over rows grouped by the values of `columns`, as { ...columns, spent } rows
+    const sumBy = (rows, columns) => {
+        const groups = new Map();
+        for (const row of rows) {
+            const key = columns.map(column => (row[column] instanceof Date ? row[column].getTime() : row[column])).join('|');
+            if (!groups.has(key)) {
+                groups.set(key, { ...pick(row, columns), spent: 0 });
+            }
+            groups.get(key).spent += parseFloat(row.amount);
+        }
+        return [...groups.values()];
+    };
+
+    const expenses = {
+        listForTrip: async (tripId) => copyAll(sortRows(
+            table('trip_expenses').filter(row => row.trip_id === tripId),
+            [[timestamp('expense_date'), 'asc'], [row => row.id, 'asc']]
+        )),
+
+        search: async (tripId, { category, from, to, limit, offset }) => {
+            const matches = sortRows(
+                table('trip_expenses').filter(row => row.trip_id === tripId &&
+                    (!category || row.category === category) &&
+                    (!from || row.expense_date >= toDate(from)) &&
+                    (!to || row.expense_date <= toDate(to))),
+                [[timestamp('expense_date'), 'desc'], [row => row.id, 'desc']]
+            );
+
+            const totals = new Map();
+            for (const row of matches) {
+                const total = totals.get(row.currency) || { currency: row.currency, total: 0, total_amount: 0 };
+                total.total += 1;
+                total.total_amount += parseFloat(row.amount);
+                totals.set(row.currency, total);
+            }
+
+            return { rows: copyAll(matches.slice(offset, offset + limit)), totals: [...totals.values()] };
+        },
+
+        find: async (tripId, expenseId) => copy(findExpense(tripId, expenseId)),
+
+        totalsForTrips: async (tripIds) => {
+            const totals = new Map(tripIds.map(id => [id, []]));
+            const rows = sumBy(table('trip_expenses').filter(row => totals.has(row.trip_id)), ['trip_id', 'category', 'currency']);
+            for (const row of rows) {
+                totals.get(row.trip_id).push(row);
+            }
+            return totals;
+        },
+
+        dailyTotals: async (tripId) => copyAll(sortRows(
+            sumBy(table('trip_expenses').filter(row => row.trip_id === tripId), ['expense_date', 'category', 'currency']),
+            [[timestamp('expense_date'), 'asc']]
+        )),
+
+        create: async (tripId, userId, expense) => {
+            requireRow('trips', tripId);
+            requireRow('users', userId);
+            return insert('trip_expenses', {
+                trip_id: tripId,
+                user_id: userId,
+                ...expenseColumns(expense),
+                currency: expense.currency
+            }).id;
+        },
+
+        update: async (tripId, expenseId, expense) => {
+            const row = findExpense(tripId, expenseId);
+            if (!row) {
+                return false;
+            }
+            update('trip_expenses', row, { ...expenseColumns(expense), currency: expense.currency || row.currency });
+            return true;
+        },
+
+        // Deleting an expense cascades to its splits like the schema's foreign key
+        remove: async (tripId, expenseId) => {
+            const row = findExpense(tripId, expenseId);
+            if (!row) {
+                return false;
+            }
+            removeWhere('trip_expenses', candidate => candidate.id === row.id);
+            removeWhere('expense_splits', split => split.expense_id === row.id);
+            return true;
+        },
+
+        listSplits: async (expenseIds) => {
+            const splits = new Map(expenseIds.map(id => [id, []]));
+            for (const split of sortRows([...table('expense_splits')], [[row => row.id, 'asc']])) {
+                if (splits.has(split.expense_id)) {
+                    splits.get(split.expense_id).push(copy({
+                        ...pick(split, ['expense_id', 'user_id', 'shares', 'amount']),
+                        name: userName(split.user_id)
+                    }));
+                }
+            }
+            return splits;
+        },
+
+        replaceSplits: async (expenseId, rows) => {
+            removeWhere('expense_splits', split => split.expense_id === expenseId);
+            for (const row of rows) {
+                requireRow('users', row.user_id);
+                insert('expense_splits', { expense_id: expenseId, user_id: row.user_id, shares: row.shares, amount: row.amount });
+            }
+        }
+    };
+
+    // =====================================================
+    // Collaborators
+    // =====================================================
+    const tripCollaborators = (tripId) => sortRows(
+        table('trip_collaborators').filter(row => row.trip_id === tripId),
+        [[timestamp('created_at'), 'asc'], [row => row.id, 'asc']]
+    );
+
+    const findCollaborator = (tripId, userId) =>
+        findBy('trip_collaborators', row => row.trip_id === tripId && row.user_id === Number(userId));
+
+    const collaborators = {
+        listForTrip: async (tripId) => copyAll(tripCollaborators(tripId)
+            .map(row => ({ row, user: findBy('users', u => u.id === row.user_id) }))
+            .filter(({ user }) => user)
+            .map(({ row, user }) => ({
+                user_id: row.user_id,
+                name: user.name,
+                email: user.email,
+                role: row.role,
+                invited_by: row.invited_by,
+                created_at: row.created_at
+            }))),
+
+        listTravellers: async (tripId, ownerId) => {
+            const owner = findBy('users', row => row.id === ownerId);
+            const travellers = owner ? [{ user_id: owner.id, name: owner.name, role: 'owner' }] : [];
+
+            for (const row of sortRows(tripCollaborators(tripId), [[r => r.id, 'asc']])) {
+                const name = userName(row.user_id);
+                if (name !== null) {
+                    travellers.push({ user_id: row.user_id, name, role: row.role });
+                }
+            }
+            return travellers;
+        },
+
+        add: async (tripId, userId, role, invitedBy) => {
+            requireRow('trips', tripId);
+            requireRow('users', userId);
+            if (findCollaborator(tripId, userId)) {
+                throw dbError('ER_DUP_ENTRY', `Duplicate entry '${tripId}-${userId}' for key 'unique_trip_collaborator'`);
+            }
+            insert('trip_collaborators', { trip_id: tripId, user_id: userId, role, invited_by: invitedBy });
+        },
+
+        setRole: async (tripId, userId, role) => {
+            const row = findCollaborator(tripId, userId);
+            if (!row) {
+                return false;
+            }
+            update('trip_collaborators', row, { role });
+            return true;
+        },
+
+        remove: async (tripId, userId) =>
+            removeWhere('trip_collaborators', row => row.trip_id === tripId && row.user_id === Number(userId)) > 0
+    };
+
+    // =====================================================
+    // Share links
+    // =====================================================
+    const shareLinks = {
+        findActive: async (tripId) => copy(findBy('trip_share_links', row => row.trip_id === tripId && !row.revoked_at)),
+
+        findTrip: async (tokenHash) => {
+            const link = findBy('trip_share_links', row => row.token_hash === tokenHash && !row.revoked_at);
+            const trip = link && findBy('trips', row => row.id === link.trip_id);
+            return trip ? copy({ ...trip, owner_name: userName(trip.user_id) }) : null;
+        },
+
+        create: async (tripId, tokenHash, createdBy) => {
+            requireRow('trips', tripId);
+            insert('trip_share_links', { trip_id: tripId, token_hash: tokenHash, created_by: createdBy });
+        },
+
+        revoke: async (tripId) => {
+            let revoked = false;
+            for (const link of table('trip_share_links')) {
+                if (link.trip_id === tripId && !link.revoked_at) {
+                    link.revoked_at = new Date();
+                    revoked = true;
+                }
+            }
+            return revoked;
+        }
+    };
+
+    // =====================================================
+    // Reviews
+    // =====================================================
+    const withUserName = (review) => ({ ...review, user_name: userName(review.user_id) });
+
+    // What the update_destination_rating triggers do: the average of published reviews, or 0
+    const refreshDestinationRating = (destinationId) => {
+        const destination = findBy('destinations', row => row.id === destinationId);
+        const ratings = table('reviews')
+            .filter(row => row.destination_id === destinationId && row.status === 'published')
+            .map(row => parseFloat(row.rating));
+        if (destination) {
+            destination.rating = ratings.length === 0
+                ? 0
+                : Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 10) / 10;
+        }
+    };
+
+    const findReview = (id) => findBy('reviews', row => row.id === Number(id));
+
+    const refreshReviewCounts = (review) => {
+        review.helpful_count = table('review_votes').filter(row => row.review_id === review.id).length;
+        review.flag_count = table('review_flags').filter(row => row.review_id === review.id && !row.resolved_at).length;
+    };
+
+    const isPublished = (row) => row.status === 'published';
+
+    const reviews = {
+        findById: async (id) => copy(findReview(id)),
+
+        listForDestination: async (destinationId, { minRating, sort = 'newest', order, limit, offset }) => {
+            const matches = table('reviews').filter(row => row.destination_id === Number(destinationId) && isPublished(row) &&
+                (minRating === undefined || parseFloat(row.rating) >= minRating));
+
+            const [getValue, defaultOrder] = REVIEW_SORTS[sort];
+            sortRows(matches, [[getValue, order || defaultOrder], [row => row.id, 'desc']]);
+
+            return {
+                rows: copyAll(matches.slice(offset, offset + limit).map(withUserName)),
+                total: matches.length,
+                averageRating: matches.length === 0
+                    ? null
+                    : matches.reduce((sum, row) => sum + parseFloat(row.rating), 0) / matches.length
+            };
+        },
+
+        listRecent: async (destinationId, limit) => copyAll(sortRows(
+            table('reviews').filter(row => row.destination_id === Number(destinationId) && isPublished(row)),
+            [[timestamp('created_at'), 'desc'], [row => row.id, 'desc']]
+        ).slice(0, limit).map(withUserName)),
+
+        create: async (review) => {
+            requireRow('users', review.user_id);
+            requireRow('destinations', review.destination_id);
+            if (review.trip_id) {
+                requireRow('trips', review.trip_id);
+            }
+            if (findBy('reviews', row => row.user_id === review.user_id && row.destination_id === review.destination_id)) {
+                throw dbError('ER_DUP_ENTRY',
+                    `Duplicate entry '${review.user_id}-${review.destination_id}' for key 'unique_user_destination'`);
+            }
+
+            const row = insert('reviews', {
+                user_id: review.user_id,
+                destination_id: review.destination_id,
+                trip_id: review.trip_id || null,
+                rating: review.rating,
+                review_title: review.review_title || null,
+                review_text: review.review_text || null,
+                visit_date: review.visit_date || null
+            });
+            refreshDestinationRating(row.destination_id);
+            return row.id;
+        },
+
+        update: async (id, changes) => {
+            if (changes.trip_id) {
+                requireRow('trips', changes.trip_id);
+            }
+
+            const review = findReview(id);
+            if (review) {
+                update('reviews', review, changes);
+                refreshDestinationRating(review.destination_id);
+            }
+        },
+
+        remove: async (id) => {
+            const review = findReview(id);
+            if (review) {
+                removeWhere('reviews', row => row.id === review.id);
+                for (const name of ['review_votes', 'review_flags']) {
+                    removeWhere(name, row => row.review_id === review.id);
+                }
+                refreshDestinationRating(review.destination_id);
+            }
+        },
+
+        // Returns the review's new helpful_count
+        addVote: async (reviewId, userId) => {
+            const review = findReview(reviewId);
+            requireRow('reviews', review ? review.id : Number(reviewId));
+            if (findBy('review_votes', row => row.review_id === review.id && row.user_id === userId)) {
+                throw dbError('ER_DUP_ENTRY', `Duplicate entry '${review.id}-${userId}' for key 'unique_vote'`);
+            }
+            insert('review_votes', { review_id: review.id, user_id: userId });
+            refreshReviewCounts(review);
+            return review.helpful_count;
+        },
+
+        // Returns the review's new helpful_count, or null when the user had not voted
+        removeVote: async (reviewId, userId) => {
+            const review = findReview(reviewId);
+            if (!review || removeWhere('review_votes', row => row.review_id === review.id && row.user_id === userId) === 0) {
+                return null;
+            }
+            refreshReviewCounts(review);
+            return review.helpful_count;
+        },
+
+        addFlag: async (reviewId, userId, { reason, note }) => {
+            const review = findReview(reviewId);
+            requireRow('reviews', review ? review.id : Number(reviewId));
+            if (findBy('review_flags', row => row.review_id === review.id && row.user_id === userId)) {
+                throw dbError('ER_DUP_ENTRY', `Duplicate entry '${review.id}-${userId}' for key 'unique_flag'`);
+            }
+            insert('review_flags', { review_id: review.id, user_id: userId, reason, note: note || null });
+            refreshReviewCounts(review);
+        },
+
+        // The moderation queue: reviews with unresolved flags ('flagged') or hidden reviews
+        // ('hidden'), each with its unresolved flags. Returns { rows, total }.
+        listForModeration: async ({ queue, limit, offset }) => {
+            const matches = queue === 'hidden'
+                ? sortRows(table('reviews').filter(row => row.status === 'hidden'),
+                    [[timestamp('moderated_at'), 'desc'], [row => row.id, 'desc']])
+                : sortRows(table('reviews').filter(row => row.flag_count > 0),
+                    [[row => row.flag_count, 'desc'], [row => row.id, 'asc']]);
+
+            const rows = matches.slice(offset, offset + limit).map(review => {
+                const destination = findBy('destinations', row => row.id === review.destination_id);
+                return {
+                    ...withUserName(review),
+                    destination_name: destination ? destination.name : null,
+                    flags: sortRows(
+                        table('review_flags').filter(row => row.review_id === review.id && !row.resolved_at),
+                        [[timestamp('created_at'), 'asc'], [row => row.id, 'asc']]
+                    ).map(withUserName)
+                };
+            });
+
+            return { rows: copyAll(rows), total: matches.length };
+        },
+
+        // Publish or hide a review and resolve its open flags
+        moderate: async (id, status, moderatorId) => {
+            const review = findReview(id);
+            if (!review) {
+                return;
+            }
+            const now = new Date();
+            for (const flag of table('review_flags')) {
+                if (flag.review_id === review.id && !flag.resolved_at) {
+                    flag.resolved_at = now;
+                }
+            }
+            Object.assign(review, { status, moderated_at: now, moderated_by: moderatorId });
+            refreshReviewCounts(review);
+            refreshDestinationRating(review.destination_id);
+        },
+
+        count: async () => table('reviews').length
+    };
+
+    // =====================================================
+    // Saved destinations
+    // =====================================================
+    const saved = {
+        listForUser: async (userId) => {
+            const rows = table('saved_destinations')
+                .filter(row => row.user_id === Number(userId))
+                .map(row => ({ row, destination: findBy('destinations', d => d.id === row.destination_id) }))
+                .filter(({ destination }) => destination)
+                .map(({ row, destination }) => ({ ...destination, saved_at: row.created_at, save_id: row.id }));
+
+            return copyAll(sortRows(rows, [[timestamp('saved_at'), 'desc'], [row => row.save_id, 'desc']]))
+                .map(({ save_id: _saveId, ...destination }) => destination);
+        },
+
+        add: async (userId, destinationId) => {
+            requireRow('users', userId);
+            requireRow('destinations', destinationId);
+            if (findBy('saved_destinations', row => row.user_id === userId && row.destination_id === destinationId)) {
+                throw dbError('ER_DUP_ENTRY', `Duplicate entry '${userId}-${destinationId}' for key 'unique_save'`);
+            }
+            insert('saved_destinations', { user_id: userId, destination_id: destinationId });
+        },
+
+        remove: async (userId, destinationId) =>
+            removeWhere('saved_destinations', row => row.user_id === Number(userId) && row.destination_id === Number(destinationId)) > 0
+    };
+
+    const repos = {
+        users,
+        sessions,
+        accountTokens,
+        preferences,
+        exchangeRates,
+        destinations,
+        trips,
+        itinerary,
+        bookings,
+        expenses,
+        collaborators,
+        shareLinks,
+        reviews,
+        saved
+    };
+
+    // Transactions run one at a time; a failed one restores the data as it was before it started
+    let pending = Promise.resolve();
+
+    return {
+        ...repos,
+
+        backend: 'memory',
+
+        transaction: (work) => {
+            const run = pending.then(async () => {
+                const snapshot = structuredClone(state);
+                try {
+                    return await work(repos);
+                } catch (error) {
+                    state = snapshot;
+                    throw error;
+                }
+            });
+            pending = run.catch(() => {});
+            return run;
+        },
+
+        ping: async () => true,
+
+        // No connection pool to report on
+        poolStats: () => null,
+
+        close: async () => {}
+    };
+};
+
+module.exports = { createMemoryRepositories };
@@ -0,0 +1,1390 @@
+// =====================================================
+// TravelMate MySQL Repositories
+// Data access for the core entities on a mysql2/promise pool
+// =====================================================
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.045;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in SQL (haversine formula); expects the parameters [lat, lat, lng]
+const DISTANCE_SQL = `
+    (2 * ${EARTH_RADIUS_KM} * ASIN(SQRT(
+        POWER(SIN(RADIANS(d.latitude - ?) / 2), 2) +
+        COS(RADIANS(?)) * COS(RADIANS(d.latitude)) *
+        POWER(SIN(RADIANS(d.longitude - ?) / 2), 2)
+    )))`;
+
+// Sort keys for destination listings: [SQL expression, default direction]
+const DESTINATION_SORTS = {
+    relevance: ['relevance', 'desc'],
+    rating: ['d.rating', 'desc'],
+    avg_cost: ['d.avg_cost', 'asc'],
+    popularity: ['d.popular DESC, d.rating', 'desc'],
+    review_count: ['review_count', 'desc'],
+    newest: ['d.created_at', 'desc']
+};
+
+// Sort keys for review listings: [SQL expression, default direction]
+const REVIEW_SORTS = {
+    newest: ['r.created_at', 'desc'],
+    rating: ['r.rating', 'desc'],
+    helpful: ['r.helpful_count', 'desc']
+};
+
+// InnoDB ignores full-text tokens shorter than innodb_ft_min_token_size (3 by default)
+const FULLTEXT_MIN_WORD_LENGTH = 3;
+
+// Build a BOOLEAN MODE search string matching any word as a prefix, e.g. 'goa beach' -> 'goa* beach*'
+const toFulltextQuery = (search) => search
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length >= FULLTEXT_MIN_WORD_LENGTH)
+    .map(word => `${word}*`)
+    .join(' ');
+
+const PROFILE_COLUMNS = 'id, name, email, phone, profile_image, role, email_verified, email_verified_at, created_at';
+
+// API itinerary item fields mapped to their trip_itinerary columns
+const ITINERARY_ITEM_COLUMNS = {
+    name: 'activity_name',
+    time: 'activity_time',
+    notes: 'activity_notes',
+    estimated_cost: 'estimated_cost',
+    location: 'location'
+};
+
+const USER_TRIP_SCOPES = {
+    all: 't.user_id = ? OR tc.user_id IS NOT NULL',
+    owned: 't.user_id = ?',
+    shared: 't.user_id != ? AND tc.user_id IS NOT NULL'
+};
+
+// Repositories bound to `db`, which is the pool or a connection inside a transaction
+const bindRepositories = (db) => {
+    const first = async (sql, params) => {
+        const [rows] = await db.query(sql, params);
+        return rows[0] || null;
+    };
+
+    const count = async (table) => {
+        const [rows] = await db.query(`SELECT COUNT(*) AS count FROM ${table}`);
+        return rows[0].count;
+    };
+
+    // Rows of `table` for several trips in one query, keyed by trip id (trips without rows map to [])
+    const listByTrip = async (table, tripIds, orderBy) => {
+        const grouped = new Map(tripIds.map(id => [id, []]));
+        if (tripIds.length === 0) {
+            return grouped;
+        }
+
+        const [rows] = await db.query(`SELECT * FROM ${table} WHERE trip_id IN (?) ORDER BY trip_id, ${orderBy}`, [tripIds]);
+        for (const row of rows) {
+            grouped.get(row.trip_id).push(row);
+        }
+        return grouped;
+    };
+
+    // =====================================================
+    // Users
+    // =====================================================
+    const users = {
+        findById: (id, { lock = false } = {}) =>
+            first(`SELECT * FROM users WHERE id = ?${lock ? ' FOR UPDATE' : ''}`, [id]),
+
+        findByEmail: (email) => first('SELECT * FROM users WHERE email = ?', [email]),
+
+        findProfile: (id) => first(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`, [id]),
+
+        create: async ({ name, email, password, phone }) => {
+            const [result] = await db.query(
+                'INSERT INTO users (name, email, password, phone) VALUES (?, ?, ?, ?)',
+                [name, email, password, phone || null]
+            );
+            return result.insertId;
+        },
+
+        // `fields` holds any of name, phone and profile_image
+        updateProfile: async (id, fields) => {
+            const columns = Object.keys(fields);
+            await db.query(
+                `UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                columns.map(column => fields[column]).concat(id)
+            );
+        },
+
+        setPassword: async (id, passwordHash) => {
+            await db.query('UPDATE users SET password = ? WHERE id = ?', [passwordHash, id]);
+        },
+
+        recordLogin: async (id) => {
+            await db.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        },
+
+        markEmailVerified: async (id) => {
+            await db.query(
+                'UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [id]
+            );
+        },
+
+        statistics: (id) => first('SELECT * FROM user_statistics WHERE id = ?', [id]),
+
+        count: () => count('users')
+    };
+
+    // =====================================================
+    // Sessions (refresh tokens)
+    // =====================================================
+    const sessions = {
+        create: async (session) => {
+            const [result] = await db.query(
+                `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip_address)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    session.user_id,
+                    session.token_hash,
+                    session.family_id,
+                    session.expires_at,
+                    session.user_agent,
+                    session.ip_address
+                ]
+            );
+            return result.insertId;
+        },
+
+        // The session with its user's name, email, role and is_active
+        findByHash: (tokenHash, { lock = false } = {}) => first(
+            `SELECT rt.*, u.name, u.email, u.role, u.is_active
+             FROM refresh_tokens rt
+             JOIN users u ON rt.user_id = u.id
+             WHERE rt.token_hash = ?${lock ? '\n             FOR UPDATE' : ''}`,
+            [tokenHash]
+        ),
+
+        revoke: async (id, replacedBy = null) => {
+            await db.query(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE id = ?',
+                [replacedBy, id]
+            );
+        },
+
+        revokeFamily: async (familyId) => {
+            await db.query(
+                `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+                 WHERE family_id = ? AND revoked_at IS NULL`,
+                [familyId]
+            );
+        },
+
+        revokeAllForUser: async (userId, exceptId) => {
+            await db.query(
+                `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+                 WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+                [userId, exceptId || 0]
+            );
+        }
+    };
+
+    // =====================================================
+    // Account tokens (password reset, email verification)
+    // =====================================================
+    const accountTokens = {
+        // Mark every unused token of this purpose as used
+        invalidate: async (userId, purpose) => {
+            await db.query(
+                `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+                 WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+                [userId, purpose]
+            );
+        },
+
+        create: async ({ user_id, purpose, token_hash, expires_at }) => {
+            await db.query(
+                'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+                [user_id, purpose, token_hash, expires_at]
+            );
+        },
+
+        findByHash: (tokenHash, purpose) => first(
+            `SELECT * FROM user_tokens
+             WHERE token_hash = ? AND purpose = ?
+             FOR UPDATE`,
+            [tokenHash, purpose]
+        ),
+
+        markUsed: async (id) => {
+            await db.query('UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        }
+    };
+
+    // =====================================================
+    // Preferences
+    // =====================================================
+    const preferences = {
+        find: (userId) => first('SELECT * FROM user_preferences WHERE user_id = ?', [userId]),
+
+        save: async (userId, prefs) => {
+            await db.query(
+                `INSERT INTO user_preferences
+                 (user_id, preferred_categories, budget_range_min, budget_range_max,
+                  preferred_duration_days, travel_style, currency, language, notifications_enabled)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                 preferred_categories = VALUES(preferred_categories),
+                 budget_range_min = VALUES(budget_range_min),
+                 budget_range_max = VALUES(budget_range_max),
+                 preferred_duration_days = VALUES(preferred_duration_days),
+                 travel_style = VALUES(travel_style),
+                 currency = VALUES(currency),
+                 language = VALUES(language),
+                 notifications_enabled = VALUES(notifications_enabled)`,
+                [
+                    userId,
+                    JSON.stringify(prefs.preferred_categories),
+                    prefs.budget_range_min,
+                    prefs.budget_range_max,
+                    prefs.preferred_duration_days,
+                    prefs.travel_style,
+                    prefs.currency,
+                    prefs.language,
+                    prefs.notifications_enabled
+                ]
+            );
+        }
+    };
+
+    // =====================================================
+    // Exchange rates
+    // =====================================================
+    const exchangeRates = {
+        list: async () => {
+            const [rows] = await db.query('SELECT * FROM exchange_rates ORDER BY currency');
+            return rows;
+        },
+
+        // Upsert { currency, rate, source } rows
+        save: async (rates) => {
+            if (rates.length === 0) {
+                return;
+            }
+            await db.query(
+                `INSERT INTO exchange_rates (currency, rate, source) VALUES ?
+                 ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source)`,
+                [rates.map(rate => [rate.currency, rate.rate, rate.source])]
+            );
+        },
+
+        remove: async (currency) => {
+            const [result] = await db.query('DELETE FROM exchange_rates WHERE currency = ?', [currency]);
+            return result.affectedRows > 0;
+        },
+
+        // Trips, bookings and expenses recorded in the currency
+        countUses: async (currency) => {
+            const [rows] = await db.query(
+                `SELECT
+                    (SELECT COUNT(*) FROM trips WHERE currency = ?) +
+                    (SELECT COUNT(*) FROM bookings WHERE currency = ?) +
+                    (SELECT COUNT(*) FROM trip_expenses WHERE currency = ?) AS uses`,
+                [currency, currency, currency]
+            );
+            return rows[0].uses;
+        }
+    };
+
+    // =====================================================
+    // Destinations
+    // =====================================================
+    const destinations = {
+        findById: (id) => first('SELECT * FROM destinations WHERE id = ?', [id]),
+
+        listAll: async () => {
+            const [rows] = await db.query('SELECT * FROM destinations');
+            return rows;
+        },
+
+        listSeasons: async () => {
+            const [rows] = await db.query('SELECT id, best_time FROM destinations');
+            return rows;
+        },
+
+        listActivities: async (destinationId) => {
+            const [rows] = await db.query(
+                'SELECT * FROM destination_activities WHERE destination_id = ? ORDER BY activity_type',
+                [destinationId]
+            );
+            return rows;
+        },
+
+        // Every destination's activities, grouped by destination
+        listAllActivities: async () => {
+            const [rows] = await db.query(
+                'SELECT * FROM destination_activities ORDER BY destination_id, activity_type, id'
+            );
+            return rows;
+        },
+
+        listPopular: async (limit) => {
+            const [rows] = await db.query(
+                'SELECT * FROM destinations WHERE popular = TRUE ORDER BY rating DESC LIMIT ?',
+                [limit]
+            );
+            return rows;
+        },
+
+        // Filtered, sorted page of destinations with activity and review counts. Prefers the
+        // ft_search FULLTEXT index and falls back to LIKE when the search words are too short
+        // to be indexed or the full-text search finds nothing.
+        // Returns { rows, total, searchMode }.
+        search: async (filters) => {
+            const { category, minCost, maxCost, state, country, ids, search, limit, offset } = filters;
+            const where = [];
+            const params = [];
+
+            if (category) {
+                where.push('d.category = ?');
+                params.push(category);
+            }
+
+            if (minCost !== undefined) {
+                where.push('d.avg_cost >= ?');
+                params.push(minCost);
+            }
+
+            if (maxCost !== undefined) {
+                where.push('d.avg_cost <= ?');
+                params.push(maxCost);
+            }
+
+            if (state) {
+                where.push('d.state = ?');
+                params.push(state);
+            }
+
+            if (country) {
+                where.push('d.country = ?');
+                params.push(country);
+            }
+
+            if (ids) {
+                where.push(ids.length > 0 ? 'd.id IN (?)' : '1=0');
+                params.push(ids);
+            }
+
+            const fulltextQuery = search ? toFulltextQuery(search) : '';
+            let searchMode = search ? (fulltextQuery ? 'fulltext' : 'like') : null;
+
+            const searchClause = (mode) => {
+                if (mode === 'fulltext') {
+                    return { sql: ['MATCH(d.name, d.description) AGAINST (? IN BOOLEAN MODE)'], params: [fulltextQuery] };
+                }
+                if (mode === 'like') {
+                    return { sql: ['(d.name LIKE ? OR d.description LIKE ?)'], params: [`%${search}%`, `%${search}%`] };
+                }
+                return { sql: [], params: [] };
+            };
+
+            const countMatches = async (mode) => {
+                const clause = searchClause(mode);
+                const conditions = where.concat(clause.sql);
+                const [rows] = await db.query(
+                    `SELECT COUNT(*) AS total FROM destinations d
+                     ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}`,
+                    params.concat(clause.params)
+                );
+                return rows[0].total;
+            };
+
+            let total;
+            try {
+                total = await countMatches(searchMode);
+            } catch (error) {
+                // Databases created without the ft_search index cannot run MATCH ... AGAINST
+                if (searchMode !== 'fulltext' || error.code !== 'ER_FT_MATCHING_KEY_NOT_FOUND') {
+                    throw error;
+                }
+                total = 0;
+            }
+
+            if (searchMode === 'fulltext' && total === 0) {
+                searchMode = 'like';
+                total = await countMatches(searchMode);
+            }
+
+            const sort = filters.sort || (searchMode === 'fulltext' ? 'relevance' : 'popularity');
+            const [sortColumn, defaultOrder] = DESTINATION_SORTS[sort === 'relevance' && searchMode !== 'fulltext' ? 'popularity' : sort];
+            const order = (filters.order || defaultOrder).toUpperCase();
+
+            const clause = searchClause(searchMode);
+            const conditions = where.concat(clause.sql);
+            const relevance = searchMode === 'fulltext'
+                ? { sql: 'MATCH(d.name, d.description) AGAINST (? IN BOOLEAN MODE)', params: [fulltextQuery] }
+                : { sql: '0', params: [] };
+
+            const [rows] = await db.query(
+                `SELECT d.*,
+                        (SELECT COUNT(*) FROM destination_activities da WHERE da.destination_id = d.id) AS activity_count,
+                        (SELECT COUNT(*) FROM reviews r WHERE r.destination_id = d.id) AS review_count,
+                        ${relevance.sql} AS relevance
+                 FROM destinations d
+                 ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+                 ORDER BY ${sortColumn} ${order}, d.id ASC
+                 LIMIT ? OFFSET ?`,
+                relevance.params.concat(params, clause.params, [limit, offset])
+            );
+
+            return { rows, total, searchMode };
+        },
+
+        // Destinations within radiusKm of a point, nearest first. A bounding box on the raw
+        // columns narrows the rows before the distance is calculated.
+        findNear: async (lat, lng, radiusKm, limit, excludeId) => {
+            const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+            const lngDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * Math.max(Math.cos(toRadians(lat)), 0.01));
+
+            const [rows] = await db.query(
+                `SELECT d.*, ROUND(${DISTANCE_SQL}, 1) AS distance_km
+                 FROM destinations d
+                 WHERE d.latitude IS NOT NULL AND d.longitude IS NOT NULL
+                   AND d.latitude BETWEEN ? AND ?
+                   AND d.longitude BETWEEN ? AND ?
+                   AND d.id != ?
+                 HAVING distance_km <= ?
+                 ORDER BY distance_km ASC
+                 LIMIT ?`,
+                [
+                    lat, lat, lng,
+                    lat - latDelta, lat + latDelta,
+                    lng - lngDelta, lng + lngDelta,
+                    excludeId || 0,
+                    radiusKm,
+                    limit
+                ]
+            );
+            return rows;
+        },
+
+        // `fields` maps destinations columns to values; returns the new id
+        create: async (fields) => {
+            const columns = Object.keys(fields);
+            const [result] = await db.query(
+                `INSERT INTO destinations (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => fields[column])
+            );
+            return result.insertId;
+        },
+
+        update: async (id, changes) => {
+            const columns = Object.keys(changes);
+            await db.query(
+                `UPDATE destinations SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                columns.map(column => changes[column]).concat(id)
+            );
+        },
+
+        // Activities, reviews and saves go with the destination; trips keep their destination_name
+        remove: async (id) => {
+            await db.query('DELETE FROM destinations WHERE id = ?', [id]);
+        },
+
+        findActivity: (destinationId, activityId) => first(
+            'SELECT * FROM destination_activities WHERE id = ? AND destination_id = ?',
+            [activityId, destinationId]
+        ),
+
+        createActivity: async (destinationId, fields) => {
+            const columns = Object.keys(fields);
+            const [result] = await db.query(
+                `INSERT INTO destination_activities (destination_id, ${columns.join(', ')})
+                 VALUES (?, ${columns.map(() => '?').join(', ')})`,
+                [destinationId].concat(columns.map(column => fields[column]))
+            );
+            return result.insertId;
+        },
+
+        updateActivity: async (activityId, changes) => {
+            const columns = Object.keys(changes);
+            await db.query(
+                `UPDATE destination_activities SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                columns.map(column => changes[column]).concat(activityId)
+            );
+        },
+
+        removeActivities: async (activityIds) => {
+            if (activityIds.length > 0) {
+                await db.query('DELETE FROM destination_activities WHERE id IN (?)', [activityIds]);
+            }
+        },
+
+        count: () => count('destinations')
+    };
+
+    // =====================================================
+    // Trips
+    // =====================================================
+    const trips = {
+        findById: (id) => first('SELECT * FROM trips WHERE id = ?', [id]),
+
+        findCollaboratorRole: async (tripId, userId) => {
+            const row = await first(
+                'SELECT role FROM trip_collaborators WHERE trip_id = ? AND user_id = ?',
+                [tripId, userId]
+            );
+            return row ? row.role : null;
+        },
+
+        // Trips owned by or shared with a user (scope: all, owned or shared), newest first,
+        // with destination details, the owner's name and the user's role
+        listForUser: async (userId, scope = 'all') => {
+            const [rows] = await db.query(
+                `SELECT t.*, d.name AS destination_full_name, d.image_url AS destination_image,
+                        d.latitude AS destination_latitude, d.longitude AS destination_longitude,
+                        u.name AS owner_name,
+                        CASE WHEN t.user_id = ? THEN 'owner' ELSE tc.role END AS role
+                 FROM trips t
+                 LEFT JOIN destinations d ON t.destination_id = d.id
+                 LEFT JOIN users u ON t.user_id = u.id
+                 LEFT JOIN trip_collaborators tc ON tc.trip_id = t.id AND tc.user_id = ?
+                 WHERE ${USER_TRIP_SCOPES[scope]}
+                 ORDER BY t.created_at DESC`,
+                [userId, userId, userId]
+            );
+            return rows;
+        },
+
+        // { id, category } of the destinations of a user's trips that weren't cancelled
+        listVisitedDestinations: async (userId) => {
+            const [rows] = await db.query(
+                `SELECT d.id, d.category
+                 FROM trips t
+                 JOIN destinations d ON t.destination_id = d.id
+                 WHERE t.user_id = ? AND t.status != 'cancelled'`,
+                [userId]
+            );
+            return rows;
+        },
+
+        // Insert a trip row from the POST /api/trips shape (budget keyed by category);
+        // the itinerary is written separately
+        create: async (userId, trip) => {
+            const budget = trip.budget || {};
+
+            const [result] = await db.query(
+                `INSERT INTO trips
+                 (user_id, destination_id, trip_name, destination_name, start_date, num_days,
+                  budget_flights, budget_hotel, budget_food, budget_activities, budget_transport, budget_misc,
+                  status, notes, currency)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    userId,
+                    trip.destination_id || null,
+                    trip.trip_name,
+                    trip.destination_name,
+                    trip.start_date,
+                    trip.num_days,
+                    budget.flights || 0,
+                    budget.hotel || 0,
+                    budget.food || 0,
+                    budget.activities || 0,
+                    budget.transport || 0,
+                    budget.misc || 0,
+                    trip.status,
+                    trip.notes || null,
+                    trip.currency
+                ]
+            );
+            return result.insertId;
+        },
+
+        // Set trips columns from `changes`; end_date follows start_date and num_days
+        update: async (id, changes) => {
+            const columns = Object.keys(changes);
+            await db.query(
+                `UPDATE trips SET ${columns.map(column => `${column} = ?`).join(', ')},
+                 end_date = DATE_ADD(start_date, INTERVAL num_days - 1 DAY),
+                 updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                columns.map(column => changes[column]).concat(id)
+            );
+        },
+
+        remove: async (id) => {
+            await db.query('DELETE FROM trips WHERE id = ?', [id]);
+        },
+
+        // The CalculateTripBudget procedure's row: the budget_* columns plus the itinerary's
+        // estimated cost and the expenses logged so far
+        calculateBudget: async (id) => {
+            const [[rows]] = await db.query('CALL CalculateTripBudget(?)', [id]);
+            return rows[0] || null;
+        },
+
+        // Planned budget per currency ({ currency, total } rows), for one user or everyone
+        budgetTotals: async (userId = null) => {
+            const [rows] = await db.query(
+                `SELECT currency, SUM(budget_total) AS total FROM trips
+                 ${userId === null ? '' : 'WHERE user_id = ?'}
+                 GROUP BY currency`,
+                userId === null ? [] : [userId]
+            );
+            return rows;
+        },
+
+        count: () => count('trips')
+    };
+
+    // =====================================================
+    // Itinerary
+    // =====================================================
+    const itinerary = {
+        listForTrip: async (tripId) => {
+            const [rows] = await db.query(
+                'SELECT * FROM trip_itinerary WHERE trip_id = ? ORDER BY day_number, order_index',
+                [tripId]
+            );
+            return rows;
+        },
+
+        // Itineraries of several trips, keyed by trip id
+        listForTrips: (tripIds) => listByTrip('trip_itinerary', tripIds, 'day_number, order_index'),
+
+        findItem: (tripId, itemId) => first(
+            'SELECT * FROM trip_itinerary WHERE id = ? AND trip_id = ?',
+            [itemId, tripId]
+        ),
+
+        // Write an item from the API's item shape ({ name, time, notes, ... }); returns its id
+        insert: async (tripId, dayNumber, orderIndex, item) => {
+            const [result] = await db.query(
+                `INSERT INTO trip_itinerary
+                 (trip_id, day_number, activity_name, activity_time, activity_notes, estimated_cost, location, order_index)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    tripId,
+                    dayNumber,
+                    item.name,
+                    item.time || null,
+                    item.notes || null,
+                    item.estimated_cost || 0,
+                    item.location || null,
+                    orderIndex
+                ]
+            );
+            return result.insertId;
+        },
+
+        replace: async (itemId, dayNumber, orderIndex, item) => {
+            await db.query(
+                `UPDATE trip_itinerary SET
+                 day_number = ?, activity_name = ?, activity_time = ?, activity_notes = ?,
+                 estimated_cost = ?, location = ?, order_index = ?
+                 WHERE id = ?`,
+                [
+                    dayNumber,
+                    item.name,
+                    item.time || null,
+                    item.notes || null,
+                    item.estimated_cost || 0,
+                    item.location || null,
+                    orderIndex,
+                    itemId
+                ]
+            );
+        },
+
+        // Change some of an item's API fields; returns false when the item isn't on the trip
+        update: async (tripId, itemId, fields) => {
+            const updates = [];
+            const params = [];
+
+            for (const [field, column] of Object.entries(ITINERARY_ITEM_COLUMNS)) {
+                if (fields[field] !== undefined) {
+                    updates.push(`${column} = ?`);
+                    params.push(field === 'estimated_cost' ? fields[field] || 0 : fields[field]);
+                }
+            }
+
+            const [result] = await db.query(
+                `UPDATE trip_itinerary SET ${updates.join(', ')} WHERE id = ? AND trip_id = ?`,
+                params.concat(itemId, tripId)
+            );
+            return result.affectedRows > 0;
+        },
+
+        setDay: async (itemId, dayNumber) => {
+            await db.query('UPDATE trip_itinerary SET day_number = ? WHERE id = ?', [dayNumber, itemId]);
+        },
+
+        // Rewrite a day's order_index as 0..n-1, optionally placing itemId at position
+        renumberDay: async (tripId, dayNumber, itemId = null, position = null) => {
+            const [items] = await db.query(
+                'SELECT id FROM trip_itinerary WHERE trip_id = ? AND day_number = ? ORDER BY order_index, id',
+                [tripId, dayNumber]
+            );
+            const ids = items.map(item => item.id).filter(id => id !== itemId);
+
+            if (itemId !== null) {
+                const index = position === null || position === undefined ? ids.length : Math.min(position, ids.length);
+                ids.splice(index, 0, itemId);
+            }
+
+            for (let i = 0; i < ids.length; i++) {
+                await db.query('UPDATE trip_itinerary SET order_index = ? WHERE id = ?', [i, ids[i]]);
+            }
+        },
+
+        remove: async (itemIds) => {
+            if (itemIds.length > 0) {
+                await db.query('DELETE FROM trip_itinerary WHERE id IN (?)', [itemIds]);
+            }
+        }
+    };
+
+    // =====================================================
+    // Bookings
+    // =====================================================
+    const bookings = {
+        // A trip's bookings by date, optionally only those with a status and/or booking type
+        listForTrip: async (tripId, { status, type } = {}) => {
+            let where = 'trip_id = ?';
+            const params = [tripId];
+
+            if (status) {
+                where += ' AND status = ?';
+                params.push(status);
+            }
+
+            if (type) {
+                where += ' AND booking_type = ?';
+                params.push(type);
+            }
+
+            const [rows] = await db.query(
+                `SELECT * FROM bookings WHERE ${where} ORDER BY booking_date, booking_time, id`,
+                params
+            );
+            return rows;
+        },
+
+        // Bookings of several trips, keyed by trip id
+        listForTrips: (tripIds) => listByTrip('bookings', tripIds, 'booking_date, booking_time, id'),
+
+        find: (tripId, bookingId) => first(
+            'SELECT * FROM bookings WHERE id = ? AND trip_id = ?',
+            [bookingId, tripId]
+        ),
+
+        // Insert a booking from the API's booking shape; returns its id
+        create: async (tripId, userId, booking) => {
+            const [result] = await db.query(
+                `INSERT INTO bookings
+                 (trip_id, user_id, booking_type, booking_reference, provider_name,
+                  booking_date, booking_time, amount, currency, status, details)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    tripId,
+                    userId,
+                    booking.booking_type,
+                    booking.booking_reference || null,
+                    booking.provider_name || null,
+                    booking.booking_date || null,
+                    booking.booking_time || null,
+                    booking.amount || 0,
+                    booking.currency,
+                    booking.status || 'pending',
+                    JSON.stringify(booking.details || {})
+                ]
+            );
+            return result.insertId;
+        },
+
+        // Replace a booking's fields (not its status); a missing currency keeps the stored one
+        update: async (id, booking) => {
+            await db.query(
+                `UPDATE bookings SET
+                 booking_type = ?, booking_reference = ?, provider_name = ?,
+                 booking_date = ?, booking_time = ?, amount = ?, currency = COALESCE(?, currency), details = ?
+                 WHERE id = ?`,
+                [
+                    booking.booking_type,
+                    booking.booking_reference || null,
+                    booking.provider_name || null,
+                    booking.booking_date || null,
+                    booking.booking_time || null,
+                    booking.amount || 0,
+                    booking.currency || null,
+                    JSON.stringify(booking.details || {}),
+                    id
+                ]
+            );
+        },
+
+        setStatus: async (id, status) => {
+            await db.query('UPDATE bookings SET status = ? WHERE id = ?', [status, id]);
+        },
+
+        // Returns false when the booking isn't on the trip
+        remove: async (tripId, bookingId) => {
+            const [result] = await db.query(
+                'DELETE FROM bookings WHERE id = ? AND trip_id = ?',
+                [bookingId, tripId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+
+    // =====================================================
+    // Expenses and their splits
+    // =====================================================
+    const expenses = {
+        // A trip's expenses in date order
+        listForTrip: async (tripId) => {
+            const [rows] = await db.query(
+                'SELECT * FROM trip_expenses WHERE trip_id = ? ORDER BY expense_date, id',
+                [tripId]
+            );
+            return rows;
+        },
+
+        // Page of a trip's expenses, newest first, filtered by category and date range.
+        // Returns { rows, totals }, totals being { currency, total, total_amount } per currency.
+        search: async (tripId, { category, from, to, limit, offset }) => {
+            let where = 'trip_id = ?';
+            const params = [tripId];
+
+            if (category) {
+                where += ' AND category = ?';
+                params.push(category);
+            }
+
+            if (from) {
+                where += ' AND expense_date >= ?';
+                params.push(from);
+            }
+
+            if (to) {
+                where += ' AND expense_date <= ?';
+                params.push(to);
+            }
+
+            const [totals] = await db.query(
+                `SELECT currency, COUNT(*) AS total, SUM(amount) AS total_amount
+                 FROM trip_expenses
+                 WHERE ${where}
+                 GROUP BY currency`,
+                params
+            );
+
+            const [rows] = await db.query(
+                `SELECT * FROM trip_expenses
+                 WHERE ${where}
+                 ORDER BY expense_date DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                params.concat([limit, offset])
+            );
+
+            return { rows, totals };
+        },
+
+        find: (tripId, expenseId) => first(
+            'SELECT * FROM trip_expenses WHERE id = ? AND trip_id = ?',
+            [expenseId, tripId]
+        ),
+
+        // Spending per category and currency for several trips, keyed by trip id
+        totalsForTrips: async (tripIds) => {
+            const totals = new Map(tripIds.map(id => [id, []]));
+            if (tripIds.length === 0) {
+                return totals;
+            }
+
+            const [rows] = await db.query(
+                `SELECT trip_id, category, currency, SUM(amount) AS spent
+                 FROM trip_expenses
+                 WHERE trip_id IN (?)
+                 GROUP BY trip_id, category, currency`,
+                [tripIds]
+            );
+
+            for (const row of rows) {
+                totals.get(row.trip_id).push(row);
+            }
+            return totals;
+        },
+
+        // A trip's spending per date, category and currency, in date order
+        dailyTotals: async (tripId) => {
+            const [rows] = await db.query(
+                `SELECT expense_date, category, currency, SUM(amount) AS spent
+                 FROM trip_expenses
+                 WHERE trip_id = ?
+                 GROUP BY expense_date, category, currency
+                 ORDER BY expense_date`,
+                [tripId]
+            );
+            return rows;
+        },
+
+        // `expense` holds category, amount, currency, expense_date, note, paid_by,
+        // paid_by_user_id and split_type; returns the new id
+        create: async (tripId, userId, expense) => {
+            const [result] = await db.query(
+                `INSERT INTO trip_expenses
+                 (trip_id, user_id, category, amount, currency, expense_date, note, paid_by, paid_by_user_id, split_type)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    tripId,
+                    userId,
+                    expense.category,
+                    expense.amount,
+                    expense.currency,
+                    expense.expense_date,
+                    expense.note || null,
+                    expense.paid_by,
+                    expense.paid_by_user_id,
+                    expense.split_type
+                ]
+            );
+            return result.insertId;
+        },
+
+        // The same fields as create; a missing currency keeps the stored one.
+        // Returns false when the expense isn't on the trip.
+        update: async (tripId, expenseId, expense) => {
+            const [result] = await db.query(
+                `UPDATE trip_expenses SET
+                 category = ?, amount = ?, currency = COALESCE(?, currency), expense_date = ?, note = ?,
+                 paid_by = ?, paid_by_user_id = ?, split_type = ?
+                 WHERE id = ? AND trip_id = ?`,
+                [
+                    expense.category,
+                    expense.amount,
+                    expense.currency || null,
+                    expense.expense_date,
+                    expense.note || null,
+                    expense.paid_by,
+                    expense.paid_by_user_id,
+                    expense.split_type,
+                    expenseId,
+                    tripId
+                ]
+            );
+            return result.affectedRows > 0;
+        },
+
+        // Returns false when the expense isn't on the trip; its splits are deleted with it
+        remove: async (tripId, expenseId) => {
+            const [result] = await db.query(
+                'DELETE FROM trip_expenses WHERE id = ? AND trip_id = ?',
+                [expenseId, tripId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        // Split rows ({ expense_id, user_id, name, shares, amount }) of several expenses, keyed by expense id
+        listSplits: async (expenseIds) => {
+            const splits = new Map(expenseIds.map(id => [id, []]));
+            if (expenseIds.length === 0) {
+                return splits;
+            }
+
+            const [rows] = await db.query(
+                `SELECT es.expense_id, es.user_id, u.name, es.shares, es.amount
+                 FROM expense_splits es
+                 LEFT JOIN users u ON es.user_id = u.id
+                 WHERE es.expense_id IN (?)
+                 ORDER BY es.id`,
+                [expenseIds]
+            );
+
+            for (const row of rows) {
+                splits.get(row.expense_id).push(row);
+            }
+            return splits;
+        },
+
+        // Replace an expense's split rows ({ user_id, shares, amount }); run inside a transaction
+        replaceSplits: async (expenseId, rows) => {
+            await db.query('DELETE FROM expense_splits WHERE expense_id = ?', [expenseId]);
+            for (const row of rows) {
+                await db.query(
+                    'INSERT INTO expense_splits (expense_id, user_id, shares, amount) VALUES (?, ?, ?, ?)',
+                    [expenseId, row.user_id, row.shares, row.amount]
+                );
+            }
+        }
+    };
+
+    // =====================================================
+    // Collaborators
+    // =====================================================
+    const collaborators = {
+        // A trip's collaborators with their names and emails, in the order they were added
+        listForTrip: async (tripId) => {
+            const [rows] = await db.query(
+                `SELECT tc.user_id, u.name, u.email, tc.role, tc.invited_by, tc.created_at
+                 FROM trip_collaborators tc
+                 JOIN users u ON tc.user_id = u.id
+                 WHERE tc.trip_id = ?
+                 ORDER BY tc.created_at, tc.id`,
+                [tripId]
+            );
+            return rows;
+        },
+
+        // Everyone on a trip ({ user_id, name, role }): the owner first, then collaborators
+        // in the order they were added
+        listTravellers: async (tripId, ownerId) => {
+            const [rows] = await db.query(
+                `SELECT u.id AS user_id, u.name, 'owner' AS role, 0 AS sort_order, 0 AS added_id
+                 FROM users u WHERE u.id = ?
+                 UNION ALL
+                 SELECT tc.user_id, u.name, tc.role, 1, tc.id
+                 FROM trip_collaborators tc
+                 JOIN users u ON tc.user_id = u.id
+                 WHERE tc.trip_id = ?
+                 ORDER BY sort_order, added_id`,
+                [ownerId, tripId]
+            );
+            return rows.map(({ sort_order: _sortOrder, added_id: _addedId, ...traveller }) => traveller);
+        },
+
+        // Fails with ER_DUP_ENTRY when the user is already on the trip
+        add: async (tripId, userId, role, invitedBy) => {
+            await db.query(
+                'INSERT INTO trip_collaborators (trip_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)',
+                [tripId, userId, role, invitedBy]
+            );
+        },
+
+        // Returns false when the user isn't a collaborator on the trip
+        setRole: async (tripId, userId, role) => {
+            const [result] = await db.query(
+                'UPDATE trip_collaborators SET role = ? WHERE trip_id = ? AND user_id = ?',
+                [role, tripId, userId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        remove: async (tripId, userId) => {
+            const [result] = await db.query(
+                'DELETE FROM trip_collaborators WHERE trip_id = ? AND user_id = ?',
+                [tripId, userId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+
+    // =====================================================
+    // Share links
+    // =====================================================
+    const shareLinks = {
+        // The trip's link that hasn't been revoked, if any
+        findActive: (tripId) => first(
+            'SELECT * FROM trip_share_links WHERE trip_id = ? AND revoked_at IS NULL',
+            [tripId]
+        ),
+
+        // The trip a live link points to, with its owner's name
+        findTrip: (tokenHash) => first(
+            `SELECT t.*, u.name AS owner_name
+             FROM trip_share_links l
+             JOIN trips t ON l.trip_id = t.id
+             JOIN users u ON t.user_id = u.id
+             WHERE l.token_hash = ? AND l.revoked_at IS NULL`,
+            [tokenHash]
+        ),
+
+        create: async (tripId, tokenHash, createdBy) => {
+            await db.query(
+                'INSERT INTO trip_share_links (trip_id, token_hash, created_by) VALUES (?, ?, ?)',
+                [tripId, tokenHash, createdBy]
+            );
+        },
+
+        // Returns false when the trip had no live link
+        revoke: async (tripId) => {
+            const [result] = await db.query(
+                'UPDATE trip_share_links SET revoked_at = CURRENT_TIMESTAMP WHERE trip_id = ? AND revoked_at IS NULL',
+                [tripId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+
+    // =====================================================
+    // Reviews
+    // =====================================================
+    // Recount a review's helpful votes and open flags. updated_at is kept, so it only
+    // changes when the author edits the review.
+    const refreshReviewCounts = async (reviewId) => {
+        await db.query(
+            `UPDATE reviews SET
+                 helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = ?),
+                 flag_count = (SELECT COUNT(*) FROM review_flags WHERE review_id = ? AND resolved_at IS NULL),
+                 updated_at = updated_at
+             WHERE id = ?`,
+            [reviewId, reviewId, reviewId]
+        );
+    };
+
+    const reviews = {
+        findById: (id) => first('SELECT * FROM reviews WHERE id = ?', [id]),
+
+        // Page of a destination's published reviews with reviewer names.
+        // Returns { rows, total, averageRating }.
+        listForDestination: async (destinationId, { minRating, sort = 'newest', order, limit, offset }) => {
+            const [sortColumn, defaultOrder] = REVIEW_SORTS[sort];
+            let where = "r.destination_id = ? AND r.status = 'published'";
+            const params = [destinationId];
+
+            if (minRating !== undefined) {
+                where += ' AND r.rating >= ?';
+                params.push(minRating);
+            }
+
+            const [counts] = await db.query(
+                `SELECT COUNT(*) AS total, AVG(r.rating) AS average_rating
+                 FROM reviews r
+                 WHERE ${where}`,
+                params
+            );
+
+            const [rows] = await db.query(
+                `SELECT r.*, u.name AS user_name
+                 FROM reviews r
+                 JOIN users u ON r.user_id = u.id
+                 WHERE ${where}
+                 ORDER BY ${sortColumn} ${(order || defaultOrder).toUpperCase()}, r.id DESC
+                 LIMIT ? OFFSET ?`,
+                params.concat([limit, offset])
+            );
+
+            return {
+                rows,
+                total: counts[0].total,
+                averageRating: counts[0].average_rating === null ? null : parseFloat(counts[0].average_rating)
+            };
+        },
+
+        listRecent: async (destinationId, limit) => {
+            const [rows] = await db.query(
+                `SELECT r.*, u.name AS user_name
+                 FROM reviews r
+                 JOIN users u ON r.user_id = u.id
+                 WHERE r.destination_id = ? AND r.status = 'published'
+                 ORDER BY r.created_at DESC
+                 LIMIT ?`,
+                [destinationId, limit]
+            );
+            return rows;
+        },
+
+        // The update_destination_rating triggers keep the destination's rating in step with
+        // its published reviews. A second review of the same destination fails with ER_DUP_ENTRY.
+        create: async (review) => {
+            const [result] = await db.query(
+                `INSERT INTO reviews
+                 (user_id, destination_id, trip_id, rating, review_title, review_text, visit_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    review.user_id,
+                    review.destination_id,
+                    review.trip_id || null,
+                    review.rating,
+                    review.review_title || null,
+                    review.review_text || null,
+                    review.visit_date || null
+                ]
+            );
+            return result.insertId;
+        },
+
+        update: async (id, changes) => {
+            const columns = Object.keys(changes);
+            await db.query(
+                `UPDATE reviews SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                columns.map(column => changes[column]).concat(id)
+            );
+        },
+
+        remove: async (id) => {
+            await db.query('DELETE FROM reviews WHERE id = ?', [id]);
+        },
+
+        // Returns the review's new helpful_count; a repeat vote fails with ER_DUP_ENTRY
+        addVote: async (reviewId, userId) => {
+            await db.query('INSERT INTO review_votes (review_id, user_id) VALUES (?, ?)', [reviewId, userId]);
+            await refreshReviewCounts(reviewId);
+            const row = await first('SELECT helpful_count FROM reviews WHERE id = ?', [reviewId]);
+            return row.helpful_count;
+        },
+
+        // Returns the review's new helpful_count, or null when the user had not voted
+        removeVote: async (reviewId, userId) => {
+            const [result] = await db.query(
+                'DELETE FROM review_votes WHERE review_id = ? AND user_id = ?',
+                [reviewId, userId]
+            );
+            if (result.affectedRows === 0) {
+                return null;
+            }
+            await refreshReviewCounts(reviewId);
+            const row = await first('SELECT helpful_count FROM reviews WHERE id = ?', [reviewId]);
+            return row.helpful_count;
+        },
+
+        // A second flag from the same user fails with ER_DUP_ENTRY
+        addFlag: async (reviewId, userId, { reason, note }) => {
+            await db.query(
+                'INSERT INTO review_flags (review_id, user_id, reason, note) VALUES (?, ?, ?, ?)',
+                [reviewId, userId, reason, note || null]
+            );
+            await refreshReviewCounts(reviewId);
+        },
+
+        // The moderation queue: reviews with unresolved flags ('flagged') or hidden reviews
+        // ('hidden'), each with its unresolved flags. Returns { rows, total }.
+        listForModeration: async ({ queue, limit, offset }) => {
+            const [where, orderBy] = queue === 'hidden'
+                ? ["r.status = 'hidden'", 'r.moderated_at DESC, r.id DESC']
+                : ['r.flag_count > 0', 'r.flag_count DESC, r.id ASC'];
+
+            const [counts] = await db.query(`SELECT COUNT(*) AS total FROM reviews r WHERE ${where}`);
+            const [rows] = await db.query(
+                `SELECT r.*, u.name AS user_name, d.name AS destination_name
+                 FROM reviews r
+                 JOIN users u ON r.user_id = u.id
+                 JOIN destinations d ON r.destination_id = d.id
+                 WHERE ${where}
+                 ORDER BY ${orderBy}
+                 LIMIT ? OFFSET ?`,
+                [limit, offset]
+            );
+
+            if (rows.length > 0) {
+                const [flags] = await db.query(
+                    `SELECT f.*, u.name AS user_name
+                     FROM review_flags f
+                     JOIN users u ON f.user_id = u.id
+                     WHERE f.review_id IN (?) AND f.resolved_at IS NULL
+                     ORDER BY f.created_at, f.id`,
+                    [rows.map(row => row.id)]
+                );
+                rows.forEach(row => {
+                    row.flags = flags.filter(flag => flag.review_id === row.id);
+                });
+            }
+
+            return { rows, total: counts[0].total };
+        },
+
+        // Publish or hide a review and resolve its open flags; run inside a transaction
+        moderate: async (id, status, moderatorId) => {
+            await db.query(
+                'UPDATE review_flags SET resolved_at = CURRENT_TIMESTAMP WHERE review_id = ? AND resolved_at IS NULL',
+                [id]
+            );
+            await db.query(
+                `UPDATE reviews SET status = ?, flag_count = 0, moderated_at = CURRENT_TIMESTAMP, moderated_by = ?,
+                 updated_at = updated_at
+                 WHERE id = ?`,
+                [status, moderatorId, id]
+            );
+        },
+
+        count: () => count('reviews')
+    };
+
+    // =====================================================
+    // Saved destinations
+    // =====================================================
+    const saved = {
+        listForUser: async (userId) => {
+            const [rows] = await db.query(
+                `SELECT d.*, sd.created_at AS saved_at
+                 FROM saved_destinations sd
+                 JOIN destinations d ON sd.destination_id = d.id
+                 WHERE sd.user_id = ?
+                 ORDER BY sd.created_at DESC`,
+                [userId]
+            );
+            return rows;
+        },
+
+        // Fails with ER_DUP_ENTRY when already saved, ER_NO_REFERENCED_ROW_2 for unknown destinations
+        add: async (userId, destinationId) => {
+            await db.query(
+                'INSERT INTO saved_destinations (user_id, destination_id) VALUES (?, ?)',
+                [userId, destinationId]
+            );
+        },
+
+        remove: async (userId, destinationId) => {
+            const [result] = await db.query(
+                'DELETE FROM saved_destinations WHERE user_id = ? AND destination_id = ?',
+                [userId, destinationId]
+            );
+            return result.affectedRows > 0;
+        }
+    };
+
+    return {
+        users,
+        sessions,
+        accountTokens,
+        preferences,
+        exchangeRates,
+        destinations,
+        trips,
+        itinerary,
+        bookings,
+        expenses,
+        collaborators,
+        shareLinks,
+        reviews,
+        saved
+    };
+};
+
+// Repositories on a pool, plus transaction(work) which runs work(repos) on one connection
+// and commits, or rolls back if it throws
+const createMysqlRepositories = (pool) => ({
+    ...bindRepositories(pool),
+
+    backend: 'mysql',
+
+    transaction: async (work) => {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+            const result = await work(bindRepositories(connection));
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    },
+
+    ping: () => pool.query('SELECT 1'),
+
+    // Connection counts for monitoring. mysql2 has no public API for them, so they are read
+    // from the queues of the callback pool behind the promise wrapper.
+    poolStats: () => ({
+        limit: pool.pool.config.connectionLimit,
+        open: pool.pool._allConnections.length,
+        idle: pool.pool._freeConnections.length,
+        waiting: pool.pool._connectionQueue.length
+    }),
+
+    close: () => pool.end()
+});
+
+module.exports = { createMysqlRepositories };
@@ -0,0 +1,11 @@
+-- =====================================================
+-- Seed: Sample users
+-- Fixed ids; rows that already exist are left alone, so the seed can run again.
+-- =====================================================
+
+-- Password for every sample account is 'password123'
+INSERT INTO users (id, name, email, password, phone, role) VALUES
+(1, 'Ananya Sharma', 'ananya@travelmate.com', '$2a$10$.mfTdAZIxHIxxk922aVBWuEyOT9Amv9BPggpSYUtlFveIh7U8nDS.', '9876543210', 'admin'),
+(2, 'Demo User', 'demo@travelmate.com', '$2a$10$.mfTdAZIxHIxxk922aVBWuEyOT9Amv9BPggpSYUtlFveIh7U8nDS.', '9876543211', 'user'),
+(3, 'Rahul Kumar', 'rahul@example.com', '$2a$10$.mfTdAZIxHIxxk922aVBWuEyOT9Amv9BPggpSYUtlFveIh7U8nDS.', '9876543212', 'user')
+ON DUPLICATE KEY UPDATE id = id;
@@ -0,0 +1,52 @@
+-- =====================================================
+-- Seed: Destinations and activities
+-- Fixed ids; rows that already exist are left alone, so the seed can run again.
+-- =====================================================
+
+-- Sample Destinations
+INSERT INTO destinations (id, name, category, state, description, image_url, rating, duration, best_time, avg_cost, popular, latitude, longitude) VALUES
+(1, 'Goa', 'beach', 'Goa', 'Sun, sand, and sea - the perfect beach paradise with vibrant nightlife', 'https://images.unsplash.com/photo-1512343879784-a960bf40e7f2?w=500', 4.8, '3-5 days', 'November to February', 15000, TRUE, 15.2993, 74.1240),
+(2, 'Manali', 'mountain', 'Himachal Pradesh', 'Breathtaking Himalayan views, adventure activities, and serene landscapes', 'https://images.unsplash.com/photo-1626621341517-4364f6c739c8?w=500', 4.7, '4-6 days', 'March to June', 18000, TRUE, 32.2396, 77.1887),
+(3, 'Jaipur', 'cultural', 'Rajasthan', 'The Pink City - Rich heritage, majestic forts, and royal palaces', 'https://images.unsplash.com/photo-1599661046289-e31897846e41?w=500', 4.6, '2-3 days', 'October to March', 12000, TRUE, 26.9124, 75.7873),
+(4, 'Ladakh', 'adventure', 'Ladakh', 'Land of high passes - Adventure, monasteries, and stunning landscapes', 'https://images.unsplash.com/photo-1506905925346-21bda4d32df4?w=500', 4.9, '7-10 days', 'May to September', 35000, TRUE, 34.1526, 77.5771),
+(5, 'Kerala', 'beach', 'Kerala', 'Gods Own Country - Backwaters, beaches, and lush greenery', 'https://images.unsplash.com/photo-1602216056096-3b40cc0c9944?w=500', 4.7, '5-7 days', 'September to March', 20000, FALSE, 10.8505, 76.2711),
+(6, 'Udaipur', 'cultural', 'Rajasthan', 'City of Lakes - Romantic palaces, beautiful lakes, and rich culture', 'https://images.unsplash.com/photo-1587474260584-136574528ed5?w=500', 4.8, '2-3 days', 'September to March', 14000, FALSE, 24.5854, 73.7125),
+(7, 'Rishikesh', 'adventure', 'Uttarakhand', 'Yoga capital and adventure hub - Spiritual retreat with thrilling activities', 'https://images.unsplash.com/photo-1626092107797-36f3a6c423c3?w=500', 4.5, '3-4 days', 'September to November', 10000, FALSE, 30.0869, 78.2676),
+(8, 'Shimla', 'mountain', 'Himachal Pradesh', 'Queen of Hills - Colonial charm, scenic beauty, and pleasant weather', 'https://images.unsplash.com/photo-1597074866923-dc0589150358?w=500', 4.4, '3-4 days', 'March to June', 13000, FALSE, 31.1048, 77.1734)
+ON DUPLICATE KEY UPDATE id = id;
+
+-- Sample Activities for Goa
+INSERT INTO destination_activities (id, destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
+(1, 1, 'Beach Hopping', 'relaxation', 500, 4, 'Visit multiple beautiful beaches including Baga, Calangute, and Anjuna'),
+(2, 1, 'Water Sports', 'adventure', 1500, 2, 'Enjoy parasailing, jet skiing, and banana boat rides'),
+(3, 1, 'Fort Exploration', 'cultural', 300, 3, 'Explore historical Aguada and Chapora forts'),
+(4, 1, 'Night Markets', 'shopping', 1000, 3, 'Shop at vibrant flea markets and enjoy local food'),
+(5, 1, 'Cruise Party', 'nightlife', 2000, 4, 'Dance night away on a luxury cruise with dinner')
+ON DUPLICATE KEY UPDATE id = id;
+
+-- Sample Activities for Manali
+INSERT INTO destination_activities (id, destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
+(6, 2, 'Rohtang Pass', 'sightseeing', 2000, 8, 'Visit the breathtaking high mountain pass'),
+(7, 2, 'Solang Valley', 'adventure', 1500, 5, 'Enjoy skiing, paragliding, and zorbing'),
+(8, 2, 'Trekking', 'adventure', 1000, 6, 'Trek through beautiful Himalayan trails'),
+(9, 2, 'River Rafting', 'adventure', 1200, 3, 'Experience thrilling white water rafting'),
+(10, 2, 'Paragliding', 'adventure', 2500, 1, 'Soar above the valleys with professional guides')
+ON DUPLICATE KEY UPDATE id = id;
+
+-- Sample Activities for Jaipur
+INSERT INTO destination_activities (id, destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
+(11, 3, 'Amber Fort', 'cultural', 500, 3, 'Explore the magnificent hilltop fort'),
+(12, 3, 'City Palace', 'cultural', 400, 2, 'Visit the royal residence with museums'),
+(13, 3, 'Hawa Mahal', 'cultural', 200, 1, 'See the iconic Palace of Winds'),
+(14, 3, 'Local Markets', 'shopping', 1500, 4, 'Shop for traditional jewelry, textiles, and handicrafts'),
+(15, 3, 'Camel Ride', 'adventure', 600, 2, 'Enjoy a traditional camel safari')
+ON DUPLICATE KEY UPDATE id = id;
+
+-- Sample Activities for Ladakh
+INSERT INTO destination_activities (id, destination_id, activity_name, activity_type, estimated_cost, duration_hours, description) VALUES
+(16, 4, 'Leh Palace', 'cultural', 300, 2, 'Visit the historic 17th-century palace'),
+(17, 4, 'Pangong Lake', 'sightseeing', 3000, 10, 'Visit the stunning high-altitude lake'),
+(18, 4, 'Nubra Valley', 'sightseeing', 2500, 8, 'Explore the valley of flowers with sand dunes'),
+(19, 4, 'Bike Trip', 'adventure', 5000, 10, 'Take an adventurous bike ride through mountain passes'),
+(20, 4, 'Monastery Tour', 'cultural', 500, 4, 'Visit ancient Buddhist monasteries')
+ON DUPLICATE KEY UPDATE id = id;
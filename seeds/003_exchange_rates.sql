@@ -0,0 +1,15 @@
+-- =====================================================
+-- Seed: Exchange rates
+-- Indicative only; load current rates from a file. Rates already in the table are kept.
+-- =====================================================
+
+INSERT INTO exchange_rates (currency, rate, source) VALUES
+('INR', 1, 'base'),
+('USD', 0.012, 'sample'),
+('EUR', 0.011, 'sample'),
+('GBP', 0.0095, 'sample'),
+('AED', 0.044, 'sample'),
+('SGD', 0.016, 'sample'),
+('THB', 0.42, 'sample'),
+('JPY', 1.8, 'sample')
+ON DUPLICATE KEY UPDATE currency = currency;
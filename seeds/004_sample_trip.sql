@@ -0,0 +1,39 @@
+-- =====================================================
+-- Seed: Sample trip, reviews and saved destinations
+-- Depends on the users and destinations seeds. Rows that already exist are left alone.
+-- =====================================================
+
+-- Sample Trip
+INSERT INTO trips (id, user_id, destination_id, trip_name, destination_name, start_date, end_date, num_days, status,
+                   budget_flights, budget_hotel, budget_food, budget_activities, budget_transport, budget_misc) VALUES
+(1, 1, 1, '5-Day Goa Beach Vacation', 'Goa', '2024-12-15', '2024-12-20', 5, 'planning',
+ 8000, 10000, 5000, 7000, 3000, 2000)
+ON DUPLICATE KEY UPDATE id = id;
+
+-- Sample Itinerary for the trip
+INSERT INTO trip_itinerary (id, trip_id, day_number, activity_name, activity_time, activity_notes, estimated_cost, order_index) VALUES
+(1, 1, 1, 'Arrive in Goa', '10:00:00', 'Flight from Delhi', 8000, 1),
+(2, 1, 1, 'Check-in at Hotel', '14:00:00', 'Beach-side resort', 0, 2),
+(3, 1, 1, 'Beach Walk and Dinner', '18:00:00', 'Baga Beach area', 1500, 3),
+(4, 1, 2, 'Water Sports', '09:00:00', 'Pre-booked package', 1500, 1),
+(5, 1, 2, 'Beach Hopping', '13:00:00', 'Visit Anjuna and Vagator', 500, 2),
+(6, 1, 2, 'Sunset at Chapora Fort', '17:00:00', 'Photography spot', 0, 3),
+(7, 1, 3, 'Fort Exploration', '09:00:00', 'Aguada Fort', 300, 1),
+(8, 1, 3, 'Local Markets', '15:00:00', 'Shopping for souvenirs', 1000, 2),
+(9, 1, 3, 'Night Market Visit', '20:00:00', 'Arpora Saturday Night Market', 1500, 3)
+ON DUPLICATE KEY UPDATE id = id;
+
+-- Sample Reviews (the rating trigger only fires for rows actually inserted)
+INSERT INTO reviews (id, user_id, destination_id, trip_id, rating, review_title, review_text, visit_date) VALUES
+(1, 1, 1, 1, 4.5, 'Amazing Beach Vacation', 'Had a wonderful time in Goa. The beaches are beautiful and the food is amazing!', '2024-12-20'),
+(2, 2, 2, NULL, 5.0, 'Manali is Heaven', 'The mountains, the snow, the adventure - everything was perfect. Highly recommended!', '2024-06-15'),
+(3, 3, 3, NULL, 4.0, 'Rich Cultural Experience', 'Jaipur offers a glimpse into royal history. The forts are magnificent.', '2024-01-20')
+ON DUPLICATE KEY UPDATE id = id;
+
+-- Sample Saved Destinations
+INSERT INTO saved_destinations (user_id, destination_id) VALUES
+(1, 2),
+(1, 4),
+(2, 1),
+(2, 3)
+ON DUPLICATE KEY UPDATE user_id = user_id;
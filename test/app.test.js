@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { api } = require('./helpers');
+
+describe('app', () => {
+    it('reports health and the active backend', async () => {
+        const res = await api().get('/api/health').expect(200);
+
+        assert.equal(res.body.status, 'healthy');
+        assert.equal(res.body.backend, 'memory');
+    });
+
+    it('answers unknown routes with a 404 error body', async () => {
+        const res = await api().get('/api/nowhere').expect(404);
+
+        assert.equal(res.body.error.code, 'NOT_FOUND');
+    });
+
+    it('rejects malformed JSON bodies', async () => {
+        await api().post('/api/users/login')
+            .set('Content-Type', 'application/json')
+            .send('{"email":')
+            .expect(400);
+    });
+});
@@ -0,0 +1,171 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, tokenFromMail, registerUser, loginAdmin } = require('./helpers');
+
+describe('POST /api/users/register', () => {
+    it('creates the account and returns a token pair', async () => {
+        const res = await api().post('/api/users/register')
+            .send({ name: 'Asha', email: 'Asha@Example.com', password: 'secret123' })
+            .expect(201);
+
+        assert.equal(res.body.name, 'Asha');
+        assert.equal(res.body.email_verified, false);
+        assert.ok(res.body.token);
+        assert.ok(res.body.refresh_token);
+    });
+
+    it('rejects a duplicate email regardless of case', async () => {
+        const res = await api().post('/api/users/register')
+            .send({ name: 'Asha again', email: 'ASHA@example.com', password: 'secret123' })
+            .expect(409);
+
+        assert.equal(res.body.error.code, 'CONFLICT');
+    });
+
+    it('reports every missing field', async () => {
+        const res = await api().post('/api/users/register').send({}).expect(400);
+
+        assert.equal(res.body.error.code, 'VALIDATION_ERROR');
+        const fields = res.body.error.details.map(d => d.field);
+        assert.deepEqual(fields.sort(), ['email', 'name', 'password']);
+    });
+
+    it('rejects a malformed email', async () => {
+        const res = await api().post('/api/users/register')
+            .send({ name: 'Ravi', email: 'not-an-email', password: 'secret123' })
+            .expect(400);
+
+        assert.equal(res.body.error.details[0].field, 'email');
+    });
+});
+
+describe('POST /api/users/login', () => {
+    let user;
+
+    before(async () => {
+        user = await registerUser();
+    });
+
+    it('logs in with the right password', async () => {
+        const res = await api().post('/api/users/login')
+            .send({ email: user.email, password: user.password })
+            .expect(200);
+
+        assert.equal(res.body.user_id, user.id);
+        assert.equal(res.body.role, 'user');
+        assert.ok(res.body.token);
+    });
+
+    it('rejects a wrong password and an unknown email with the same message', async () => {
+        const wrong = await api().post('/api/users/login')
+            .send({ email: user.email, password: 'wrong-password' })
+            .expect(401);
+        const unknown = await api().post('/api/users/login')
+            .send({ email: 'nobody@example.com', password: 'secret123' })
+            .expect(401);
+
+        assert.equal(wrong.body.error.message, unknown.body.error.message);
+    });
+
+    it('requires email and password', async () => {
+        const res = await api().post('/api/users/login').send({ email: user.email }).expect(400);
+
+        assert.equal(res.body.error.details[0].field, 'password');
+    });
+});
+
+describe('access tokens', () => {
+    let user;
+
+    before(async () => {
+        user = await registerUser();
+    });
+
+    it('returns the profile without the password hash', async () => {
+        const res = await api().get(`/api/users/${user.id}`).set(bearer(user.token)).expect(200);
+
+        assert.equal(res.body.email, user.email);
+        assert.equal(res.body.password, undefined);
+    });
+
+    it('requires a token', async () => {
+        const res = await api().get(`/api/users/${user.id}`).expect(401);
+
+        assert.equal(res.body.error.message, 'Access token required');
+    });
+
+    it('rejects a malformed token', async () => {
+        await api().get(`/api/users/${user.id}`).set(bearer('not-a-jwt')).expect(403);
+    });
+
+    it("forbids reading another user's profile", async () => {
+        const other = await registerUser();
+
+        await api().get(`/api/users/${other.id}`).set(bearer(user.token)).expect(403);
+    });
+
+    it('lets an admin read any profile', async () => {
+        const admin = await loginAdmin();
+
+        await api().get(`/api/users/${user.id}`).set(bearer(admin.token)).expect(200);
+    });
+
+    it('returns 404 for a user that does not exist', async () => {
+        const admin = await loginAdmin();
+
+        await api().get('/api/users/9999').set(bearer(admin.token)).expect(404);
+    });
+});
+
+describe('refresh tokens', () => {
+    it('rotates the pair and refuses to reuse a spent token', async () => {
+        const user = await registerUser();
+
+        const res = await api().post('/api/users/refresh')
+            .send({ refresh_token: user.refreshToken })
+            .expect(200);
+        assert.notEqual(res.body.refresh_token, user.refreshToken);
+
+        await api().post('/api/users/refresh').send({ refresh_token: user.refreshToken }).expect(401);
+
+        // Replaying a spent token revokes the whole family
+        await api().post('/api/users/refresh').send({ refresh_token: res.body.refresh_token }).expect(401);
+    });
+
+    it('rejects an unknown token', async () => {
+        await api().post('/api/users/refresh').send({ refresh_token: 'f'.repeat(64) }).expect(401);
+    });
+});
+
+describe('email verification and password reset', () => {
+    it('verifies the address with the mailed token, once', async () => {
+        const user = await registerUser();
+        const token = tokenFromMail(user.email);
+
+        await api().post('/api/users/verify-email').send({ token }).expect(200);
+        await api().post('/api/users/verify-email').send({ token }).expect(400);
+
+        const res = await api().post('/api/users/login')
+            .send({ email: user.email, password: user.password })
+            .expect(200);
+        assert.equal(res.body.email_verified, true);
+    });
+
+    it('resets the password with the mailed token', async () => {
+        const user = await registerUser();
+
+        await api().post('/api/users/forgot-password').send({ email: user.email }).expect(200);
+        const token = tokenFromMail(user.email);
+
+        await api().post('/api/users/reset-password')
+            .send({ token, new_password: 'brandnew456' })
+            .expect(200);
+
+        await api().post('/api/users/login').send({ email: user.email, password: user.password }).expect(401);
+        await api().post('/api/users/login').send({ email: user.email, password: 'brandnew456' }).expect(200);
+    });
+
+    it('does not reveal whether an email is registered', async () => {
+        await api().post('/api/users/forgot-password').send({ email: 'ghost@example.com' }).expect(200);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, createTrip } = require('./helpers');
+
+const hotel = (overrides = {}) => ({
+    booking_type: 'hotel',
+    provider_name: 'Sea Breeze',
+    booking_reference: 'SB-100',
+    booking_date: '2026-12-01',
+    amount: 4000,
+    details: { hotel_name: 'Sea Breeze', check_in: '2026-12-01', check_out: '2026-12-03' },
+    ...overrides
+});
+
+const activity = (overrides = {}) => ({
+    booking_type: 'activity',
+    provider_name: 'Goa Dives',
+    booking_date: '2026-12-02',
+    booking_time: '08:30',
+    amount: 1500,
+    details: { activity_name: 'Scuba diving' },
+    ...overrides
+});
+
+describe('trip bookings', () => {
+    let owner;
+    let stranger;
+    let tripId;
+    let url;
+
+    before(async () => {
+        owner = await registerUser();
+        stranger = await registerUser();
+        tripId = await createTrip(owner.token);
+        url = `/api/trips/${tripId}/bookings`;
+    });
+
+    const addBooking = async (booking) => {
+        const res = await api().post(url).set(bearer(owner.token)).send(booking).expect(201);
+        return res.body.booking_id;
+    };
+
+    it('creates a booking in the trip currency and reads it back', async () => {
+        const bookingId = await addBooking(hotel());
+
+        const { body: booking } = await api().get(`${url}/${bookingId}`).set(bearer(owner.token)).expect(200);
+        assert.equal(booking.trip_id, tripId);
+        assert.equal(booking.user_id, owner.id);
+        assert.equal(booking.status, 'pending');
+        assert.equal(booking.currency, 'INR');
+        assert.equal(booking.amount, 4000);
+        assert.equal(booking.details.hotel_name, 'Sea Breeze');
+    });
+
+    it('checks the details against the booking type', async () => {
+        const res = await api().post(url).set(bearer(owner.token))
+            .send(hotel({ details: { hotel_name: 'Sea Breeze', check_in: '2026-12-03', check_out: '2026-12-01' } }))
+            .expect(400);
+
+        assert.deepEqual(res.body.error.details.map(d => d.field), ['details']);
+
+        const missing = await api().post(url).set(bearer(owner.token))
+            .send(activity({ details: {} }))
+            .expect(400);
+        assert.deepEqual(missing.body.error.details.map(d => d.field), ['details.activity_name']);
+    });
+
+    it('lists bookings by status and type against the budget', async () => {
+        const trip = await createTrip(owner.token);
+        const tripUrl = `/api/trips/${trip}/bookings`;
+        await api().post(tripUrl).set(bearer(owner.token)).send(hotel({ amount: 7000, status: 'confirmed' })).expect(201);
+        await api().post(tripUrl).set(bearer(owner.token)).send(activity()).expect(201);
+
+        const all = await api().get(tripUrl).set(bearer(owner.token)).expect(200);
+        assert.deepEqual(all.body.bookings.map(b => b.booking_type), ['hotel', 'activity']);
+        assert.deepEqual(all.body.budget_comparison.hotel, {
+            budgeted: 6000,
+            booked: 7000,
+            confirmed: 7000,
+            remaining: -1000,
+            over_budget: true
+        });
+        assert.equal(all.body.budget_comparison.total.booked, 8500);
+        assert.equal(all.body.budget_comparison.total.remaining, 500);
+
+        const pending = await api().get(`${tripUrl}?status=pending`).set(bearer(owner.token)).expect(200);
+        assert.deepEqual(pending.body.bookings.map(b => b.booking_type), ['activity']);
+
+        const hotels = await api().get(`${tripUrl}?type=hotel`).set(bearer(owner.token)).expect(200);
+        assert.deepEqual(hotels.body.bookings.map(b => b.status), ['confirmed']);
+    });
+
+    it('updates a booking, keeping its currency when none is given', async () => {
+        const bookingId = await addBooking(activity({ currency: 'USD', amount: 20 }));
+
+        await api().put(`${url}/${bookingId}`).set(bearer(owner.token))
+            .send(activity({ amount: 25, booking_reference: 'GD-7' }))
+            .expect(200);
+
+        const { body: booking } = await api().get(`${url}/${bookingId}`).set(bearer(owner.token)).expect(200);
+        assert.equal(booking.amount, 25);
+        assert.equal(booking.currency, 'USD');
+        assert.equal(booking.booking_reference, 'GD-7');
+    });
+
+    it('moves bookings from pending to confirmed to cancelled only', async () => {
+        const bookingId = await addBooking(hotel());
+        const status = (value) => api().patch(`${url}/${bookingId}/status`).set(bearer(owner.token)).send({ status: value });
+
+        const confirmed = await status('confirmed').expect(200);
+        assert.equal(confirmed.body.status, 'confirmed');
+
+        const back = await status('pending').expect(409);
+        assert.equal(back.body.error.message, 'Cannot change booking status from confirmed to pending');
+
+        await status('cancelled').expect(200);
+
+        const edit = await api().put(`${url}/${bookingId}`).set(bearer(owner.token)).send(hotel()).expect(409);
+        assert.equal(edit.body.error.message, 'Cancelled bookings cannot be modified');
+    });
+
+    it('deletes a booking', async () => {
+        const bookingId = await addBooking(activity());
+
+        await api().delete(`${url}/${bookingId}`).set(bearer(owner.token)).expect(200);
+
+        await api().get(`${url}/${bookingId}`).set(bearer(owner.token)).expect(404);
+        await api().delete(`${url}/${bookingId}`).set(bearer(owner.token)).expect(404);
+    });
+
+    it("keeps other users out of the trip's bookings", async () => {
+        const bookingId = await addBooking(activity());
+
+        await api().get(url).set(bearer(stranger.token)).expect(403);
+        await api().get(`${url}/${bookingId}`).set(bearer(stranger.token)).expect(403);
+        await api().post(url).set(bearer(stranger.token)).send(activity()).expect(403);
+    });
+});
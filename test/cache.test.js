@@ -0,0 +1,96 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, loginAdmin } = require('./helpers');
+
+describe('cached destination responses', () => {
+    let admin;
+
+    before(async () => {
+        ({ token: admin } = await loginAdmin());
+    });
+
+    it('serves repeat requests from the cache with a stable ETag', async () => {
+        const first = await api().get('/api/destinations/3').expect(200);
+        const second = await api().get('/api/destinations/3').expect(200);
+
+        assert.equal(first.headers['x-cache'], 'MISS');
+        assert.equal(second.headers['x-cache'], 'HIT');
+        assert.equal(second.headers.etag, first.headers.etag);
+        assert.equal(second.headers['cache-control'], 'no-cache');
+        assert.deepEqual(second.body, first.body);
+    });
+
+    it('answers 304 when If-None-Match matches', async () => {
+        const { headers } = await api().get('/api/destinations/popular/list').expect(200);
+
+        const res = await api().get('/api/destinations/popular/list').set('If-None-Match', headers.etag).expect(304);
+        assert.equal(res.text, '');
+    });
+
+    it('keeps responses in different currencies apart', async () => {
+        const inr = await api().get('/api/destinations/2').expect(200);
+        const usd = await api().get('/api/destinations/2?currency=USD').expect(200);
+
+        assert.equal(inr.body.avg_cost, 9000);
+        assert.equal(usd.body.avg_cost, 108);
+        assert.notEqual(usd.headers.etag, inr.headers.etag);
+    });
+
+    it('drops cached destinations when an admin changes one', async () => {
+        const before = await api().get('/api/destinations/popular/list').expect(200);
+
+        await api().patch('/api/destinations/2').set(bearer(admin)).send({ popular: true }).expect(200);
+
+        const after = await api().get('/api/destinations/popular/list').set('If-None-Match', before.headers.etag).expect(200);
+        assert.equal(after.headers['x-cache'], 'MISS');
+        assert.ok(after.body.some(d => d.name === 'Gokarna'));
+
+        const detail = await api().get('/api/destinations/2').expect(200);
+        assert.ok(detail.body.popular);
+    });
+
+    it('drops cached destinations when a review changes their rating', async () => {
+        const user = await registerUser();
+        await api().get('/api/destinations/2').expect(200);
+
+        await api().post('/api/reviews').set(bearer(user.token))
+            .send({ destination_id: 2, rating: 3, review_text: 'Quiet and clean' })
+            .expect(201);
+
+        const res = await api().get('/api/destinations/2').expect(200);
+        assert.equal(Number(res.body.rating), 3);
+        assert.deepEqual(res.body.reviews.map(r => r.review_text), ['Quiet and clean']);
+    });
+
+    it('keeps cached destinations through a dry-run import', async () => {
+        await api().get('/api/destinations/1').expect(200);
+
+        await api().post('/api/destinations/import?dry_run=true').set(bearer(admin))
+            .send({ destinations: [{ name: 'Goa', avg_cost: 1 }] })
+            .expect(200);
+
+        const res = await api().get('/api/destinations/1').expect(200);
+        assert.equal(res.headers['x-cache'], 'HIT');
+    });
+
+    it('does not cache errors', async () => {
+        const res = await api().get('/api/destinations/999').expect(404);
+
+        assert.equal(res.headers['x-cache'], undefined);
+    });
+});
+
+describe('cached dashboard stats', () => {
+    it('counts new users straight away', async () => {
+        const { token: admin } = await loginAdmin();
+        const first = await api().get('/api/stats/dashboard').set(bearer(admin)).expect(200);
+
+        const cached = await api().get('/api/stats/dashboard').set(bearer(admin)).expect(200);
+        assert.equal(cached.headers['x-cache'], 'HIT');
+
+        await registerUser();
+
+        const after = await api().get('/api/stats/dashboard').set(bearer(admin)).expect(200);
+        assert.equal(after.body.total_users, first.body.total_users + 1);
+    });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, loginAdmin } = require('./helpers');
+
+const popularNames = async () => (await api().get('/api/destinations/popular/list').expect(200)).body.map(d => d.name);
+
+describe('destination admin routes', () => {
+    let admin;
+
+    before(async () => {
+        ({ token: admin } = await loginAdmin());
+    });
+
+    it('are only open to admins', async () => {
+        const user = await registerUser();
+
+        await api().post('/api/destinations').send({ name: 'Ooty', category: 'mountain' }).expect(401);
+        await api().post('/api/destinations').set(bearer(user.token)).send({ name: 'Ooty', category: 'mountain' }).expect(403);
+        await api().get('/api/destinations/export').set(bearer(user.token)).expect(403);
+    });
+
+    it('validates categories, coordinates and unknown destinations', async () => {
+        const res = await api().post('/api/destinations').set(bearer(admin))
+            .send({ name: 'Ooty', category: 'hill-station', latitude: 11.4 })
+            .expect(400);
+
+        assert.deepEqual(res.body.error.details.map(d => d.field), ['category']);
+
+        const pair = await api().post('/api/destinations').set(bearer(admin))
+            .send({ name: 'Ooty', category: 'mountain', latitude: 11.4 })
+            .expect(400);
+        assert.match(pair.body.error.details[0].message, /latitude and longitude/);
+
+        await api().put('/api/destinations/999').set(bearer(admin)).send({ name: 'Ooty', category: 'mountain' }).expect(404);
+    });
+
+    it('creates, replaces and deletes a destination', async () => {
+        const created = await api().post('/api/destinations').set(bearer(admin))
+            .send({ name: 'Ooty', category: 'mountain', avg_cost: 8000, latitude: 11.41, longitude: 76.7 })
+            .expect(201);
+        const { id } = created.body.destination;
+
+        assert.equal(created.body.destination.country, 'India');
+        assert.equal(created.body.destination.avg_cost, 8000);
+
+        const replaced = await api().put(`/api/destinations/${id}`).set(bearer(admin))
+            .send({ name: 'Ooty', category: 'mountain', state: 'Tamil Nadu' })
+            .expect(200);
+        assert.equal(replaced.body.destination.state, 'Tamil Nadu');
+        assert.equal(replaced.body.destination.avg_cost, 0);
+        assert.equal(replaced.body.destination.latitude, null);
+
+        await api().delete(`/api/destinations/${id}`).set(bearer(admin)).expect(200);
+        await api().get(`/api/destinations/${id}`).expect(404);
+    });
+
+    it('controls the popular list with PATCH', async () => {
+        await api().patch('/api/destinations/2').set(bearer(admin)).send({ popular: true }).expect(200);
+        assert.deepEqual(await popularNames(), ['Manali', 'Goa', 'Gokarna']);
+
+        await api().patch('/api/destinations/2').set(bearer(admin)).send({ popular: false }).expect(200);
+        assert.deepEqual(await popularNames(), ['Manali', 'Goa']);
+
+        await api().patch('/api/destinations/2').set(bearer(admin)).send({}).expect(400);
+    });
+
+    it('manages activities with the activity_type enum', async () => {
+        await api().post('/api/destinations/3/activities').set(bearer(admin))
+            .send({ activity_name: 'Paragliding', activity_type: 'flying' })
+            .expect(400);
+
+        const created = await api().post('/api/destinations/3/activities').set(bearer(admin))
+            .send({ activity_name: 'Paragliding', activity_type: 'adventure', estimated_cost: 3000 })
+            .expect(201);
+        const activityId = created.body.activity.id;
+        assert.equal(created.body.activity.duration_hours, 2);
+
+        await api().put(`/api/destinations/3/activities/${activityId}`).set(bearer(admin))
+            .send({ activity_name: 'Solang paragliding', activity_type: 'adventure', duration_hours: 3 })
+            .expect(200);
+
+        // The activity belongs to Manali, not Goa
+        await api().delete(`/api/destinations/1/activities/${activityId}`).set(bearer(admin)).expect(404);
+
+        const manali = await api().get('/api/destinations/3').expect(200);
+        assert.deepEqual(manali.body.activities.map(a => a.activity_name), ['Solang paragliding']);
+
+        await api().delete(`/api/destinations/3/activities/${activityId}`).set(bearer(admin)).expect(200);
+        assert.equal((await api().get('/api/destinations/3').expect(200)).body.activities.length, 0);
+    });
+});
+
+describe('destination catalogue import and export', () => {
+    let admin;
+
+    before(async () => {
+        ({ token: admin } = await loginAdmin());
+    });
+
+    it('exports JSON with activities and CSV without', async () => {
+        const json = await api().get('/api/destinations/export').set(bearer(admin)).expect(200);
+
+        assert.equal(json.body.format, 'travelmate-catalogue');
+        assert.deepEqual(json.body.destinations.map(d => d.name), ['Goa', 'Gokarna', 'Manali']);
+        assert.equal(json.body.destinations[0].activities.length, 2);
+        assert.equal(json.body.destinations[0].popular, true);
+
+        const csv = await api().get('/api/destinations/export?format=csv').set(bearer(admin)).expect(200);
+        const lines = csv.text.trim().split('\r\n');
+
+        assert.match(csv.headers['content-type'], /text\/csv/);
+        assert.equal(lines[0], 'id,name,category,country,state,description,image_url,duration,best_time,avg_cost,popular,latitude,longitude,rating');
+        assert.equal(lines.length, 4);
+    });
+
+    it('re-imports its own export without changes', async () => {
+        const exported = await api().get('/api/destinations/export').set(bearer(admin)).expect(200);
+        const res = await api().post('/api/destinations/import?dry_run=true').set(bearer(admin)).send(exported.body).expect(200);
+
+        assert.deepEqual(res.body.summary.destinations, { created: 0, updated: 0, unchanged: 3 });
+        assert.deepEqual(res.body.changes, []);
+    });
+
+    it('previews a CSV import as a diff without saving it', async () => {
+        const csv = 'name,category,avg_cost,popular,description\r\n' +
+            'Gokarna,beach,9500,true,"Quiet beach town, with ""Om Beach"""\r\n' +
+            'Hampi,cultural,7000,,Ruins\r\n';
+
+        const res = await api().post('/api/destinations/import?dry_run=true').set(bearer(admin))
+            .set('Content-Type', 'text/csv')
+            .send(csv)
+            .expect(200);
+
+        assert.equal(res.body.dry_run, true);
+        assert.deepEqual(res.body.summary.destinations, { created: 1, updated: 1, unchanged: 0 });
+
+        const [update, create] = res.body.changes;
+        assert.equal(update.action, 'update');
+        assert.deepEqual(update.changes.avg_cost, { from: 9000, to: 9500 });
+        assert.deepEqual(update.changes.popular, { from: false, to: true });
+        assert.equal(update.changes.description.to, 'Quiet beach town, with "Om Beach"');
+        assert.equal(create.action, 'create');
+        assert.equal(create.fields.popular, false);
+
+        const list = await api().get('/api/destinations').expect(200);
+        assert.equal(list.body.pagination.total, 3);
+    });
+
+    it('rejects invalid rows and ids that do not exist', async () => {
+        const csv = 'name,category,avg_cost\r\nHampi,temple,-5\r\n';
+        const res = await api().post('/api/destinations/import').set(bearer(admin))
+            .set('Content-Type', 'text/csv')
+            .send(csv)
+            .expect(400);
+
+        assert.deepEqual(res.body.error.details.map(d => d.field).sort(), ['destinations[0].avg_cost', 'destinations[0].category']);
+
+        const missing = await api().post('/api/destinations/import').set(bearer(admin))
+            .send({ destinations: [{ name: 'Hampi' }, { id: 99, name: 'Nowhere' }] })
+            .expect(400);
+        assert.deepEqual(missing.body.error.details.map(d => d.field), ['destinations[0].category', 'destinations[1].id']);
+    });
+
+    it('applies a JSON import, replacing activity lists it includes', async () => {
+        const res = await api().post('/api/destinations/import').set(bearer(admin))
+            .send({
+                format: 'travelmate-catalogue',
+                version: 1,
+                destinations: [
+                    {
+                        name: 'goa',
+                        activities: [
+                            { activity_name: 'Beach hopping', activity_type: 'relaxation', estimated_cost: 800 },
+                            { activity_name: 'Spice plantation tour', activity_type: 'food' }
+                        ]
+                    },
+                    { name: 'Hampi', category: 'cultural', popular: true, activities: [{ activity_name: 'Virupaksha Temple' }] }
+                ]
+            })
+            .expect(200);
+
+        assert.deepEqual(res.body.summary, {
+            destinations: { created: 1, updated: 1, unchanged: 0 },
+            activities: { created: 2, updated: 1, removed: 1 }
+        });
+
+        const goa = await api().get('/api/destinations/1').expect(200);
+        assert.deepEqual(goa.body.activities.map(a => a.activity_name).sort(), ['Beach hopping', 'Spice plantation tour']);
+
+        const hampiId = res.body.changes.find(c => c.action === 'create').id;
+        const hampi = await api().get(`/api/destinations/${hampiId}`).expect(200);
+        assert.equal(hampi.body.name, 'Hampi');
+        assert.equal(hampi.body.activities[0].activity_type, 'sightseeing');
+        assert.ok((await popularNames()).includes('Hampi'));
+    });
+});
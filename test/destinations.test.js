@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { api } = require('./helpers');
+
+const names = (res) => res.body.destinations.map(d => d.name);
+
+describe('GET /api/destinations', () => {
+    it('lists every destination with pagination metadata', async () => {
+        const res = await api().get('/api/destinations').expect(200);
+
+        assert.equal(res.body.destinations.length, 3);
+        assert.equal(res.body.pagination.total, 3);
+        assert.equal(res.body.currency, 'INR');
+    });
+
+    it('filters by category', async () => {
+        const res = await api().get('/api/destinations?category=beach').expect(200);
+
+        assert.deepEqual(names(res).sort(), ['Goa', 'Gokarna']);
+    });
+
+    it('filters by cost range', async () => {
+        const res = await api().get('/api/destinations?minCost=10000&maxCost=18000').expect(200);
+
+        assert.deepEqual(names(res), ['Goa']);
+    });
+
+    it('converts cost filters from the requested currency', async () => {
+        // 120 USD is 10,000 INR at the seeded rate
+        const res = await api().get('/api/destinations?maxCost=120&currency=USD').expect(200);
+
+        assert.deepEqual(names(res), ['Gokarna']);
+        assert.equal(res.body.currency, 'USD');
+        assert.equal(res.body.destinations[0].avg_cost, 108);
+    });
+
+    it('searches names and descriptions', async () => {
+        const res = await api().get('/api/destinations?search=snowy').expect(200);
+
+        assert.deepEqual(names(res), ['Manali']);
+    });
+
+    it('filters by the month to travel in', async () => {
+        const res = await api().get('/api/destinations?month=may').expect(200);
+
+        assert.deepEqual(names(res), ['Manali']);
+    });
+
+    it('sorts by average cost', async () => {
+        const res = await api().get('/api/destinations?sort=avg_cost&order=asc').expect(200);
+
+        assert.deepEqual(names(res), ['Gokarna', 'Goa', 'Manali']);
+    });
+
+    it('pages through results', async () => {
+        const res = await api().get('/api/destinations?sort=avg_cost&order=asc&limit=2&page=2').expect(200);
+
+        assert.deepEqual(names(res), ['Manali']);
+        assert.equal(res.body.pagination.has_prev, true);
+        assert.equal(res.body.pagination.has_next, false);
+    });
+
+    it('rejects unknown filter values', async () => {
+        const res = await api().get('/api/destinations?category=desert&month=smarch').expect(400);
+
+        const fields = res.body.error.details.map(d => d.field);
+        assert.deepEqual(fields.sort(), ['category', 'month']);
+    });
+
+    it('rejects an unknown currency', async () => {
+        await api().get('/api/destinations?currency=XYZ').expect(400);
+    });
+});
+
+describe('GET /api/destinations/:id', () => {
+    it('includes activities and recent reviews', async () => {
+        const res = await api().get('/api/destinations/1').expect(200);
+
+        assert.equal(res.body.name, 'Goa');
+        assert.equal(res.body.activities.length, 2);
+        assert.deepEqual(res.body.reviews, []);
+    });
+
+    it('returns 404 for an unknown destination', async () => {
+        const res = await api().get('/api/destinations/999').expect(404);
+
+        assert.equal(res.body.error.code, 'NOT_FOUND');
+    });
+
+    it('rejects a non-numeric id', async () => {
+        await api().get('/api/destinations/abc').expect(400);
+    });
+});
+
+describe('nearby and popular destinations', () => {
+    it('finds destinations within a radius, nearest first', async () => {
+        const res = await api().get('/api/destinations/nearby?lat=15&lng=74&radiusKm=200').expect(200);
+
+        assert.deepEqual(names(res), ['Goa', 'Gokarna']);
+        assert.ok(res.body.destinations[0].distance_km < res.body.destinations[1].distance_km);
+    });
+
+    it('requires coordinates', async () => {
+        await api().get('/api/destinations/nearby?lat=15').expect(400);
+    });
+
+    it('lists popular destinations', async () => {
+        const res = await api().get('/api/destinations/popular/list').expect(200);
+
+        assert.deepEqual(res.body.map(d => d.name).sort(), ['Goa', 'Manali']);
+    });
+});
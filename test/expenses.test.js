@@ -0,0 +1,264 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, createTrip } = require('./helpers');
+
+const expense = (overrides = {}) => ({
+    category: 'food',
+    amount: 900,
+    expense_date: '2026-12-01',
+    note: 'Dinner',
+    ...overrides
+});
+
+// A trip owned by `owner` with `friend` invited as an editor
+const sharedTrip = async (owner, friend) => {
+    const tripId = await createTrip(owner.token);
+    await api().post(`/api/trips/${tripId}/collaborators`).set(bearer(owner.token))
+        .send({ email: friend.email, role: 'editor' })
+        .expect(201);
+    return tripId;
+};
+
+describe('trip expenses', () => {
+    let owner;
+    let friend;
+    let tripId;
+    let url;
+
+    before(async () => {
+        owner = await registerUser();
+        friend = await registerUser();
+        tripId = await sharedTrip(owner, friend);
+        url = `/api/trips/${tripId}/expenses`;
+    });
+
+    it('logs an expense paid by the caller and shared equally by default', async () => {
+        const res = await api().post(url).set(bearer(friend.token)).send(expense()).expect(201);
+
+        const logged = res.body.expense;
+        assert.equal(logged.user_id, friend.id);
+        assert.equal(logged.paid_by_user_id, friend.id);
+        assert.equal(logged.paid_by, 'Traveller 2');
+        assert.equal(logged.split_type, 'equal');
+        assert.equal(logged.currency, 'INR');
+        assert.deepEqual(logged.splits, []);
+    });
+
+    it('splits by shares, handing leftover cents to the largest remainder', async () => {
+        const res = await api().post(url).set(bearer(owner.token))
+            .send(expense({
+                amount: 1000,
+                split: { type: 'shares', participants: [{ user_id: owner.id, shares: 1 }, { user_id: friend.id, shares: 2 }] }
+            }))
+            .expect(201);
+
+        assert.equal(res.body.expense.split_type, 'shares');
+        assert.deepEqual(res.body.expense.splits.map(({ user_id, shares, amount }) => ({ user_id, shares, amount })), [
+            { user_id: owner.id, shares: 1, amount: 333.33 },
+            { user_id: friend.id, shares: 2, amount: 666.67 }
+        ]);
+    });
+
+    it('rejects exact splits that do not add up and payers who are not on the trip', async () => {
+        const stranger = await registerUser();
+
+        const exact = await api().post(url).set(bearer(owner.token))
+            .send(expense({
+                split: { type: 'exact', participants: [{ user_id: owner.id, amount: 500 }, { user_id: friend.id, amount: 300 }] }
+            }))
+            .expect(400);
+        assert.deepEqual(exact.body.error.details, [{ field: 'split.participants', message: 'amounts must add up to 900.00' }]);
+
+        const payer = await api().post(url).set(bearer(owner.token))
+            .send(expense({ paid_by_user_id: stranger.id }))
+            .expect(400);
+        assert.deepEqual(payer.body.error.details.map(d => d.field), ['paid_by_user_id']);
+    });
+
+    it('lists expenses by category with totals in the requested currency', async () => {
+        const trip = await createTrip(owner.token);
+        const tripUrl = `/api/trips/${trip}/expenses`;
+        await api().post(tripUrl).set(bearer(owner.token)).send(expense({ amount: 600 })).expect(201);
+        await api().post(tripUrl).set(bearer(owner.token)).send(expense({ amount: 12, currency: 'USD', expense_date: '2026-12-02' })).expect(201);
+        await api().post(tripUrl).set(bearer(owner.token)).send(expense({ category: 'hotel', amount: 3000 })).expect(201);
+
+        const food = await api().get(`${tripUrl}?category=food&limit=1`).set(bearer(owner.token)).expect(200);
+        assert.equal(food.body.expenses.length, 1);
+        // Newest first
+        assert.equal(food.body.expenses[0].amount, 12);
+        assert.equal(food.body.currency, 'INR');
+        assert.equal(food.body.total_amount, 1600);
+        assert.equal(food.body.pagination.total, 2);
+
+        const usd = await api().get(`${tripUrl}?from=2026-12-02&currency=USD`).set(bearer(owner.token)).expect(200);
+        assert.deepEqual(usd.body.expenses.map(e => [e.amount, e.currency]), [[12, 'USD']]);
+        assert.equal(usd.body.total_amount, 12);
+    });
+
+    it('updates an expense, going back to an equal split when none is given', async () => {
+        const created = await api().post(url).set(bearer(owner.token))
+            .send(expense({ split: { type: 'equal', participants: [{ user_id: owner.id }] } }))
+            .expect(201);
+        const expenseId = created.body.expense.id;
+        assert.equal(created.body.expense.splits.length, 1);
+
+        const res = await api().put(`${url}/${expenseId}`).set(bearer(friend.token))
+            .send(expense({ amount: 450, note: 'Lunch' }))
+            .expect(200);
+        assert.equal(res.body.expense.amount, 450);
+        assert.equal(res.body.expense.note, 'Lunch');
+        assert.equal(res.body.expense.paid_by_user_id, owner.id);
+        assert.deepEqual(res.body.expense.splits, []);
+
+        await api().put(`${url}/999999`).set(bearer(owner.token)).send(expense()).expect(404);
+    });
+
+    it('keeps the payer when another traveller edits the expense', async () => {
+        const trip = await sharedTrip(owner, friend);
+        const tripUrl = `/api/trips/${trip}`;
+
+        const created = await api().post(`${tripUrl}/expenses`).set(bearer(owner.token))
+            .send(expense({ paid_by: 'Owner on the card' }))
+            .expect(201);
+
+        const res = await api().put(`${tripUrl}/expenses/${created.body.expense.id}`).set(bearer(friend.token))
+            .send(expense({ amount: 1000, note: 'Dinner and dessert' }))
+            .expect(200);
+        assert.equal(res.body.expense.user_id, owner.id);
+        assert.equal(res.body.expense.paid_by_user_id, owner.id);
+        assert.equal(res.body.expense.paid_by, 'Owner on the card');
+
+        // The friend still owes the owner half, not the other way round
+        const { body: settlement } = await api().get(`${tripUrl}/settlement`).set(bearer(friend.token)).expect(200);
+        assert.deepEqual(settlement.transfers.map(({ from_user_id, to_user_id, amount }) => ({ from_user_id, to_user_id, amount })), [
+            { from_user_id: friend.id, to_user_id: owner.id, amount: 500 }
+        ]);
+
+        // Naming a payer still changes it
+        const moved = await api().put(`${tripUrl}/expenses/${created.body.expense.id}`).set(bearer(friend.token))
+            .send(expense({ amount: 1000, paid_by_user_id: friend.id }))
+            .expect(200);
+        assert.equal(moved.body.expense.paid_by_user_id, friend.id);
+        assert.equal(moved.body.expense.paid_by, 'Traveller 2');
+    });
+
+    it('deletes an expense', async () => {
+        const created = await api().post(url).set(bearer(owner.token)).send(expense()).expect(201);
+        const expenseId = created.body.expense.id;
+
+        await api().delete(`${url}/${expenseId}`).set(bearer(owner.token)).expect(200);
+
+        await api().get(`${url}/${expenseId}`).set(bearer(owner.token)).expect(404);
+        await api().delete(`${url}/${expenseId}`).set(bearer(owner.token)).expect(404);
+    });
+});
+
+describe('GET /api/trips/:id/expenses/report', () => {
+    it('reports spending per category and per trip day', async () => {
+        const owner = await registerUser();
+        const tripId = await createTrip(owner.token);
+        const url = `/api/trips/${tripId}/expenses`;
+
+        // Amounts in one currency are added up before converting: 20 USD is 1666.67 INR, not 2 x 833.33
+        await api().post(url).set(bearer(owner.token)).send(expense({ amount: 10, currency: 'USD' })).expect(201);
+        await api().post(url).set(bearer(owner.token)).send(expense({ amount: 10, currency: 'USD' })).expect(201);
+        await api().post(url).set(bearer(owner.token)).send(expense({ category: 'hotel', amount: 7000, expense_date: '2026-12-02' })).expect(201);
+
+        const { body: report } = await api().get(`${url}/report`).set(bearer(owner.token)).expect(200);
+
+        assert.equal(report.currency, 'INR');
+        assert.equal(report.total_budget, 9000);
+        assert.equal(report.itinerary_estimate, 700);
+        assert.equal(report.by_category.hotel.over_budget, true);
+        assert.deepEqual(report.warnings.map(w => w.category), ['hotel']);
+
+        assert.deepEqual(report.daily.map(day => [day.date, day.day_number, day.spent, day.planned]), [
+            ['2026-12-01', 1, 1666.67, 3000],
+            ['2026-12-02', 2, 7000, 3000],
+            ['2026-12-03', 3, 0, 3000]
+        ]);
+        assert.deepEqual(report.daily[0].by_category, { food: 1666.67 });
+        assert.equal(report.daily[1].over_budget, true);
+    });
+
+    it('rounds spending to cents before comparing it with the budget', async () => {
+        const owner = await registerUser();
+        const tripId = await createTrip(owner.token, { budget: { food: 0.3 } });
+        const url = `/api/trips/${tripId}/expenses`;
+
+        await api().post(url).set(bearer(owner.token)).send(expense({ amount: 0.1 })).expect(201);
+        await api().post(url).set(bearer(owner.token)).send(expense({ amount: 0.2 })).expect(201);
+
+        const { body: report } = await api().get(`${url}/report`).set(bearer(owner.token)).expect(200);
+        assert.equal(report.by_category.food.spent, 0.3);
+        assert.equal(report.by_category.food.over_budget, false);
+        assert.equal(report.total_spent, 0.3);
+        assert.deepEqual(report.warnings, []);
+        assert.equal(report.daily[0].spent, 0.3);
+
+        const { body: trip } = await api().get(`/api/trips/${tripId}`).set(bearer(owner.token)).expect(200);
+        assert.equal(trip.expense_summary.by_category.food.spent, 0.3);
+        assert.deepEqual(trip.expense_summary.warnings, []);
+
+        const { body: list } = await api().get(url).set(bearer(owner.token)).expect(200);
+        assert.equal(list.total_amount, 0.3);
+    });
+});
+
+describe('GET /api/trips/:id/settlement', () => {
+    it('works out the fewest transfers from expenses and confirmed bookings', async () => {
+        const owner = await registerUser();
+        const friend = await registerUser();
+        const tripId = await sharedTrip(owner, friend);
+        const url = `/api/trips/${tripId}`;
+
+        // The owner pays 900 shared equally; the friend pays 300 that is all the owner's
+        await api().post(`${url}/expenses`).set(bearer(owner.token)).send(expense()).expect(201);
+        await api().post(`${url}/expenses`).set(bearer(friend.token))
+            .send(expense({ category: 'transport', amount: 300, split: { type: 'exact', participants: [{ user_id: owner.id, amount: 300 }] } }))
+            .expect(201);
+
+        // Confirmed bookings are shared equally; pending ones are left out
+        const booking = { booking_type: 'activity', amount: 600, details: { activity_name: 'Kayaking' } };
+        await api().post(`${url}/bookings`).set(bearer(owner.token)).send({ ...booking, status: 'confirmed' }).expect(201);
+        await api().post(`${url}/bookings`).set(bearer(friend.token)).send(booking).expect(201);
+
+        const { body: settlement } = await api().get(`${url}/settlement`).set(bearer(friend.token)).expect(200);
+
+        assert.equal(settlement.currency, 'INR');
+        assert.equal(settlement.total_paid, 1800);
+        assert.equal(settlement.by_category.food, 900);
+        assert.equal(settlement.by_category.transport, 300);
+        assert.equal(settlement.by_category.activities, 600);
+        assert.deepEqual(settlement.balances.map(({ user_id, paid, owed, balance }) => ({ user_id, paid, owed, balance })), [
+            { user_id: owner.id, paid: 1500, owed: 1050, balance: 450 },
+            { user_id: friend.id, paid: 300, owed: 750, balance: -450 }
+        ]);
+        assert.deepEqual(settlement.transfers.map(({ from_user_id, to_user_id, amount }) => ({ from_user_id, to_user_id, amount })), [
+            { from_user_id: friend.id, to_user_id: owner.id, amount: 450 }
+        ]);
+        assert.equal(settlement.settled, false);
+    });
+
+    it('keeps the balance of a traveller who has left the trip', async () => {
+        const owner = await registerUser();
+        const friend = await registerUser();
+        const tripId = await sharedTrip(owner, friend);
+        const url = `/api/trips/${tripId}`;
+
+        await api().post(`${url}/expenses`).set(bearer(friend.token)).send(expense({ amount: 400 })).expect(201);
+        await api().delete(`${url}/collaborators/${friend.id}`).set(bearer(friend.token)).expect(200);
+
+        const { body: settlement } = await api().get(`${url}/settlement`).set(bearer(owner.token)).expect(200);
+
+        // With the friend gone the owner is the only one left to share the expense
+        assert.deepEqual(settlement.transfers, [{
+            from_user_id: owner.id,
+            from_name: settlement.balances[0].name,
+            to_user_id: friend.id,
+            to_name: settlement.balances[1].name,
+            amount: 400
+        }]);
+        assert.equal(settlement.balances[1].role, null);
+    });
+});
@@ -0,0 +1,114 @@
+// =====================================================
+// Test Helpers
+// Boots the app on the in-memory backend, seeded from fixtures/seed.json.
+// node --test runs each file in its own process, so every file gets a fresh store.
+// =====================================================
+
+const path = require('path');
+
+// DATE columns come back as local midnight, so pin the zone the assertions are written in
+process.env.TZ = 'UTC';
+process.env.NODE_ENV = 'test';
+process.env.DB_BACKEND = 'memory';
+process.env.MEMORY_SEED_FILE = path.join(__dirname, 'fixtures', 'seed.json');
+process.env.JWT_SECRET = 'travelmate_test_secret';
+process.env.MAIL_TRANSPORT = 'test';
+// Suites send far more requests than a client would; security.test.js sets its own limits
+process.env.RATE_LIMIT_AUTH = process.env.RATE_LIMIT_AUTH || 'off';
+process.env.RATE_LIMIT_API = process.env.RATE_LIMIT_API || 'off';
+
+const request = require('supertest');
+const { app, repos, registerMailTransport } = require('../travelmate_backend_server');
+
+// Every message the app sends, newest last
+const mailbox = [];
+
+registerMailTransport('test', () => ({
+    send: async (message) => {
+        mailbox.push(message);
+        return { transport: 'test' };
+    }
+}));
+
+const ADMIN = { id: 1, email: 'admin@example.com', password: 'Admin1234' };
+
+const api = () => request(app);
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+// The single-use token from the last link mailed to an address
+const tokenFromMail = (to) => {
+    const message = [...mailbox].reverse().find(m => m.to === to);
+    const match = message && message.text.match(/token=([a-f0-9]+)/);
+    return match ? match[1] : null;
+};
+
+let userCount = 0;
+
+// Registers a fresh user; returns { id, email, password, token, refreshToken }
+const registerUser = async (overrides = {}) => {
+    userCount += 1;
+    const user = {
+        name: `Traveller ${userCount}`,
+        email: `traveller${userCount}@example.com`,
+        password: 'secret123',
+        ...overrides
+    };
+
+    const res = await api().post('/api/users/register').send(user).expect(201);
+
+    return {
+        id: res.body.user_id,
+        email: user.email,
+        password: user.password,
+        token: res.body.token,
+        refreshToken: res.body.refresh_token
+    };
+};
+
+const loginAdmin = async () => {
+    const res = await api().post('/api/users/login')
+        .send({ email: ADMIN.email, password: ADMIN.password })
+        .expect(200);
+    return { ...ADMIN, token: res.body.token };
+};
+
+const tripPayload = (overrides = {}) => ({
+    destination_id: 1,
+    trip_name: 'Goa getaway',
+    destination_name: 'Goa',
+    start_date: '2026-12-01',
+    num_days: 3,
+    budget: { hotel: 6000, food: 3000 },
+    itinerary: {
+        day1: [
+            { name: 'Beach hopping', time: '09:00', estimated_cost: 500 },
+            { name: 'Fort Aguada', time: '15:00', estimated_cost: 200 }
+        ],
+        day2: [{ name: 'Spice plantation', time: '10:00' }]
+    },
+    ...overrides
+});
+
+// Creates a trip for the token's user and returns its id
+const createTrip = async (token, overrides = {}) => {
+    const res = await api().post('/api/trips')
+        .set(bearer(token))
+        .send(tripPayload(overrides))
+        .expect(201);
+    return res.body.trip_id;
+};
+
+module.exports = {
+    app,
+    repos,
+    mailbox,
+    ADMIN,
+    api,
+    bearer,
+    tokenFromMail,
+    registerUser,
+    loginAdmin,
+    tripPayload,
+    createTrip
+};
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseMigration, tableColumns, listMigrations, listSeeds } = require('../db/migrator');
+
+const SEEDS_DIR = path.join(__dirname, '..', 'seeds');
+
+describe('parseMigration', () => {
+    it('splits the up and down sections', () => {
+        const sql = '-- header\n-- migrate:up\nCREATE TABLE a (id INT);\n\n-- migrate:down\nDROP TABLE a;\n';
+
+        assert.deepEqual(parseMigration(sql, 'x.sql'), {
+            up: 'CREATE TABLE a (id INT);',
+            down: 'DROP TABLE a;'
+        });
+    });
+
+    it('allows a migration without a down section', () => {
+        assert.equal(parseMigration('-- migrate:up\nSELECT 1;', 'x.sql').down, '');
+    });
+
+    it('rejects a file without an up section or with a repeated section', () => {
+        assert.throws(() => parseMigration('CREATE TABLE a (id INT);', 'x.sql'), /no "-- migrate:up" section/);
+        assert.throws(
+            () => parseMigration('-- migrate:up\nSELECT 1;\n-- migrate:up\nSELECT 2;', 'x.sql'),
+            /more than one "-- migrate:up" section/
+        );
+    });
+});
+
+describe('tableColumns', () => {
+    it('lists the columns each CREATE TABLE defines, without its keys', () => {
+        const sql = `
+            CREATE TABLE a (
+                id INT PRIMARY KEY,
+                kind ENUM('x', 'y') DEFAULT 'x', -- a comment, with a comma
+                total DECIMAL(10, 2) GENERATED ALWAYS AS (
+                    id + 1
+                ) STORED,
+                UNIQUE KEY unique_kind (kind),
+                FOREIGN KEY (id) REFERENCES b(id)
+            ) ENGINE=InnoDB;
+            CREATE TABLE IF NOT EXISTS \`b\` (\`id\` INT);
+        `;
+
+        assert.deepEqual(tableColumns(sql), new Map([['a', ['id', 'kind', 'total']], ['b', ['id']]]));
+    });
+});
+
+describe('migration and seed files', () => {
+    it('starts with the baseline and has unique, ordered versions', () => {
+        const migrations = listMigrations();
+
+        assert.equal(migrations[0].file, '001_baseline.sql');
+        const versions = migrations.map(m => Number(m.version));
+        assert.deepEqual(versions, [...new Set(versions)].sort((a, b) => a - b));
+    });
+
+    it('gives every migration both sections and never drops the database', () => {
+        for (const migration of listMigrations()) {
+            const sql = fs.readFileSync(path.join(__dirname, '..', 'migrations', migration.file), 'utf8');
+            const { up, down } = parseMigration(sql, migration.file);
+
+            assert.ok(down, `${migration.file} needs a down section`);
+            assert.doesNotMatch(up, /DROP DATABASE/i, migration.file);
+            assert.doesNotMatch(sql, /^DELIMITER/m, `${migration.file} is sent as one query; DELIMITER is a mysql client command`);
+        }
+    });
+
+    it('keeps every seed insert safe to repeat', () => {
+        for (const file of listSeeds()) {
+            const statements = fs.readFileSync(path.join(SEEDS_DIR, file), 'utf8')
+                .split(';')
+                .filter(statement => /\bINSERT INTO\b/i.test(statement));
+
+            assert.ok(statements.length > 0, `${file} inserts nothing`);
+            for (const statement of statements) {
+                assert.match(statement, /ON DUPLICATE KEY UPDATE/i, `${file} has an insert that fails on a second run`);
+            }
+        }
+    });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Request lines are logged at info; they are collected below instead of printed
+process.env.LOG_LEVEL = 'info';
+
+const { api, bearer, mailbox, registerUser } = require('./helpers');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// JSON log lines written to stdout and stderr, oldest first
+const logs = [];
+const writes = new Map();
+
+// Keep log lines and pass anything else (such as test runner output) through
+const collect = (stream) => function (chunk, ...rest) {
+    const text = chunk.toString();
+    if (!text.startsWith('{"time"')) {
+        return writes.get(stream).call(this, chunk, ...rest);
+    }
+    logs.push(...text.trim().split('\n').map(line => JSON.parse(line)));
+    return true;
+};
+
+before(() => {
+    for (const stream of [process.stdout, process.stderr]) {
+        writes.set(stream, stream.write);
+        stream.write = collect(stream);
+    }
+});
+
+after(() => {
+    for (const [stream, write] of writes) {
+        stream.write = write;
+    }
+});
+
+const requestLog = (requestId) => logs.find(entry => entry.msg === 'request completed' && entry.request_id === requestId);
+
+describe('request ids and logs', () => {
+    it('gives every response an X-Request-Id, keeping a valid one from the client', async () => {
+        const fresh = await api().get('/api/destinations').expect(200);
+        assert.match(fresh.headers['x-request-id'], UUID);
+
+        const kept = await api().get('/api/destinations').set('X-Request-Id', 'lb-1234.abc').expect(200);
+        assert.equal(kept.headers['x-request-id'], 'lb-1234.abc');
+
+        const replaced = await api().get('/api/destinations').set('X-Request-Id', 'bad id <script>').expect(200);
+        assert.match(replaced.headers['x-request-id'], UUID);
+    });
+
+    it('logs each request as JSON with its route, status and latency', async () => {
+        const user = await registerUser();
+        const res = await api().get(`/api/users/${user.id}`).set(bearer(user.token)).expect(200);
+        const entry = requestLog(res.headers['x-request-id']);
+
+        assert.equal(entry.level, 'info');
+        assert.equal(entry.method, 'GET');
+        assert.equal(entry.path, `/api/users/${user.id}`);
+        assert.equal(entry.route, '/api/users/:id(\\d+)');
+        assert.equal(entry.status, 200);
+        assert.equal(entry.user_id, user.id);
+        assert.equal(typeof entry.duration_ms, 'number');
+        assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    });
+
+    it('tags lines logged while serving a request with its id', async () => {
+        // Make the verification mail fail; the failure is logged, not returned
+        mailbox.push = () => {
+            throw new Error('Mail server unavailable');
+        };
+
+        let res;
+        try {
+            res = await api().post('/api/users/register')
+                .send({ name: 'Logged', email: 'logged@example.com', password: 'secret123' })
+                .expect(201);
+        } finally {
+            delete mailbox.push;
+        }
+
+        const failure = logs.find(entry => entry.msg === 'Failed to send mail');
+        assert.equal(failure.level, 'error');
+        assert.equal(failure.request_id, res.headers['x-request-id']);
+        assert.equal(failure.error.message, 'Mail server unavailable');
+        assert.match(failure.error.stack, /Mail server unavailable/);
+    });
+
+    it('only logs health probes at debug level', async () => {
+        await api().get('/api/health/live').set('X-Request-Id', 'probe-1').expect(200);
+
+        assert.equal(requestLog('probe-1'), undefined);
+    });
+});
+
+describe('health checks', () => {
+    it('separates liveness from readiness', async () => {
+        const live = await api().get('/api/health/live').expect(200);
+        assert.equal(live.body.status, 'alive');
+
+        const ready = await api().get('/api/health/ready').expect(200);
+        assert.deepEqual(ready.body, { status: 'ready', database: 'connected', backend: 'memory' });
+    });
+});
+
+describe('metrics', () => {
+    it('exposes request counts and latencies by route in Prometheus format', async () => {
+        await api().get('/api/destinations/1').expect(200);
+        await api().get('/api/destinations/999').expect(404);
+
+        const res = await api().get('/metrics').expect(200);
+        const text = res.text;
+
+        assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+        assert.match(text, /# TYPE travelmate_http_requests_total counter/);
+        assert.match(text, /travelmate_http_requests_total\{method="GET",route="\/api\/destinations\/:id",status="200"\} 1\n/);
+        assert.match(text, /travelmate_http_requests_total\{method="GET",route="\/api\/destinations\/:id",status="404"\} 1\n/);
+        assert.match(text, /travelmate_http_request_duration_seconds_bucket\{method="GET",route="\/api\/destinations\/:id",le="\+Inf"\} 2\n/);
+        assert.match(text, /travelmate_http_request_duration_seconds_count\{method="GET",route="\/api\/destinations\/:id"\} 2\n/);
+        assert.match(text, /travelmate_http_requests_in_flight 1\n/);
+
+        // The memory backend has no connection pool
+        assert.doesNotMatch(text, /travelmate_db_pool/);
+    });
+
+    it('counts unknown URLs under one route label', async () => {
+        await api().get('/api/nowhere/1').expect(404);
+        await api().get('/api/nowhere/2').expect(404);
+
+        const res = await api().get('/metrics').expect(200);
+        assert.match(res.text, /travelmate_http_requests_total\{method="GET",route="unmatched",status="404"\} 2\n/);
+    });
+});
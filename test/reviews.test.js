@@ -0,0 +1,215 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, loginAdmin, createTrip } = require('./helpers');
+
+describe('reviews', () => {
+    let alice;
+    let bob;
+
+    before(async () => {
+        alice = await registerUser();
+        bob = await registerUser();
+    });
+
+    it('adds reviews and recalculates the destination rating', async () => {
+        const tripId = await createTrip(alice.token, { destination_id: 2, destination_name: 'Gokarna', itinerary: {} });
+
+        await api().post('/api/reviews')
+            .set(bearer(alice.token))
+            .send({ destination_id: 2, trip_id: tripId, rating: 3, review_title: 'Crowded in December' })
+            .expect(201);
+        await api().post('/api/reviews')
+            .set(bearer(bob.token))
+            .send({ destination_id: 2, rating: 5, review_text: 'Om beach at sunset' })
+            .expect(201);
+
+        const destination = await api().get('/api/destinations/2').expect(200);
+        assert.equal(destination.body.rating, 4);
+        assert.equal(destination.body.reviews.length, 2);
+    });
+
+    it('lists reviews with the reviewer name, filtered and sorted', async () => {
+        const res = await api().get('/api/reviews/destination/2?sort=rating&order=asc').expect(200);
+
+        assert.deepEqual(res.body.reviews.map(r => r.rating), [3, 5]);
+        assert.ok(res.body.reviews[0].user_name);
+        assert.equal(res.body.average_rating, 4);
+
+        const filtered = await api().get('/api/reviews/destination/2?minRating=4').expect(200);
+        assert.equal(filtered.body.pagination.total, 1);
+    });
+
+    it('returns an empty page for a destination without reviews', async () => {
+        const res = await api().get('/api/reviews/destination/3').expect(200);
+
+        assert.deepEqual(res.body.reviews, []);
+        assert.equal(res.body.pagination.total, 0);
+    });
+
+    it('validates the rating', async () => {
+        const res = await api().post('/api/reviews')
+            .set(bearer(alice.token))
+            .send({ destination_id: 1, rating: 4.25 })
+            .expect(400);
+        assert.equal(res.body.error.details[0].field, 'rating');
+
+        await api().post('/api/reviews').set(bearer(alice.token)).send({ destination_id: 1 }).expect(400);
+        await api().post('/api/reviews').set(bearer(alice.token)).send({ destination_id: 1, rating: 6 }).expect(400);
+    });
+
+    it('answers 404 for an unknown destination or trip', async () => {
+        await api().post('/api/reviews').set(bearer(alice.token)).send({ destination_id: 999, rating: 4 }).expect(404);
+        await api().post('/api/reviews')
+            .set(bearer(alice.token))
+            .send({ destination_id: 1, trip_id: 999, rating: 4 })
+            .expect(404);
+    });
+
+    it("refuses to link a review to someone else's trip", async () => {
+        const tripId = await createTrip(alice.token);
+
+        await api().post('/api/reviews')
+            .set(bearer(bob.token))
+            .send({ destination_id: 1, trip_id: tripId, rating: 4 })
+            .expect(403);
+    });
+
+    it('requires a token to post', async () => {
+        await api().post('/api/reviews').send({ destination_id: 1, rating: 4 }).expect(401);
+    });
+});
+
+describe('review editing, votes and moderation', () => {
+    let author;
+    let reader;
+    let admin;
+    let reviewId;
+
+    const rating = async () => (await api().get('/api/destinations/1').expect(200)).body.rating;
+
+    before(async () => {
+        author = await registerUser();
+        reader = await registerUser();
+        ({ token: admin } = await loginAdmin());
+
+        const res = await api().post('/api/reviews').set(bearer(author.token)).send({ destination_id: 1, rating: 4 }).expect(201);
+        reviewId = res.body.review_id;
+        await api().post('/api/reviews').set(bearer(reader.token)).send({ destination_id: 1, rating: 2 }).expect(201);
+    });
+
+    it('allows one review per user per destination', async () => {
+        const res = await api().post('/api/reviews').set(bearer(author.token)).send({ destination_id: 1, rating: 5 }).expect(409);
+
+        assert.equal(res.body.error.code, 'CONFLICT');
+    });
+
+    it('lets only the author edit, and recalculates the rating', async () => {
+        assert.equal(await rating(), 3);
+
+        await api().patch(`/api/reviews/${reviewId}`).set(bearer(reader.token)).send({ rating: 1 }).expect(403);
+        await api().patch(`/api/reviews/${reviewId}`).set(bearer(author.token)).send({}).expect(400);
+
+        const res = await api().patch(`/api/reviews/${reviewId}`).set(bearer(author.token))
+            .send({ rating: 5, review_title: 'Even better the second time' })
+            .expect(200);
+
+        assert.equal(res.body.review.review_title, 'Even better the second time');
+        assert.equal(await rating(), 3.5);
+    });
+
+    it('counts one helpful vote per user', async () => {
+        await api().post(`/api/reviews/${reviewId}/helpful`).set(bearer(author.token)).expect(400);
+
+        const res = await api().post(`/api/reviews/${reviewId}/helpful`).set(bearer(reader.token)).expect(201);
+        assert.equal(res.body.helpful_count, 1);
+
+        await api().post(`/api/reviews/${reviewId}/helpful`).set(bearer(reader.token)).expect(409);
+
+        const removed = await api().delete(`/api/reviews/${reviewId}/helpful`).set(bearer(reader.token)).expect(200);
+        assert.equal(removed.body.helpful_count, 0);
+        await api().delete(`/api/reviews/${reviewId}/helpful`).set(bearer(reader.token)).expect(404);
+    });
+
+    it('queues flagged reviews for admins, who can hide them', async () => {
+        await api().post(`/api/reviews/${reviewId}/flag`).set(bearer(reader.token)).send({ reason: 'rude' }).expect(400);
+        await api().post(`/api/reviews/${reviewId}/flag`).set(bearer(reader.token)).send({ reason: 'spam', note: 'Advert' }).expect(201);
+        await api().post(`/api/reviews/${reviewId}/flag`).set(bearer(reader.token)).send({ reason: 'spam' }).expect(409);
+
+        await api().get('/api/reviews/moderation').set(bearer(reader.token)).expect(403);
+
+        const queue = await api().get('/api/reviews/moderation').set(bearer(admin)).expect(200);
+        assert.deepEqual(queue.body.reviews.map(r => r.id), [reviewId]);
+        assert.equal(queue.body.reviews[0].flags[0].reason, 'spam');
+
+        await api().post(`/api/reviews/${reviewId}/moderate`).set(bearer(admin)).send({ action: 'hide' }).expect(200);
+
+        const flagged = await api().get('/api/reviews/moderation').set(bearer(admin)).expect(200);
+        assert.equal(flagged.body.pagination.total, 0);
+        const hidden = await api().get('/api/reviews/moderation?queue=hidden').set(bearer(admin)).expect(200);
+        assert.deepEqual(hidden.body.reviews.map(r => r.id), [reviewId]);
+
+        // Hidden reviews leave the listing and the rating, and other users can't reach them
+        const listed = await api().get('/api/reviews/destination/1').expect(200);
+        assert.equal(listed.body.pagination.total, 1);
+        assert.equal(await rating(), 2);
+        await api().post(`/api/reviews/${reviewId}/helpful`).set(bearer(reader.token)).expect(404);
+
+        await api().post(`/api/reviews/${reviewId}/moderate`).set(bearer(admin)).send({ action: 'approve' }).expect(200);
+        assert.equal(await rating(), 3.5);
+    });
+
+    it('deletes reviews for their author or an admin and updates the rating', async () => {
+        await api().delete(`/api/reviews/${reviewId}`).set(bearer(reader.token)).expect(403);
+        await api().delete(`/api/reviews/${reviewId}`).set(bearer(author.token)).expect(200);
+        assert.equal(await rating(), 2);
+
+        const mine = await api().get('/api/reviews/destination/1').expect(200);
+        await api().delete(`/api/reviews/${mine.body.reviews[0].id}`).set(bearer(admin)).expect(200);
+        assert.equal(await rating(), 0);
+    });
+});
+
+describe('statistics', () => {
+    let user;
+
+    before(async () => {
+        user = await registerUser();
+        await createTrip(user.token);
+        await createTrip(user.token, { num_days: 2, budget: { flights: 4000 }, itinerary: {} });
+        await api().post('/api/reviews').set(bearer(user.token)).send({ destination_id: 3, rating: 4.5 }).expect(201);
+    });
+
+    it("summarises the user's trips and reviews", async () => {
+        const res = await api().get(`/api/stats/user/${user.id}`).set(bearer(user.token)).expect(200);
+
+        assert.equal(res.body.total_trips, 2);
+        assert.equal(res.body.total_spent, 13000);
+        assert.equal(res.body.total_reviews, 1);
+        assert.equal(res.body.currency, 'INR');
+    });
+
+    it('converts totals to the requested currency', async () => {
+        const res = await api().get(`/api/stats/user/${user.id}?currency=USD`).set(bearer(user.token)).expect(200);
+
+        assert.equal(res.body.total_spent, 156);
+        assert.equal(res.body.currency, 'USD');
+    });
+
+    it("forbids reading another user's statistics", async () => {
+        const other = await registerUser();
+
+        await api().get(`/api/stats/user/${user.id}`).set(bearer(other.token)).expect(403);
+    });
+
+    it('limits the dashboard to admins', async () => {
+        await api().get('/api/stats/dashboard').set(bearer(user.token)).expect(403);
+
+        const admin = await loginAdmin();
+        const res = await api().get('/api/stats/dashboard').set(bearer(admin.token)).expect(200);
+
+        assert.equal(res.body.total_destinations, 3);
+        assert.ok(res.body.total_users >= 2);
+        assert.ok(res.body.total_trips >= 2);
+        assert.ok(res.body.total_reviews >= 1);
+    });
+});
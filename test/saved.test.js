@@ -0,0 +1,58 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, loginAdmin } = require('./helpers');
+
+describe('saved destinations', () => {
+    let user;
+
+    before(async () => {
+        user = await registerUser();
+    });
+
+    it('saves a destination and lists it', async () => {
+        await api().post('/api/saved').set(bearer(user.token)).send({ destination_id: 2 }).expect(201);
+
+        const res = await api().get(`/api/saved/${user.id}`).set(bearer(user.token)).expect(200);
+        assert.deepEqual(res.body.map(d => d.name), ['Gokarna']);
+    });
+
+    it('answers 409 when the destination is already saved', async () => {
+        // The unique key on (user_id, destination_id) raises ER_DUP_ENTRY
+        const res = await api().post('/api/saved').set(bearer(user.token)).send({ destination_id: 2 }).expect(409);
+
+        assert.equal(res.body.error.code, 'CONFLICT');
+        assert.equal(res.body.error.message, 'Destination already saved');
+    });
+
+    it('answers 404 for a destination that does not exist', async () => {
+        await api().post('/api/saved').set(bearer(user.token)).send({ destination_id: 999 }).expect(404);
+    });
+
+    it('requires a destination id', async () => {
+        const res = await api().post('/api/saved').set(bearer(user.token)).send({}).expect(400);
+
+        assert.equal(res.body.error.details[0].field, 'destination_id');
+    });
+
+    it("keeps each user's list private", async () => {
+        const other = await registerUser();
+
+        await api().get(`/api/saved/${user.id}`).set(bearer(other.token)).expect(403);
+        await api().delete(`/api/saved/${user.id}/2`).set(bearer(other.token)).expect(403);
+
+        const admin = await loginAdmin();
+        await api().get(`/api/saved/${user.id}`).set(bearer(admin.token)).expect(200);
+    });
+
+    it('removes a saved destination once', async () => {
+        await api().delete(`/api/saved/${user.id}/2`).set(bearer(user.token)).expect(200);
+        await api().delete(`/api/saved/${user.id}/2`).set(bearer(user.token)).expect(404);
+
+        const res = await api().get(`/api/saved/${user.id}`).set(bearer(user.token)).expect(200);
+        assert.deepEqual(res.body, []);
+    });
+
+    it('can save the destination again after removing it', async () => {
+        await api().post('/api/saved').set(bearer(user.token)).send({ destination_id: 2 }).expect(201);
+    });
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Low limits so they can be reached; requests pick their client IP with X-Forwarded-For
+process.env.TRUST_PROXY = 'true';
+process.env.RATE_LIMIT_AUTH = '4/15m';
+process.env.RATE_LIMIT_API = '6/1m';
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.LOGIN_MAX_FAILURES_PER_IP = '3';
+process.env.CORS_ORIGIN = 'https://app.example.com, https://admin.example.com/';
+
+const { api, bearer, registerUser, repos, ADMIN } = require('./helpers');
+
+const from = (ip) => ({ 'X-Forwarded-For': ip });
+
+const login = (ip, email, password) => api().post('/api/users/login').set(from(ip)).send({ email, password });
+
+describe('rate limits', () => {
+    it('limits API requests per client with 429 and Retry-After', async () => {
+        for (let i = 1; i <= 6; i++) {
+            const res = await api().get('/api/destinations').set(from('10.0.0.1')).expect(200);
+            assert.equal(res.headers['ratelimit-limit'], '6');
+            assert.equal(res.headers['ratelimit-remaining'], String(6 - i));
+        }
+
+        const limited = await api().get('/api/destinations').set(from('10.0.0.1')).expect(429);
+        assert.equal(limited.body.error.code, 'TOO_MANY_REQUESTS');
+        assert.ok(Number(limited.headers['retry-after']) > 0);
+        assert.ok(Number(limited.headers['retry-after']) <= 60);
+
+        // Other clients and health checks are unaffected
+        await api().get('/api/destinations').set(from('10.0.0.2')).expect(200);
+        await api().get('/api/health').set(from('10.0.0.1')).expect(200);
+    });
+
+    it('counts signed-in requests against the account, whatever the IP', async () => {
+        const user = await registerUser();
+
+        for (let i = 1; i <= 6; i++) {
+            await api().get('/api/users/me/preferences').set(bearer(user.token)).set(from(`10.0.1.${i}`)).expect(200);
+        }
+
+        await api().get('/api/users/me/preferences').set(bearer(user.token)).set(from('10.0.1.7')).expect(429);
+    });
+
+    it('applies the stricter auth limit to sign-in and recovery routes', async () => {
+        for (let i = 0; i < 4; i++) {
+            await api().post('/api/users/forgot-password').set(from('10.0.2.1'))
+                .send({ email: 'nobody@example.com' })
+                .expect(200);
+        }
+
+        const res = await api().post('/api/users/forgot-password').set(from('10.0.2.1'))
+            .send({ email: 'nobody@example.com' })
+            .expect(429);
+        assert.equal(res.headers['ratelimit-limit'], '4');
+        assert.ok(Number(res.headers['retry-after']) > 60);
+    });
+});
+
+describe('login lockout', () => {
+    it('locks an account after repeated failures from any IP', async () => {
+        const user = await registerUser();
+
+        for (let i = 1; i <= 3; i++) {
+            await login(`10.1.0.${i}`, user.email, 'wrong-password').expect(401);
+        }
+
+        // Even the right password is refused until the lockout ends
+        const res = await login('10.1.0.4', user.email.toUpperCase(), user.password).expect(429);
+        assert.equal(res.body.error.message, 'Too many failed login attempts; try again later');
+        assert.ok(Number(res.headers['retry-after']) > 0);
+        assert.ok(Number(res.headers['retry-after']) <= 60);
+    });
+
+    it('forgets an account\'s failures after a successful login', async () => {
+        const user = await registerUser();
+
+        await login('10.1.1.1', user.email, 'wrong-password').expect(401);
+        await login('10.1.1.2', user.email, 'wrong-password').expect(401);
+        await login('10.1.1.3', user.email, user.password).expect(200);
+        await login('10.1.1.4', user.email, 'wrong-password').expect(401);
+        await login('10.1.1.5', user.email, 'wrong-password').expect(401);
+        await login('10.1.1.6', user.email, user.password).expect(200);
+    });
+
+    it('locks an IP that guesses at several accounts', async () => {
+        for (let i = 1; i <= 3; i++) {
+            await login('10.1.2.1', `guess${i}@example.com`, 'password123').expect(401);
+        }
+
+        await login('10.1.2.1', ADMIN.email, ADMIN.password).expect(429);
+        await login('10.1.2.2', ADMIN.email, ADMIN.password).expect(200);
+    });
+
+    it('refuses a deactivated account with 403 once its password is right', async () => {
+        const user = await registerUser();
+        await repos.users.updateProfile(user.id, { is_active: false });
+
+        await login('10.1.3.1', user.email, 'wrong-password').expect(401);
+        const res = await login('10.1.3.2', user.email, user.password).expect(403);
+        assert.equal(res.body.error.message, 'This account has been deactivated');
+
+        // Refusing it doesn't count as a failure towards the lockout
+        for (let i = 3; i <= 5; i++) {
+            await login(`10.1.3.${i}`, user.email, user.password).expect(403);
+        }
+    });
+});
+
+describe('browser security', () => {
+    it('only allows the configured CORS origins', async () => {
+        const allowed = await api().options('/api/destinations')
+            .set('Origin', 'https://admin.example.com')
+            .set('Access-Control-Request-Method', 'POST')
+            .expect(204);
+        assert.equal(allowed.headers['access-control-allow-origin'], 'https://admin.example.com');
+
+        const other = await api().get('/api/health').set('Origin', 'https://evil.example.com').expect(200);
+        assert.equal(other.headers['access-control-allow-origin'], undefined);
+    });
+
+    it('sends security headers', async () => {
+        const res = await api().get('/api/health').expect(200);
+
+        assert.equal(res.headers['x-content-type-options'], 'nosniff');
+        assert.equal(res.headers['x-frame-options'], 'DENY');
+        assert.equal(res.headers['referrer-policy'], 'no-referrer');
+        assert.match(res.headers['content-security-policy'], /default-src 'none'/);
+        assert.equal(res.headers['x-powered-by'], undefined);
+        assert.equal(res.headers['strict-transport-security'], undefined);
+    });
+});
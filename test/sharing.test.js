@@ -0,0 +1,126 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, mailbox, registerUser, createTrip } = require('./helpers');
+
+describe('trip collaborators', () => {
+    let owner;
+    let friend;
+    let tripId;
+    let url;
+
+    before(async () => {
+        owner = await registerUser();
+        friend = await registerUser();
+        tripId = await createTrip(owner.token);
+        url = `/api/trips/${tripId}/collaborators`;
+    });
+
+    it('invites a registered user by email as a viewer and mails them', async () => {
+        const res = await api().post(url).set(bearer(owner.token)).send({ email: friend.email.toUpperCase() }).expect(201);
+
+        assert.deepEqual(res.body.collaborator, { user_id: friend.id, name: 'Traveller 2', email: friend.email, role: 'viewer' });
+        assert.match(mailbox[mailbox.length - 1].text, /added you to "Goa getaway" as a viewer/);
+
+        const { body } = await api().get(url).set(bearer(friend.token)).expect(200);
+        assert.equal(body.owner.user_id, owner.id);
+        assert.deepEqual(body.collaborators.map(c => [c.user_id, c.role, c.invited_by]), [[friend.id, 'viewer', owner.id]]);
+
+        // Viewers can read the trip but not change it
+        await api().get(`/api/trips/${tripId}`).set(bearer(friend.token)).expect(200);
+        await api().post(`/api/trips/${tripId}/expenses`).set(bearer(friend.token))
+            .send({ category: 'food', amount: 100, expense_date: '2026-12-01' })
+            .expect(403);
+    });
+
+    it('refuses duplicates, the owner and unknown emails', async () => {
+        const duplicate = await api().post(url).set(bearer(owner.token)).send({ email: friend.email }).expect(409);
+        assert.equal(duplicate.body.error.message, 'User is already a collaborator on this trip');
+
+        await api().post(url).set(bearer(owner.token)).send({ email: owner.email }).expect(400);
+        await api().post(url).set(bearer(owner.token)).send({ email: 'nobody@example.com' }).expect(404);
+
+        // Only the owner can invite
+        await api().post(url).set(bearer(friend.token)).send({ email: 'nobody@example.com' }).expect(403);
+    });
+
+    it('lets the owner change a role', async () => {
+        const res = await api().patch(`${url}/${friend.id}`).set(bearer(owner.token)).send({ role: 'editor' }).expect(200);
+        assert.equal(res.body.role, 'editor');
+
+        await api().post(`/api/trips/${tripId}/expenses`).set(bearer(friend.token))
+            .send({ category: 'food', amount: 100, expense_date: '2026-12-01' })
+            .expect(201);
+
+        await api().patch(`${url}/${owner.id}`).set(bearer(owner.token)).send({ role: 'viewer' }).expect(404);
+    });
+
+    it('only lets collaborators remove themselves', async () => {
+        const other = await registerUser();
+        await api().post(url).set(bearer(owner.token)).send({ email: other.email }).expect(201);
+
+        const res = await api().delete(`${url}/${other.id}`).set(bearer(friend.token)).expect(403);
+        assert.equal(res.body.error.message, 'Only the trip owner can remove other collaborators');
+
+        await api().delete(`${url}/${friend.id}`).set(bearer(friend.token)).expect(200);
+        await api().get(`/api/trips/${tripId}`).set(bearer(friend.token)).expect(403);
+
+        await api().delete(`${url}/${other.id}`).set(bearer(owner.token)).expect(200);
+        await api().delete(`${url}/${other.id}`).set(bearer(owner.token)).expect(404);
+    });
+});
+
+describe('trip share links', () => {
+    let owner;
+    let tripId;
+    let url;
+
+    before(async () => {
+        owner = await registerUser();
+        tripId = await createTrip(owner.token);
+        url = `/api/trips/${tripId}/share`;
+    });
+
+    it('shows the plan without sign-in until the link is revoked', async () => {
+        const before = await api().get(url).set(bearer(owner.token)).expect(200);
+        assert.deepEqual(before.body, { active: false, created_at: null });
+
+        const created = await api().post(url).set(bearer(owner.token)).expect(201);
+        const { token } = created.body;
+        assert.match(token, /^[a-f0-9]{64}$/);
+        assert.equal(created.body.api_url, `/api/shared/trips/${token}`);
+
+        const status = await api().get(url).set(bearer(owner.token)).expect(200);
+        assert.equal(status.body.active, true);
+        assert.equal(status.body.token, undefined);
+
+        const { body: shared } = await api().get(`/api/shared/trips/${token}?currency=USD`).expect(200);
+        assert.equal(shared.id, tripId);
+        assert.equal(shared.trip_name, 'Goa getaway');
+        assert.equal(shared.currency, 'USD');
+        assert.equal(shared.budget_total, 108);
+        assert.equal(shared.user_id, undefined);
+        assert.equal(shared.itinerary.length, 3);
+        assert.equal(shared.itinerary[0].estimated_cost, 6);
+        assert.equal(shared.itinerary[0].trip_id, undefined);
+        assert.equal(shared.bookings, undefined);
+
+        await api().delete(url).set(bearer(owner.token)).expect(200);
+        await api().get(`/api/shared/trips/${token}`).expect(404);
+        await api().delete(url).set(bearer(owner.token)).expect(404);
+    });
+
+    it('replaces the earlier link when a new one is created', async () => {
+        const first = await api().post(url).set(bearer(owner.token)).expect(201);
+        const second = await api().post(url).set(bearer(owner.token)).expect(201);
+
+        await api().get(`/api/shared/trips/${first.body.token}`).expect(404);
+        await api().get(`/api/shared/trips/${second.body.token}`).expect(200);
+    });
+
+    it('is managed by the owner only', async () => {
+        const stranger = await registerUser();
+
+        await api().post(url).set(bearer(stranger.token)).expect(403);
+        await api().get('/api/shared/trips/not-a-token').expect(400);
+    });
+});
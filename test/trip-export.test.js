@@ -0,0 +1,156 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, createTrip } = require('./helpers');
+
+const CALENDAR = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'X-WR-CALNAME:Manali escape',
+    'BEGIN:VEVENT',
+    'DTSTART:20270310T090000',
+    'SUMMARY:Solang valley',
+    'LOCATION:Manali',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Leave in 30 minutes',
+    'TRIGGER:-PT30M',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20270312',
+    'SUMMARY:Hadimba temple',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+describe('GET /api/trips/:id/export', () => {
+    let owner;
+    let tripId;
+
+    before(async () => {
+        owner = await registerUser();
+        tripId = await createTrip(owner.token);
+        await api().post(`/api/trips/${tripId}/bookings`).set(bearer(owner.token))
+            .send({
+                booking_type: 'hotel',
+                provider_name: 'Sea Breeze',
+                booking_date: '2026-12-01',
+                amount: 4000,
+                status: 'confirmed',
+                details: { hotel_name: 'Sea Breeze', check_in: '2026-12-01', check_out: '2026-12-03' }
+            })
+            .expect(201);
+        await api().post(`/api/trips/${tripId}/expenses`).set(bearer(owner.token))
+            .send({ category: 'food', amount: 850, expense_date: '2026-12-02', note: 'Seafood, with "extras"' })
+            .expect(201);
+    });
+
+    it('exports a JSON backup with the itinerary and bookings', async () => {
+        const res = await api().get(`/api/trips/${tripId}/export`).set(bearer(owner.token)).expect(200);
+
+        assert.match(res.headers['content-disposition'], new RegExp(`filename="trip-${tripId}.json"`));
+        assert.equal(res.body.format, 'travelmate-trip');
+        assert.equal(res.body.trip.start_date, '2026-12-01');
+        assert.deepEqual(res.body.trip.itinerary.day1.map(item => item.name), ['Beach hopping', 'Fort Aguada']);
+        assert.equal(res.body.trip.budget.hotel, 6000);
+        assert.deepEqual(res.body.bookings.map(b => [b.booking_type, b.amount, b.currency, b.status]), [['hotel', 4000, 'INR', 'confirmed']]);
+        assert.equal(res.body.bookings[0].details.hotel_name, 'Sea Breeze');
+    });
+
+    it('exports CSV rows for the budget, itinerary, bookings and expenses', async () => {
+        const res = await api().get(`/api/trips/${tripId}/export?format=csv`).set(bearer(owner.token)).expect(200);
+
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        const lines = res.text.trim().split(/\r?\n/);
+        assert.equal(lines[0], 'type,date,day,time,category,description,location,amount,currency,status');
+        assert.ok(lines.includes('itinerary,2026-12-01,1,09:00,activities,Beach hopping,,500,INR,'));
+        assert.ok(lines.some(line => line.startsWith('booking,2026-12-01,,,hotel,Sea Breeze,,4000,INR,confirmed')));
+        assert.ok(lines.includes('expense,2026-12-02,,,food,"Seafood, with ""extras"" - paid by Traveller 1",,850,INR,'));
+    });
+
+    it('exports only to travellers on the trip', async () => {
+        const stranger = await registerUser();
+
+        await api().get(`/api/trips/${tripId}/export`).set(bearer(stranger.token)).expect(403);
+    });
+});
+
+describe('POST /api/trips/import', () => {
+    let owner;
+
+    before(async () => {
+        owner = await registerUser();
+    });
+
+    const importTrip = (query = '') => api().post(`/api/trips/import${query}`).set(bearer(owner.token));
+
+    it('restores a JSON backup as a new trip with its bookings', async () => {
+        const tripId = await createTrip(owner.token);
+        await api().post(`/api/trips/${tripId}/bookings`).set(bearer(owner.token))
+            .send({ booking_type: 'activity', amount: 1500, currency: 'USD', details: { activity_name: 'Scuba diving' } })
+            .expect(201);
+        const backup = await api().get(`/api/trips/${tripId}/export`).set(bearer(owner.token)).expect(200);
+
+        const res = await importTrip().send(backup.body).expect(201);
+        assert.notEqual(res.body.trip_id, tripId);
+        assert.deepEqual(res.body.summary, { days: 3, activities: 3, bookings: 1 });
+
+        const { body: trip } = await api().get(`/api/trips/${res.body.trip_id}`).set(bearer(owner.token)).expect(200);
+        assert.equal(trip.trip_name, 'Goa getaway');
+        assert.equal(trip.budget_total, 9000);
+        assert.equal(trip.itinerary.length, 3);
+
+        // The list converts amounts to the trip's currency; a single booking keeps its own
+        const { body } = await api().get(`/api/trips/${res.body.trip_id}/bookings`).set(bearer(owner.token)).expect(200);
+        assert.deepEqual(body.bookings.map(b => [b.booking_type, b.user_id]), [['activity', owner.id]]);
+
+        const { body: booking } = await api().get(`/api/trips/${res.body.trip_id}/bookings/${body.bookings[0].id}`)
+            .set(bearer(owner.token))
+            .expect(200);
+        assert.equal(booking.amount, 1500);
+        assert.equal(booking.currency, 'USD');
+    });
+
+    it('previews an import without saving it', async () => {
+        const before = await api().get(`/api/trips/user/${owner.id}`).set(bearer(owner.token)).expect(200);
+
+        const res = await importTrip('?dry_run=true')
+            .send({
+                format: 'travelmate-trip',
+                version: 1,
+                trip: { destination_id: 999, trip_name: 'Elsewhere', destination_name: 'Elsewhere', start_date: '2027-01-05', num_days: 2 }
+            })
+            .expect(200);
+
+        assert.equal(res.body.dry_run, true);
+        assert.equal(res.body.trip.destination_id, null);
+        assert.deepEqual(res.body.warnings.map(w => w.type), ['destination_not_found']);
+
+        const after = await api().get(`/api/trips/user/${owner.id}`).set(bearer(owner.token)).expect(200);
+        assert.equal(after.body.length, before.body.length);
+    });
+
+    it('maps calendar events to itinerary days, ignoring their alarms', async () => {
+        const res = await importTrip('?dry_run=true').set('Content-Type', 'text/calendar').send(CALENDAR).expect(200);
+
+        const { trip } = res.body;
+        assert.equal(trip.trip_name, 'Manali escape');
+        assert.equal(trip.destination_name, 'Manali');
+        assert.equal(trip.start_date, '2027-03-10');
+        assert.equal(trip.num_days, 3);
+        assert.deepEqual(trip.itinerary.day1, [{ name: 'Solang valley', time: '09:00:00', notes: null, location: 'Manali' }]);
+        assert.deepEqual(trip.itinerary.day3.map(item => item.name), ['Hadimba temple']);
+    });
+
+    it('rejects calendars with events before the requested start date', async () => {
+        const res = await importTrip().send({ ics: CALENDAR, start_date: '2027-03-11' }).expect(400);
+
+        assert.equal(res.body.error.message, 'The calendar has events before the start date 2027-03-11');
+    });
+
+    it('rejects bodies that are neither a calendar nor a backup', async () => {
+        const res = await importTrip().send({ trip_name: 'Nowhere' }).expect(400);
+
+        assert.equal(res.body.error.message, 'Expected an iCalendar file or a TravelMate JSON backup');
+    });
+});
@@ -0,0 +1,341 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { api, bearer, registerUser, tripPayload, createTrip } = require('./helpers');
+
+const getTrip = (user, tripId) => api().get(`/api/trips/${tripId}`).set(bearer(user.token));
+
+const activityNames = (trip, dayNumber) => trip.itinerary
+    .filter(item => item.day_number === dayNumber)
+    .sort((a, b) => a.order_index - b.order_index)
+    .map(item => item.activity_name);
+
+describe('POST /api/trips', () => {
+    let user;
+
+    before(async () => {
+        user = await registerUser();
+    });
+
+    it('saves the trip with its itinerary and budget total', async () => {
+        const tripId = await createTrip(user.token);
+
+        const { body: trip } = await getTrip(user, tripId).expect(200);
+        assert.equal(trip.trip_name, 'Goa getaway');
+        assert.equal(trip.status, 'planning');
+        assert.equal(trip.budget_total, 9000);
+        assert.equal(trip.role, 'owner');
+        assert.deepEqual(activityNames(trip, 1), ['Beach hopping', 'Fort Aguada']);
+        assert.deepEqual(activityNames(trip, 2), ['Spice plantation']);
+    });
+
+    it('reports missing fields', async () => {
+        const res = await api().post('/api/trips')
+            .set(bearer(user.token))
+            .send({ trip_name: 'Somewhere' })
+            .expect(400);
+
+        const fields = res.body.error.details.map(d => d.field);
+        assert.deepEqual(fields.sort(), ['destination_name', 'num_days', 'start_date']);
+    });
+
+    it('rejects itinerary days beyond the trip length in strict mode', async () => {
+        const res = await api().post('/api/trips?strict=true')
+            .set(bearer(user.token))
+            .send(tripPayload({ num_days: 1 }))
+            .expect(400);
+
+        assert.equal(res.body.error.details[0].type, 'day_out_of_range');
+    });
+
+    it('rolls back the whole trip when the destination does not exist', async () => {
+        const before = await api().get(`/api/trips/user/${user.id}`).set(bearer(user.token)).expect(200);
+
+        await api().post('/api/trips')
+            .set(bearer(user.token))
+            .send(tripPayload({ destination_id: 999 }))
+            .expect(404);
+
+        const after = await api().get(`/api/trips/user/${user.id}`).set(bearer(user.token)).expect(200);
+        assert.equal(after.body.length, before.body.length);
+    });
+
+    it('requires a token', async () => {
+        await api().post('/api/trips').send(tripPayload()).expect(401);
+    });
+});
+
+describe('reading trips', () => {
+    let owner;
+    let stranger;
+    let tripId;
+
+    before(async () => {
+        owner = await registerUser();
+        stranger = await registerUser();
+        tripId = await createTrip(owner.token);
+    });
+
+    it("lists the user's trips", async () => {
+        const res = await api().get(`/api/trips/user/${owner.id}`).set(bearer(owner.token)).expect(200);
+
+        assert.deepEqual(res.body.map(trip => trip.id), [tripId]);
+    });
+
+    it('lists each trip with its own itinerary and bookings', async () => {
+        const user = await registerUser();
+        const goaId = await createTrip(user.token);
+        const manaliId = await createTrip(user.token, {
+            destination_id: 3,
+            trip_name: 'Manali escape',
+            destination_name: 'Manali',
+            itinerary: { day1: [{ name: 'Hadimba Temple' }] }
+        });
+        const emptyId = await createTrip(user.token, { trip_name: 'Undecided', itinerary: {} });
+
+        const res = await api().get(`/api/trips/user/${user.id}`).set(bearer(user.token)).expect(200);
+        const byId = new Map(res.body.map(trip => [trip.id, trip]));
+
+        assert.deepEqual(activityNames(byId.get(goaId), 1), ['Beach hopping', 'Fort Aguada']);
+        assert.deepEqual(activityNames(byId.get(manaliId), 1), ['Hadimba Temple']);
+        assert.deepEqual(byId.get(emptyId).itinerary, []);
+        assert.ok(res.body.every(trip => Array.isArray(trip.bookings)));
+    });
+
+    it("hides another user's trips", async () => {
+        await getTrip(stranger, tripId).expect(403);
+        await api().get(`/api/trips/user/${owner.id}`).set(bearer(stranger.token)).expect(403);
+    });
+
+    it('returns 404 for a trip that does not exist', async () => {
+        await getTrip(owner, 9999).expect(404);
+    });
+});
+
+describe('PUT /api/trips/:id', () => {
+    let user;
+
+    before(async () => {
+        user = await registerUser();
+    });
+
+    it('keeps, moves, adds and drops itinerary items in one update', async () => {
+        const tripId = await createTrip(user.token);
+        const { body: trip } = await getTrip(user, tripId);
+        const [beach, fort] = trip.itinerary;
+
+        await api().put(`/api/trips/${tripId}`)
+            .set(bearer(user.token))
+            .send(tripPayload({
+                trip_name: 'Goa, take two',
+                num_days: 2,
+                itinerary: {
+                    day1: [{ id: fort.id, name: 'Fort Aguada', time: '09:00' }],
+                    day2: [{ id: beach.id, name: 'Beach hopping' }, { name: 'Sunset cruise', time: '18:00' }]
+                }
+            }))
+            .expect(200);
+
+        const { body: updated } = await getTrip(user, tripId).expect(200);
+        assert.equal(updated.trip_name, 'Goa, take two');
+        assert.equal(updated.end_date.slice(0, 10), '2026-12-02');
+        assert.deepEqual(activityNames(updated, 1), ['Fort Aguada']);
+        assert.deepEqual(activityNames(updated, 2), ['Beach hopping', 'Sunset cruise']);
+        assert.equal(updated.itinerary.find(item => item.id === fort.id).activity_time, '09:00:00');
+    });
+
+    it('keeps the status when the body leaves it out', async () => {
+        const tripId = await createTrip(user.token);
+
+        await api().patch(`/api/trips/${tripId}`).set(bearer(user.token)).send({ status: 'confirmed' }).expect(200);
+        await api().put(`/api/trips/${tripId}`).set(bearer(user.token)).send(tripPayload({ trip_name: 'Goa, renamed' })).expect(200);
+
+        const { body: trip } = await getTrip(user, tripId).expect(200);
+        assert.equal(trip.trip_name, 'Goa, renamed');
+        assert.equal(trip.status, 'confirmed');
+    });
+
+    it('refuses items from another trip and leaves the trip untouched', async () => {
+        const tripId = await createTrip(user.token);
+        const otherTripId = await createTrip(user.token, { trip_name: 'Other trip' });
+        const { body: other } = await getTrip(user, otherTripId);
+
+        const res = await api().put(`/api/trips/${tripId}`)
+            .set(bearer(user.token))
+            .send(tripPayload({
+                trip_name: 'Renamed',
+                itinerary: { day1: [{ id: other.itinerary[0].id, name: 'Stolen' }] }
+            }))
+            .expect(400);
+        assert.match(res.body.error.message, /does not belong to this trip/);
+
+        const { body: trip } = await getTrip(user, tripId);
+        assert.equal(trip.trip_name, 'Goa getaway');
+        assert.equal(trip.itinerary.length, 3);
+    });
+
+    it('returns 404 for an unknown destination without changing the trip', async () => {
+        const tripId = await createTrip(user.token);
+
+        await api().put(`/api/trips/${tripId}`)
+            .set(bearer(user.token))
+            .send(tripPayload({ destination_id: 999, trip_name: 'Nowhere', itinerary: {} }))
+            .expect(404);
+
+        const { body: trip } = await getTrip(user, tripId);
+        assert.equal(trip.trip_name, 'Goa getaway');
+        assert.equal(trip.itinerary.length, 3);
+    });
+});
+
+describe('PATCH /api/trips/:id', () => {
+    it('changes only the fields sent and recomputes the end date', async () => {
+        const user = await registerUser();
+        const tripId = await createTrip(user.token);
+
+        const res = await api().patch(`/api/trips/${tripId}`)
+            .set(bearer(user.token))
+            .send({ num_days: 5, status: 'confirmed' })
+            .expect(200);
+
+        assert.equal(res.body.trip.status, 'confirmed');
+        assert.equal(res.body.trip.trip_name, 'Goa getaway');
+        assert.equal(res.body.trip.end_date.slice(0, 10), '2026-12-05');
+    });
+
+    it('rejects an empty body', async () => {
+        const user = await registerUser();
+        const tripId = await createTrip(user.token);
+
+        await api().patch(`/api/trips/${tripId}`).set(bearer(user.token)).send({}).expect(400);
+    });
+
+    it('checks the stored itinerary and unknown fields in strict mode', async () => {
+        const user = await registerUser();
+        const tripId = await createTrip(user.token);
+
+        // The itinerary has activities on day 2
+        const res = await api().patch(`/api/trips/${tripId}?strict=true`)
+            .set(bearer(user.token))
+            .send({ num_days: 1 })
+            .expect(400);
+        assert.equal(res.body.error.details[0].type, 'day_out_of_range');
+
+        const typo = await api().patch(`/api/trips/${tripId}?strict=true`)
+            .set(bearer(user.token))
+            .send({ trip_name: 'Goa again', notse: 'typo' })
+            .expect(400);
+        assert.deepEqual(typo.body.error.details, [{ field: 'notse', message: 'is not allowed' }]);
+
+        await api().patch(`/api/trips/${tripId}`).set(bearer(user.token)).send({ num_days: 1 }).expect(200);
+    });
+});
+
+describe('itinerary items', () => {
+    let user;
+    let tripId;
+
+    before(async () => {
+        user = await registerUser();
+        tripId = await createTrip(user.token);
+    });
+
+    it('adds, moves and deletes an item, renumbering each day', async () => {
+        const added = await api().post(`/api/trips/${tripId}/itinerary`)
+            .set(bearer(user.token))
+            .send({ day_number: 2, name: 'Dinner at Thalassa', time: '19:30', position: 0 })
+            .expect(201);
+        const itemId = added.body.item.id;
+
+        let { body: trip } = await getTrip(user, tripId);
+        assert.deepEqual(activityNames(trip, 2), ['Dinner at Thalassa', 'Spice plantation']);
+
+        await api().post(`/api/trips/${tripId}/itinerary/${itemId}/move`)
+            .set(bearer(user.token))
+            .send({ day_number: 1, position: 1 })
+            .expect(200);
+
+        ({ body: trip } = await getTrip(user, tripId));
+        assert.deepEqual(activityNames(trip, 1), ['Beach hopping', 'Dinner at Thalassa', 'Fort Aguada']);
+        assert.deepEqual(activityNames(trip, 2), ['Spice plantation']);
+
+        await api().delete(`/api/trips/${tripId}/itinerary/${itemId}`).set(bearer(user.token)).expect(200);
+
+        ({ body: trip } = await getTrip(user, tripId));
+        assert.deepEqual(activityNames(trip, 1), ['Beach hopping', 'Fort Aguada']);
+        assert.deepEqual(trip.itinerary.filter(i => i.day_number === 1).map(i => i.order_index), [0, 1]);
+    });
+
+    it('requires a day number', async () => {
+        const res = await api().post(`/api/trips/${tripId}/itinerary`)
+            .set(bearer(user.token))
+            .send({ name: 'Some day' })
+            .expect(400);
+
+        assert.equal(res.body.error.details[0].field, 'day_number');
+    });
+
+    it('returns 404 for an item that does not exist', async () => {
+        await api().delete(`/api/trips/${tripId}/itinerary/9999`).set(bearer(user.token)).expect(404);
+    });
+
+    it('applies strict mode to item writes', async () => {
+        const outside = await api().post(`/api/trips/${tripId}/itinerary?strict=true`)
+            .set(bearer(user.token))
+            .send({ day_number: 9, name: 'Dudhsagar Falls' })
+            .expect(400);
+        assert.equal(outside.body.error.details[0].type, 'day_out_of_range');
+
+        const typo = await api().post(`/api/trips/${tripId}/itinerary?strict=true`)
+            .set(bearer(user.token))
+            .send({ day_number: 1, name: 'Anjuna market', tiem: '10:00' })
+            .expect(400);
+        assert.deepEqual(typo.body.error.details, [{ field: 'tiem', message: 'is not allowed' }]);
+
+        const { body: trip } = await getTrip(user, tripId);
+        const spice = trip.itinerary.find(item => item.activity_name === 'Spice plantation');
+
+        await api().post(`/api/trips/${tripId}/itinerary/${spice.id}/move?strict=true`)
+            .set(bearer(user.token))
+            .send({ day_number: 4 })
+            .expect(400);
+
+        await api().patch(`/api/trips/${tripId}/itinerary/${spice.id}?strict=true`)
+            .set(bearer(user.token))
+            .send({ notes: 'Lunch included' })
+            .expect(200);
+    });
+
+    it('only turns strict mode on for moves with ?strict=true', async () => {
+        const { body: trip } = await getTrip(user, tripId);
+        const spice = trip.itinerary.find(item => item.activity_name === 'Spice plantation');
+        const move = (query) => api().post(`/api/trips/${tripId}/itinerary/${spice.id}/move${query}`)
+            .set(bearer(user.token))
+            .send({ day_number: 4 });
+
+        const unknown = await move('?strict=maybe').expect(400);
+        assert.equal(unknown.body.error.details[0].field, 'strict');
+
+        await move('?strict=false').expect(200);
+    });
+});
+
+describe('DELETE /api/trips/:id', () => {
+    it('deletes the trip and its itinerary', async () => {
+        const user = await registerUser();
+        const tripId = await createTrip(user.token);
+
+        await api().delete(`/api/trips/${tripId}`).set(bearer(user.token)).expect(200);
+
+        await getTrip(user, tripId).expect(404);
+        await api().get(`/api/trips/${tripId}/itinerary`).set(bearer(user.token)).expect(404);
+    });
+
+    it("forbids deleting someone else's trip", async () => {
+        const owner = await registerUser();
+        const stranger = await registerUser();
+        const tripId = await createTrip(owner.token);
+
+        await api().delete(`/api/trips/${tripId}`).set(bearer(stranger.token)).expect(403);
+        await getTrip(owner, tripId).expect(200);
+    });
+});
@@ -5,648 +5,6007 @@
 
 const express = require('express');
 const cors = require('cors');
-const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const PDFDocument = require('pdfkit');
 require('dotenv').config();
+const { createRepositories } = require('./repositories');
 
 const app = express();
 
 // =====================================================
-// Middleware
+// Logging
 // =====================================================
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
 
-// Logging middleware
+// One JSON object per line: time, level, msg, the request_id of the request being served
+// (if any) and the fields passed in. debug and info go to stdout, warn and error to stderr.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const LOG_LEVEL = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'warn' : 'info');
+
+if (!LOG_LEVELS[LOG_LEVEL]) {
+    throw new Error(`Unknown LOG_LEVEL "${LOG_LEVEL}"; use debug, info, warn, error or silent`);
+}
+
+// The request being handled, so log lines written anywhere while serving it carry its id
+const requestContext = new AsyncLocalStorage();
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+});
+
+const writeLog = (level, message, fields = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+        return;
+    }
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(context && { request_id: context.requestId }),
+        ...fields
+    };
+
+    if (entry.error instanceof Error) {
+        entry.error = serializeError(entry.error);
+    }
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = Object.fromEntries(
+    ['debug', 'info', 'warn', 'error'].map(level => [level, (message, fields) => writeLog(level, message, fields)])
+);
+
+// =====================================================
+// Request Tracking & Metrics
+// =====================================================
+
+// Latency histogram buckets, in seconds
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Per "<method> <route>": { method, route, statuses: Map(status -> count), buckets, sum, count }
+const httpMetrics = new Map();
+let requestsInFlight = 0;
+
+// The route pattern rather than the URL, so ids don't create a series each.
+// Requests that matched no route (404s, or answered by app-wide middleware) share one label.
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+const recordRequest = (method, route, status, seconds) => {
+    const key = `${method} ${route}`;
+    let series = httpMetrics.get(key);
+
+    if (!series) {
+        series = { method, route, statuses: new Map(), buckets: HTTP_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        httpMetrics.set(key, series);
+    }
+
+    series.statuses.set(status, (series.statuses.get(status) || 0) + 1);
+    HTTP_DURATION_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) {
+            series.buckets[i] += 1;
+        }
+    });
+    series.sum += seconds;
+    series.count += 1;
+};
+
+// Probes and scrapes run every few seconds, so they are only logged at debug level
+const QUIET_PATHS = new Set(['/metrics', '/api/health', '/api/health/live', '/api/health/ready']);
+
+// Clients and proxies may pass their own X-Request-Id; anything else gets a fresh UUID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give every request an id, echoed in X-Request-Id, and log and count it once it is answered.
+// A client that disconnects before the response is sent is recorded with status 499.
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    let recorded = false;
+    requestsInFlight += 1;
+
+    const record = () => {
+        if (recorded) {
+            return;
+        }
+        recorded = true;
+        requestsInFlight -= 1;
+
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const status = res.writableFinished ? res.statusCode : 499;
+        const path = req.originalUrl.split('?')[0];
+        const route = routeLabel(req);
+
+        recordRequest(req.method, route, status, seconds);
+
+        const level = status >= 500 ? 'error' : QUIET_PATHS.has(path) ? 'debug' : 'info';
+        writeLog(level, 'request completed', {
+            request_id: req.id,
+            method: req.method,
+            path,
+            route,
+            status,
+            duration_ms: Math.round(seconds * 10000) / 10,
+            ip: req.ip,
+            ...(req.user && { user_id: req.user.id })
+        });
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
     next();
 });
 
 // =====================================================
-// Database Connection Pool
+// Middleware
 // =====================================================
-const pool = mysql.createPool({
-    host: process.env.DB_HOST || 'localhost',
-    user: 'ananyatravel',
-    password: 'root123',
-    database: 'travelmate_db',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-    enableKeepAlive: true,
-    keepAliveInitialDelay: 0
-});
 
-// Test database connection
-pool.getConnection()
-    .then(connection => {
-        console.log('✓ Database connected successfully');
-        console.log('  User: ananyatravel');
-        console.log('  Database: travelmate_db');
-        connection.release();
-    })
-    .catch(err => {
-        console.error('✗ Database connection failed:', err.message);
-        console.error('  Please check MySQL is running and credentials are correct');
+// Behind a load balancer or reverse proxy, TRUST_PROXY (a hop count, true, or a subnet list
+// such as loopback) lets req.ip come from X-Forwarded-For, which the rate limits key on
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// CORS_ORIGIN is a comma-separated allow-list of browser origins, or * for any origin.
+// When it is unset every origin is allowed in development and none in production.
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || (process.env.NODE_ENV === 'production' ? '' : '*'))
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+if (!process.env.CORS_ORIGIN && process.env.NODE_ENV === 'production') {
+    logger.warn('CORS_ORIGIN is not set; browsers on other origins cannot call the API');
+}
+
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
+    // Let browser clients read the download name, request id and rate limit details
+    exposedHeaders: ['Content-Disposition', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+    maxAge: 600
+}));
+
+// Security headers for a JSON API: no MIME sniffing, framing, referrers or active content.
+// HSTS is only sent over HTTPS (set TRUST_PROXY when TLS ends at a proxy).
+app.disable('x-powered-by');
+app.use((req, res, next) => {
+    res.set({
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'no-referrer',
+        'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'"
     });
+    if (req.secure) {
+        res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+    }
+    next();
+});
+
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Run the rest of the request in its context. This comes after the body parsers, which
+// resume in the socket's async context rather than the request's.
+app.use((req, res, next) => requestContext.run({ requestId: req.id }, next));
+
+// =====================================================
+// Data Store
+// =====================================================
+
+// DB_BACKEND picks MySQL (the default) or the in-memory store; see repositories/index.js
+const repos = createRepositories();
 
 // =====================================================
 // JWT Secret
 // =====================================================
+
+// The development fallback must never sign production tokens
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set when NODE_ENV is production');
+}
+
+if (!process.env.JWT_SECRET) {
+    logger.warn('JWT_SECRET is not set; using the development fallback secret');
+}
+
 const JWT_SECRET = process.env.JWT_SECRET || 'travelmate_secret_key_2024';
 
 // =====================================================
-// Authentication Middleware
+// Session Tokens
 // =====================================================
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+// Access tokens are short-lived JWTs; refresh tokens are random strings stored hashed
+// in refresh_tokens and rotated on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+    { id: user.id, name: user.name, email: user.email, role: user.role || 'user' },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Create a refresh token row and matching access token. `familyId` links every token
+// rotated from the same login so a replayed token can revoke the whole chain.
+// `store` is the repositories, or the ones bound to a transaction.
+const issueSession = async (user, req, familyId, store = repos) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const sessionId = await store.sessions.create({
+        user_id: user.id,
+        token_hash: hashToken(refreshToken),
+        family_id: familyId || crypto.randomUUID(),
+        expires_at: expiresAt,
+        user_agent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+        ip_address: req.ip || null
+    });
+
+    const token = signAccessToken(user);
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+        session_id: sessionId,
+        tokens: {
+            token,
+            token_type: 'Bearer',
+            expires_in: exp - iat,
+            refresh_token: refreshToken,
+            refresh_token_expires_at: expiresAt.toISOString()
+        }
+    };
+};
+
+// Revoke every active refresh token of a user, optionally keeping one session
+const revokeAllSessions = (userId, exceptSessionId, store = repos) =>
+    store.sessions.revokeAllForUser(userId, exceptSessionId);
+
+// =====================================================
+// Mailer
+// =====================================================
+
+// Transports share one interface: send({ from, to, subject, text }) resolving to an info object.
+// MAIL_TRANSPORT picks one: console (default), file (writes JSON files to MAIL_DIR) or smtp.
+const mailTransports = {
+    console: () => ({
+        send: async (message) => {
+            logger.info('mail sent', { to: message.to, subject: message.subject, text: message.text });
+            return { transport: 'console' };
+        }
+    }),
+
+    file: () => {
+        const dir = path.resolve(process.env.MAIL_DIR || './mail');
+        return {
+            send: async (message) => {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+                await fs.promises.writeFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+                return { transport: 'file', file };
+            }
+        };
+    },
+
+    smtp: () => {
+        // Only loaded when selected so development setups don't need nodemailer configured
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return {
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                return { transport: 'smtp', messageId: info.messageId };
+            }
+        };
     }
+};
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+// Register another transport (e.g. a provider API) under a MAIL_TRANSPORT name
+const registerMailTransport = (name, factory) => {
+    mailTransports[name] = factory;
+};
+
+let mailTransport = null;
+
+const getMailTransport = () => {
+    if (!mailTransport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!mailTransports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
         }
-        req.user = user;
-        next();
+        mailTransport = mailTransports[name]();
+    }
+    return mailTransport;
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'TravelMate <no-reply@travelmate.local>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+// Mail failures are logged rather than failing the request that triggered them
+const sendMail = async ({ to, subject, text }) => {
+    try {
+        return await getMailTransport().send({ from: MAIL_FROM, to, subject, text });
+    } catch (error) {
+        logger.error('Failed to send mail', { error });
+        return null;
+    }
+};
+
+// =====================================================
+// Account Tokens
+// =====================================================
+
+// Single-use tokens for password resets and email verification, stored hashed in user_tokens
+const ACCOUNT_TOKEN_TTL_MINUTES = {
+    password_reset: 60,
+    email_verification: 24 * 60
+};
+
+// Issue a new token, invalidating any earlier unused token for the same purpose
+const createAccountToken = async (userId, purpose, store = repos) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ACCOUNT_TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+    await store.accountTokens.invalidate(userId, purpose);
+    await store.accountTokens.create({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: expiresAt
+    });
+
+    return token;
+};
+
+// Mark a token as used and return its row, or null when it is unknown, used or expired.
+// Call it inside a transaction: the MySQL store locks the token row until commit.
+const consumeAccountToken = async (token, purpose, store) => {
+    const row = await store.accountTokens.findByHash(hashToken(token), purpose);
+
+    if (!row || row.used_at || new Date(row.expires_at) <= new Date()) {
+        return null;
+    }
+
+    await store.accountTokens.markUsed(row.id);
+
+    return row;
+};
+
+const sendVerificationEmail = async (user, store = repos) => {
+    const token = await createAccountToken(user.id, 'email_verification', store);
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your TravelMate email address',
+        text: `Hi ${user.name},\n\n` +
+            `Please confirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\n` +
+            `The link expires in ${ACCOUNT_TOKEN_TTL_MINUTES.email_verification / 60} hours.`
+    });
+};
+
+const sendPasswordResetEmail = async (user, store = repos) => {
+    const token = await createAccountToken(user.id, 'password_reset', store);
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your TravelMate password',
+        text: `Hi ${user.name},\n\n` +
+            `We received a request to reset your password. Open this link to choose a new one:\n` +
+            `${APP_URL}/reset-password?token=${token}\n\n` +
+            `The link expires in ${ACCOUNT_TOKEN_TTL_MINUTES.password_reset} minutes. ` +
+            'If you did not ask for a reset you can ignore this email.'
     });
 };
 
 // =====================================================
-// AUTHENTICATION ROUTES
+// Error Responses
 // =====================================================
 
-// Register new user
-app.post('/api/users/register', async (req, res) => {
-    try {
-        const { name, email, password, phone } = req.body;
+// Machine-readable codes for every error status the API returns
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR'
+};
 
-        // Validate input
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'Name, email, and password are required' });
-        }
+// Every error response has the shape { error: { status, code, message, details? } }
+const sendError = (res, status, message, details) => {
+    const error = {
+        status,
+        code: details ? 'VALIDATION_ERROR' : (ERROR_CODES[status] || 'ERROR'),
+        message
+    };
 
-        // Check if user exists
-        const [existing] = await pool.query(
-            'SELECT * FROM users WHERE email = ?',
-            [email]
-        );
+    if (details) {
+        error.details = details;
+    }
+
+    return res.status(status).json({ error });
+};
+
+// =====================================================
+// Rate Limiting
+// =====================================================
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse a duration such as 500ms, 30s, 15m, 1h or 1d (a bare number is seconds) into milliseconds
+const parseDuration = (value) => {
+    const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value).trim());
+    return match ? Number(match[1]) * DURATION_UNITS[match[2] || 's'] : null;
+};
+
+// Requests allowed per window for each route group. RATE_LIMIT_<GROUP> overrides a group as
+// "<max>/<window>", e.g. RATE_LIMIT_AUTH=10/15m, and "off" turns it off.
+//   auth  sign-in, registration and account recovery, per IP
+//   api   every /api request, per account when an access token is sent, otherwise per IP
+const RATE_LIMIT_DEFAULTS = {
+    auth: '20/15m',
+    api: '300/1m'
+};
+
+const readRateLimit = (group) => {
+    const name = `RATE_LIMIT_${group.toUpperCase()}`;
+    const value = (process.env[name] || RATE_LIMIT_DEFAULTS[group]).trim();
+
+    if (value === 'off') {
+        return null;
+    }
+
+    const match = /^(\d+)\/(.+)$/.exec(value);
+    const windowMs = match && parseDuration(match[2]);
+
+    if (!match || !windowMs || Number(match[1]) < 1) {
+        throw new Error(`Invalid ${name} "${value}"; expected <max>/<window>, e.g. 100/15m, or off`);
+    }
+
+    return { max: Number(match[1]), windowMs };
+};
+
+const RATE_LIMITS = Object.fromEntries(Object.keys(RATE_LIMIT_DEFAULTS).map(group => [group, readRateLimit(group)]));
+
+// Stores share one async interface, so a shared store (e.g. Redis) can serve several servers:
+//   increment(key, windowMs)  count a hit in a fixed window opened by the first hit; resolves { count, resetAt }
+//   get(key)                  the value last set, or null once it has expired
+//   set(key, value, ttlMs)    store a JSON-serialisable value
+//   delete(key)
+// RATE_LIMIT_STORE picks one: memory (default, per process) or a name given to registerRateLimitStore.
+const rateLimitStores = {
+    memory: () => {
+        const entries = new Map();
+
+        const live = (key) => {
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry || null;
+        };
+
+        // Drop expired entries now and then so clients seen once don't pile up
+        setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of entries) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                }
+            }
+        }, 60 * 1000).unref();
+
+        return {
+            increment: async (key, windowMs) => {
+                let entry = live(key);
+                if (!entry) {
+                    entry = { value: 0, expiresAt: Date.now() + windowMs };
+                    entries.set(key, entry);
+                }
+                entry.value += 1;
+                return { count: entry.value, resetAt: entry.expiresAt };
+            },
+            get: async (key) => {
+                const entry = live(key);
+                return entry ? structuredClone(entry.value) : null;
+            },
+            set: async (key, value, ttlMs) => {
+                entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+            },
+            delete: async (key) => {
+                entries.delete(key);
+            }
+        };
+    }
+};
+
+// Register another store under a RATE_LIMIT_STORE name
+const registerRateLimitStore = (name, factory) => {
+    rateLimitStores[name] = factory;
+};
+
+let rateLimitStore = null;
 
-        if (existing.length > 0) {
-            return res.status(400).json({ error: 'Email already registered' });
+const getRateLimitStore = () => {
+    if (!rateLimitStore) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!rateLimitStores[name]) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
         }
+        rateLimitStore = rateLimitStores[name]();
+    }
+    return rateLimitStore;
+};
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
 
-        // Insert user
-        const [result] = await pool.query(
-            'INSERT INTO users (name, email, password, phone) VALUES (?, ?, ?, ?)',
-            [name, email, hashedPassword, phone || null]
-        );
+const sendTooManyRequests = (res, retryAt, message) => {
+    res.set('Retry-After', String(secondsUntil(retryAt)));
+    return sendError(res, 429, message);
+};
 
-        // Generate token
-        const token = jwt.sign(
-            { id: result.insertId, name, email },
-            JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+const ipKey = (req) => `ip:${req.ip}`;
 
-        res.status(201).json({
-            message: 'User registered successfully',
-            user_id: result.insertId,
-            name,
-            email,
-            token
-        });
+// The account when a valid access token is sent, otherwise the IP
+const clientKey = (req) => {
+    const user = userFromToken(req);
+    return user ? `user:${user.id}` : ipKey(req);
+};
+
+// Count the request against a route group's limit, answering 429 once it is used up.
+// Sends the draft-standard RateLimit-* headers on every counted response.
+const rateLimit = (group, keyFor = ipKey) => async (req, res, next) => {
+    const limit = RATE_LIMITS[group];
+
+    if (!limit) {
+        return next();
+    }
+
+    let hit;
+    try {
+        hit = await getRateLimitStore().increment(`rate:${group}:${keyFor(req)}`, limit.windowMs);
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ error: 'Server error during registration' });
+        // An unreachable shared store shouldn't take the API down with it
+        logger.error('Rate limit store error', { error });
+        return next();
     }
-});
 
-// Login user
-app.post('/api/users/login', async (req, res) => {
+    res.set({
+        'RateLimit-Limit': String(limit.max),
+        'RateLimit-Remaining': String(Math.max(0, limit.max - hit.count)),
+        'RateLimit-Reset': String(secondsUntil(hit.resetAt))
+    });
+
+    if (hit.count > limit.max) {
+        return sendTooManyRequests(res, hit.resetAt, 'Too many requests; try again later');
+    }
+
+    next();
+};
+
+// Health checks come from load balancers and monitors, so they are never limited
+const isHealthCheck = (req) => req.path === '/health' || req.path.startsWith('/health/');
+
+app.use('/api', (req, res, next) => (isHealthCheck(req) ? next() : rateLimit('api', clientKey)(req, res, next)));
+
+// Failed logins are counted per account and per IP. Reaching the limit locks further attempts
+// out for LOGIN_LOCKOUT, and each lockout after that lasts twice as long, up to LOGIN_LOCKOUT_MAX.
+// The history is forgotten after a day without failures.
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOGIN_LOCKOUT_MS = parseDuration(process.env.LOGIN_LOCKOUT || '1m');
+const LOGIN_LOCKOUT_MAX_MS = parseDuration(process.env.LOGIN_LOCKOUT_MAX || '1h');
+const LOGIN_HISTORY_MS = DURATION_UNITS.d;
+
+if (!LOGIN_LOCKOUT_MS || !LOGIN_LOCKOUT_MAX_MS) {
+    throw new Error('LOGIN_LOCKOUT and LOGIN_LOCKOUT_MAX must be durations such as 30s, 15m or 1h');
+}
+
+const loginThrottleKeys = (req, email) => [
+    { key: `login:account:${email.toLowerCase()}`, max: LOGIN_MAX_FAILURES },
+    { key: `login:${ipKey(req)}`, max: LOGIN_MAX_FAILURES_PER_IP }
+];
+
+// The lockout helpers fail open like rateLimit: an unreachable store is logged and
+// logins carry on unthrottled rather than failing
+
+// When the account or IP is locked out, the time the lock ends; otherwise null
+const loginLockedUntil = async (keys) => {
+    let until = null;
+
     try {
-        const { email, password } = req.body;
+        for (const { key } of keys) {
+            const state = await getRateLimitStore().get(key);
+            if (state && state.locked_until > Date.now()) {
+                until = Math.max(until || 0, state.locked_until);
+            }
+        }
+    } catch (error) {
+        logger.warn('Login lockout store error', { error });
+        return null;
+    }
+
+    return until;
+};
+
+const recordLoginFailure = async (keys) => {
+    try {
+        const store = getRateLimitStore();
 
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password required' });
+        for (const { key, max } of keys) {
+            const state = (await store.get(key)) || { failures: 0, lockouts: 0, locked_until: 0 };
+
+            state.failures += 1;
+            if (state.failures >= max) {
+                state.locked_until = Date.now() + Math.min(LOGIN_LOCKOUT_MS * 2 ** state.lockouts, LOGIN_LOCKOUT_MAX_MS);
+                state.lockouts += 1;
+                state.failures = 0;
+            }
+
+            await store.set(key, state, Math.max(LOGIN_HISTORY_MS, state.locked_until - Date.now()));
         }
+    } catch (error) {
+        logger.warn('Login lockout store error', { error });
+    }
+};
 
-        // Find user
-        const [users] = await pool.query(
-            'SELECT * FROM users WHERE email = ?',
-            [email]
-        );
+// A successful login clears the account's history; the IP's is kept, so one working
+// password doesn't reset the count for guesses at other accounts
+const clearLoginFailures = async (keys) => {
+    try {
+        await getRateLimitStore().delete(keys[0].key);
+    } catch (error) {
+        logger.warn('Login lockout store error', { error });
+    }
+};
+
+// =====================================================
+// Response Cache
+// =====================================================
+
+// Read-heavy GETs are cached in the process, per namespace. Entries expire after the
+// namespace's TTL and are dropped as soon as a route marked with invalidates() changes the
+// data behind them. Each process keeps its own cache, so with several servers a change
+// made through another one can take up to the TTL to show.
+// CACHE_TTL_<NAMESPACE> overrides a TTL, e.g. CACHE_TTL_DESTINATIONS=10m, and "off" turns it off.
+//   destinations  destination listings, details, nearby searches and the popular list
+//   stats         the admin dashboard
+const CACHE_TTL_DEFAULTS = {
+    destinations: '5m',
+    stats: '1m'
+};
+
+// Per namespace; the oldest entry makes room for a new one
+const CACHE_MAX_ENTRIES = 1000;
+
+const readCacheTtl = (namespace) => {
+    const name = `CACHE_TTL_${namespace.toUpperCase()}`;
+    const value = (process.env[name] || CACHE_TTL_DEFAULTS[namespace]).trim();
+
+    if (value === 'off') {
+        return null;
+    }
+
+    const ttlMs = parseDuration(value);
+    if (!ttlMs) {
+        throw new Error(`Invalid ${name} "${value}"; expected a duration such as 30s or 5m, or off`);
+    }
+
+    return ttlMs;
+};
+
+// `generation` goes up on every invalidation, so a response that was being built while its
+// data changed is sent but not stored
+const responseCaches = Object.fromEntries(Object.keys(CACHE_TTL_DEFAULTS).map(namespace => [
+    namespace,
+    { ttlMs: readCacheTtl(namespace), entries: new Map(), generation: 0 }
+]));
+
+// Drop the cached responses of the given namespaces, or of every namespace
+const invalidateCache = (...namespaces) => {
+    for (const namespace of namespaces.length > 0 ? namespaces : Object.keys(responseCaches)) {
+        responseCaches[namespace].entries.clear();
+        responseCaches[namespace].generation += 1;
+    }
+};
+
+// Cached bodies carry a strong ETag, and express answers 304 when If-None-Match matches it.
+// Clients are asked to revalidate every time; the body depends on the caller's currency.
+const sendCached = (res, entry, cacheStatus) => {
+    res.set({ ETag: entry.etag, 'Cache-Control': 'no-cache', 'X-Cache': cacheStatus });
+    res.vary('Authorization');
+    res.type('json').send(entry.body);
+};
+
+// Serve a GET from the namespace's cache, or cache its 200 response. Goes after withCurrency:
+// the key is the URL plus the currency the response is shown in.
+const cacheResponse = (namespace) => (req, res, next) => {
+    const cache = responseCaches[namespace];
 
-        if (users.length === 0) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+    if (!cache.ttlMs) {
+        return next();
+    }
+
+    const key = `${req.originalUrl} ${(req.currency && req.currency.target) || BASE_CURRENCY}`;
+    const cached = cache.entries.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return sendCached(res, cached, 'HIT');
+    }
+    cache.entries.delete(key);
+
+    const generation = cache.generation;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (res.statusCode !== 200) {
+            return json(body);
         }
 
-        const user = users[0];
+        const text = JSON.stringify(body);
+        const entry = {
+            body: text,
+            etag: `"${crypto.createHash('sha1').update(text).digest('base64url')}"`,
+            expiresAt: Date.now() + cache.ttlMs
+        };
 
-        // Verify password
-        const validPassword = await bcrypt.compare(password, user.password);
-        if (!validPassword) {
-            return res.status(401).json({ error: 'Invalid email or password' });
+        if (cache.generation === generation) {
+            if (cache.entries.size >= CACHE_MAX_ENTRIES) {
+                cache.entries.delete(cache.entries.keys().next().value);
+            }
+            cache.entries.set(key, entry);
         }
 
-        // Update last login
-        await pool.query(
-            'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
-            [user.id]
-        );
+        return sendCached(res, entry, 'MISS');
+    };
 
-        // Generate token
-        const token = jwt.sign(
-            { id: user.id, name: user.name, email: user.email },
-            JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+    next();
+};
+
+// Invalidate the namespaces when the route succeeds. This happens just before the response
+// is sent, so a client reading right after its own change never gets the old data.
+// Dry runs (validated ?dry_run=true) save nothing, so they leave the cache alone.
+const invalidates = (...namespaces) => (req, res, next) => {
+    const end = res.end;
+
+    res.end = function (...args) {
+        if (res.statusCode < 400 && req.query.dry_run !== true) {
+            invalidateCache(...namespaces);
+        }
+        return end.apply(this, args);
+    };
+
+    next();
+};
+
+// =====================================================
+// Request Validation
+// =====================================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Query strings and URL params arrive as strings, so numbers and booleans are coerced
+const coerceValue = (type, value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+// Check one value against its rule, pushing { field, message } entries onto errors.
+// Returns the (possibly coerced) value.
+const checkValue = (rule, value, field, errors, coerce) => {
+    const fail = (message) => {
+        errors.push({ field, message });
+        return value;
+    };
+
+    if (coerce) {
+        value = coerceValue(rule.type, value);
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail('must be a string');
+            if (rule.minLength && value.trim().length < rule.minLength) {
+                return fail(rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength && value.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+            if (rule.pattern && !rule.pattern.test(value)) return fail(rule.patternMessage || 'has an invalid format');
+            break;
+        case 'email':
+            if (typeof value !== 'string' || !EMAIL_PATTERN.test(value)) return fail('must be a valid email address');
+            if (value.length > 150) return fail('must be at most 150 characters');
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !isFinite(value)) return fail('must be a number');
+            if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+            if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('must be true or false');
+            break;
+        case 'date':
+            // Round-trip through Date so impossible dates such as 2024-02-31 are rejected
+            if (typeof value !== 'string' || !DATE_PATTERN.test(value) ||
+                isNaN(Date.parse(value)) || new Date(value).toISOString().slice(0, 10) !== value) {
+                return fail('must be a date in YYYY-MM-DD format');
+            }
+            break;
+        case 'time':
+            if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+                return fail('must be a time in HH:MM or HH:MM:SS format');
+            }
+            break;
+        case 'enum':
+            if (!rule.values.includes(value)) return fail(`must be one of ${rule.values.join(', ')}`);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return fail('must be a list');
+            if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+            if (rule.items) {
+                value = value.map((item, i) => checkValue(rule.items, item, `${field}[${i}]`, errors, coerce));
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) return fail('must be an object');
+            value = checkObject(rule, value, `${field}.`, errors, coerce);
+            break;
+        default:
+            break;
+    }
+
+    // Object rules run their custom check inside checkObject
+    if (rule.custom && rule.type !== 'object') {
+        const message = rule.custom(value);
+        if (message) return fail(message);
+    }
+
+    return value;
+};
+
+// Check an object against { properties, keys, allowUnknown }: `properties` lists named
+// fields, `keys` validates dynamic keys (e.g. itinerary days) against one rule.
+const checkObject = (schema, data, prefix, errors, coerce) => {
+    const properties = schema.properties || {};
+    const result = { ...data };
+
+    for (const [name, rule] of Object.entries(properties)) {
+        const value = data[name];
+
+        if (value === undefined || (value === '' && coerce) || (value === null && rule.nullable)) {
+            if (rule.required) {
+                errors.push({ field: prefix + name, message: 'is required' });
+            }
+            continue;
+        }
+
+        if (value === null) {
+            errors.push({ field: prefix + name, message: rule.required ? 'is required' : 'must not be null' });
+            continue;
+        }
+
+        result[name] = checkValue(rule, value, prefix + name, errors, coerce);
+    }
+
+    for (const name of Object.keys(data)) {
+        if (properties[name]) {
+            continue;
+        }
+        if (schema.keys) {
+            if (schema.keys.pattern && !schema.keys.pattern.test(name)) {
+                errors.push({ field: prefix + name, message: schema.keys.patternMessage || 'is not an allowed key' });
+            } else {
+                result[name] = checkValue(schema.keys.rule, data[name], prefix + name, errors, coerce);
+            }
+        } else if (schema.allowUnknown === false) {
+            errors.push({ field: prefix + name, message: 'is not allowed' });
+        }
+    }
+
+    if (schema.custom && errors.length === 0) {
+        const message = schema.custom(result);
+        if (message) {
+            errors.push({ field: prefix.replace(/\.$/, '') || 'body', message });
+        }
+    }
+
+    return result;
+};
+
+// Middleware validating req.params, req.query and req.body against declarative schemas:
+//   validate({ params: { id: { type: 'integer', required: true } }, body: { ... } })
+// Each schema is a map of field name to rule, or { properties, keys, allowUnknown, custom }.
+const validate = (schemas) => {
+    const normalized = {};
+
+    for (const [source, schema] of Object.entries(schemas)) {
+        normalized[source] = schema.properties || schema.keys ? schema : { properties: schema };
+    }
+
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const source of ['params', 'query', 'body']) {
+            if (normalized[source]) {
+                // On routes whose query accepts ?strict=true, strict mode also rejects body
+                // fields the schema doesn't know, so misspelt fields aren't silently dropped
+                const schema = source === 'body' && req.query.strict === true && !normalized.body.keys
+                    ? { ...normalized.body, allowUnknown: false }
+                    : normalized[source];
+                req[source] = checkObject(schema, req[source] || {}, '', errors, source !== 'body');
+            }
+        }
+
+        if (errors.length > 0) {
+            return sendError(res, 400, 'Request validation failed', errors);
+        }
+
+        next();
+    };
+};
+
+// Schemas shared by many routes
+const idParams = { id: { type: 'integer', min: 1, required: true } };
+const userIdParams = { userId: { type: 'integer', min: 1, required: true } };
+
+// =====================================================
+// Pagination
+// =====================================================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query fields accepted by every paginated listing
+const paginationQuery = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+};
+
+const getPagination = (query) => {
+    const page = query.page || 1;
+    const limit = query.limit || DEFAULT_PAGE_SIZE;
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+const paginationMeta = (page, limit, total) => {
+    const totalPages = Math.ceil(total / limit);
+    return {
+        page,
+        limit,
+        total,
+        total_pages: totalPages,
+        has_next: page < totalPages,
+        has_prev: page > 1
+    };
+};
+
+// =====================================================
+// Authentication Middleware
+// =====================================================
+const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return sendError(res, 401, 'Access token required');
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        // Expired tokens get a 401 so clients know to call /api/users/refresh
+        if (err && err.name === 'TokenExpiredError') {
+            return sendError(res, 401, 'Access token expired');
+        }
+        if (err) {
+            return sendError(res, 403, 'Invalid or expired token');
+        }
+        req.user = user;
+        next();
+    });
+};
+
+// The JWT user when a valid access token is sent, otherwise null; for public routes that
+// personalise their response
+const userFromToken = (req) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return null;
+    }
+
+    try {
+        return jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Restrict a route to admin accounts
+const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return sendError(res, 403, 'Admin access required');
+    }
+    next();
+};
+
+// Restrict a route to the user named in a URL parameter (admins may view anyone)
+const requireSelfOrAdmin = (param) => (req, res, next) => {
+    if (String(req.params[param]) !== String(req.user.id) && req.user.role !== 'admin') {
+        return sendError(res, 403, 'You do not have access to this resource');
+    }
+    next();
+};
+
+// Access levels on a trip, lowest first. Collaborators are viewers or editors.
+const TRIP_ROLES = ['viewer', 'editor', 'owner'];
+
+// The user's role on a trip, or null when it isn't theirs and wasn't shared with them
+const findTripRole = async (trip, userId) => {
+    if (trip.user_id === userId) {
+        return 'owner';
+    }
+
+    return repos.trips.findCollaboratorRole(trip.id, userId);
+};
+
+// Load the trip in :id and make sure the authenticated user has at least `minRole` on it
+const requireTripRole = (minRole) => async (req, res, next) => {
+    try {
+        const trip = await repos.trips.findById(req.params.id);
+
+        if (!trip) {
+            return sendError(res, 404, 'Trip not found');
+        }
+
+        const role = await findTripRole(trip, req.user.id);
+
+        if (!role) {
+            return sendError(res, 403, 'You do not have access to this trip');
+        }
+
+        if (TRIP_ROLES.indexOf(role) < TRIP_ROLES.indexOf(minRole)) {
+            return sendError(res, 403, `This action requires the ${minRole} role on the trip`);
+        }
+
+        req.trip = trip;
+        req.tripRole = role;
+        next();
+    } catch (error) {
+        logger.error('Error checking trip access', { error });
+        sendError(res, 500, 'Failed to verify trip access');
+    }
+};
+
+const requireTripViewer = requireTripRole('viewer');
+const requireTripEditor = requireTripRole('editor');
+const requireTripOwner = requireTripRole('owner');
+
+// =====================================================
+// AUTHENTICATION ROUTES
+// =====================================================
+
+// Passwords need at least 8 characters with a letter and a digit
+const passwordRule = {
+    type: 'string',
+    minLength: 8,
+    maxLength: 128,
+    required: true,
+    custom: (value) => (/[A-Za-z]/.test(value) && /\d/.test(value) ? null : 'must contain at least one letter and one number')
+};
+
+const registerSchema = {
+    body: {
+        name: { type: 'string', minLength: 1, maxLength: 100, required: true },
+        email: { type: 'email', required: true },
+        password: passwordRule,
+        phone: { type: 'string', pattern: /^\+?[0-9 -]{7,15}$/, patternMessage: 'must be a valid phone number', nullable: true }
+    }
+};
+
+const loginSchema = {
+    body: {
+        email: { type: 'email', required: true },
+        password: { type: 'string', minLength: 1, required: true }
+    }
+};
+
+// Register new user
+app.post('/api/users/register', rateLimit('auth'), validate(registerSchema), invalidates('stats'), async (req, res) => {
+    try {
+        const { name, email, password, phone } = req.body;
+
+        // Check if user exists
+        const existing = await repos.users.findByEmail(email);
+
+        if (existing) {
+            return sendError(res, 409, 'Email already registered');
+        }
+
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // Insert user
+        const userId = await repos.users.create({ name, email, password: hashedPassword, phone });
+
+        const user = { id: userId, name, email, role: 'user' };
+
+        // Ask the user to confirm their address
+        await sendVerificationEmail(user);
+
+        // Start a session
+        const { tokens } = await issueSession(user, req);
+
+        res.status(201).json({
+            message: 'User registered successfully',
+            user_id: userId,
+            name,
+            email,
+            email_verified: false,
+            ...tokens
+        });
+    } catch (error) {
+        // Another request registered the same email in the meantime
+        if (error.code === 'ER_DUP_ENTRY') {
+            return sendError(res, 409, 'Email already registered');
+        }
+        logger.error('Registration error', { error });
+        sendError(res, 500, 'Server error during registration');
+    }
+});
+
+// Login user
+app.post('/api/users/login', rateLimit('auth'), validate(loginSchema), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const throttleKeys = loginThrottleKeys(req, email);
+
+        const lockedUntil = await loginLockedUntil(throttleKeys);
+        if (lockedUntil) {
+            return sendTooManyRequests(res, lockedUntil, 'Too many failed login attempts; try again later');
+        }
+
+        // Find user
+        const user = await repos.users.findByEmail(email);
+
+        if (!user) {
+            await recordLoginFailure(throttleKeys);
+            return sendError(res, 401, 'Invalid email or password');
+        }
+
+        // Verify password
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            await recordLoginFailure(throttleKeys);
+            return sendError(res, 401, 'Invalid email or password');
+        }
+
+        await clearLoginFailures(throttleKeys);
+
+        // Only said once the password is right, so it doesn't reveal which accounts exist
+        if (!user.is_active) {
+            return sendError(res, 403, 'This account has been deactivated');
+        }
+
+        // Update last login
+        await repos.users.recordLogin(user.id);
+
+        // Start a session
+        const { tokens } = await issueSession(user, req);
+
+        res.json({
+            message: 'Login successful',
+            user_id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            email_verified: Boolean(user.email_verified),
+            ...tokens
+        });
+    } catch (error) {
+        logger.error('Login error', { error });
+        sendError(res, 500, 'Server error during login');
+    }
+});
+
+const refreshSchema = {
+    body: {
+        refresh_token: { type: 'string', minLength: 1, maxLength: 200, required: true }
+    }
+};
+
+const logoutSchema = {
+    body: {
+        refresh_token: { type: 'string', minLength: 1, maxLength: 200, required: true },
+        all: { type: 'boolean' }
+    }
+};
+
+const changePasswordSchema = {
+    body: {
+        current_password: { type: 'string', minLength: 1, required: true },
+        new_password: passwordRule
+    }
+};
+
+// Exchange a refresh token for a new access token and a new refresh token
+app.post('/api/users/refresh', rateLimit('auth'), validate(refreshSchema), async (req, res) => {
+    try {
+        // Resolves to { error } for a rejected token, otherwise { tokens }
+        const outcome = await repos.transaction(async (tx) => {
+            const session = await tx.sessions.findByHash(hashToken(req.body.refresh_token), { lock: true });
+
+            if (!session) {
+                return { error: 'Invalid refresh token' };
+            }
+
+            // A rotated token being replayed means it has leaked: end every session in its family
+            if (session.revoked_at) {
+                await tx.sessions.revokeFamily(session.family_id);
+                return { error: 'Refresh token has been revoked' };
+            }
+
+            if (new Date(session.expires_at) <= new Date() || !session.is_active) {
+                return { error: 'Refresh token expired' };
+            }
+
+            const user = { id: session.user_id, name: session.name, email: session.email, role: session.role };
+            const { session_id, tokens } = await issueSession(user, req, session.family_id, tx);
+
+            await tx.sessions.revoke(session.id, session_id);
+
+            return { tokens };
+        });
+
+        if (outcome.error) {
+            return sendError(res, 401, outcome.error);
+        }
+
+        res.json({
+            message: 'Token refreshed successfully',
+            ...outcome.tokens
+        });
+    } catch (error) {
+        logger.error('Token refresh error', { error });
+        sendError(res, 500, 'Server error during token refresh');
+    }
+});
+
+// Logout: revoke the session's refresh token, or every session of the user with `all`
+app.post('/api/users/logout', validate(logoutSchema), async (req, res) => {
+    try {
+        const session = await repos.sessions.findByHash(hashToken(req.body.refresh_token));
+
+        // Unknown tokens are treated as already logged out
+        if (session) {
+            if (req.body.all) {
+                await revokeAllSessions(session.user_id);
+            } else {
+                await repos.sessions.revokeFamily(session.family_id);
+            }
+        }
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        logger.error('Logout error', { error });
+        sendError(res, 500, 'Server error during logout');
+    }
+});
+
+// Change password: signs out every other session and starts a fresh one for this client
+app.put('/api/users/me/password', authenticateToken, validate(changePasswordSchema), async (req, res) => {
+    try {
+        // Resolves to { status, error } when the change is refused, otherwise { tokens }
+        const outcome = await repos.transaction(async (tx) => {
+            const user = await tx.users.findById(req.user.id, { lock: true });
+
+            if (!user) {
+                return { status: 404, error: 'User not found' };
+            }
+
+            const validPassword = await bcrypt.compare(req.body.current_password, user.password);
+            if (!validPassword) {
+                return { status: 401, error: 'Current password is incorrect' };
+            }
+
+            const hashedPassword = await bcrypt.hash(req.body.new_password, 10);
+
+            await tx.users.setPassword(user.id, hashedPassword);
+
+            await revokeAllSessions(user.id, null, tx);
+            return issueSession(user, req, null, tx);
+        });
+
+        if (outcome.error) {
+            return sendError(res, outcome.status, outcome.error);
+        }
+
+        res.json({
+            message: 'Password changed successfully',
+            ...outcome.tokens
+        });
+    } catch (error) {
+        logger.error('Password change error', { error });
+        sendError(res, 500, 'Failed to change password');
+    }
+});
+
+const forgotPasswordSchema = {
+    body: {
+        email: { type: 'email', required: true }
+    }
+};
+
+const resetPasswordSchema = {
+    body: {
+        token: { type: 'string', minLength: 1, maxLength: 200, required: true },
+        new_password: passwordRule
+    }
+};
+
+const verifyEmailSchema = {
+    body: {
+        token: { type: 'string', minLength: 1, maxLength: 200, required: true }
+    }
+};
+
+const updateProfileSchema = {
+    body: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        phone: registerSchema.body.phone,
+        profile_image: {
+            type: 'string',
+            maxLength: 500,
+            pattern: /^https?:\/\/\S+$/,
+            patternMessage: 'must be an http(s) URL',
+            nullable: true
+        }
+    }
+};
+
+// Request a password reset email (always answers the same way so emails can't be probed)
+app.post('/api/users/forgot-password', rateLimit('auth'), validate(forgotPasswordSchema), async (req, res) => {
+    try {
+        const user = await repos.users.findByEmail(req.body.email);
+
+        if (user && user.is_active) {
+            await sendPasswordResetEmail(user);
+        }
+
+        res.json({ message: 'If that email is registered, a reset link has been sent' });
+    } catch (error) {
+        logger.error('Forgot password error', { error });
+        sendError(res, 500, 'Failed to start password reset');
+    }
+});
+
+// Set a new password with a reset token; all existing sessions are revoked
+app.post('/api/users/reset-password', rateLimit('auth'), validate(resetPasswordSchema), async (req, res) => {
+    try {
+        const hashedPassword = await bcrypt.hash(req.body.new_password, 10);
+
+        const reset = await repos.transaction(async (tx) => {
+            const resetToken = await consumeAccountToken(req.body.token, 'password_reset', tx);
+
+            if (!resetToken) {
+                return false;
+            }
+
+            await tx.users.setPassword(resetToken.user_id, hashedPassword);
+            await revokeAllSessions(resetToken.user_id, null, tx);
+
+            return true;
+        });
+
+        if (!reset) {
+            return sendError(res, 400, 'Invalid or expired reset token');
+        }
+
+        res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+        logger.error('Password reset error', { error });
+        sendError(res, 500, 'Failed to reset password');
+    }
+});
+
+// Confirm an email address with the token from the verification email
+app.post('/api/users/verify-email', rateLimit('auth'), validate(verifyEmailSchema), async (req, res) => {
+    try {
+        const verified = await repos.transaction(async (tx) => {
+            const verification = await consumeAccountToken(req.body.token, 'email_verification', tx);
+
+            if (!verification) {
+                return false;
+            }
+
+            await tx.users.markEmailVerified(verification.user_id);
+
+            return true;
+        });
+
+        if (!verified) {
+            return sendError(res, 400, 'Invalid or expired verification token');
+        }
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        logger.error('Email verification error', { error });
+        sendError(res, 500, 'Failed to verify email');
+    }
+});
+
+// Send a fresh verification email to the current user
+app.post('/api/users/resend-verification', rateLimit('auth'), authenticateToken, async (req, res) => {
+    try {
+        const user = await repos.users.findById(req.user.id);
+
+        if (!user) {
+            return sendError(res, 404, 'User not found');
+        }
+
+        if (user.email_verified) {
+            return sendError(res, 409, 'Email is already verified');
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        logger.error('Resend verification error', { error });
+        sendError(res, 500, 'Failed to send verification email');
+    }
+});
+
+// Update the current user's profile
+app.put('/api/users/me', authenticateToken, validate(updateProfileSchema), invalidates('destinations'), async (req, res) => {
+    try {
+        const updates = {};
+
+        for (const field of ['name', 'phone', 'profile_image']) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return sendError(res, 400, 'Request validation failed', [
+                { field: 'body', message: 'must include at least one of name, phone, profile_image' }
+            ]);
+        }
+
+        await repos.users.updateProfile(req.user.id, updates);
+
+        const user = await repos.users.findProfile(req.user.id);
+
+        res.json({
+            message: 'Profile updated successfully',
+            user
+        });
+    } catch (error) {
+        logger.error('Error updating profile', { error });
+        sendError(res, 500, 'Failed to update profile');
+    }
+});
+
+// Get user profile
+app.get('/api/users/:id(\\d+)', authenticateToken, validate({ params: idParams }), requireSelfOrAdmin('id'), async (req, res) => {
+    try {
+        const user = await repos.users.findProfile(req.params.id);
+
+        if (!user) {
+            return sendError(res, 404, 'User not found');
+        }
+
+        res.json(user);
+    } catch (error) {
+        logger.error('Error fetching user', { error });
+        sendError(res, 500, 'Failed to fetch user profile');
+    }
+});
+
+// =====================================================
+// EXCHANGE RATES
+// =====================================================
+
+// Catalogue prices (destination avg_cost, activity estimated_cost) are in the base currency;
+// trips, bookings and expenses each record their own currency
+const BASE_CURRENCY = 'INR';
+
+// Optional CSV/JSON rates file loaded into exchange_rates at startup
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const currencyRule = { type: 'string', pattern: CURRENCY_PATTERN, patternMessage: 'must be a three-letter ISO code such as INR' };
+const currencyQuery = { currency: currencyRule };
+
+// Units of each currency per 1 BASE_CURRENCY, e.g. Map { 'INR' => 1, 'USD' => 0.012 }
+const loadExchangeRates = async (store = repos) => {
+    const rows = await store.exchangeRates.list();
+    const rates = new Map(rows.map(row => [row.currency, parseFloat(row.rate)]));
+    rates.set(BASE_CURRENCY, 1);
+    return rates;
+};
+
+// Round to cents so sums of converted amounts don't pick up float noise
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Convert through the base currency, rounded to 2 decimals. Callers make sure both
+// currencies have a rate.
+const convertAmount = (amount, from, to, rates) => {
+    const value = parseFloat(amount || 0);
+    if (!from || !to || from === to) {
+        return value;
+    }
+    return roundMoney(value / rates.get(from) * rates.get(to));
+};
+
+// Copy of a row with its money fields converted from `from` (the row's own currency by
+// default) into `to`. Converted rows keep their stored currency as original_currency.
+const toCurrency = (row, fields, to, rates, from = row.currency) => {
+    if (!to || to === from) {
+        return { ...row, currency: from };
+    }
+
+    const converted = { ...row, currency: to, original_currency: from };
+    for (const field of fields) {
+        if (row[field] !== null && row[field] !== undefined) {
+            converted[field] = convertAmount(row[field], from, to, rates);
+        }
+    }
+    return converted;
+};
+
+const unknownCurrency = (res, field) =>
+    sendError(res, 400, 'Request validation failed', [{ field, message: 'has no exchange rate' }]);
+
+// Reject a body currency that has no exchange rate (run after validate())
+const requireKnownCurrency = async (req, res, next) => {
+    if (!req.body.currency) {
+        return next();
+    }
+
+    try {
+        const rates = await loadExchangeRates();
+
+        if (!rates.has(req.body.currency)) {
+            return unknownCurrency(res, 'currency');
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Error checking currency', { error });
+        sendError(res, 500, 'Failed to check currency');
+    }
+};
+
+// Saved preferred currency, or null when the user has not chosen one
+const findPreferredCurrency = async (userId) => {
+    const preferences = await repos.preferences.find(userId);
+    return preferences ? preferences.currency : null;
+};
+
+// Decide which currency a response is shown in: ?currency=, else the signed-in user's saved
+// preference. Sets req.currency = { target, rates }; a null target leaves amounts as stored.
+const withCurrency = async (req, res, next) => {
+    try {
+        const rates = await loadExchangeRates();
+        let target = req.query.currency || null;
+
+        if (target && !rates.has(target)) {
+            return unknownCurrency(res, 'currency');
+        }
+
+        const user = req.user || userFromToken(req);
+        if (!target && user) {
+            const preferred = await findPreferredCurrency(user.id);
+            target = rates.has(preferred) ? preferred : null;
+        }
+
+        req.currency = { target, rates };
+        next();
+    } catch (error) {
+        logger.error('Error loading exchange rates', { error });
+        sendError(res, 500, 'Failed to load exchange rates');
+    }
+};
+
+// Parse a rates file: JSON { "base": "USD", "rates": { "INR": 83.2, ... } } or CSV rows of
+// currency,rate. Rates quoted against another base are rebased onto BASE_CURRENCY.
+const parseExchangeRates = (content, format) => {
+    const errors = [];
+    const quoted = new Map();
+    let base = BASE_CURRENCY;
+
+    const add = (currency, rate, field) => {
+        const code = String(currency || '').trim().toUpperCase();
+        const value = typeof rate === 'number' ? rate : parseFloat(String(rate || '').trim());
+
+        if (!CURRENCY_PATTERN.test(code)) {
+            errors.push({ field, message: 'currency must be a three-letter ISO code' });
+        } else if (!Number.isFinite(value) || value <= 0) {
+            errors.push({ field, message: 'rate must be a positive number' });
+        } else {
+            quoted.set(code, value);
+        }
+    };
+
+    if (format === 'json') {
+        let data = content;
+        if (typeof content === 'string') {
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                return { rates: new Map(), errors: [{ field: 'file', message: 'is not valid JSON' }] };
+            }
+        }
+
+        if (!data || typeof data.rates !== 'object' || data.rates === null) {
+            return { rates: new Map(), errors: [{ field: 'rates', message: 'must be an object of currency: rate' }] };
+        }
+
+        if (data.base !== undefined) {
+            base = String(data.base).toUpperCase();
+            if (!CURRENCY_PATTERN.test(base)) {
+                errors.push({ field: 'base', message: 'must be a three-letter ISO code' });
+            }
+        }
+
+        for (const [currency, rate] of Object.entries(data.rates)) {
+            add(currency, rate, `rates.${currency}`);
+        }
+    } else {
+        String(content).split(/\r?\n/).forEach((line, i) => {
+            const text = line.trim();
+            if (!text || text.startsWith('#') || (i === 0 && /^currency\s*,/i.test(text))) {
+                return;
+            }
+            const [currency, rate] = text.split(',');
+            add(currency, rate, `line ${i + 1}`);
+        });
+    }
+
+    if (!quoted.has(base)) {
+        quoted.set(base, 1);
+    }
+
+    if (!quoted.has(BASE_CURRENCY)) {
+        errors.push({ field: 'rates', message: `must include ${BASE_CURRENCY} when quoted against ${base}` });
+    }
+
+    const rates = new Map();
+    if (errors.length === 0) {
+        const divisor = quoted.get(BASE_CURRENCY);
+        for (const [currency, rate] of quoted) {
+            rates.set(currency, Math.round(rate / divisor * 1e8) / 1e8);
+        }
+    }
+
+    return { rates, errors };
+};
+
+const saveExchangeRates = (rates, source) => repos.exchangeRates.save(
+    [...rates].map(([currency, rate]) => ({ currency, rate: currency === BASE_CURRENCY ? 1 : rate, source }))
+);
+
+// Load EXCHANGE_RATES_FILE (.json or .csv) into the exchange_rates table
+const loadExchangeRatesFile = async (filePath) => {
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const { rates, errors } = parseExchangeRates(content, format);
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid exchange rates file: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    }
+
+    await saveExchangeRates(rates, path.basename(filePath));
+    invalidateCache();
+    return rates.size;
+};
+
+const exchangeRateParams = {
+    currency: currencyRule
+};
+
+// Get the exchange rate table
+app.get('/api/exchange-rates', async (req, res) => {
+    try {
+        const rates = await repos.exchangeRates.list();
+
+        res.json({
+            base: BASE_CURRENCY,
+            rates: rates.map(rate => ({ ...rate, rate: parseFloat(rate.rate) }))
+        });
+    } catch (error) {
+        logger.error('Error fetching exchange rates', { error });
+        sendError(res, 500, 'Failed to fetch exchange rates');
+    }
+});
+
+// Bulk-load rates from an uploaded CSV (currency,rate) or JSON ({ base, rates }) file
+app.post('/api/exchange-rates/import', authenticateToken, requireAdmin, invalidates('destinations', 'stats'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '256kb' }),
+    validate({ query: { dry_run: { type: 'boolean' } } }), async (req, res) => {
+        try {
+            const format = typeof req.body === 'string' ? 'csv' : 'json';
+            const { rates, errors } = parseExchangeRates(req.body, format);
+
+            if (errors.length > 0) {
+                return sendError(res, 400, 'Request validation failed', errors);
+            }
+
+            const summary = [...rates].map(([currency, rate]) => ({ currency, rate }));
+
+            if (req.query.dry_run) {
+                return res.json({ dry_run: true, base: BASE_CURRENCY, rates: summary });
+            }
+
+            await saveExchangeRates(rates, 'import');
+
+            res.json({
+                message: 'Exchange rates imported successfully',
+                base: BASE_CURRENCY,
+                rates: summary
+            });
+        } catch (error) {
+            logger.error('Error importing exchange rates', { error });
+            sendError(res, 500, 'Failed to import exchange rates');
+        }
+    });
+
+// Set one currency's rate
+app.put('/api/exchange-rates/:currency', authenticateToken, requireAdmin, invalidates('destinations', 'stats'), validate({
+    params: exchangeRateParams,
+    body: {
+        rate: { type: 'number', required: true, custom: (value) => (value > 0 ? null : 'must be greater than 0') },
+        source: { type: 'string', maxLength: 100, nullable: true }
+    }
+}), async (req, res) => {
+    try {
+        if (req.params.currency === BASE_CURRENCY) {
+            return sendError(res, 400, `The base currency ${BASE_CURRENCY} always has a rate of 1`);
+        }
+
+        await repos.exchangeRates.save([
+            { currency: req.params.currency, rate: req.body.rate, source: req.body.source || 'manual' }
+        ]);
+
+        res.json({ message: 'Exchange rate saved successfully' });
+    } catch (error) {
+        logger.error('Error saving exchange rate', { error });
+        sendError(res, 500, 'Failed to save exchange rate');
+    }
+});
+
+// Remove a currency that nothing is recorded in
+app.delete('/api/exchange-rates/:currency', authenticateToken, requireAdmin, validate({ params: exchangeRateParams }), invalidates('destinations', 'stats'), async (req, res) => {
+    try {
+        const { currency } = req.params;
+
+        if (currency === BASE_CURRENCY) {
+            return sendError(res, 400, `The base currency ${BASE_CURRENCY} cannot be removed`);
+        }
+
+        const uses = await repos.exchangeRates.countUses(currency);
+
+        if (uses > 0) {
+            return sendError(res, 409, `${currency} is still used by trips, bookings or expenses`);
+        }
+
+        const removed = await repos.exchangeRates.remove(currency);
+
+        if (!removed) {
+            return sendError(res, 404, 'Exchange rate not found');
+        }
+
+        res.json({ message: 'Exchange rate deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting exchange rate', { error });
+        sendError(res, 500, 'Failed to delete exchange rate');
+    }
+});
+
+// =====================================================
+// USER PREFERENCES ROUTES
+// =====================================================
+
+const DESTINATION_CATEGORIES = ['beach', 'mountain', 'cultural', 'adventure', 'urban', 'wildlife'];
+const ACTIVITY_TYPES = ['sightseeing', 'adventure', 'cultural', 'relaxation', 'shopping', 'food', 'nightlife'];
+const TRAVEL_STYLES = ['budget', 'moderate', 'luxury'];
+
+// Column defaults from the user_preferences table, used until a user saves their own
+const DEFAULT_PREFERENCES = {
+    preferred_categories: [],
+    budget_range_min: 0,
+    budget_range_max: 100000,
+    preferred_duration_days: 3,
+    travel_style: 'moderate',
+    currency: 'INR',
+    language: 'en',
+    notifications_enabled: true
+};
+
+// Normalise a user_preferences row (DECIMAL columns come back as strings)
+const formatPreferences = (row) => {
+    if (!row) {
+        return { ...DEFAULT_PREFERENCES };
+    }
+
+    let categories = row.preferred_categories || [];
+    if (typeof categories === 'string') {
+        categories = JSON.parse(categories);
+    }
+
+    return {
+        preferred_categories: categories,
+        budget_range_min: parseFloat(row.budget_range_min),
+        budget_range_max: parseFloat(row.budget_range_max),
+        preferred_duration_days: row.preferred_duration_days,
+        travel_style: row.travel_style,
+        currency: row.currency,
+        language: row.language,
+        notifications_enabled: Boolean(row.notifications_enabled)
+    };
+};
+
+const findPreferences = async (userId) => formatPreferences(await repos.preferences.find(userId));
+
+const preferencesSchema = {
+    body: {
+        preferred_categories: {
+            type: 'array',
+            maxItems: DESTINATION_CATEGORIES.length,
+            items: { type: 'enum', values: DESTINATION_CATEGORIES }
+        },
+        budget_range_min: { type: 'number', min: 0 },
+        budget_range_max: { type: 'number', min: 0 },
+        preferred_duration_days: { type: 'integer', min: 1, max: 60 },
+        travel_style: { type: 'enum', values: TRAVEL_STYLES },
+        currency: currencyRule,
+        language: { type: 'string', pattern: /^[a-z]{2}(-[A-Z]{2})?$/, patternMessage: 'must be a language code such as en or en-IN' },
+        notifications_enabled: { type: 'boolean' }
+    }
+};
+
+// Get current user's preferences
+app.get('/api/users/me/preferences', authenticateToken, async (req, res) => {
+    try {
+        const preferences = await findPreferences(req.user.id);
+        res.json(preferences);
+    } catch (error) {
+        logger.error('Error fetching preferences', { error });
+        sendError(res, 500, 'Failed to fetch preferences');
+    }
+});
+
+// Update current user's preferences (fields left out keep their current values)
+app.put('/api/users/me/preferences', authenticateToken, validate(preferencesSchema), requireKnownCurrency, async (req, res) => {
+    try {
+        const current = await findPreferences(req.user.id);
+        const preferences = { ...current };
+
+        for (const field of Object.keys(DEFAULT_PREFERENCES)) {
+            if (req.body[field] !== undefined) {
+                preferences[field] = req.body[field];
+            }
+        }
+
+        if (preferences.budget_range_min > preferences.budget_range_max) {
+            return sendError(res, 400, 'Request validation failed', [
+                { field: 'budget_range_min', message: 'cannot be greater than budget_range_max' }
+            ]);
+        }
+
+        await repos.preferences.save(req.user.id, preferences);
+
+        res.json({
+            message: 'Preferences updated successfully',
+            preferences
+        });
+    } catch (error) {
+        logger.error('Error updating preferences', { error });
+        sendError(res, 500, 'Failed to update preferences');
+    }
+});
+
+// =====================================================
+// GEO HELPERS
+// =====================================================
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in kilometres (haversine formula)
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// GeoJSON uses [longitude, latitude] order; rows without coordinates are skipped
+const hasCoordinates = (row, latKey = 'latitude', lngKey = 'longitude') =>
+    row[latKey] !== null && row[latKey] !== undefined && row[lngKey] !== null && row[lngKey] !== undefined;
+
+const toPoint = (lat, lng) => ({
+    type: 'Point',
+    coordinates: [parseFloat(lng), parseFloat(lat)]
+});
+
+const destinationToFeature = (destination, extra = {}) => {
+    const { latitude, longitude, ...properties } = destination;
+    return {
+        type: 'Feature',
+        id: destination.id,
+        geometry: toPoint(latitude, longitude),
+        properties: { ...properties, ...extra }
+    };
+};
+
+const toFeatureCollection = (features, properties) => ({
+    type: 'FeatureCollection',
+    features,
+    ...(properties ? { properties } : {})
+});
+
+const geoFormatQuery = {
+    format: { type: 'enum', values: ['json', 'geojson'] }
+};
+
+// =====================================================
+// DESTINATION CATALOGUE ROUTES
+// Admin-only editing, import and export of destinations and their activities. These are
+// registered ahead of GET /api/destinations/:id, which would otherwise take 'export' as an id.
+// =====================================================
+
+// Identifies catalogue exports so POST /api/destinations/import can recognise them
+const CATALOGUE_FORMAT = 'travelmate-catalogue';
+const CATALOGUE_VERSION = 1;
+
+const MAX_IMPORT_DESTINATIONS = 500;
+const MAX_DESTINATION_ACTIVITIES = 100;
+
+// Columns PUT resets when they are left out; name and category are always required.
+// rating is not editable: it is recalculated from reviews.
+const DESTINATION_DEFAULTS = {
+    country: 'India',
+    state: null,
+    description: null,
+    image_url: null,
+    duration: null,
+    best_time: null,
+    avg_cost: 0,
+    popular: false,
+    latitude: null,
+    longitude: null
+};
+
+const ACTIVITY_DEFAULTS = {
+    activity_type: 'sightseeing',
+    estimated_cost: 0,
+    duration_hours: 2,
+    description: null
+};
+
+const destinationFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100, required: true },
+    category: { type: 'enum', values: DESTINATION_CATEGORIES, required: true },
+    country: { type: 'string', minLength: 1, maxLength: 100 },
+    state: { type: 'string', maxLength: 100, nullable: true },
+    description: { type: 'string', maxLength: 5000, nullable: true },
+    image_url: {
+        type: 'string',
+        maxLength: 500,
+        nullable: true,
+        pattern: /^https?:\/\/\S+$/i,
+        patternMessage: 'must be an http or https URL'
+    },
+    duration: { type: 'string', maxLength: 50, nullable: true },
+    best_time: { type: 'string', maxLength: 100, nullable: true },
+    avg_cost: { type: 'number', min: 0, max: 99999999 },
+    // Popular destinations are listed by GET /api/destinations/popular/list
+    popular: { type: 'boolean' },
+    latitude: { type: 'number', min: -90, max: 90, nullable: true },
+    longitude: { type: 'number', min: -180, max: 180, nullable: true }
+};
+
+const activityFields = {
+    activity_name: { type: 'string', minLength: 1, maxLength: 200, required: true },
+    activity_type: { type: 'enum', values: ACTIVITY_TYPES },
+    estimated_cost: { type: 'number', min: 0, max: 99999999 },
+    duration_hours: { type: 'integer', min: 1, max: 24 },
+    description: { type: 'string', maxLength: 2000, nullable: true }
+};
+
+const optionalFields = (fields) =>
+    Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, { ...rule, required: false }]));
+
+// A destination is either placed on the map or not, so coordinates change together
+const coordinatePair = (destination) => {
+    const hasLatitude = destination.latitude !== undefined;
+    const hasLongitude = destination.longitude !== undefined;
+
+    if (hasLatitude !== hasLongitude || (hasLatitude && (destination.latitude === null) !== (destination.longitude === null))) {
+        return 'latitude and longitude must be given together';
+    }
+    return null;
+};
+
+const destinationBody = { properties: destinationFields, custom: coordinatePair };
+
+const destinationSchema = { body: destinationBody };
+
+const replaceDestinationSchema = { params: idParams, body: destinationBody };
+
+const patchDestinationSchema = {
+    params: idParams,
+    body: { properties: optionalFields(destinationFields), custom: coordinatePair }
+};
+
+const activityParams = {
+    id: { type: 'integer', min: 1, required: true },
+    activityId: { type: 'integer', min: 1, required: true }
+};
+
+const createActivitySchema = { params: idParams, body: activityFields };
+
+const replaceActivitySchema = { params: activityParams, body: activityFields };
+
+// Keep only the fields in `rules` that were given
+const pickFields = (body, rules) => Object.fromEntries(
+    Object.keys(rules).filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Catalogue rows with DECIMAL and BOOLEAN columns turned back into numbers and booleans
+const catalogueDestination = (row) => ({
+    id: row.id,
+    name: row.name,
+    category: row.category,
+    country: row.country,
+    state: row.state,
+    description: row.description,
+    image_url: row.image_url,
+    duration: row.duration,
+    best_time: row.best_time,
+    avg_cost: parseFloat(row.avg_cost || 0),
+    popular: Boolean(row.popular),
+    latitude: row.latitude === null ? null : parseFloat(row.latitude),
+    longitude: row.longitude === null ? null : parseFloat(row.longitude),
+    rating: parseFloat(row.rating || 0)
+});
+
+const catalogueActivity = (row) => ({
+    id: row.id,
+    activity_name: row.activity_name,
+    activity_type: row.activity_type,
+    estimated_cost: parseFloat(row.estimated_cost || 0),
+    duration_hours: row.duration_hours,
+    description: row.description
+});
+
+// Load the destination in :id for the admin routes below
+const requireDestination = async (req, res, next) => {
+    try {
+        const destination = await repos.destinations.findById(req.params.id);
+
+        if (!destination) {
+            return sendError(res, 404, 'Destination not found');
+        }
+
+        req.destination = destination;
+        next();
+    } catch (error) {
+        logger.error('Error loading destination', { error });
+        sendError(res, 500, 'Failed to fetch destination');
+    }
+};
+
+const CATALOGUE_CSV_COLUMNS = [
+    'id', 'name', 'category', 'country', 'state', 'description', 'image_url', 'duration', 'best_time',
+    'avg_cost', 'popular', 'latitude', 'longitude', 'rating'
+];
+
+// Export the catalogue: JSON carries each destination's activities, CSV has one row per destination
+app.get('/api/destinations/export', authenticateToken, requireAdmin, validate({
+    query: { format: { type: 'enum', values: ['json', 'csv'] } }
+}), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const rows = (await repos.destinations.listAll()).sort((a, b) => a.id - b.id);
+        const destinations = rows.map(catalogueDestination);
+
+        res.attachment(`destinations.${format}`);
+
+        if (format === 'csv') {
+            const lines = [CATALOGUE_CSV_COLUMNS]
+                .concat(destinations.map(d => CATALOGUE_CSV_COLUMNS.map(column => d[column])));
+            return res.type('text/csv; charset=utf-8')
+                .send(lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n');
+        }
+
+        const activities = await repos.destinations.listAllActivities();
+
+        res.json({
+            format: CATALOGUE_FORMAT,
+            version: CATALOGUE_VERSION,
+            exported_at: new Date().toISOString(),
+            destinations: destinations.map(d => ({
+                ...d,
+                activities: activities.filter(a => a.destination_id === d.id).map(catalogueActivity)
+            }))
+        });
+    } catch (error) {
+        logger.error('Error exporting destinations', { error });
+        sendError(res, 500, 'Failed to export destinations');
+    }
+});
+
+// RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Imported records may carry the exported id and rating; rating is ignored
+const importDestinationSchema = {
+    properties: {
+        id: { type: 'integer', min: 1 },
+        ...optionalFields(destinationFields),
+        rating: { type: 'number' },
+        activities: {
+            type: 'array',
+            maxItems: MAX_DESTINATION_ACTIVITIES,
+            items: {
+                type: 'object',
+                allowUnknown: false,
+                properties: { id: { type: 'integer', min: 1 }, ...activityFields }
+            }
+        }
+    },
+    allowUnknown: false,
+    custom: coordinatePair
+};
+
+// Work out what was uploaded and map it to { records, coerce }, or { error }. CSV values
+// are strings, so they are coerced like query parameters, and blank cells count as not given.
+const readCatalogue = (req) => {
+    if (typeof req.body === 'string') {
+        const [header, ...lines] = parseCsv(req.body);
+
+        if (!header) {
+            return { error: 'The CSV file is empty' };
+        }
+
+        const columns = header.map(column => column.trim().toLowerCase());
+        const records = lines.map(cells => {
+            const record = {};
+            columns.forEach((column, i) => {
+                if (cells[i] !== undefined && cells[i].trim() !== '') {
+                    record[column] = cells[i].trim();
+                }
+            });
+            return record;
+        });
+
+        return { records, coerce: true };
+    }
+
+    const body = req.body || {};
+
+    if (body.format !== undefined && body.format !== CATALOGUE_FORMAT) {
+        return { error: `Expected a ${CATALOGUE_FORMAT} export, got "${body.format}"` };
+    }
+    if (body.version > CATALOGUE_VERSION) {
+        return { error: `Unsupported catalogue version ${body.version}` };
+    }
+    if (!Array.isArray(body.destinations)) {
+        return { error: 'Expected a CSV file or a JSON catalogue with a destinations list' };
+    }
+
+    return { records: body.destinations, coerce: false };
+};
+
+const sameValues = (a, b) => a === b || (a === null && b === undefined);
+
+// Field-by-field differences, as { field: { from, to } }, for the given fields of `incoming`
+const diffFields = (current, incoming, rules) => {
+    const changes = {};
+    for (const field of Object.keys(rules)) {
+        if (incoming[field] !== undefined && !sameValues(incoming[field], current[field])) {
+            changes[field] = { from: current[field], to: incoming[field] };
+        }
+    }
+    return changes;
+};
+
+// Plan how an imported activity list replaces a destination's current one. Activities are
+// matched by id, then by name; current activities the list leaves out are removed.
+const planActivities = (current, incoming, prefix, errors) => {
+    const plan = { created: [], updated: [], removed: [] };
+    const unmatched = new Map(current.map(activity => [activity.id, activity]));
+
+    incoming.forEach((activity, i) => {
+        let match = null;
+
+        if (activity.id !== undefined) {
+            match = unmatched.get(activity.id);
+            if (!match) {
+                errors.push({
+                    field: `${prefix}activities[${i}].id`,
+                    message: `activity ${activity.id} does not belong to this destination or is listed twice`
+                });
+                return;
+            }
+        } else {
+            const name = activity.activity_name.trim().toLowerCase();
+            match = [...unmatched.values()].find(a => a.activity_name.trim().toLowerCase() === name) || null;
+        }
+
+        const fields = pickFields(activity, activityFields);
+
+        if (!match) {
+            plan.created.push({ ...ACTIVITY_DEFAULTS, ...fields });
+            return;
+        }
+
+        unmatched.delete(match.id);
+        const changes = diffFields(match, fields, activityFields);
+        if (Object.keys(changes).length > 0) {
+            plan.updated.push({ id: match.id, activity_name: match.activity_name, changes });
+        }
+    });
+
+    plan.removed = [...unmatched.values()].map(a => ({ id: a.id, activity_name: a.activity_name }));
+    return plan;
+};
+
+const hasActivityChanges = (plan) =>
+    plan.created.length + plan.updated.length + plan.removed.length > 0;
+
+// Validate the imported records and compare them with the catalogue. Records match a
+// destination by id, or by name (case-insensitive) when they have no id; the rest are new.
+// Destinations missing from the import are left alone. Returns { plan, errors }.
+const planCatalogueImport = async (records, coerce) => {
+    const errors = [];
+
+    if (records.length > MAX_IMPORT_DESTINATIONS) {
+        return { errors: [{ field: 'destinations', message: `must contain at most ${MAX_IMPORT_DESTINATIONS} items` }] };
+    }
+
+    const checked = records.map((record, i) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push({ field: `destinations[${i}]`, message: 'must be an object' });
+            return {};
+        }
+        return checkObject(importDestinationSchema, record, `destinations[${i}].`, errors, coerce);
+    });
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const existing = (await repos.destinations.listAll()).map(catalogueDestination);
+    const activities = await repos.destinations.listAllActivities();
+    const byId = new Map(existing.map(d => [d.id, d]));
+    const byName = new Map();
+    for (const destination of existing) {
+        const key = destination.name.trim().toLowerCase();
+        byName.set(key, (byName.get(key) || []).concat(destination));
+    }
+
+    const plan = [];
+    const seen = new Set();
+
+    checked.forEach((record, i) => {
+        const prefix = `destinations[${i}].`;
+        let current = null;
+
+        if (record.id !== undefined) {
+            current = byId.get(record.id);
+            if (!current) {
+                errors.push({ field: `${prefix}id`, message: `destination ${record.id} does not exist; leave the id out to create it` });
+                return;
+            }
+        } else if (record.name !== undefined) {
+            const matches = byName.get(record.name.trim().toLowerCase()) || [];
+            if (matches.length > 1) {
+                errors.push({ field: `${prefix}name`, message: 'matches more than one destination; give an id' });
+                return;
+            }
+            current = matches[0] || null;
+        }
+
+        const key = current ? `id:${current.id}` : `name:${(record.name || '').trim().toLowerCase()}`;
+        if (seen.has(key)) {
+            errors.push({ field: `destinations[${i}]`, message: 'appears more than once in the import' });
+            return;
+        }
+        seen.add(key);
+
+        const fields = pickFields(record, destinationFields);
+        const currentActivities = current
+            ? activities.filter(a => a.destination_id === current.id).map(catalogueActivity)
+            : [];
+        const activityPlan = record.activities
+            ? planActivities(currentActivities, record.activities, prefix, errors)
+            : { created: [], updated: [], removed: [] };
+
+        if (!current) {
+            for (const field of ['name', 'category']) {
+                if (fields[field] === undefined) {
+                    errors.push({ field: prefix + field, message: 'is required' });
+                }
+            }
+            plan.push({ action: 'create', name: fields.name, fields: { ...DESTINATION_DEFAULTS, ...fields }, activities: activityPlan });
+            return;
+        }
+
+        const changes = diffFields(current, fields, destinationFields);
+        const changed = Object.keys(changes).length > 0 || hasActivityChanges(activityPlan);
+
+        plan.push({
+            action: changed ? 'update' : 'unchanged',
+            id: current.id,
+            name: current.name,
+            changes,
+            activities: activityPlan
+        });
+    });
+
+    return { plan, errors };
+};
+
+const summarizeCatalogueImport = (plan) => {
+    const count = (action) => plan.filter(entry => entry.action === action).length;
+    const activities = (list) => plan.reduce((sum, entry) => sum + entry.activities[list].length, 0);
+
+    return {
+        destinations: { created: count('create'), updated: count('update'), unchanged: count('unchanged') },
+        activities: { created: activities('created'), updated: activities('updated'), removed: activities('removed') }
+    };
+};
+
+// Write an import plan in a single transaction; created destinations get their new ids
+const applyCatalogueImport = (plan) => repos.transaction(async (tx) => {
+    for (const entry of plan) {
+        if (entry.action === 'create') {
+            entry.id = await tx.destinations.create(entry.fields);
+        } else if (entry.action === 'update' && Object.keys(entry.changes).length > 0) {
+            await tx.destinations.update(entry.id, Object.fromEntries(
+                Object.entries(entry.changes).map(([field, change]) => [field, change.to])
+            ));
+        }
+
+        const { created, updated, removed } = entry.activities;
+        await tx.destinations.removeActivities(removed.map(activity => activity.id));
+        for (const activity of updated) {
+            await tx.destinations.updateActivity(activity.id, Object.fromEntries(
+                Object.entries(activity.changes).map(([field, change]) => [field, change.to])
+            ));
+        }
+        for (const activity of created) {
+            await tx.destinations.createActivity(entry.id, activity);
+        }
+    }
+});
+
+// Bulk create and update destinations from a CSV file or a JSON catalogue export. With
+// ?dry_run=true the planned changes are returned without saving anything.
+app.post('/api/destinations/import', authenticateToken, requireAdmin, invalidates('destinations', 'stats'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+    validate({ query: { dry_run: { type: 'boolean' } } }), async (req, res) => {
+        const parsed = readCatalogue(req);
+
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error);
+        }
+
+        try {
+            const { plan, errors } = await planCatalogueImport(parsed.records, parsed.coerce);
+
+            if (errors.length > 0) {
+                return sendError(res, 400, 'Request validation failed', errors);
+            }
+
+            const summary = summarizeCatalogueImport(plan);
+            const changes = plan.filter(entry => entry.action !== 'unchanged');
+
+            if (req.query.dry_run) {
+                return res.json({ dry_run: true, summary, changes });
+            }
+
+            await applyCatalogueImport(changes);
+
+            res.json({
+                message: 'Destinations imported successfully',
+                summary,
+                changes
+            });
+        } catch (error) {
+            logger.error('Error importing destinations', { error });
+            sendError(res, 500, 'Failed to import destinations');
+        }
+    });
+
+// Create a destination
+app.post('/api/destinations', authenticateToken, requireAdmin, validate(destinationSchema), invalidates('destinations', 'stats'), async (req, res) => {
+    try {
+        const id = await repos.destinations.create(pickFields(req.body, destinationFields));
+
+        res.status(201).json({
+            message: 'Destination created successfully',
+            destination: catalogueDestination(await repos.destinations.findById(id))
+        });
+    } catch (error) {
+        logger.error('Error creating destination', { error });
+        sendError(res, 500, 'Failed to create destination');
+    }
+});
+
+// Replace a destination; optional fields left out go back to their defaults
+app.put('/api/destinations/:id', authenticateToken, requireAdmin, validate(replaceDestinationSchema), requireDestination, invalidates('destinations'), async (req, res) => {
+    try {
+        await repos.destinations.update(req.destination.id, {
+            ...DESTINATION_DEFAULTS,
+            ...pickFields(req.body, destinationFields)
+        });
+
+        res.json({
+            message: 'Destination updated successfully',
+            destination: catalogueDestination(await repos.destinations.findById(req.destination.id))
+        });
+    } catch (error) {
+        logger.error('Error updating destination', { error });
+        sendError(res, 500, 'Failed to update destination');
+    }
+});
+
+// Update some of a destination's fields, e.g. { "popular": true }
+app.patch('/api/destinations/:id', authenticateToken, requireAdmin, validate(patchDestinationSchema), requireDestination, invalidates('destinations'), async (req, res) => {
+    try {
+        const changes = pickFields(req.body, destinationFields);
+
+        if (Object.keys(changes).length === 0) {
+            return sendError(res, 400, 'Request validation failed', [
+                { field: 'body', message: 'must include at least one destination field to update' }
+            ]);
+        }
+
+        await repos.destinations.update(req.destination.id, changes);
+
+        res.json({
+            message: 'Destination updated successfully',
+            destination: catalogueDestination(await repos.destinations.findById(req.destination.id))
+        });
+    } catch (error) {
+        logger.error('Error updating destination', { error });
+        sendError(res, 500, 'Failed to update destination');
+    }
+});
+
+// Delete a destination with its activities, reviews and saves; trips keep their destination name
+app.delete('/api/destinations/:id', authenticateToken, requireAdmin, validate({ params: idParams }), requireDestination, invalidates('destinations', 'stats'), async (req, res) => {
+    try {
+        await repos.destinations.remove(req.destination.id);
+        res.json({ message: 'Destination deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting destination', { error });
+        sendError(res, 500, 'Failed to delete destination');
+    }
+});
+
+// Add an activity to a destination
+app.post('/api/destinations/:id/activities', authenticateToken, requireAdmin, validate(createActivitySchema), requireDestination, invalidates('destinations'), async (req, res) => {
+    try {
+        const activityId = await repos.destinations.createActivity(req.destination.id, {
+            ...ACTIVITY_DEFAULTS,
+            ...pickFields(req.body, activityFields)
+        });
+
+        res.status(201).json({
+            message: 'Activity added successfully',
+            activity: catalogueActivity(await repos.destinations.findActivity(req.destination.id, activityId))
+        });
+    } catch (error) {
+        logger.error('Error adding activity', { error });
+        sendError(res, 500, 'Failed to add activity');
+    }
+});
+
+// Replace an activity; optional fields left out go back to their defaults
+app.put('/api/destinations/:id/activities/:activityId', authenticateToken, requireAdmin, validate(replaceActivitySchema), invalidates('destinations'), async (req, res) => {
+    try {
+        const { id, activityId } = req.params;
+        const activity = await repos.destinations.findActivity(id, activityId);
+
+        if (!activity) {
+            return sendError(res, 404, 'Activity not found');
+        }
+
+        await repos.destinations.updateActivity(activity.id, {
+            ...ACTIVITY_DEFAULTS,
+            ...pickFields(req.body, activityFields)
+        });
+
+        res.json({
+            message: 'Activity updated successfully',
+            activity: catalogueActivity(await repos.destinations.findActivity(id, activityId))
+        });
+    } catch (error) {
+        logger.error('Error updating activity', { error });
+        sendError(res, 500, 'Failed to update activity');
+    }
+});
+
+// Remove an activity from a destination
+app.delete('/api/destinations/:id/activities/:activityId', authenticateToken, requireAdmin, validate({ params: activityParams }), invalidates('destinations'), async (req, res) => {
+    try {
+        const activity = await repos.destinations.findActivity(req.params.id, req.params.activityId);
+
+        if (!activity) {
+            return sendError(res, 404, 'Activity not found');
+        }
+
+        await repos.destinations.removeActivities([activity.id]);
+        res.json({ message: 'Activity deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting activity', { error });
+        sendError(res, 500, 'Failed to delete activity');
+    }
+});
+
+// =====================================================
+// DESTINATIONS ROUTES
+// =====================================================
+
+const MONTH_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Accepts 1-12, a month name or a three-letter abbreviation; returns 1-12 or null
+const parseMonth = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (/^\d{1,2}$/.test(text)) {
+        const month = parseInt(text);
+        return month >= 1 && month <= 12 ? month : null;
+    }
+    const index = MONTH_NAMES.findIndex(name => name === text || name.slice(0, 3) === text);
+    return index === -1 ? null : index + 1;
+};
+
+// Turn a best_time string such as 'November to February' into the set of months (1-12)
+// it covers. Ranges may wrap around the new year; 'Year round' covers every month.
+const parseBestTimeMonths = (bestTime) => {
+    const months = new Set();
+    const text = (bestTime || '').toLowerCase();
+
+    if (/year[\s-]*round|all year|any time/.test(text)) {
+        MONTH_NAMES.forEach((_, i) => months.add(i + 1));
+        return months;
+    }
+
+    const found = text.match(/[a-z]+/g) || [];
+    const named = found.map(parseMonth).filter(Boolean);
+
+    if (/\bto\b|-/.test(text) && named.length >= 2) {
+        for (let i = 0; i + 1 < named.length; i += 2) {
+            let month = named[i];
+            months.add(month);
+            while (month !== named[i + 1]) {
+                month = month % 12 + 1;
+                months.add(month);
+            }
+        }
+    } else {
+        named.forEach(month => months.add(month));
+    }
+
+    return months;
+};
+
+// Sort keys for destination listings; relevance only applies to full-text searches
+const DESTINATION_SORT_KEYS = ['relevance', 'rating', 'avg_cost', 'popularity', 'review_count', 'newest'];
+
+// Catalogue prices shown in the requested currency, or the base currency when none applies
+const destinationInCurrency = (destination, currency, rates) =>
+    toCurrency(destination, ['avg_cost'], currency || BASE_CURRENCY, rates, BASE_CURRENCY);
+
+const destinationListSchema = {
+    query: {
+        ...paginationQuery,
+        ...geoFormatQuery,
+        ...currencyQuery,
+        category: { type: 'enum', values: ['all', ...DESTINATION_CATEGORIES] },
+        search: { type: 'string', maxLength: 200 },
+        minCost: { type: 'number', min: 0 },
+        maxCost: { type: 'number', min: 0 },
+        state: { type: 'string', maxLength: 100 },
+        country: { type: 'string', maxLength: 100 },
+        month: {
+            type: 'string',
+            custom: (value) => (parseMonth(value) ? null : 'must be a month number (1-12) or name')
+        },
+        sort: { type: 'enum', values: DESTINATION_SORT_KEYS },
+        order: { type: 'enum', values: ['asc', 'desc'] }
+    }
+};
+
+// Get all destinations
+app.get('/api/destinations', validate(destinationListSchema), withCurrency, cacheResponse('destinations'), async (req, res) => {
+    try {
+        const { category, search, state, country, month } = req.query;
+        const { page, limit, offset } = getPagination(req.query);
+        const { target, rates } = req.currency;
+
+        // Cost filters are given in the response currency; avg_cost is stored in the base currency
+        const toBase = (value) => (value === undefined
+            ? undefined
+            : convertAmount(value, target || BASE_CURRENCY, BASE_CURRENCY, rates));
+        const minCost = toBase(req.query.minCost);
+        const maxCost = toBase(req.query.maxCost);
+
+        // best_time is free text, so the month filter is resolved in JS into a list of ids
+        let ids;
+        if (month) {
+            const wanted = parseMonth(month);
+            const seasons = await repos.destinations.listSeasons();
+            ids = seasons.filter(d => parseBestTimeMonths(d.best_time).has(wanted)).map(d => d.id);
+        }
+
+        const { rows, total, searchMode } = await repos.destinations.search({
+            category: category && category !== 'all' ? category : undefined,
+            minCost,
+            maxCost,
+            state,
+            country,
+            ids,
+            search,
+            sort: req.query.sort,
+            order: req.query.order,
+            limit,
+            offset
+        });
+
+        const destinations = rows.map(d => destinationInCurrency(d, target, rates));
+
+        const pagination = paginationMeta(page, limit, total);
+
+        if (req.query.format === 'geojson') {
+            return res.json(toFeatureCollection(
+                destinations.filter(d => hasCoordinates(d)).map(d => destinationToFeature(d)),
+                { pagination, search_mode: searchMode }
+            ));
+        }
+
+        res.json({
+            destinations,
+            pagination,
+            search_mode: searchMode,
+            currency: target || BASE_CURRENCY
+        });
+    } catch (error) {
+        logger.error('Error fetching destinations', { error });
+        sendError(res, 500, 'Failed to fetch destinations');
+    }
+});
+
+const nearbySchema = {
+    query: {
+        ...geoFormatQuery,
+        ...currencyQuery,
+        lat: { type: 'number', min: -90, max: 90, required: true },
+        lng: { type: 'number', min: -180, max: 180, required: true },
+        radiusKm: { type: 'number', min: 0.1, max: 5000 },
+        limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+    }
+};
+
+const combineWithSchema = {
+    params: idParams,
+    query: {
+        ...geoFormatQuery,
+        ...currencyQuery,
+        radiusKm: { type: 'number', min: 0.1, max: 5000 },
+        limit: { type: 'integer', min: 1, max: 50 },
+        sameCategory: { type: 'boolean' }
+    }
+};
+
+// Get destinations near a point
+app.get('/api/destinations/nearby', validate(nearbySchema), withCurrency, cacheResponse('destinations'), async (req, res) => {
+    try {
+        const { lat, lng, format } = req.query;
+        const radiusKm = req.query.radiusKm || 500;
+        const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+        const { target, rates } = req.currency;
+
+        const destinations = (await repos.destinations.findNear(lat, lng, radiusKm, limit))
+            .map(d => destinationInCurrency(d, target, rates));
+
+        if (format === 'geojson') {
+            return res.json(toFeatureCollection(
+                destinations.map(d => destinationToFeature(d)),
+                { center: [lng, lat], radius_km: radiusKm }
+            ));
+        }
+
+        res.json({
+            center: { lat, lng },
+            radius_km: radiusKm,
+            destinations
+        });
+    } catch (error) {
+        logger.error('Error fetching nearby destinations', { error });
+        sendError(res, 500, 'Failed to fetch nearby destinations');
+    }
+});
+
+// Get "combine with" suggestions: other destinations near this one
+app.get('/api/destinations/:id/nearby', validate(combineWithSchema), withCurrency, cacheResponse('destinations'), async (req, res) => {
+    try {
+        const destination = await repos.destinations.findById(req.params.id);
+
+        if (!destination) {
+            return sendError(res, 404, 'Destination not found');
+        }
+
+        const { target, rates } = req.currency;
+        const origin = destinationInCurrency(destination, target, rates);
+
+        if (!hasCoordinates(origin)) {
+            return sendError(res, 409, 'Destination has no coordinates');
+        }
+
+        const radiusKm = req.query.radiusKm || 600;
+        const limit = req.query.limit || 5;
+        const lat = parseFloat(origin.latitude);
+        const lng = parseFloat(origin.longitude);
+
+        let suggestions = await repos.destinations.findNear(lat, lng, radiusKm, MAX_PAGE_SIZE, origin.id);
+
+        if (req.query.sameCategory) {
+            suggestions = suggestions.filter(d => d.category === origin.category);
+        }
+
+        suggestions = suggestions.slice(0, limit).map(d => destinationInCurrency(d, target, rates));
+
+        if (req.query.format === 'geojson') {
+            const features = [destinationToFeature(origin, { role: 'origin' })];
+
+            for (const d of suggestions) {
+                features.push(destinationToFeature(d, { role: 'suggestion' }));
+                features.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: [[lng, lat], [parseFloat(d.longitude), parseFloat(d.latitude)]]
+                    },
+                    properties: { from: origin.id, to: d.id, distance_km: d.distance_km }
+                });
+            }
+
+            return res.json(toFeatureCollection(features));
+        }
+
+        res.json({
+            destination: origin,
+            radius_km: radiusKm,
+            suggestions
+        });
+    } catch (error) {
+        logger.error('Error fetching combine-with suggestions', { error });
+        sendError(res, 500, 'Failed to fetch nearby destinations');
+    }
+});
+
+// Get single destination with activities
+app.get('/api/destinations/:id', validate({ params: idParams, query: currencyQuery }), withCurrency, cacheResponse('destinations'), async (req, res) => {
+    try {
+        // The three queries don't depend on each other, so they run side by side
+        const [row, activities, reviews] = await Promise.all([
+            repos.destinations.findById(req.params.id),
+            repos.destinations.listActivities(req.params.id),
+            repos.reviews.listRecent(req.params.id, 10)
+        ]);
+
+        if (!row) {
+            return sendError(res, 404, 'Destination not found');
+        }
+
+        const { target, rates } = req.currency;
+        const destination = destinationInCurrency(row, target, rates);
+
+        destination.activities = activities.map(activity =>
+            toCurrency(activity, ['estimated_cost'], destination.currency, rates, BASE_CURRENCY));
+        destination.reviews = reviews;
+
+        res.json(destination);
+    } catch (error) {
+        logger.error('Error fetching destination', { error });
+        sendError(res, 500, 'Failed to fetch destination details');
+    }
+});
+
+// Get popular destinations
+app.get('/api/destinations/popular/list', validate({ query: currencyQuery }), withCurrency, cacheResponse('destinations'), async (req, res) => {
+    try {
+        const destinations = await repos.destinations.listPopular(8);
+        const { target, rates } = req.currency;
+        res.json(destinations.map(d => destinationInCurrency(d, target, rates)));
+    } catch (error) {
+        logger.error('Error fetching popular destinations', { error });
+        sendError(res, 500, 'Failed to fetch popular destinations');
+    }
+});
+
+// =====================================================
+// RECOMMENDATIONS ROUTES
+// =====================================================
+
+// Maximum points each factor contributes to a recommendation score
+const RECOMMENDATION_WEIGHTS = {
+    category: 30,
+    budget: 25,
+    duration: 20,
+    history: 15,
+    saved: 10
+};
+
+// Parse a destinations.duration string such as '3-5 days' or '2 days' into a day range
+const parseDurationRange = (duration) => {
+    const match = /(\d+)\s*(?:-|to)?\s*(\d+)?/.exec(duration || '');
+    if (!match) {
+        return null;
+    }
+    const min = parseInt(match[1]);
+    const max = match[2] ? parseInt(match[2]) : min;
+    return { min, max };
+};
+
+// 1 when value lies inside [min, max], falling off linearly with distance outside it
+const rangeFit = (value, min, max, tolerance) => {
+    if (value >= min && value <= max) {
+        return 1;
+    }
+    const distance = value < min ? min - value : value - max;
+    return Math.max(0, 1 - distance / tolerance);
+};
+
+const scoreDestination = (destination, preferences, history) => {
+    const categories = preferences.preferred_categories;
+    const cost = parseFloat(destination.avg_cost || 0);
+    const minBudget = preferences.budget_range_min;
+    const maxBudget = preferences.budget_range_max;
+    const days = parseDurationRange(destination.duration);
+
+    const factors = {
+        // No stated categories means every category is equally acceptable
+        category: categories.length === 0 ? 0.5 : (categories.includes(destination.category) ? 1 : 0),
+        budget: rangeFit(cost, minBudget, maxBudget, Math.max(maxBudget, 1)),
+        duration: days
+            ? rangeFit(preferences.preferred_duration_days, days.min, days.max, preferences.preferred_duration_days)
+            : 0.5,
+        history: history.total === 0
+            ? 0
+            : (history.categories[destination.category] || 0) / history.total,
+        saved: history.saved.has(destination.id) ? 1 : 0
+    };
+
+    const breakdown = {};
+    let score = 0;
+
+    for (const [factor, weight] of Object.entries(RECOMMENDATION_WEIGHTS)) {
+        breakdown[factor] = Math.round(factors[factor] * weight * 10) / 10;
+        score += breakdown[factor];
+    }
+
+    return { score: Math.round(score * 10) / 10, breakdown };
+};
+
+const recommendationsSchema = {
+    query: {
+        ...currencyQuery,
+        limit: { type: 'integer', min: 1, max: 50 },
+        includeVisited: { type: 'boolean' }
+    }
+};
+
+// Get destination recommendations for the current user
+app.get('/api/recommendations', authenticateToken, validate(recommendationsSchema), withCurrency, async (req, res) => {
+    try {
+        const limit = req.query.limit || 10;
+        const includeVisited = req.query.includeVisited === true;
+
+        const preferences = await findPreferences(req.user.id);
+
+        const destinations = await repos.destinations.listAll();
+        const saved = await repos.saved.listForUser(req.user.id);
+        const trips = await repos.trips.listVisitedDestinations(req.user.id);
+
+        // Category affinity from everything the user has saved or travelled to
+        const history = {
+            categories: {},
+            total: saved.length + trips.length,
+            saved: new Set(saved.map(d => d.id)),
+            visited: new Set(trips.map(d => d.id))
+        };
+
+        for (const d of saved.concat(trips)) {
+            history.categories[d.category] = (history.categories[d.category] || 0) + 1;
+        }
+
+        // The budget range is in the user's preferred currency, so costs are compared in it too
+        const { target, rates } = req.currency;
+        const budgetCurrency = rates.has(preferences.currency) ? preferences.currency : BASE_CURRENCY;
+
+        const recommendations = destinations
+            .filter(d => includeVisited || !history.visited.has(d.id))
+            .map(d => ({
+                destination: destinationInCurrency(d, target, rates),
+                ...scoreDestination(destinationInCurrency(d, budgetCurrency, rates), preferences, history)
+            }))
+            .sort((a, b) => b.score - a.score || b.destination.rating - a.destination.rating)
+            .slice(0, limit);
+
+        res.json({
+            preferences,
+            recommendations
+        });
+    } catch (error) {
+        logger.error('Error fetching recommendations', { error });
+        sendError(res, 500, 'Failed to fetch recommendations');
+    }
+});
+
+// =====================================================
+// TRIPS ROUTES
+// =====================================================
+
+const TRIP_STATUSES = ['planning', 'confirmed', 'completed', 'cancelled'];
+
+// Budget keys in request bodies mapped to their trips columns
+const BUDGET_COLUMNS = {
+    flights: 'budget_flights',
+    hotel: 'budget_hotel',
+    food: 'budget_food',
+    activities: 'budget_activities',
+    transport: 'budget_transport',
+    misc: 'budget_misc'
+};
+
+// Money columns on trips, all in the trip's currency
+const TRIP_MONEY_FIELDS = [...Object.values(BUDGET_COLUMNS), 'budget_total'];
+
+const budgetAmount = { type: 'number', min: 0 };
+
+const itineraryItemRule = {
+    type: 'object',
+    properties: {
+        // Only used by PUT, to update an existing item in place
+        id: { type: 'integer', min: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 200, required: true },
+        time: { type: 'time', nullable: true },
+        notes: { type: 'string', maxLength: 2000, nullable: true },
+        estimated_cost: { type: 'number', min: 0, nullable: true },
+        location: { type: 'string', maxLength: 200, nullable: true }
+    }
+};
+
+// Body accepted by POST /api/trips and PUT /api/trips/:id
+const tripBody = {
+    destination_id: { type: 'integer', min: 1, nullable: true },
+    trip_name: { type: 'string', minLength: 1, maxLength: 200, required: true },
+    destination_name: { type: 'string', minLength: 1, maxLength: 100, required: true },
+    start_date: { type: 'date', required: true },
+    num_days: { type: 'integer', min: 1, max: 60, required: true },
+    notes: { type: 'string', maxLength: 5000, nullable: true },
+    // Defaults to the user's preferred currency, then the base currency
+    currency: currencyRule,
+    budget: {
+        type: 'object',
+        allowUnknown: false,
+        properties: {
+            flights: budgetAmount,
+            hotel: budgetAmount,
+            food: budgetAmount,
+            activities: budgetAmount,
+            transport: budgetAmount,
+            misc: budgetAmount
+        }
+    },
+    // Keyed by day: { day1: [{ name, time, notes, estimated_cost, location }], day2: [...] }
+    itinerary: {
+        type: 'object',
+        keys: {
+            pattern: /^day[1-9]\d*$/,
+            patternMessage: 'must be a day key such as day1',
+            rule: { type: 'array', items: itineraryItemRule }
+        }
+    }
+};
+
+// ?strict=true rejects unknown body fields and itineraries that fail the feasibility checks below
+const strictQuery = { strict: { type: 'boolean' } };
+
+const createTripSchema = { query: strictQuery, body: tripBody };
+
+const updateTripSchema = {
+    params: idParams,
+    query: strictQuery,
+    body: {
+        ...tripBody,
+        status: { type: 'enum', values: TRIP_STATUSES }
+    }
+};
+
+// Every trip field is optional on PATCH; budget keys are merged into the existing budget
+const patchTripSchema = {
+    params: idParams,
+    query: strictQuery,
+    body: {
+        ...Object.fromEntries(
+            Object.entries(tripBody)
+                .filter(([field]) => field !== 'itinerary')
+                .map(([field, rule]) => [field, { ...rule, required: false }])
+        ),
+        status: { type: 'enum', values: TRIP_STATUSES }
+    }
+};
+
+// Insert a trip and its itinerary from a POST /api/trips shaped body; returns the new id.
+// Pass a transaction's repositories as `store` so the inserts share it.
+const insertTripRecords = async (store, userId, trip) => {
+    const tripId = await store.trips.create(userId, {
+        ...trip,
+        status: trip.status || 'planning',
+        currency: trip.currency || BASE_CURRENCY
+    });
+
+    for (const [dayKey, activities] of Object.entries(trip.itinerary || {})) {
+        const dayNumber = parseInt(dayKey.replace('day', ''));
+
+        for (let i = 0; i < activities.length; i++) {
+            await store.itinerary.insert(tripId, dayNumber, i, activities[i]);
+        }
+    }
+
+    return tripId;
+};
+
+// Feasibility limits for a day plan. Activities that don't match a destination_activities
+// row are assumed to take the column's default duration.
+const MAX_DAY_ACTIVITY_HOURS = 12;
+const DEFAULT_ACTIVITY_HOURS = 2;
+
+const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Calendar date (YYYY-MM-DD) of a trip day; start_date is a Date from MySQL or a string from a request
+const tripDayDate = (startDate, dayNumber) => {
+    const start = startDate instanceof Date
+        ? new Date(Date.UTC(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()))
+        : new Date(`${String(startDate).slice(0, 10)}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() + dayNumber - 1);
+    return start.toISOString().slice(0, 10);
+};
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+// YYYY-MM-DD for DATE columns (Date objects from MySQL) and date strings alike
+const formatDate = (value) => (value instanceof Date ? tripDayDate(value, 1) : value ? String(value).slice(0, 10) : null);
+
+// Flatten a request itinerary ({ day1: [...] }) into trip_itinerary-shaped rows
+const itineraryToItems = (itinerary) => {
+    const items = [];
+    for (const [dayKey, activities] of Object.entries(itinerary || {})) {
+        activities.forEach((activity, i) => items.push({
+            id: activity.id || null,
+            day_number: parseInt(dayKey.replace('day', '')),
+            order_index: i,
+            activity_name: activity.name,
+            activity_time: activity.time || null
+        }));
+    }
+    return items;
+};
+
+// Activity durations and best_time season for the trip's destination
+const loadFeasibilityContext = async (destinationId, store = repos) => {
+    if (!destinationId) {
+        return { durations: new Map(), seasonMonths: null, bestTime: null };
+    }
+
+    const activities = await store.destinations.listActivities(destinationId);
+    const destination = await store.destinations.findById(destinationId);
+
+    const bestTime = destination ? destination.best_time : null;
+    const seasonMonths = parseBestTimeMonths(bestTime);
+
+    return {
+        durations: new Map(activities.map(a => [a.activity_name.trim().toLowerCase(), a.duration_hours])),
+        seasonMonths: seasonMonths.size > 0 ? seasonMonths : null,
+        bestTime
+    };
+};
+
+// Check a day plan for time overlaps, days outside the trip, overpacked days and
+// activities outside the destination's season. Errors make a plan infeasible; warnings don't.
+const checkItineraryFeasibility = (trip, items, context) => {
+    const issues = [];
+    const byDay = new Map();
+
+    const durationOf = (item) => {
+        const hours = context.durations.get(String(item.activity_name).trim().toLowerCase());
+        return hours === undefined || hours === null ? DEFAULT_ACTIVITY_HOURS : hours;
+    };
+
+    for (const item of items) {
+        if (!byDay.has(item.day_number)) {
+            byDay.set(item.day_number, []);
+        }
+        byDay.get(item.day_number).push(item);
+    }
+
+    const days = [...byDay.keys()].sort((a, b) => a - b).map(dayNumber => {
+        const dayItems = byDay.get(dayNumber);
+        const field = `itinerary.day${dayNumber}`;
+        const date = trip.start_date ? tripDayDate(trip.start_date, dayNumber) : null;
+        const activityHours = dayItems.reduce((sum, item) => sum + durationOf(item), 0);
+
+        if (dayNumber > trip.num_days) {
+            issues.push({
+                type: 'day_out_of_range',
+                severity: 'error',
+                field,
+                day_number: dayNumber,
+                item_ids: dayItems.map(item => item.id),
+                message: `Day ${dayNumber} is outside the ${trip.num_days}-day trip`
+            });
+        }
+
+        const timed = dayItems
+            .filter(item => item.activity_time)
+            .map(item => {
+                const start = timeToMinutes(item.activity_time);
+                return { item, start, end: start + durationOf(item) * 60 };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        for (let i = 0; i + 1 < timed.length; i++) {
+            const current = timed[i];
+            const following = timed[i + 1];
+            if (current.end > following.start) {
+                issues.push({
+                    type: 'time_overlap',
+                    severity: 'error',
+                    field,
+                    day_number: dayNumber,
+                    item_ids: [current.item.id, following.item.id],
+                    message: `'${current.item.activity_name}' runs until ${minutesToTime(current.end)}, ` +
+                        `after '${following.item.activity_name}' starts at ${minutesToTime(following.start)}`
+                });
+            }
+        }
+
+        if (activityHours > MAX_DAY_ACTIVITY_HOURS) {
+            issues.push({
+                type: 'overpacked_day',
+                severity: 'error',
+                field,
+                day_number: dayNumber,
+                item_ids: dayItems.map(item => item.id),
+                message: `Day ${dayNumber} has ${activityHours} activity hours (limit ${MAX_DAY_ACTIVITY_HOURS})`
+            });
+        }
+
+        if (date && context.seasonMonths && !context.seasonMonths.has(parseInt(date.slice(5, 7)))) {
+            issues.push({
+                type: 'out_of_season',
+                severity: 'warning',
+                field,
+                day_number: dayNumber,
+                item_ids: dayItems.map(item => item.id),
+                message: `Day ${dayNumber} (${date}) is outside the best time to visit (${context.bestTime})`
+            });
+        }
+
+        return { day_number: dayNumber, date, activity_count: dayItems.length, activity_hours: activityHours };
+    });
+
+    return {
+        valid: !issues.some(issue => issue.severity === 'error'),
+        days,
+        issues
+    };
+};
+
+// Strict mode (?strict=true) on trip and itinerary writes: reject a write that would leave the
+// itinerary with feasibility errors. `planFor(req)` resolves to the trip and its itinerary
+// items as they would be after the write.
+const strictFeasibilityCheck = (planFor) => async (req, res, next) => {
+    if (!req.query.strict) {
+        return next();
+    }
+
+    try {
+        const { trip, items } = await planFor(req);
+        const context = await loadFeasibilityContext(trip.destination_id);
+        const result = checkItineraryFeasibility(trip, items, context);
+
+        if (!result.valid) {
+            return sendError(res, 400, 'Itinerary failed feasibility checks',
+                result.issues.filter(issue => issue.severity === 'error'));
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Error checking itinerary feasibility', { error });
+        sendError(res, 500, 'Failed to validate itinerary');
+    }
+};
+
+// POST /api/trips and PUT /api/trips/:id send the whole trip and itinerary
+const strictItineraryCheck = strictFeasibilityCheck(async (req) => ({
+    trip: req.body,
+    items: itineraryToItems(req.body.itinerary)
+}));
+
+// PATCH /api/trips/:id keeps the stored itinerary; new dates, length or destination are checked against it
+const strictTripPatchCheck = strictFeasibilityCheck(async (req) => {
+    const trip = { ...req.trip };
+    for (const field of ['destination_id', 'start_date', 'num_days']) {
+        if (req.body[field] !== undefined) {
+            trip[field] = req.body[field];
+        }
+    }
+    return { trip, items: await repos.itinerary.listForTrip(req.trip.id) };
+});
+
+// Trip generation packs destination_activities into days starting at this time
+const GENERATED_DAY_START = 9 * 60;
+
+const generateTripSchema = {
+    body: {
+        destination_id: { type: 'integer', min: 1, required: true },
+        trip_name: { type: 'string', minLength: 1, maxLength: 200 },
+        start_date: { type: 'date', required: true },
+        num_days: { type: 'integer', min: 1, max: 60, required: true },
+        // Upper bound on the summed estimated_cost of the chosen activities, in `currency`
+        budget_cap: { type: 'number', min: 0 },
+        // Defaults to the user's preferred currency, then the base currency
+        currency: currencyRule,
+        activity_types: { type: 'array', maxItems: ACTIVITY_TYPES.length, items: { type: 'enum', values: ACTIVITY_TYPES } },
+        max_daily_hours: { type: 'integer', min: 1, max: MAX_DAY_ACTIVITY_HOURS }
+    }
+};
+
+// Greedily place activities (preferred types first, then cheapest) on the least busy day
+// that still has room, skipping anything that would break the budget cap or daily hours.
+const packActivities = (activities, { numDays, budgetCap, preferredTypes, maxDailyHours }) => {
+    const days = Array.from({ length: numDays }, () => ({ hours: 0, activities: [] }));
+    const skipped = [];
+    let totalCost = 0;
+
+    const ranked = [...activities].sort((a, b) =>
+        (preferredTypes.includes(b.activity_type) - preferredTypes.includes(a.activity_type)) ||
+        (parseFloat(a.estimated_cost || 0) - parseFloat(b.estimated_cost || 0)) ||
+        (a.id - b.id)
+    );
+
+    for (const activity of ranked) {
+        const cost = parseFloat(activity.estimated_cost || 0);
+        const hours = activity.duration_hours || DEFAULT_ACTIVITY_HOURS;
+
+        if (budgetCap !== undefined && totalCost + cost > budgetCap) {
+            skipped.push({ activity_id: activity.id, name: activity.activity_name, reason: 'over_budget' });
+            continue;
+        }
+
+        const day = days
+            .filter(candidate => candidate.hours + hours <= maxDailyHours)
+            .sort((a, b) => a.hours - b.hours)[0];
+
+        if (!day) {
+            skipped.push({ activity_id: activity.id, name: activity.activity_name, reason: 'no_time' });
+            continue;
+        }
+
+        day.activities.push({ activity, cost, hours });
+        day.hours += hours;
+        totalCost += cost;
+    }
+
+    return { days, skipped, totalCost };
+};
+
+// Plot a user's trips as points plus a LineString route through them in date order
+const tripsToGeoJson = (trips) => {
+    const located = trips
+        .filter(t => hasCoordinates(t, 'destination_latitude', 'destination_longitude'))
+        .sort((a, b) => new Date(a.start_date) - new Date(b.start_date));
+
+    const features = located.map(({ itinerary, bookings, expense_summary, destination_latitude, destination_longitude, ...trip }) => ({
+        type: 'Feature',
+        id: trip.id,
+        geometry: toPoint(destination_latitude, destination_longitude),
+        properties: {
+            ...trip,
+            activity_count: itinerary.length,
+            booking_count: bookings.length,
+            total_spent: expense_summary.total_spent
+        }
+    }));
+
+    if (located.length > 1) {
+        const coordinates = located.map(t => toPoint(t.destination_latitude, t.destination_longitude).coordinates);
+        let distanceKm = 0;
+
+        for (let i = 1; i < coordinates.length; i++) {
+            const [lng1, lat1] = coordinates[i - 1];
+            const [lng2, lat2] = coordinates[i];
+            distanceKm += haversineKm(lat1, lng1, lat2, lng2);
+        }
+
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates },
+            properties: {
+                role: 'route',
+                trip_ids: located.map(t => t.id),
+                distance_km: Math.round(distanceKm * 10) / 10
+            }
+        });
+    }
+
+    return toFeatureCollection(features);
+};
+
+// Shape a trip for a response in `currency` (default: the trip's own). Budget columns,
+// itinerary costs and bookings are converted before bookings and expenses are compared
+// with the budget, since each booking and expense may be in its own currency.
+const presentTrip = (trip, { itinerary, bookings, expenseTotals }, currency, rates) => {
+    const presented = toCurrency(trip, TRIP_MONEY_FIELDS, currency || trip.currency, rates);
+
+    presented.itinerary = itinerary.map(item =>
+        toCurrency(item, ['estimated_cost'], presented.currency, rates, trip.currency));
+    presented.bookings = bookings.map(booking => toCurrency(booking, ['amount'], presented.currency, rates));
+    presented.budget_comparison = compareBookingsToBudget(presented, presented.bookings);
+    presented.expense_summary = summarizeExpenses(presented, expenseTotals, rates);
+
+    return presented;
+};
+
+const userTripsSchema = {
+    params: userIdParams,
+    query: {
+        ...geoFormatQuery,
+        ...currencyQuery,
+        // Trips the user owns, trips shared with them, or both
+        scope: { type: 'enum', values: ['all', 'owned', 'shared'] }
+    }
+};
+
+// Get all trips for a user, including trips shared with them; each trip carries the user's role
+app.get('/api/trips/user/:userId', authenticateToken, validate(userTripsSchema), requireSelfOrAdmin('userId'), withCurrency, async (req, res) => {
+    try {
+        const { target, rates } = req.currency;
+
+        const rows = await repos.trips.listForUser(req.params.userId, req.query.scope || 'all');
+        const tripIds = rows.map(trip => trip.id);
+
+        // Itineraries, bookings and expenses of every trip in one query each, not one per trip
+        const [itineraries, bookings, expenseTotals] = await Promise.all([
+            repos.itinerary.listForTrips(tripIds),
+            repos.bookings.listForTrips(tripIds),
+            repos.expenses.totalsForTrips(tripIds)
+        ]);
+
+        const trips = rows.map(trip => presentTrip(trip, {
+            itinerary: itineraries.get(trip.id),
+            bookings: bookings.get(trip.id),
+            expenseTotals: expenseTotals.get(trip.id)
+        }, target, rates));
+
+        if (req.query.format === 'geojson') {
+            return res.json(tripsToGeoJson(trips));
+        }
+
+        res.json(trips);
+    } catch (error) {
+        logger.error('Error fetching trips', { error });
+        sendError(res, 500, 'Failed to fetch trips');
+    }
+});
+
+// Get single trip
+app.get('/api/trips/:id', authenticateToken, validate({ params: idParams, query: currencyQuery }), requireTripViewer, withCurrency, async (req, res) => {
+    try {
+        const trip = req.trip;
+        const { target, rates } = req.currency;
+
+        // Itinerary, bookings and actual spending (for overspend warnings), loaded side by side
+        const [itinerary, bookings, expenseTotals] = await Promise.all([
+            repos.itinerary.listForTrip(trip.id),
+            repos.bookings.listForTrip(trip.id),
+            repos.expenses.totalsForTrips([trip.id])
+        ]);
+
+        res.json({
+            ...presentTrip(trip, { itinerary, bookings, expenseTotals: expenseTotals.get(trip.id) }, target, rates),
+            role: req.tripRole
+        });
+    } catch (error) {
+        logger.error('Error fetching trip', { error });
+        sendError(res, 500, 'Failed to fetch trip');
+    }
+});
+
+// Create new trip
+app.post('/api/trips', authenticateToken, validate(createTripSchema), requireKnownCurrency, strictItineraryCheck, invalidates('stats'), async (req, res) => {
+    try {
+        const currency = req.body.currency || await findPreferredCurrency(req.user.id) || BASE_CURRENCY;
+
+        // New trips always start in planning
+        const tripId = await repos.transaction(tx =>
+            insertTripRecords(tx, req.user.id, { ...req.body, currency, status: 'planning' }));
+
+        res.status(201).json({
+            message: 'Trip created successfully',
+            trip_id: tripId
+        });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return sendError(res, 404, 'Destination not found');
+        }
+        logger.error('Error creating trip', { error });
+        sendError(res, 500, 'Failed to create trip');
+    }
+});
+
+// Generate a day-by-day itinerary from a destination's activities. Nothing is saved;
+// the returned trip can be posted to POST /api/trips as-is.
+app.post('/api/trips/generate', authenticateToken, validate(generateTripSchema), requireKnownCurrency, async (req, res) => {
+    try {
+        const {
+            destination_id,
+            trip_name,
+            start_date,
+            num_days,
+            budget_cap,
+            activity_types = [],
+            max_daily_hours = MAX_DAY_ACTIVITY_HOURS
+        } = req.body;
+
+        // Activities are priced in the base currency; the plan is returned in the trip's
+        const rates = await loadExchangeRates();
+        const preferred = await findPreferredCurrency(req.user.id);
+        const currency = req.body.currency || (rates.has(preferred) ? preferred : BASE_CURRENCY);
+
+        const destination = await repos.destinations.findById(destination_id);
+
+        if (!destination) {
+            return sendError(res, 404, 'Destination not found');
+        }
+
+        const activities = await repos.destinations.listActivities(destination.id);
+
+        const { days, skipped, totalCost } = packActivities(activities, {
+            numDays: num_days,
+            budgetCap: budget_cap === undefined ? undefined : convertAmount(budget_cap, currency, BASE_CURRENCY, rates),
+            preferredTypes: activity_types,
+            maxDailyHours: max_daily_hours
+        });
+
+        const itinerary = {};
+        days.forEach((day, i) => {
+            let start = GENERATED_DAY_START;
+            itinerary[`day${i + 1}`] = day.activities.map(({ activity, cost, hours }) => {
+                const item = {
+                    name: activity.activity_name,
+                    time: minutesToTime(start),
+                    notes: activity.description || null,
+                    estimated_cost: convertAmount(cost, BASE_CURRENCY, currency, rates),
+                    location: destination.name
+                };
+                start += hours * 60;
+                return item;
+            });
+        });
+
+        const trip = {
+            destination_id: destination.id,
+            trip_name: trip_name || `${num_days}-day trip to ${destination.name}`,
+            destination_name: destination.name,
+            start_date,
+            num_days,
+            currency,
+            budget: { activities: convertAmount(totalCost, BASE_CURRENCY, currency, rates) },
+            itinerary
+        };
+
+        const context = await loadFeasibilityContext(destination.id);
+        const { issues } = checkItineraryFeasibility(trip, itineraryToItems(itinerary), context);
+
+        res.json({
+            trip,
+            summary: {
+                activities_scheduled: days.reduce((sum, day) => sum + day.activities.length, 0),
+                total_cost: trip.budget.activities,
+                budget_cap: budget_cap === undefined ? null : budget_cap,
+                hours_per_day: days.map(day => day.hours)
+            },
+            skipped,
+            warnings: issues
+        });
+    } catch (error) {
+        logger.error('Error generating trip', { error });
+        sendError(res, 500, 'Failed to generate trip');
+    }
+});
+
+// Update trip. Itinerary items that carry an `id` are updated in place, items without
+// one are added, and existing items missing from the payload are removed.
+app.put('/api/trips/:id', authenticateToken, validate(updateTripSchema), requireKnownCurrency, requireTripEditor, strictItineraryCheck, invalidates('stats'), async (req, res) => {
+    try {
+        const {
+            destination_id,
+            trip_name,
+            destination_name,
+            start_date,
+            num_days,
+            budget = {},
+            itinerary,
+            status,
+            notes,
+            currency
+        } = req.body;
+
+        // Resolves to the id of an item from another trip, which rejects the whole update
+        const foreignId = await repos.transaction(async (tx) => {
+            const existing = await tx.itinerary.listForTrip(req.trip.id);
+            const existingIds = new Set(existing.map(item => item.id));
+
+            // Reject ids from other trips before changing anything
+            const days = Object.entries(itinerary || {});
+            for (const [, activities] of days) {
+                const foreign = activities.find(activity => activity.id && !existingIds.has(activity.id));
+                if (foreign) {
+                    return foreign.id;
+                }
+            }
+
+            // Update trip
+            const changes = {
+                destination_id: destination_id || null,
+                trip_name,
+                destination_name,
+                start_date,
+                num_days,
+                notes: notes || null
+            };
+            for (const [key, column] of Object.entries(BUDGET_COLUMNS)) {
+                changes[column] = budget[key] || 0;
+            }
+            // A PUT without a status keeps the trip's progress rather than resetting it
+            if (status) {
+                changes.status = status;
+            }
+            if (currency) {
+                changes.currency = currency;
+            }
+
+            await tx.trips.update(req.trip.id, changes);
+
+            // Sync itinerary
+            const kept = new Set();
+
+            for (let [dayKey, activities] of days) {
+                const dayNumber = parseInt(dayKey.replace('day', ''));
+
+                for (let i = 0; i < activities.length; i++) {
+                    const activity = activities[i];
+
+                    if (activity.id) {
+                        await tx.itinerary.replace(activity.id, dayNumber, i, activity);
+                        kept.add(activity.id);
+                    } else {
+                        await tx.itinerary.insert(req.trip.id, dayNumber, i, activity);
+                    }
+                }
+            }
+
+            await tx.itinerary.remove([...existingIds].filter(id => !kept.has(id)));
+
+            return null;
+        });
+
+        if (foreignId) {
+            return sendError(res, 400, `Itinerary item ${foreignId} does not belong to this trip`);
+        }
+
+        res.json({ message: 'Trip updated successfully' });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return sendError(res, 404, 'Destination not found');
+        }
+        logger.error('Error updating trip', { error });
+        sendError(res, 500, 'Failed to update trip');
+    }
+});
+
+// Columns PATCH /api/trips/:id may change. A new currency relabels the stored amounts;
+// it does not convert them.
+const PATCHABLE_TRIP_FIELDS = ['destination_id', 'trip_name', 'destination_name', 'start_date', 'num_days', 'status', 'notes', 'currency'];
+
+// Partially update trip fields; the itinerary is managed through /itinerary routes
+app.patch('/api/trips/:id', authenticateToken, validate(patchTripSchema), requireKnownCurrency, requireTripEditor, strictTripPatchCheck, invalidates('stats'), async (req, res) => {
+    try {
+        const changes = {};
+
+        for (const field of PATCHABLE_TRIP_FIELDS) {
+            if (req.body[field] !== undefined) {
+                changes[field] = req.body[field];
+            }
+        }
+
+        for (const [key, column] of Object.entries(BUDGET_COLUMNS)) {
+            if (req.body.budget && req.body.budget[key] !== undefined) {
+                changes[column] = req.body.budget[key];
+            }
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return sendError(res, 400, 'Request validation failed', [
+                { field: 'body', message: 'must include at least one trip field to update' }
+            ]);
+        }
+
+        // The store keeps end_date in step with the (possibly new) start date and length
+        await repos.trips.update(req.trip.id, changes);
+
+        const trip = await repos.trips.findById(req.trip.id);
+
+        res.json({
+            message: 'Trip updated successfully',
+            trip
+        });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return sendError(res, 404, 'Destination not found');
+        }
+        logger.error('Error patching trip', { error });
+        sendError(res, 500, 'Failed to update trip');
+    }
+});
+
+// Delete trip
+app.delete('/api/trips/:id', authenticateToken, validate({ params: idParams }), requireTripOwner, invalidates('stats'), async (req, res) => {
+    try {
+        await repos.trips.remove(req.trip.id);
+
+        res.json({ message: 'Trip deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting trip', { error });
+        sendError(res, 500, 'Failed to delete trip');
+    }
+});
+
+// =====================================================
+// ITINERARY ROUTES
+// =====================================================
+
+const itineraryParams = {
+    id: { type: 'integer', min: 1, required: true },
+    itemId: { type: 'integer', min: 1, required: true }
+};
+
+// Zero-based slot within a day; positions past the end append
+const itineraryPosition = { type: 'integer', min: 0 };
+
+// Item fields without the PUT-only id
+const { id: _itemId, ...itineraryItemFields } = itineraryItemRule.properties;
+
+const createItineraryItemSchema = {
+    params: idParams,
+    query: strictQuery,
+    body: {
+        ...itineraryItemFields,
+        day_number: { type: 'integer', min: 1, required: true },
+        position: itineraryPosition
+    }
+};
+
+const updateItineraryItemSchema = {
+    params: itineraryParams,
+    query: strictQuery,
+    body: {
+        ...itineraryItemFields,
+        name: { ...itineraryItemFields.name, required: false }
+    }
+};
+
+const moveItineraryItemSchema = {
+    params: itineraryParams,
+    query: strictQuery,
+    body: {
+        day_number: { type: 'integer', min: 1, required: true },
+        position: itineraryPosition
+    }
+};
+
+// Strict mode on the item routes checks the trip's itinerary with the item added, edited or moved
+const strictItineraryItemCheck = strictFeasibilityCheck(async (req) => {
+    const items = await repos.itinerary.listForTrip(req.trip.id);
+    const itemId = req.params.itemId;
+
+    if (!itemId) {
+        items.push({
+            id: null,
+            day_number: req.body.day_number,
+            order_index: req.body.position === undefined ? items.length : req.body.position,
+            activity_name: req.body.name,
+            activity_time: req.body.time || null
+        });
+        return { trip: req.trip, items };
+    }
+
+    // A missing item is left for the route to answer with 404
+    return {
+        trip: req.trip,
+        items: items.map(item => (item.id !== itemId ? item : {
+            ...item,
+            day_number: req.body.day_number === undefined ? item.day_number : req.body.day_number,
+            activity_name: req.body.name === undefined ? item.activity_name : req.body.name,
+            activity_time: req.body.time === undefined ? item.activity_time : req.body.time
+        }))
+    };
+});
+
+// Get a trip's itinerary grouped by day
+app.get('/api/trips/:id/itinerary', authenticateToken, validate({ params: idParams }), requireTripViewer, async (req, res) => {
+    try {
+        const items = await repos.itinerary.listForTrip(req.trip.id);
+
+        const days = {};
+        for (const item of items) {
+            const dayKey = `day${item.day_number}`;
+            days[dayKey] = days[dayKey] || [];
+            days[dayKey].push(item);
+        }
+
+        res.json({
+            trip_id: req.trip.id,
+            num_days: req.trip.num_days,
+            days
+        });
+    } catch (error) {
+        logger.error('Error fetching itinerary', { error });
+        sendError(res, 500, 'Failed to fetch itinerary');
+    }
+});
+
+// Check a trip's itinerary for conflicts and feasibility problems
+app.get('/api/trips/:id/validate', authenticateToken, validate({ params: idParams }), requireTripViewer, async (req, res) => {
+    try {
+        const items = await repos.itinerary.listForTrip(req.trip.id);
+
+        const context = await loadFeasibilityContext(req.trip.destination_id);
+        const result = checkItineraryFeasibility(req.trip, items, context);
+
+        res.json({
+            trip_id: req.trip.id,
+            ...result,
+            summary: {
+                errors: result.issues.filter(issue => issue.severity === 'error').length,
+                warnings: result.issues.filter(issue => issue.severity === 'warning').length
+            }
+        });
+    } catch (error) {
+        logger.error('Error validating itinerary', { error });
+        sendError(res, 500, 'Failed to validate itinerary');
+    }
+});
+
+// Add an item to a day, appended unless a position is given
+app.post('/api/trips/:id/itinerary', authenticateToken, validate(createItineraryItemSchema), requireTripEditor, strictItineraryItemCheck, async (req, res) => {
+    try {
+        const { day_number, position } = req.body;
+
+        const item = await repos.transaction(async (tx) => {
+            // order_index is set by the renumbering below
+            const itemId = await tx.itinerary.insert(req.trip.id, day_number, 0, req.body);
+            await tx.itinerary.renumberDay(req.trip.id, day_number, itemId, position);
+
+            return tx.itinerary.findItem(req.trip.id, itemId);
+        });
+
+        res.status(201).json({
+            message: 'Itinerary item added successfully',
+            item
+        });
+    } catch (error) {
+        logger.error('Error adding itinerary item', { error });
+        sendError(res, 500, 'Failed to add itinerary item');
+    }
+});
+
+// Edit an item's details; use the move route to change its day or position
+app.patch('/api/trips/:id/itinerary/:itemId', authenticateToken, validate(updateItineraryItemSchema), requireTripEditor, strictItineraryItemCheck, async (req, res) => {
+    try {
+        if (Object.keys(itineraryItemFields).every(field => req.body[field] === undefined)) {
+            return sendError(res, 400, 'Request validation failed', [
+                { field: 'body', message: 'must include at least one itinerary field to update' }
+            ]);
+        }
+
+        const updated = await repos.itinerary.update(req.trip.id, req.params.itemId, req.body);
+
+        if (!updated) {
+            return sendError(res, 404, 'Itinerary item not found');
+        }
+
+        const item = await repos.itinerary.findItem(req.trip.id, req.params.itemId);
+
+        res.json({
+            message: 'Itinerary item updated successfully',
+            item
+        });
+    } catch (error) {
+        logger.error('Error updating itinerary item', { error });
+        sendError(res, 500, 'Failed to update itinerary item');
+    }
+});
+
+// Move an item to another day and/or position, renumbering both days
+app.post('/api/trips/:id/itinerary/:itemId/move', authenticateToken, validate(moveItineraryItemSchema), requireTripEditor, strictItineraryItemCheck, async (req, res) => {
+    try {
+        const { day_number, position } = req.body;
+
+        // Resolves to the moved item, or null when it isn't on this trip
+        const moved = await repos.transaction(async (tx) => {
+            const item = await tx.itinerary.findItem(req.trip.id, req.params.itemId);
+
+            if (!item) {
+                return null;
+            }
+
+            await tx.itinerary.setDay(item.id, day_number);
+
+            if (item.day_number !== day_number) {
+                await tx.itinerary.renumberDay(req.trip.id, item.day_number);
+            }
+            await tx.itinerary.renumberDay(req.trip.id, day_number, item.id, position);
+
+            return tx.itinerary.findItem(req.trip.id, item.id);
+        });
+
+        if (!moved) {
+            return sendError(res, 404, 'Itinerary item not found');
+        }
+
+        res.json({
+            message: 'Itinerary item moved successfully',
+            item: moved
+        });
+    } catch (error) {
+        logger.error('Error moving itinerary item', { error });
+        sendError(res, 500, 'Failed to move itinerary item');
+    }
+});
+
+// Remove an item and close the gap it leaves in its day
+app.delete('/api/trips/:id/itinerary/:itemId', authenticateToken, validate({ params: itineraryParams }), requireTripEditor, async (req, res) => {
+    try {
+        const deleted = await repos.transaction(async (tx) => {
+            const item = await tx.itinerary.findItem(req.trip.id, req.params.itemId);
+
+            if (!item) {
+                return false;
+            }
+
+            await tx.itinerary.remove([item.id]);
+            await tx.itinerary.renumberDay(req.trip.id, item.day_number);
+
+            return true;
+        });
+
+        if (!deleted) {
+            return sendError(res, 404, 'Itinerary item not found');
+        }
+
+        res.json({ message: 'Itinerary item deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting itinerary item', { error });
+        sendError(res, 500, 'Failed to delete itinerary item');
+    }
+});
+
+// =====================================================
+// BOOKINGS ROUTES
+// =====================================================
+
+// Booking types map onto the trip budget column they are charged against
+const BOOKING_BUDGET_COLUMNS = {
+    flight: 'budget_flights',
+    hotel: 'budget_hotel',
+    activity: 'budget_activities',
+    transport: 'budget_transport'
+};
+
+// Allowed status changes: pending -> confirmed -> cancelled
+const BOOKING_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['cancelled'],
+    cancelled: []
+};
+
+// Schemas for the `details` JSON of each booking type
+const BOOKING_DETAIL_SCHEMAS = {
+    flight: {
+        allowUnknown: false,
+        properties: {
+            airline: { type: 'string', minLength: 1, maxLength: 100, required: true },
+            flight_number: { type: 'string', minLength: 1, maxLength: 20, required: true },
+            departure_airport: { type: 'string', minLength: 1, maxLength: 100, required: true },
+            arrival_airport: { type: 'string', minLength: 1, maxLength: 100, required: true },
+            departure_time: { type: 'time' },
+            arrival_time: { type: 'time' },
+            cabin_class: { type: 'enum', values: ['economy', 'premium_economy', 'business', 'first'] },
+            seat: { type: 'string', maxLength: 10 },
+            passengers: { type: 'integer', min: 1 }
+        }
+    },
+    hotel: {
+        allowUnknown: false,
+        properties: {
+            hotel_name: { type: 'string', minLength: 1, maxLength: 200, required: true },
+            check_in: { type: 'date', required: true },
+            check_out: { type: 'date', required: true },
+            room_type: { type: 'string', maxLength: 100 },
+            guests: { type: 'integer', min: 1 },
+            address: { type: 'string', maxLength: 500 }
+        },
+        custom: (details) => (details.check_out <= details.check_in ? 'check_out must be after check_in' : null)
+    },
+    activity: {
+        allowUnknown: false,
+        properties: {
+            activity_name: { type: 'string', minLength: 1, maxLength: 200, required: true },
+            destination_activity_id: { type: 'integer', min: 1 },
+            location: { type: 'string', maxLength: 200 },
+            participants: { type: 'integer', min: 1 },
+            duration_hours: { type: 'integer', min: 1 }
+        }
+    },
+    transport: {
+        allowUnknown: false,
+        properties: {
+            mode: { type: 'enum', values: ['cab', 'bus', 'train', 'ferry', 'car_rental', 'bike_rental', 'other'], required: true },
+            from: { type: 'string', minLength: 1, maxLength: 200, required: true },
+            to: { type: 'string', minLength: 1, maxLength: 200, required: true },
+            pickup_time: { type: 'time' },
+            vehicle: { type: 'string', maxLength: 100 },
+            passengers: { type: 'integer', min: 1 }
+        }
+    }
+};
+
+const bookingParams = {
+    id: { type: 'integer', min: 1, required: true },
+    bookingId: { type: 'integer', min: 1, required: true }
+};
+
+// Top-level booking fields shared by create and update
+const bookingBody = {
+    booking_type: { type: 'enum', values: Object.keys(BOOKING_BUDGET_COLUMNS), required: true },
+    booking_reference: { type: 'string', maxLength: 100, nullable: true },
+    provider_name: { type: 'string', maxLength: 200, nullable: true },
+    booking_date: { type: 'date', nullable: true },
+    booking_time: { type: 'time', nullable: true },
+    amount: { type: 'number', min: 0 },
+    // Defaults to the trip's currency
+    currency: currencyRule,
+    details: { type: 'object', nullable: true }
+};
+
+// Validates `details` against the schema for the booking's type (run after validate())
+const validateBookingDetails = (req, res, next) => {
+    const errors = [];
+    const schema = BOOKING_DETAIL_SCHEMAS[req.body.booking_type];
+
+    req.body.details = checkObject(schema, req.body.details || {}, 'details.', errors, false);
+
+    if (errors.length > 0) {
+        return sendError(res, 400, 'Request validation failed', errors);
+    }
+
+    next();
+};
+
+// Compares non-cancelled booking amounts with the trip's budget_* columns
+const compareBookingsToBudget = (trip, bookings) => {
+    const comparison = {};
+    let totalBooked = 0;
+
+    for (const [bookingType, column] of Object.entries(BOOKING_BUDGET_COLUMNS)) {
+        const active = bookings.filter(b => b.booking_type === bookingType && b.status !== 'cancelled');
+        const booked = active.reduce((sum, b) => sum + parseFloat(b.amount || 0), 0);
+        const confirmed = active
+            .filter(b => b.status === 'confirmed')
+            .reduce((sum, b) => sum + parseFloat(b.amount || 0), 0);
+        const budgeted = parseFloat(trip[column] || 0);
+
+        comparison[bookingType] = {
+            budgeted,
+            booked,
+            confirmed,
+            remaining: roundMoney(budgeted - booked),
+            over_budget: booked > budgeted
+        };
+        totalBooked += booked;
+    }
+
+    const totalBudget = parseFloat(trip.budget_total || 0);
+
+    comparison.total = {
+        budgeted: totalBudget,
+        booked: roundMoney(totalBooked),
+        remaining: roundMoney(totalBudget - totalBooked),
+        over_budget: totalBooked > totalBudget
+    };
+
+    return comparison;
+};
+
+const bookingListSchema = {
+    params: idParams,
+    query: {
+        ...currencyQuery,
+        status: { type: 'enum', values: Object.keys(BOOKING_STATUS_TRANSITIONS) },
+        type: { type: 'enum', values: Object.keys(BOOKING_BUDGET_COLUMNS) }
+    }
+};
+
+const createBookingSchema = {
+    params: idParams,
+    body: {
+        ...bookingBody,
+        // New bookings start as pending unless they were already confirmed elsewhere
+        status: { type: 'enum', values: ['pending', 'confirmed'] }
+    }
+};
+
+const updateBookingSchema = { params: bookingParams, body: bookingBody };
+
+const bookingStatusSchema = {
+    params: bookingParams,
+    body: {
+        status: { type: 'enum', values: Object.keys(BOOKING_STATUS_TRANSITIONS), required: true }
+    }
+};
+
+// Get bookings for a trip
+app.get('/api/trips/:id/bookings', authenticateToken, validate(bookingListSchema), requireTripViewer, withCurrency, async (req, res) => {
+    try {
+        const { target, rates } = req.currency;
+        const trip = toCurrency(req.trip, TRIP_MONEY_FIELDS, target || req.trip.currency, rates);
+
+        const { status, type } = req.query;
+        const rows = await repos.bookings.listForTrip(trip.id, { status, type });
+        const bookings = rows.map(booking => toCurrency(booking, ['amount'], trip.currency, rates));
+
+        res.json({
+            bookings,
+            currency: trip.currency,
+            budget_comparison: compareBookingsToBudget(trip, bookings)
+        });
+    } catch (error) {
+        logger.error('Error fetching bookings', { error });
+        sendError(res, 500, 'Failed to fetch bookings');
+    }
+});
+
+// Get single booking
+app.get('/api/trips/:id/bookings/:bookingId', authenticateToken, validate({ params: bookingParams, query: currencyQuery }), requireTripViewer, withCurrency, async (req, res) => {
+    try {
+        const booking = await repos.bookings.find(req.params.id, req.params.bookingId);
+
+        if (!booking) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        res.json(toCurrency(booking, ['amount'], req.currency.target, req.currency.rates));
+    } catch (error) {
+        logger.error('Error fetching booking', { error });
+        sendError(res, 500, 'Failed to fetch booking');
+    }
+});
+
+// Create booking
+app.post('/api/trips/:id/bookings', authenticateToken, validate(createBookingSchema), validateBookingDetails, requireKnownCurrency, requireTripEditor, async (req, res) => {
+    try {
+        const trip = req.trip;
+
+        const bookingId = await repos.bookings.create(trip.id, req.user.id, {
+            ...req.body,
+            currency: req.body.currency || trip.currency
+        });
+
+        res.status(201).json({
+            message: 'Booking created successfully',
+            booking_id: bookingId
+        });
+    } catch (error) {
+        logger.error('Error creating booking', { error });
+        sendError(res, 500, 'Failed to create booking');
+    }
+});
+
+// Update booking
+app.put('/api/trips/:id/bookings/:bookingId', authenticateToken, validate(updateBookingSchema), validateBookingDetails, requireKnownCurrency, requireTripEditor, async (req, res) => {
+    try {
+        const booking = await repos.bookings.find(req.params.id, req.params.bookingId);
+
+        if (!booking) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        if (booking.status === 'cancelled') {
+            return sendError(res, 409, 'Cancelled bookings cannot be modified');
+        }
+
+        await repos.bookings.update(booking.id, req.body);
+
+        res.json({ message: 'Booking updated successfully' });
+    } catch (error) {
+        logger.error('Error updating booking', { error });
+        sendError(res, 500, 'Failed to update booking');
+    }
+});
+
+// Change booking status
+app.patch('/api/trips/:id/bookings/:bookingId/status', authenticateToken, validate(bookingStatusSchema), requireTripEditor, async (req, res) => {
+    try {
+        const { status } = req.body;
+
+        const booking = await repos.bookings.find(req.params.id, req.params.bookingId);
+
+        if (!booking) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        if (!BOOKING_STATUS_TRANSITIONS[booking.status].includes(status)) {
+            return sendError(res, 409, `Cannot change booking status from ${booking.status} to ${status}`);
+        }
+
+        await repos.bookings.setStatus(booking.id, status);
+
+        res.json({ message: `Booking ${status}`, status });
+    } catch (error) {
+        logger.error('Error updating booking status', { error });
+        sendError(res, 500, 'Failed to update booking status');
+    }
+});
+
+// Delete booking
+app.delete('/api/trips/:id/bookings/:bookingId', authenticateToken, validate({ params: bookingParams }), requireTripEditor, async (req, res) => {
+    try {
+        const removed = await repos.bookings.remove(req.params.id, req.params.bookingId);
+
+        if (!removed) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        res.json({ message: 'Booking deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting booking', { error });
+        sendError(res, 500, 'Failed to delete booking');
+    }
+});
+
+// =====================================================
+// EXPENSES ROUTES
+// =====================================================
+
+// Expenses are logged against the same categories as the trip's budget_* columns
+const EXPENSE_CATEGORIES = Object.keys(BUDGET_COLUMNS);
+
+const expenseParams = {
+    id: { type: 'integer', min: 1, required: true },
+    expenseId: { type: 'integer', min: 1, required: true }
+};
+
+const SPLIT_TYPES = ['equal', 'shares', 'exact'];
+
+// How an expense is divided: equally between the listed travellers, in proportion to their
+// `shares`, or by `amount` per traveller (which must add up to the expense amount)
+const expenseSplitRule = {
+    type: 'object',
+    allowUnknown: false,
+    properties: {
+        type: { type: 'enum', values: SPLIT_TYPES, required: true },
+        participants: {
+            type: 'array',
+            maxItems: 50,
+            required: true,
+            items: {
+                type: 'object',
+                allowUnknown: false,
+                properties: {
+                    user_id: { type: 'integer', min: 1, required: true },
+                    shares: { type: 'number', min: 0 },
+                    amount: { type: 'number', min: 0 }
+                }
+            }
+        }
+    },
+    custom: (split) => {
+        const userIds = split.participants.map(p => p.user_id);
+        if (userIds.length === 0) {
+            return 'must list at least one participant';
+        }
+        if (new Set(userIds).size !== userIds.length) {
+            return 'lists a participant more than once';
+        }
+        if (split.type === 'shares' && !split.participants.every(p => p.shares > 0)) {
+            return 'needs shares greater than 0 for every participant';
+        }
+        if (split.type === 'exact' && !split.participants.every(p => p.amount !== undefined)) {
+            return 'needs an amount for every participant';
+        }
+        return null;
+    }
+};
+
+const expenseBody = {
+    category: { type: 'enum', values: EXPENSE_CATEGORIES, required: true },
+    amount: { type: 'number', min: 0, required: true },
+    // Defaults to the trip's currency
+    currency: currencyRule,
+    expense_date: { type: 'date', required: true },
+    note: { type: 'string', maxLength: 500, nullable: true },
+    // Free-text name of whoever paid; defaults to the paying traveller's name
+    paid_by: { type: 'string', minLength: 1, maxLength: 100, nullable: true },
+    // Traveller (owner or collaborator) who paid; defaults to the user logging the expense,
+    // or to the stored payer when an expense is updated
+    paid_by_user_id: { type: 'integer', min: 1, nullable: true },
+    // Omit to share the expense equally between everyone on the trip
+    split: { ...expenseSplitRule, nullable: true }
+};
+
+const expenseListSchema = {
+    params: idParams,
+    query: {
+        ...paginationQuery,
+        ...currencyQuery,
+        category: { type: 'enum', values: EXPENSE_CATEGORIES },
+        from: { type: 'date' },
+        to: { type: 'date' }
+    }
+};
+
+// The expense with its split rows, or null when it isn't on the trip
+const findExpense = async (tripId, expenseId) => {
+    const expense = await repos.expenses.find(tripId, expenseId);
+
+    if (!expense) {
+        return null;
+    }
+
+    const splits = await repos.expenses.listSplits([expense.id]);
+    return { ...expense, splits: splits.get(expense.id) };
+};
+
+// Divide a whole number of cents in proportion to `weights`, handing leftover cents to the
+// largest remainders so the parts always add back up to the total
+const allocateCents = (totalCents, weights) => {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) {
+        return weights.map(() => 0);
+    }
+
+    const exact = weights.map(weight => totalCents * weight / totalWeight);
+    const parts = exact.map(Math.floor);
+    let leftover = totalCents - parts.reduce((sum, part) => sum + part, 0);
+
+    const byRemainder = exact
+        .map((value, index) => ({ index, remainder: value - parts[index] }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+    for (const { index } of byRemainder) {
+        if (leftover <= 0) {
+            break;
+        }
+        parts[index] += 1;
+        leftover -= 1;
+    }
+    return parts;
+};
+
+const toCents = amount => Math.round(parseFloat(amount || 0) * 100);
+
+// Check the payer and split against the trip's travellers and work out each participant's
+// part of `amount`. Returns { errors } or { payer, splitType, rows }, where rows are
+// { user_id, shares, amount } to store (none for the default equal split between everyone).
+const resolveExpenseSplit = (body, travellers, userId) => {
+    const errors = [];
+    const travellerIds = new Set(travellers.map(t => t.user_id));
+    const payerId = body.paid_by_user_id || userId;
+    const payer = travellers.find(t => t.user_id === payerId);
+
+    if (!payer) {
+        errors.push({ field: 'paid_by_user_id', message: 'is not a traveller on this trip' });
+    }
+
+    const split = body.split;
+    if (!split) {
+        return errors.length ? { errors } : { payer, splitType: 'equal', rows: [] };
+    }
+
+    split.participants.forEach((participant, i) => {
+        if (!travellerIds.has(participant.user_id)) {
+            errors.push({ field: `split.participants[${i}].user_id`, message: 'is not a traveller on this trip' });
+        }
+    });
+
+    const totalCents = toCents(body.amount);
+
+    if (split.type === 'exact') {
+        const splitCents = split.participants.reduce((sum, p) => sum + toCents(p.amount), 0);
+        if (splitCents !== totalCents) {
+            errors.push({ field: 'split.participants', message: `amounts must add up to ${(totalCents / 100).toFixed(2)}` });
+        }
+    }
+
+    if (errors.length) {
+        return { errors };
+    }
+
+    const weights = split.participants.map(p =>
+        split.type === 'equal' ? 1 : split.type === 'shares' ? p.shares : toCents(p.amount));
+    const cents = allocateCents(totalCents, weights);
+
+    return {
+        payer,
+        splitType: split.type,
+        rows: split.participants.map((p, i) => ({
+            user_id: p.user_id,
+            shares: split.type === 'shares' ? p.shares : null,
+            amount: cents[i] / 100
+        }))
+    };
+};
+
+// The trip_expenses fields of an expense body once its split is resolved; `currency` is the
+// fallback for bodies without one
+const expenseRecord = (body, currency, split) => ({
+    category: body.category,
+    amount: body.amount,
+    currency: body.currency || currency,
+    expense_date: body.expense_date,
+    note: body.note,
+    paid_by: body.paid_by || split.payer.name,
+    paid_by_user_id: split.payer.user_id,
+    split_type: split.splitType
+});
+
+// Spent vs budgeted per category, with a warning for every category (and the total) over budget.
+// `totals` are rows of { category, currency, spent } from a GROUP BY over trip_expenses and are
+// converted into the trip's currency. Spending is rounded to cents before it is compared.
+const summarizeExpenses = (trip, totals, rates) => {
+    const byCategory = {};
+    const warnings = [];
+
+    for (const [category, column] of Object.entries(BUDGET_COLUMNS)) {
+        const spent = roundMoney(totals
+            .filter(total => total.category === category)
+            .reduce((sum, total) => sum + convertAmount(total.spent, total.currency, trip.currency, rates), 0));
+        const budgeted = parseFloat(trip[column] || 0);
+        const overBudget = toCents(spent) > toCents(budgeted);
+
+        byCategory[category] = {
+            budgeted,
+            spent,
+            remaining: roundMoney(budgeted - spent),
+            percent_used: budgeted > 0 ? Math.round(spent / budgeted * 1000) / 10 : null,
+            over_budget: overBudget
+        };
+
+        if (overBudget) {
+            warnings.push({
+                type: 'overspend',
+                category,
+                budgeted,
+                spent,
+                over_by: roundMoney(spent - budgeted),
+                message: `Spent ${spent.toFixed(2)} on ${category} against a budget of ${budgeted.toFixed(2)}`
+            });
+        }
+    }
+
+    const totalBudget = parseFloat(trip.budget_total || 0);
+    const totalSpent = roundMoney(Object.values(byCategory).reduce((sum, { spent }) => sum + spent, 0));
+
+    if (toCents(totalSpent) > toCents(totalBudget)) {
+        warnings.push({
+            type: 'overspend',
+            category: 'total',
+            budgeted: totalBudget,
+            spent: totalSpent,
+            over_by: roundMoney(totalSpent - totalBudget),
+            message: `Total spending ${totalSpent.toFixed(2)} exceeds the trip budget of ${totalBudget.toFixed(2)}`
+        });
+    }
+
+    return {
+        currency: trip.currency,
+        total_budget: totalBudget,
+        total_spent: totalSpent,
+        remaining: roundMoney(totalBudget - totalSpent),
+        by_category: byCategory,
+        warnings
+    };
+};
+
+// Get expenses for a trip
+app.get('/api/trips/:id/expenses', authenticateToken, validate(expenseListSchema), requireTripViewer, withCurrency, async (req, res) => {
+    try {
+        const { page, limit, offset } = getPagination(req.query);
+        const { category, from, to } = req.query;
+
+        const { rows, totals } = await repos.expenses.search(req.trip.id, { category, from, to, limit, offset });
+
+        // Totals are given in the requested currency, or the trip's
+        const { target, rates } = req.currency;
+        const currency = target || req.trip.currency;
+        const splits = await repos.expenses.listSplits(rows.map(expense => expense.id));
+
+        res.json({
+            expenses: rows.map(expense => ({
+                ...toCurrency(expense, ['amount'], target, rates),
+                splits: splits.get(expense.id).map(split => toCurrency(split, ['amount'], target, rates, expense.currency))
+            })),
+            currency,
+            total_amount: roundMoney(totals.reduce((sum, row) => sum + convertAmount(row.total_amount, row.currency, currency, rates), 0)),
+            pagination: paginationMeta(page, limit, totals.reduce((sum, row) => sum + row.total, 0))
+        });
+    } catch (error) {
+        logger.error('Error fetching expenses', { error });
+        sendError(res, 500, 'Failed to fetch expenses');
+    }
+});
+
+// Budget vs actual spending per category and per day of the trip
+app.get('/api/trips/:id/expenses/report', authenticateToken, validate({ params: idParams, query: currencyQuery }), requireTripViewer, withCurrency, async (req, res) => {
+    try {
+        const trip = req.trip;
+        const { target, rates } = req.currency;
+        const currency = target || trip.currency;
+
+        // Planned budget and itinerary estimate come from the CalculateTripBudget procedure
+        const budget = await repos.trips.calculateBudget(trip.id);
+        const planned = toCurrency(
+            { ...budget, currency: trip.currency },
+            [...TRIP_MONEY_FIELDS, 'actual_itinerary_cost'],
+            currency,
+            rates
+        );
+
+        const categoryTotals = (await repos.expenses.totalsForTrips([trip.id])).get(trip.id);
+        const dailyTotals = await repos.expenses.dailyTotals(trip.id);
+
+        const summary = summarizeExpenses(planned, categoryTotals, rates);
+        const startDate = formatDate(trip.start_date);
+        const dailyBudget = trip.num_days > 0 ? summary.total_budget / trip.num_days : 0;
+
+        // Every trip day appears, plus any date with spending before or after the trip
+        const days = new Map();
+        for (let day = 1; day <= trip.num_days; day++) {
+            const date = tripDayDate(trip.start_date, day);
+            days.set(date, { date, day_number: day, spent: 0, by_category: {} });
+        }
+
+        for (const row of dailyTotals) {
+            const date = formatDate(row.expense_date);
+            if (!days.has(date)) {
+                const dayNumber = daysBetween(startDate, date) + 1;
+                days.set(date, {
+                    date,
+                    day_number: dayNumber >= 1 && dayNumber <= trip.num_days ? dayNumber : null,
+                    spent: 0,
+                    by_category: {}
+                });
+            }
+            const day = days.get(date);
+            const spent = convertAmount(row.spent, row.currency, currency, rates);
+            day.by_category[row.category] = (day.by_category[row.category] || 0) + spent;
+            day.spent += spent;
+        }
+
+        // Each currency's daily sum is converted to cents; adding those up can leave float
+        // error, so every day and category total is rounded to cents before it is compared
+        const daily = [...days.values()]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(day => {
+                const spent = roundMoney(day.spent);
+                const planned = day.day_number ? roundMoney(dailyBudget) : 0;
+                return {
+                    ...day,
+                    spent,
+                    by_category: Object.fromEntries(
+                        Object.entries(day.by_category).map(([category, total]) => [category, roundMoney(total)])
+                    ),
+                    planned,
+                    over_budget: toCents(spent) > toCents(planned)
+                };
+            });
+
+        res.json({
+            trip_id: trip.id,
+            ...summary,
+            itinerary_estimate: parseFloat(planned.actual_itinerary_cost || 0),
+            daily
+        });
+    } catch (error) {
+        logger.error('Error building expense report', { error });
+        sendError(res, 500, 'Failed to build expense report');
+    }
+});
+
+// Get a single expense
+app.get('/api/trips/:id/expenses/:expenseId', authenticateToken, validate({ params: expenseParams }), requireTripViewer, async (req, res) => {
+    try {
+        const expense = await findExpense(req.trip.id, req.params.expenseId);
+
+        if (!expense) {
+            return sendError(res, 404, 'Expense not found');
+        }
+
+        res.json(expense);
+    } catch (error) {
+        logger.error('Error fetching expense', { error });
+        sendError(res, 500, 'Failed to fetch expense');
+    }
+});
+
+// Log an expense
+app.post('/api/trips/:id/expenses', authenticateToken, validate({ params: idParams, body: expenseBody }), requireKnownCurrency, requireTripEditor, async (req, res) => {
+    try {
+        const travellers = await repos.collaborators.listTravellers(req.trip.id, req.trip.user_id);
+        const split = resolveExpenseSplit(req.body, travellers, req.user.id);
+
+        if (split.errors) {
+            return sendError(res, 400, 'Request validation failed', split.errors);
+        }
+
+        const expenseId = await repos.transaction(async (tx) => {
+            const id = await tx.expenses.create(req.trip.id, req.user.id, expenseRecord(req.body, req.trip.currency, split));
+            await tx.expenses.replaceSplits(id, split.rows);
+            return id;
+        });
+
+        res.status(201).json({
+            message: 'Expense added successfully',
+            expense: await findExpense(req.trip.id, expenseId)
+        });
+    } catch (error) {
+        logger.error('Error adding expense', { error });
+        sendError(res, 500, 'Failed to add expense');
+    }
+});
+
+// Update an expense; leaving out `split` goes back to an equal split between everyone, while
+// leaving out the payer keeps whoever paid before
+app.put('/api/trips/:id/expenses/:expenseId', authenticateToken, validate({ params: expenseParams, body: expenseBody }), requireKnownCurrency, requireTripEditor, async (req, res) => {
+    try {
+        const stored = await repos.expenses.find(req.trip.id, req.params.expenseId);
+
+        if (!stored) {
+            return sendError(res, 404, 'Expense not found');
+        }
+
+        const body = req.body.paid_by_user_id ? req.body : {
+            ...req.body,
+            paid_by_user_id: stored.paid_by_user_id || stored.user_id,
+            paid_by: req.body.paid_by || stored.paid_by
+        };
+
+        const travellers = await repos.collaborators.listTravellers(req.trip.id, req.trip.user_id);
+        const split = resolveExpenseSplit(body, travellers, req.user.id);
+
+        if (split.errors) {
+            return sendError(res, 400, 'Request validation failed', split.errors);
+        }
+
+        const updated = await repos.transaction(async (tx) => {
+            // A missing currency keeps the stored one
+            const found = await tx.expenses.update(req.trip.id, req.params.expenseId, expenseRecord(body, null, split));
+            if (found) {
+                await tx.expenses.replaceSplits(req.params.expenseId, split.rows);
+            }
+            return found;
+        });
+
+        if (!updated) {
+            return sendError(res, 404, 'Expense not found');
+        }
+
+        res.json({
+            message: 'Expense updated successfully',
+            expense: await findExpense(req.trip.id, req.params.expenseId)
+        });
+    } catch (error) {
+        logger.error('Error updating expense', { error });
+        sendError(res, 500, 'Failed to update expense');
+    }
+});
+
+// Delete an expense
+app.delete('/api/trips/:id/expenses/:expenseId', authenticateToken, validate({ params: expenseParams }), requireTripEditor, async (req, res) => {
+    try {
+        const removed = await repos.expenses.remove(req.trip.id, req.params.expenseId);
+
+        if (!removed) {
+            return sendError(res, 404, 'Expense not found');
+        }
+
+        res.json({ message: 'Expense deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting expense', { error });
+        sendError(res, 500, 'Failed to delete expense');
+    }
+});
+
+// Pair the largest debtor with the largest creditor until every balance (in cents) is zero.
+// This settles n travellers in at most n - 1 transfers.
+const minimalTransfers = (balances) => {
+    const debtors = balances.filter(b => b.cents < 0).map(b => ({ ...b, cents: -b.cents }));
+    const creditors = balances.filter(b => b.cents > 0).map(b => ({ ...b }));
+    const transfers = [];
+
+    const largestFirst = (a, b) => b.cents - a.cents || a.user_id - b.user_id;
+
+    while (debtors.length && creditors.length) {
+        debtors.sort(largestFirst);
+        creditors.sort(largestFirst);
+
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const cents = Math.min(debtor.cents, creditor.cents);
+
+        transfers.push({
+            from_user_id: debtor.user_id,
+            from_name: debtor.name,
+            to_user_id: creditor.user_id,
+            to_name: creditor.name,
+            amount: cents / 100
+        });
+
+        debtor.cents -= cents;
+        creditor.cents -= cents;
+        if (debtor.cents === 0) debtors.shift();
+        if (creditor.cents === 0) creditors.shift();
+    }
+
+    return transfers;
+};
+
+// Budget category a booking's amount counts against
+const bookingExpenseCategory = (bookingType) =>
+    EXPENSE_CATEGORIES.find(category => BUDGET_COLUMNS[category] === BOOKING_BUDGET_COLUMNS[bookingType]) || 'misc';
+
+// Who owes whom: logged expenses are split as recorded, and confirmed bookings count as paid
+// by the traveller who booked them and are shared equally between everyone on the trip
+app.get('/api/trips/:id/settlement', authenticateToken, validate({ params: idParams, query: currencyQuery }), requireTripViewer, withCurrency, async (req, res) => {
+    try {
+        const trip = req.trip;
+        const { target, rates } = req.currency;
+        const currency = target || trip.currency;
+
+        const travellers = await repos.collaborators.listTravellers(trip.id, trip.user_id);
+        const expenses = await repos.expenses.listForTrip(trip.id);
+        const bookings = await repos.bookings.listForTrip(trip.id, { status: 'confirmed' });
+        const splits = await repos.expenses.listSplits(expenses.map(expense => expense.id));
+
+        // Balances in cents; travellers who have since left the trip keep theirs
+        const people = new Map(travellers.map(t => [t.user_id, { ...t, paid: 0, owed: 0 }]));
+        const person = (userId, name) => {
+            if (!people.has(userId)) {
+                people.set(userId, { user_id: userId, name: name || null, role: null, paid: 0, owed: 0 });
+            }
+            return people.get(userId);
+        };
+
+        const byCategory = Object.fromEntries(EXPENSE_CATEGORIES.map(category => [category, 0]));
+        const everyone = travellers.map(t => ({ user_id: t.user_id, weight: 1 }));
+
+        const addPayment = (payerId, category, amount, from, parts) => {
+            const cents = toCents(convertAmount(amount, from, currency, rates));
+            const shares = allocateCents(cents, parts.map(part => part.weight));
+
+            person(payerId).paid += cents;
+            parts.forEach((part, i) => {
+                person(part.user_id, part.name).owed += shares[i];
+            });
+            byCategory[category] += cents;
+        };
+
+        for (const expense of expenses) {
+            const rows = splits.get(expense.id);
+            const parts = rows.length
+                ? rows.map(row => ({ user_id: row.user_id, name: row.name, weight: toCents(row.amount) }))
+                : everyone;
+            addPayment(expense.paid_by_user_id || expense.user_id, expense.category, expense.amount, expense.currency, parts);
+        }
+
+        for (const booking of bookings) {
+            addPayment(booking.user_id, bookingExpenseCategory(booking.booking_type), booking.amount, booking.currency, everyone);
+        }
+
+        // Payers who are no longer on the trip still need a name in the response
+        const unnamed = [...people.values()].filter(p => p.name === null).map(p => p.user_id);
+        for (const userId of unnamed) {
+            const user = await repos.users.findById(userId);
+            if (user) {
+                people.get(userId).name = user.name;
+            }
+        }
+
+        const balances = [...people.values()].map(p => ({
+            user_id: p.user_id,
+            name: p.name,
+            role: p.role,
+            cents: p.paid - p.owed,
+            paid: p.paid / 100,
+            owed: p.owed / 100
+        }));
+
+        const transfers = minimalTransfers(balances);
+        const totalCents = Object.values(byCategory).reduce((sum, cents) => sum + cents, 0);
+
+        res.json({
+            trip_id: trip.id,
+            currency,
+            total_paid: totalCents / 100,
+            by_category: Object.fromEntries(Object.entries(byCategory).map(([category, cents]) => [category, cents / 100])),
+            balances: balances.map(({ cents, ...balance }) => ({ ...balance, balance: cents / 100 })),
+            transfers,
+            settled: transfers.length === 0
+        });
+    } catch (error) {
+        logger.error('Error calculating settlement', { error });
+        sendError(res, 500, 'Failed to calculate settlement');
+    }
+});
+
+// =====================================================
+// TRIP EXPORT ROUTES
+// =====================================================
+
+const EXPORT_FORMATS = ['json', 'csv', 'ics', 'pdf'];
+
+// Identifies TravelMate JSON backups so POST /api/trips/import can recognise them
+const BACKUP_FORMAT = 'travelmate-trip';
+const BACKUP_VERSION = 1;
+
+// Booking types charged against each budget category, for CSV rows
+const BOOKING_CATEGORIES = {
+    flight: 'flights',
+    hotel: 'hotel',
+    activity: 'activities',
+    transport: 'transport'
+};
+
+// Everything an export needs: the trip, its itinerary in order, bookings and expenses
+const loadTripExport = async (trip) => ({
+    trip,
+    itinerary: await repos.itinerary.listForTrip(trip.id),
+    bookings: await repos.bookings.listForTrip(trip.id),
+    expenses: await repos.expenses.listForTrip(trip.id)
+});
+
+// JSON backup in the POST /api/trips body shape, plus bookings
+const tripToBackup = ({ trip, itinerary, bookings }) => {
+    const days = {};
+    for (const item of itinerary) {
+        const dayKey = `day${item.day_number}`;
+        days[dayKey] = days[dayKey] || [];
+        days[dayKey].push({
+            name: item.activity_name,
+            time: item.activity_time,
+            notes: item.activity_notes,
+            estimated_cost: parseFloat(item.estimated_cost || 0),
+            location: item.location
+        });
+    }
+
+    const budget = {};
+    for (const [key, column] of Object.entries(BUDGET_COLUMNS)) {
+        budget[key] = parseFloat(trip[column] || 0);
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exported_at: new Date().toISOString(),
+        trip: {
+            destination_id: trip.destination_id,
+            trip_name: trip.trip_name,
+            destination_name: trip.destination_name,
+            start_date: formatDate(trip.start_date),
+            num_days: trip.num_days,
+            status: trip.status,
+            notes: trip.notes,
+            currency: trip.currency,
+            budget,
+            itinerary: days
+        },
+        bookings: bookings.map(booking => ({
+            booking_type: booking.booking_type,
+            booking_reference: booking.booking_reference,
+            provider_name: booking.provider_name,
+            booking_date: formatDate(booking.booking_date),
+            booking_time: booking.booking_time,
+            amount: parseFloat(booking.amount || 0),
+            currency: booking.currency,
+            status: booking.status,
+            details: booking.details
+        }))
+    };
+};
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per planned budget category, itinerary item, booking and expense, for spreadsheets
+const tripToCsv = ({ trip, itinerary, bookings, expenses }) => {
+    const rows = [['type', 'date', 'day', 'time', 'category', 'description', 'location', 'amount', 'currency', 'status']];
+
+    for (const [key, column] of Object.entries(BUDGET_COLUMNS)) {
+        rows.push(['budget', '', '', '', key, `Planned ${key} budget`, '', parseFloat(trip[column] || 0), trip.currency, '']);
+    }
+
+    for (const item of itinerary) {
+        rows.push([
+            'itinerary',
+            tripDayDate(trip.start_date, item.day_number),
+            item.day_number,
+            item.activity_time ? String(item.activity_time).slice(0, 5) : '',
+            'activities',
+            item.activity_name,
+            item.location,
+            parseFloat(item.estimated_cost || 0),
+            trip.currency,
+            ''
+        ]);
+    }
+
+    for (const booking of bookings) {
+        rows.push([
+            'booking',
+            formatDate(booking.booking_date) || '',
+            '',
+            '',
+            BOOKING_CATEGORIES[booking.booking_type],
+            [booking.provider_name, booking.booking_reference].filter(Boolean).join(' ') || booking.booking_type,
+            '',
+            parseFloat(booking.amount || 0),
+            booking.currency,
+            booking.status
+        ]);
+    }
+
+    for (const expense of expenses) {
+        rows.push([
+            'expense',
+            formatDate(expense.expense_date),
+            '',
+            '',
+            expense.category,
+            [expense.note, expense.paid_by && `paid by ${expense.paid_by}`].filter(Boolean).join(' - '),
+            '',
+            parseFloat(expense.amount),
+            expense.currency,
+            ''
+        ]);
+    }
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const icsText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 lines are folded at 75 octets, continuing with a leading space
+const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const icsDate = (date) => date.replace(/-/g, '');
+const icsDateTime = (date, minutes) => `${icsDate(date)}T${minutesToTime(minutes).replace(':', '')}00`;
+
+// One VEVENT per itinerary item: timed items use floating local times and the activity's
+// duration, untimed items become all-day events
+const tripToIcs = ({ trip, itinerary }, context) => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TravelMate//Trip Export//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${icsText(trip.trip_name)}`
+    ];
+
+    for (const item of itinerary) {
+        const date = tripDayDate(trip.start_date, item.day_number);
+        const hours = context.durations.get(item.activity_name.trim().toLowerCase()) || DEFAULT_ACTIVITY_HOURS;
+
+        lines.push('BEGIN:VEVENT', `UID:trip-${trip.id}-item-${item.id}@travelmate`, `DTSTAMP:${stamp}`);
+
+        if (item.activity_time) {
+            const start = timeToMinutes(item.activity_time);
+            lines.push(`DTSTART:${icsDateTime(date, start)}`);
+            // Activities running past midnight are cut off at the end of the day
+            lines.push(`DTEND:${icsDateTime(date, Math.min(start + hours * 60, 24 * 60 - 1))}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${icsDate(date)}`, `DTEND;VALUE=DATE:${icsDate(tripDayDate(date, 2))}`);
+        }
+
+        lines.push(`SUMMARY:${icsText(item.activity_name)}`);
+        if (item.location) {
+            lines.push(`LOCATION:${icsText(item.location)}`);
+        }
+        if (item.activity_notes) {
+            lines.push(`DESCRIPTION:${icsText(item.activity_notes)}`);
+        }
+        lines.push(`X-TRAVELMATE-DAY:${item.day_number}`, 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+const formatAmount = (value, currency) => `${currency} ${parseFloat(value || 0).toFixed(2)}`;
+
+// Printable itinerary with the budget breakdown, written straight to the response.
+// Bookings are expected in the trip's currency.
+const writeTripPdf = ({ trip, itinerary, bookings }, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: trip.trip_name } });
+    doc.pipe(stream);
+
+    doc.fontSize(20).font('Helvetica-Bold').text(trip.trip_name);
+    doc.moveDown(0.3).fontSize(11).font('Helvetica')
+        .text(`${trip.destination_name}  |  ${formatDate(trip.start_date)} to ${tripDayDate(trip.start_date, trip.num_days)}`)
+        .text(`${trip.num_days} day(s)  |  Status: ${trip.status}`);
+
+    const budgetComparison = compareBookingsToBudget(trip, bookings);
+
+    doc.moveDown().fontSize(14).font('Helvetica-Bold').text('Budget');
+    doc.fontSize(10);
+    for (const [key, column] of Object.entries(BUDGET_COLUMNS)) {
+        const bookingType = Object.keys(BOOKING_CATEGORIES).find(type => BOOKING_CATEGORIES[type] === key);
+        const booked = bookingType ? `   (booked ${formatAmount(budgetComparison[bookingType].booked, trip.currency)})` : '';
+        doc.font('Helvetica').text(`${key.padEnd(12)} ${formatAmount(trip[column], trip.currency)}${booked}`);
+    }
+    doc.font('Helvetica-Bold').text(`Total        ${formatAmount(trip.budget_total, trip.currency)}`);
+
+    for (let day = 1; day <= Math.max(trip.num_days, ...itinerary.map(item => item.day_number)); day++) {
+        const items = itinerary.filter(item => item.day_number === day);
+
+        doc.moveDown().fontSize(14).font('Helvetica-Bold').text(`Day ${day} - ${tripDayDate(trip.start_date, day)}`);
+        doc.fontSize(10).font('Helvetica');
+
+        if (items.length === 0) {
+            doc.fillColor('#777777').text('No activities planned').fillColor('black');
+        }
+
+        for (const item of items) {
+            const time = item.activity_time ? String(item.activity_time).slice(0, 5) : '--:--';
+            const cost = parseFloat(item.estimated_cost || 0) > 0 ? `  (${formatAmount(item.estimated_cost, trip.currency)})` : '';
+            doc.font('Helvetica-Bold').text(`${time}  ${item.activity_name}`, { continued: Boolean(cost) });
+            if (cost) {
+                doc.font('Helvetica').text(cost);
+            }
+            const details = [item.location, item.activity_notes].filter(Boolean).join(' - ');
+            if (details) {
+                doc.font('Helvetica').fillColor('#555555').text(details, { indent: 36 }).fillColor('black');
+            }
+        }
+    }
+
+    if (trip.notes) {
+        doc.moveDown().fontSize(14).font('Helvetica-Bold').text('Notes');
+        doc.fontSize(10).font('Helvetica').text(trip.notes);
+    }
+
+    doc.end();
+};
+
+// Export a trip as a JSON backup, CSV, iCalendar file or PDF
+app.get('/api/trips/:id/export', authenticateToken, validate({
+    params: idParams,
+    query: { format: { type: 'enum', values: EXPORT_FORMATS } }
+}), requireTripViewer, async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const data = await loadTripExport(req.trip);
+        const filename = `trip-${req.trip.id}.${format}`;
+
+        res.attachment(filename);
+
+        if (format === 'json') {
+            return res.json(tripToBackup(data));
+        }
+
+        if (format === 'csv') {
+            return res.type('text/csv; charset=utf-8').send(tripToCsv(data));
+        }
+
+        if (format === 'ics') {
+            const context = await loadFeasibilityContext(req.trip.destination_id);
+            return res.type('text/calendar; charset=utf-8').send(tripToIcs(data, context));
+        }
+
+        const rates = await loadExchangeRates();
+        res.type('application/pdf');
+        writeTripPdf({
+            ...data,
+            bookings: data.bookings.map(booking => toCurrency(booking, ['amount'], req.trip.currency, rates))
+        }, res);
+    } catch (error) {
+        logger.error('Error exporting trip', { error });
+        sendError(res, 500, 'Failed to export trip');
+    }
+});
+
+// =====================================================
+// TRIP IMPORT ROUTES
+// =====================================================
+
+const MAX_IMPORT_BOOKINGS = 200;
+
+// iCalendar files are posted raw; JSON backups go through the global express.json()
+const parseCalendarBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' });
+
+const importQuerySchema = {
+    query: {
+        // Preview the mapped trip without saving anything
+        dry_run: { type: 'boolean' }
+    }
+};
+
+// Imported trips may carry a status, unlike POST /api/trips
+const importTripSchema = {
+    properties: {
+        ...tripBody,
+        status: { type: 'enum', values: TRIP_STATUSES }
+    }
+};
+
+const importBookingSchema = {
+    properties: {
+        ...bookingBody,
+        status: { type: 'enum', values: Object.keys(BOOKING_STATUS_TRANSITIONS) }
+    }
+};
+
+const unescapeIcsText = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Minimal RFC 5545 reader: unfolds lines and collects VEVENT properties by name.
+// Components nested in an event (such as VALARM) are skipped, so their DESCRIPTION
+// or SUMMARY doesn't overwrite the event's.
+const parseIcs = (text) => {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const calendar = { name: null, events: [] };
+    let event = null;
+    let nested = 0;
+
+    for (const line of lines) {
+        const colon = line.indexOf(':');
+        if (colon === -1) {
+            continue;
+        }
+
+        const name = line.slice(0, colon).split(';')[0].toUpperCase();
+        const value = line.slice(colon + 1);
+
+        if (event && name === 'BEGIN') {
+            nested += 1;
+        } else if (event && nested > 0) {
+            if (name === 'END') {
+                nested -= 1;
+            }
+        } else if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+            event = {};
+        } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+            if (event) {
+                calendar.events.push(event);
+            }
+            event = null;
+        } else if (event) {
+            event[name] = value;
+        } else if (name === 'X-WR-CALNAME') {
+            calendar.name = unescapeIcsText(value);
+        }
+    }
+
+    return calendar;
+};
+
+// DTSTART as { date, time }; times are taken as written, without timezone conversion
+const parseIcsDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec((value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours, minutes, seconds] = match;
+    return {
+        date: `${year}-${month}-${day}`,
+        time: hours ? `${hours}:${minutes}:${seconds}` : null
+    };
+};
+
+// Map calendar events onto a POST /api/trips body, or { error }; day numbers count from
+// the earliest event unless a start_date override is given, which no event may precede
+const icsToTrip = (text, overrides) => {
+    const calendar = parseIcs(text);
+    const events = calendar.events
+        .map(event => ({ event, start: parseIcsDate(event.DTSTART) }))
+        .filter(({ event, start }) => start && event.SUMMARY);
+
+    if (events.length === 0) {
+        return null;
+    }
+
+    events.sort((a, b) =>
+        a.start.date.localeCompare(b.start.date) || (a.start.time || '').localeCompare(b.start.time || ''));
+
+    const startDate = overrides.start_date || events[0].start.date;
+    // A malformed override is reported by checkImport with the other trip fields
+    if (DATE_PATTERN.test(startDate) && events[0].start.date < startDate) {
+        return { error: `The calendar has events before the start date ${startDate}` };
+    }
+
+    const itinerary = {};
+    let numDays = 1;
+
+    for (const { event, start } of events) {
+        const dayNumber = daysBetween(startDate, start.date) + 1;
+        const dayKey = `day${dayNumber}`;
+        numDays = Math.max(numDays, dayNumber);
+
+        itinerary[dayKey] = itinerary[dayKey] || [];
+        itinerary[dayKey].push({
+            name: unescapeIcsText(event.SUMMARY).slice(0, 200),
+            time: start.time,
+            notes: event.DESCRIPTION ? unescapeIcsText(event.DESCRIPTION).slice(0, 2000) : null,
+            location: event.LOCATION ? unescapeIcsText(event.LOCATION).slice(0, 200) : null
+        });
+    }
+
+    const tripName = overrides.trip_name || calendar.name || 'Imported trip';
+    const firstLocation = events.find(({ event }) => event.LOCATION);
+
+    return {
+        trip: {
+            destination_id: overrides.destination_id || null,
+            trip_name: tripName,
+            destination_name: overrides.destination_name ||
+                (firstLocation ? unescapeIcsText(firstLocation.event.LOCATION).slice(0, 100) : tripName.slice(0, 100)),
+            start_date: startDate,
+            num_days: overrides.num_days || numDays,
+            itinerary
+        },
+        bookings: []
+    };
+};
+
+// Work out what was uploaded and map it to { trip, bookings }, or { error }
+const readImport = (req) => {
+    if (typeof req.body === 'string') {
+        return icsToTrip(req.body, {}) || { error: 'The calendar contains no events with a start date and summary' };
+    }
+
+    const body = req.body || {};
+
+    if (body.format === BACKUP_FORMAT) {
+        if (body.version > BACKUP_VERSION) {
+            return { error: `Unsupported backup version ${body.version}` };
+        }
+        if (!body.trip || typeof body.trip !== 'object') {
+            return { error: 'The backup does not contain a trip' };
+        }
+        return { trip: body.trip, bookings: Array.isArray(body.bookings) ? body.bookings : [] };
+    }
+
+    // JSON clients can wrap calendar text as { ics, trip_name?, destination_name?, ... }
+    if (typeof body.ics === 'string') {
+        return icsToTrip(body.ics, body) || { error: 'The calendar contains no events with a start date and summary' };
+    }
+
+    return { error: 'Expected an iCalendar file or a TravelMate JSON backup' };
+};
+
+// Validate the mapped trip and bookings with the same rules as the create routes
+const checkImport = ({ trip, bookings }) => {
+    const errors = [];
+    const checkedTrip = checkObject(importTripSchema, trip, 'trip.', errors, false);
+
+    if (bookings.length > MAX_IMPORT_BOOKINGS) {
+        errors.push({ field: 'bookings', message: `must contain at most ${MAX_IMPORT_BOOKINGS} items` });
+    }
+
+    const checkedBookings = bookings.slice(0, MAX_IMPORT_BOOKINGS).map((booking, i) => {
+        if (!booking || typeof booking !== 'object') {
+            errors.push({ field: `bookings[${i}]`, message: 'must be an object' });
+            return booking;
+        }
+        const checked = checkObject(importBookingSchema, booking, `bookings[${i}].`, errors, false);
+        const detailSchema = BOOKING_DETAIL_SCHEMAS[checked.booking_type];
+        if (detailSchema) {
+            checked.details = checkObject(detailSchema, checked.details || {}, `bookings[${i}].details.`, errors, false);
+        }
+        return checked;
+    });
+
+    return { trip: checkedTrip, bookings: checkedBookings, errors };
+};
+
+// Import a trip from an iCalendar file or a JSON backup. With ?dry_run=true the mapped
+// trip is returned for review; otherwise it is saved in a single transaction.
+app.post('/api/trips/import', authenticateToken, parseCalendarBody, validate(importQuerySchema), invalidates('stats'), async (req, res) => {
+    const parsed = readImport(req);
+
+    if (parsed.error) {
+        return sendError(res, 400, parsed.error);
+    }
+
+    const { trip, bookings, errors } = checkImport(parsed);
+
+    if (errors.length > 0) {
+        return sendError(res, 400, 'Request validation failed', errors);
+    }
+
+    const warnings = [];
+
+    try {
+        // Calendars carry no currency; bookings without one follow the trip
+        const rates = await loadExchangeRates();
+        trip.currency = trip.currency || await findPreferredCurrency(req.user.id) || BASE_CURRENCY;
+        bookings.forEach(booking => {
+            booking.currency = booking.currency || trip.currency;
+        });
+
+        const unknown = [{ field: 'trip.currency', currency: trip.currency }]
+            .concat(bookings.map((booking, i) => ({ field: `bookings[${i}].currency`, currency: booking.currency })))
+            .filter(entry => !rates.has(entry.currency));
+
+        if (unknown.length > 0) {
+            return sendError(res, 400, 'Request validation failed',
+                unknown.map(entry => ({ field: entry.field, message: 'has no exchange rate' })));
+        }
+
+        // Backups from another installation may point at a destination that doesn't exist here
+        if (trip.destination_id) {
+            const destination = await repos.destinations.findById(trip.destination_id);
+            if (!destination) {
+                warnings.push({
+                    type: 'destination_not_found',
+                    severity: 'warning',
+                    field: 'trip.destination_id',
+                    message: `Destination ${trip.destination_id} does not exist; the trip will not be linked to it`
+                });
+                trip.destination_id = null;
+            }
+        }
+
+        const context = await loadFeasibilityContext(trip.destination_id);
+        warnings.push(...checkItineraryFeasibility(trip, itineraryToItems(trip.itinerary), context).issues);
+
+        const summary = {
+            days: trip.num_days,
+            activities: Object.values(trip.itinerary || {}).reduce((sum, day) => sum + day.length, 0),
+            bookings: bookings.length
+        };
+
+        if (req.query.dry_run) {
+            return res.json({ dry_run: true, trip, bookings, summary, warnings });
+        }
+
+        const tripId = await repos.transaction(async (tx) => {
+            const id = await insertTripRecords(tx, req.user.id, trip);
+            for (const booking of bookings) {
+                await tx.bookings.create(id, req.user.id, booking);
+            }
+            return id;
+        });
+
+        res.status(201).json({
+            message: 'Trip imported successfully',
+            trip_id: tripId,
+            summary,
+            warnings
+        });
+    } catch (error) {
+        logger.error('Error importing trip', { error });
+        sendError(res, 500, 'Failed to import trip');
+    }
+});
+
+// =====================================================
+// TRIP SHARING ROUTES
+// =====================================================
+
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+
+const collaboratorParams = {
+    id: { type: 'integer', min: 1, required: true },
+    userId: { type: 'integer', min: 1, required: true }
+};
+
+const inviteCollaboratorSchema = {
+    params: idParams,
+    body: {
+        email: { type: 'email', required: true },
+        role: { type: 'enum', values: COLLABORATOR_ROLES }
+    }
+};
+
+const collaboratorRoleSchema = {
+    params: collaboratorParams,
+    body: {
+        role: { type: 'enum', values: COLLABORATOR_ROLES, required: true }
+    }
+};
+
+const sharedTripSchema = {
+    params: {
+        token: { type: 'string', pattern: /^[a-f0-9]{64}$/, patternMessage: 'is not a valid share token', required: true }
+    },
+    query: currencyQuery
+};
+
+const shareLinkUrls = (token) => ({
+    url: `${APP_URL}/shared/trips/${token}`,
+    api_url: `/api/shared/trips/${token}`
+});
+
+// List a trip's owner and collaborators
+app.get('/api/trips/:id/collaborators', authenticateToken, validate({ params: idParams }), requireTripViewer, async (req, res) => {
+    try {
+        const owner = await repos.users.findById(req.trip.user_id);
+        const collaborators = await repos.collaborators.listForTrip(req.trip.id);
+
+        res.json({
+            owner: owner ? { user_id: owner.id, name: owner.name, email: owner.email, role: 'owner' } : null,
+            collaborators
+        });
+    } catch (error) {
+        logger.error('Error fetching collaborators', { error });
+        sendError(res, 500, 'Failed to fetch collaborators');
+    }
+});
+
+// Invite a registered user to a trip by email
+app.post('/api/trips/:id/collaborators', authenticateToken, validate(inviteCollaboratorSchema), requireTripOwner, async (req, res) => {
+    try {
+        const trip = req.trip;
+        const { email, role = 'viewer' } = req.body;
+
+        const invitee = await repos.users.findByEmail(email);
+
+        if (!invitee || !invitee.is_active) {
+            return sendError(res, 404, 'No TravelMate user with that email');
+        }
+
+        if (invitee.id === trip.user_id) {
+            return sendError(res, 400, 'The trip owner cannot be added as a collaborator');
+        }
+
+        await repos.collaborators.add(trip.id, invitee.id, role, req.user.id);
+
+        await sendMail({
+            to: invitee.email,
+            subject: `${req.user.name} shared a trip with you`,
+            text: `Hi ${invitee.name},\n\n` +
+                `${req.user.name} added you to "${trip.trip_name}" as ${role === 'editor' ? 'an editor' : 'a viewer'}.\n` +
+                `${APP_URL}/trips/${trip.id}`
+        });
+
+        res.status(201).json({
+            message: 'Collaborator added successfully',
+            collaborator: { user_id: invitee.id, name: invitee.name, email: invitee.email, role }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return sendError(res, 409, 'User is already a collaborator on this trip');
+        }
+        logger.error('Error adding collaborator', { error });
+        sendError(res, 500, 'Failed to add collaborator');
+    }
+});
+
+// Change a collaborator's role
+app.patch('/api/trips/:id/collaborators/:userId', authenticateToken, validate(collaboratorRoleSchema), requireTripOwner, async (req, res) => {
+    try {
+        const updated = await repos.collaborators.setRole(req.trip.id, req.params.userId, req.body.role);
+
+        if (!updated) {
+            return sendError(res, 404, 'Collaborator not found');
+        }
+
+        res.json({ message: 'Collaborator updated successfully', user_id: req.params.userId, role: req.body.role });
+    } catch (error) {
+        logger.error('Error updating collaborator', { error });
+        sendError(res, 500, 'Failed to update collaborator');
+    }
+});
+
+// Remove a collaborator; collaborators may also remove themselves to leave a trip
+app.delete('/api/trips/:id/collaborators/:userId', authenticateToken, validate({ params: collaboratorParams }), requireTripViewer, async (req, res) => {
+    try {
+        if (req.tripRole !== 'owner' && String(req.params.userId) !== String(req.user.id)) {
+            return sendError(res, 403, 'Only the trip owner can remove other collaborators');
+        }
+
+        const removed = await repos.collaborators.remove(req.trip.id, req.params.userId);
+
+        if (!removed) {
+            return sendError(res, 404, 'Collaborator not found');
+        }
+
+        res.json({ message: 'Collaborator removed successfully' });
+    } catch (error) {
+        logger.error('Error removing collaborator', { error });
+        sendError(res, 500, 'Failed to remove collaborator');
+    }
+});
+
+// Share link status; the token itself is only shown when the link is created
+app.get('/api/trips/:id/share', authenticateToken, validate({ params: idParams }), requireTripOwner, async (req, res) => {
+    try {
+        const link = await repos.shareLinks.findActive(req.trip.id);
+
+        res.json({
+            active: Boolean(link),
+            created_at: link ? link.created_at : null
+        });
+    } catch (error) {
+        logger.error('Error fetching share link', { error });
+        sendError(res, 500, 'Failed to fetch share link');
+    }
+});
+
+// Create a public read-only link, replacing any earlier one
+app.post('/api/trips/:id/share', authenticateToken, validate({ params: idParams }), requireTripOwner, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+
+        await repos.transaction(async (tx) => {
+            await tx.shareLinks.revoke(req.trip.id);
+            await tx.shareLinks.create(req.trip.id, hashToken(token), req.user.id);
+        });
 
-        res.json({
-            message: 'Login successful',
-            user_id: user.id,
-            name: user.name,
-            email: user.email,
-            token
+        res.status(201).json({
+            message: 'Share link created successfully',
+            token,
+            ...shareLinkUrls(token)
         });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Server error during login' });
+        logger.error('Error creating share link', { error });
+        sendError(res, 500, 'Failed to create share link');
     }
 });
 
-// Get user profile
-app.get('/api/users/:id', authenticateToken, async (req, res) => {
+// Revoke the trip's share link
+app.delete('/api/trips/:id/share', authenticateToken, validate({ params: idParams }), requireTripOwner, async (req, res) => {
     try {
-        const [users] = await pool.query(
-            'SELECT id, name, email, phone, created_at FROM users WHERE id = ?',
-            [req.params.id]
-        );
+        const revoked = await repos.shareLinks.revoke(req.trip.id);
 
-        if (users.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+        if (!revoked) {
+            return sendError(res, 404, 'Trip has no active share link');
         }
 
-        res.json(users[0]);
+        res.json({ message: 'Share link revoked successfully' });
     } catch (error) {
-        console.error('Error fetching user:', error);
-        res.status(500).json({ error: 'Failed to fetch user profile' });
+        logger.error('Error revoking share link', { error });
+        sendError(res, 500, 'Failed to revoke share link');
     }
 });
 
-// =====================================================
-// DESTINATIONS ROUTES
-// =====================================================
-
-// Get all destinations
-app.get('/api/destinations', async (req, res) => {
+// Public read-only view of a shared trip: plan and itinerary, without bookings or expenses
+app.get('/api/shared/trips/:token', validate(sharedTripSchema), withCurrency, async (req, res) => {
     try {
-        const { category, search, minCost, maxCost } = req.query;
-        
-        let query = `
-            SELECT d.*, 
-                   COUNT(DISTINCT da.id) AS activity_count,
-                   COUNT(DISTINCT r.id) AS review_count
-            FROM destinations d
-            LEFT JOIN destination_activities da ON d.id = da.destination_id
-            LEFT JOIN reviews r ON d.id = r.destination_id
-            WHERE 1=1
-        `;
-        const params = [];
-
-        if (category && category !== 'all') {
-            query += ' AND d.category = ?';
-            params.push(category);
-        }
+        const { target, rates } = req.currency;
 
-        if (search) {
-            query += ' AND (d.name LIKE ? OR d.description LIKE ?)';
-            params.push(`%${search}%`, `%${search}%`);
-        }
+        const sharedTrip = await repos.shareLinks.findTrip(hashToken(req.params.token));
 
-        if (minCost) {
-            query += ' AND d.avg_cost >= ?';
-            params.push(minCost);
+        if (!sharedTrip) {
+            return sendError(res, 404, 'Shared trip not found');
         }
 
-        if (maxCost) {
-            query += ' AND d.avg_cost <= ?';
-            params.push(maxCost);
-        }
+        const { user_id: _ownerId, ...trip } = sharedTrip;
+        const itinerary = await repos.itinerary.listForTrip(trip.id);
 
-        query += ' GROUP BY d.id ORDER BY d.popular DESC, d.rating DESC';
+        const shared = toCurrency(trip, TRIP_MONEY_FIELDS, target || trip.currency, rates);
+        shared.itinerary = itinerary.map(({ trip_id: _tripId, created_at: _createdAt, ...item }) =>
+            toCurrency(item, ['estimated_cost'], shared.currency, rates, trip.currency));
 
-        const [destinations] = await pool.query(query, params);
-        res.json(destinations);
+        res.json(shared);
     } catch (error) {
-        console.error('Error fetching destinations:', error);
-        res.status(500).json({ error: 'Failed to fetch destinations' });
+        logger.error('Error fetching shared trip', { error });
+        sendError(res, 500, 'Failed to fetch shared trip');
     }
 });
 
-// Get single destination with activities
-app.get('/api/destinations/:id', async (req, res) => {
-    try {
-        const [destinations] = await pool.query(
-            'SELECT * FROM destinations WHERE id = ?',
-            [req.params.id]
-        );
+// =====================================================
+// SAVED DESTINATIONS ROUTES
+// =====================================================
 
-        if (destinations.length === 0) {
-            return res.status(404).json({ error: 'Destination not found' });
-        }
+// Get saved destinations for user
+app.get('/api/saved/:userId', authenticateToken, validate({ params: userIdParams }), requireSelfOrAdmin('userId'), async (req, res) => {
+    try {
+        const saved = await repos.saved.listForUser(req.params.userId);
+        res.json(saved);
+    } catch (error) {
+        logger.error('Error fetching saved destinations', { error });
+        sendError(res, 500, 'Failed to fetch saved destinations');
+    }
+});
 
-        const destination = destinations[0];
+const saveDestinationSchema = {
+    body: {
+        destination_id: { type: 'integer', min: 1, required: true }
+    }
+};
 
-        // Get activities
-        const [activities] = await pool.query(
-            'SELECT * FROM destination_activities WHERE destination_id = ? ORDER BY activity_type',
-            [req.params.id]
-        );
+const removeSavedSchema = {
+    params: {
+        ...userIdParams,
+        destinationId: { type: 'integer', min: 1, required: true }
+    }
+};
 
-        // Get reviews
-        const [reviews] = await pool.query(
-            `SELECT r.*, u.name AS user_name 
-             FROM reviews r 
-             JOIN users u ON r.user_id = u.id 
-             WHERE r.destination_id = ? 
-             ORDER BY r.created_at DESC 
-             LIMIT 10`,
-            [req.params.id]
-        );
+// Save destination
+app.post('/api/saved', authenticateToken, validate(saveDestinationSchema), async (req, res) => {
+    try {
+        const { destination_id } = req.body;
 
-        destination.activities = activities;
-        destination.reviews = reviews;
+        await repos.saved.add(req.user.id, destination_id);
 
-        res.json(destination);
+        res.status(201).json({ message: 'Destination saved successfully' });
     } catch (error) {
-        console.error('Error fetching destination:', error);
-        res.status(500).json({ error: 'Failed to fetch destination details' });
+        if (error.code === 'ER_DUP_ENTRY') {
+            return sendError(res, 409, 'Destination already saved');
+        }
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return sendError(res, 404, 'Destination not found');
+        }
+        logger.error('Error saving destination', { error });
+        sendError(res, 500, 'Failed to save destination');
     }
 });
 
-// Get popular destinations
-app.get('/api/destinations/popular/list', async (req, res) => {
+// Remove saved destination
+app.delete('/api/saved/:userId/:destinationId', authenticateToken, validate(removeSavedSchema), requireSelfOrAdmin('userId'), async (req, res) => {
     try {
-        const [destinations] = await pool.query(
-            'SELECT * FROM destinations WHERE popular = TRUE ORDER BY rating DESC LIMIT 8'
-        );
-        res.json(destinations);
+        const removed = await repos.saved.remove(req.params.userId, req.params.destinationId);
+
+        if (!removed) {
+            return sendError(res, 404, 'Saved destination not found');
+        }
+
+        res.json({ message: 'Destination removed from saved list' });
     } catch (error) {
-        console.error('Error fetching popular destinations:', error);
-        res.status(500).json({ error: 'Failed to fetch popular destinations' });
+        logger.error('Error removing saved destination', { error });
+        sendError(res, 500, 'Failed to remove destination');
     }
 });
 
 // =====================================================
-// TRIPS ROUTES
+// REVIEWS ROUTES
 // =====================================================
 
-// Get all trips for a user
-app.get('/api/trips/user/:userId', async (req, res) => {
-    try {
-        const [trips] = await pool.query(
-            `SELECT t.*, d.name AS destination_full_name, d.image_url AS destination_image
-             FROM trips t
-             LEFT JOIN destinations d ON t.destination_id = d.id
-             WHERE t.user_id = ?
-             ORDER BY t.created_at DESC`,
-            [req.params.userId]
-        );
-
-        // Get itinerary for each trip
-        for (let trip of trips) {
-            const [itinerary] = await pool.query(
-                'SELECT * FROM trip_itinerary WHERE trip_id = ? ORDER BY day_number, order_index',
-                [trip.id]
-            );
-            trip.itinerary = itinerary;
-        }
+const REVIEW_SORT_KEYS = ['newest', 'rating', 'helpful'];
 
-        res.json(trips);
-    } catch (error) {
-        console.error('Error fetching trips:', error);
-        res.status(500).json({ error: 'Failed to fetch trips' });
+const destinationReviewsSchema = {
+    params: {
+        destinationId: { type: 'integer', min: 1, required: true }
+    },
+    query: {
+        ...paginationQuery,
+        sort: { type: 'enum', values: REVIEW_SORT_KEYS },
+        order: { type: 'enum', values: ['asc', 'desc'] },
+        minRating: { type: 'number', min: 0, max: 5 }
     }
-});
+};
 
-// Get single trip
-app.get('/api/trips/:id', async (req, res) => {
-    try {
-        const [trips] = await pool.query(
-            'SELECT * FROM trips WHERE id = ?',
-            [req.params.id]
-        );
+const REVIEW_FLAG_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
 
-        if (trips.length === 0) {
-            return res.status(404).json({ error: 'Trip not found' });
-        }
+// Fields a reviewer sets when posting and may change when editing
+const reviewFields = {
+    trip_id: { type: 'integer', min: 1, nullable: true },
+    rating: {
+        type: 'number',
+        min: 0,
+        max: 5,
+        required: true,
+        custom: (value) => (Math.abs(Math.round(value * 10) - value * 10) < 1e-9 ? null : 'must have at most one decimal place')
+    },
+    review_title: { type: 'string', maxLength: 200, nullable: true },
+    review_text: { type: 'string', maxLength: 5000, nullable: true },
+    visit_date: { type: 'date', nullable: true }
+};
 
-        const trip = trips[0];
+const createReviewSchema = {
+    body: {
+        destination_id: { type: 'integer', min: 1, required: true },
+        ...reviewFields
+    }
+};
 
-        // Get itinerary
-        const [itinerary] = await pool.query(
-            'SELECT * FROM trip_itinerary WHERE trip_id = ? ORDER BY day_number, order_index',
-            [trip.id]
-        );
+const patchReviewSchema = {
+    params: idParams,
+    body: optionalFields(reviewFields)
+};
 
-        trip.itinerary = itinerary;
+const flagReviewSchema = {
+    params: idParams,
+    body: {
+        reason: { type: 'enum', values: REVIEW_FLAG_REASONS, required: true },
+        note: { type: 'string', maxLength: 500, nullable: true }
+    }
+};
 
-        res.json(trip);
-    } catch (error) {
-        console.error('Error fetching trip:', error);
-        res.status(500).json({ error: 'Failed to fetch trip' });
+const moderationQueueSchema = {
+    query: {
+        ...paginationQuery,
+        queue: { type: 'enum', values: ['flagged', 'hidden'] }
     }
-});
+};
 
-// Create new trip
-app.post('/api/trips', async (req, res) => {
-    const connection = await pool.getConnection();
-    
-    try {
-        await connection.beginTransaction();
+const moderateReviewSchema = {
+    params: idParams,
+    body: {
+        // approve publishes the review, hide takes it off the destination; both resolve its flags
+        action: { type: 'enum', values: ['approve', 'hide'], required: true }
+    }
+};
 
-        const {
-            user_id,
-            destination_id,
-            trip_name,
-            destination_name,
-            start_date,
-            num_days,
-            budget,
-            itinerary
-        } = req.body;
+// A review can only be linked to one of the reviewer's own trips.
+// Returns [status, message] when the trip can't be used, otherwise null.
+const reviewTripError = async (tripId, userId) => {
+    const trip = await repos.trips.findById(tripId);
 
-        // Insert trip
-        const [result] = await connection.query(
-            `INSERT INTO trips 
-             (user_id, destination_id, trip_name, destination_name, start_date, num_days,
-              budget_flights, budget_hotel, budget_food, budget_activities, budget_transport, budget_misc)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                user_id,
-                destination_id || null,
-                trip_name,
-                destination_name,
-                start_date,
-                num_days,
-                budget.flights || 0,
-                budget.hotel || 0,
-                budget.food || 0,
-                budget.activities || 0,
-                budget.transport || 0,
-                budget.misc || 0
-            ]
-        );
+    if (!trip) {
+        return [404, 'Trip not found'];
+    }
+
+    if (trip.user_id !== userId) {
+        return [403, 'You do not have access to this trip'];
+    }
 
-        const tripId = result.insertId;
+    return null;
+};
 
-        // Insert itinerary items
-        if (itinerary) {
-            for (let [dayKey, activities] of Object.entries(itinerary)) {
-                const dayNumber = parseInt(dayKey.replace('day', ''));
-                
-                for (let i = 0; i < activities.length; i++) {
-                    const activity = activities[i];
-                    await connection.query(
-                        `INSERT INTO trip_itinerary 
-                         (trip_id, day_number, activity_name, activity_time, activity_notes, order_index)
-                         VALUES (?, ?, ?, ?, ?, ?)`,
-                        [
-                            tripId,
-                            dayNumber,
-                            activity.name,
-                            activity.time || null,
-                            activity.notes || null,
-                            i
-                        ]
-                    );
-                }
-            }
+// Load the review in :id. Hidden reviews are only visible to their author and admins.
+const requireReview = async (req, res, next) => {
+    try {
+        const review = await repos.reviews.findById(req.params.id);
+
+        if (!review || (review.status === 'hidden' && review.user_id !== req.user.id && req.user.role !== 'admin')) {
+            return sendError(res, 404, 'Review not found');
         }
 
-        await connection.commit();
+        req.review = review;
+        next();
+    } catch (error) {
+        logger.error('Error loading review', { error });
+        sendError(res, 500, 'Failed to fetch review');
+    }
+};
 
-        res.status(201).json({
-            message: 'Trip created successfully',
-            trip_id: tripId
+// Get reviews for destination
+app.get('/api/reviews/destination/:destinationId', validate(destinationReviewsSchema), async (req, res) => {
+    try {
+        const { page, limit, offset } = getPagination(req.query);
+
+        const { rows, total, averageRating } = await repos.reviews.listForDestination(req.params.destinationId, {
+            minRating: req.query.minRating,
+            sort: req.query.sort || 'newest',
+            order: req.query.order,
+            limit,
+            offset
+        });
+
+        res.json({
+            reviews: rows,
+            pagination: paginationMeta(page, limit, total),
+            average_rating: averageRating
         });
     } catch (error) {
-        await connection.rollback();
-        console.error('Error creating trip:', error);
-        res.status(500).json({ error: 'Failed to create trip' });
-    } finally {
-        connection.release();
+        logger.error('Error fetching reviews', { error });
+        sendError(res, 500, 'Failed to fetch reviews');
     }
 });
 
-// Update trip
-app.put('/api/trips/:id', async (req, res) => {
-    const connection = await pool.getConnection();
-    
+// Add review (one per user per destination)
+app.post('/api/reviews', authenticateToken, validate(createReviewSchema), invalidates('destinations', 'stats'), async (req, res) => {
     try {
-        await connection.beginTransaction();
-
-        const {
-            trip_name,
-            destination_name,
-            start_date,
-            num_days,
-            budget,
-            itinerary,
-            status
-        } = req.body;
+        const { destination_id, trip_id, rating, review_title, review_text, visit_date } = req.body;
 
-        // Update trip
-        await connection.query(
-            `UPDATE trips SET 
-             trip_name = ?, destination_name = ?, start_date = ?, num_days = ?,
-             budget_flights = ?, budget_hotel = ?, budget_food = ?, 
-             budget_activities = ?, budget_transport = ?, budget_misc = ?,
-             status = ?,
-             updated_at = CURRENT_TIMESTAMP
-             WHERE id = ?`,
-            [
-                trip_name,
-                destination_name,
-                start_date,
-                num_days,
-                budget.flights || 0,
-                budget.hotel || 0,
-                budget.food || 0,
-                budget.activities || 0,
-                budget.transport || 0,
-                budget.misc || 0,
-                status || 'planning',
-                req.params.id
-            ]
-        );
+        const tripError = trip_id && await reviewTripError(trip_id, req.user.id);
+        if (tripError) {
+            return sendError(res, ...tripError);
+        }
 
-        // Delete old itinerary
-        await connection.query('DELETE FROM trip_itinerary WHERE trip_id = ?', [req.params.id]);
+        const reviewId = await repos.reviews.create({
+            user_id: req.user.id,
+            destination_id,
+            trip_id,
+            rating,
+            review_title,
+            review_text,
+            visit_date
+        });
 
-        // Insert new itinerary
-        if (itinerary) {
-            for (let [dayKey, activities] of Object.entries(itinerary)) {
-                const dayNumber = parseInt(dayKey.replace('day', ''));
-                
-                for (let i = 0; i < activities.length; i++) {
-                    const activity = activities[i];
-                    await connection.query(
-                        `INSERT INTO trip_itinerary 
-                         (trip_id, day_number, activity_name, activity_time, activity_notes, order_index)
-                         VALUES (?, ?, ?, ?, ?, ?)`,
-                        [
-                            req.params.id,
-                            dayNumber,
-                            activity.name,
-                            activity.time || null,
-                            activity.notes || null,
-                            i
-                        ]
-                    );
-                }
-            }
+        res.status(201).json({
+            message: 'Review added successfully',
+            review_id: reviewId
+        });
+    } catch (error) {
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+            return sendError(res, 404, 'Destination not found');
         }
+        if (error.code === 'ER_DUP_ENTRY') {
+            return sendError(res, 409, 'You have already reviewed this destination; edit your review instead');
+        }
+        logger.error('Error adding review', { error });
+        sendError(res, 500, 'Failed to add review');
+    }
+});
 
-        await connection.commit();
+// Get the moderation queue: flagged reviews, most reported first, or hidden reviews
+app.get('/api/reviews/moderation', authenticateToken, requireAdmin, validate(moderationQueueSchema), async (req, res) => {
+    try {
+        const { page, limit, offset } = getPagination(req.query);
+        const queue = req.query.queue || 'flagged';
 
-        res.json({ message: 'Trip updated successfully' });
+        const { rows, total } = await repos.reviews.listForModeration({ queue, limit, offset });
+
+        res.json({
+            queue,
+            reviews: rows,
+            pagination: paginationMeta(page, limit, total)
+        });
     } catch (error) {
-        await connection.rollback();
-        console.error('Error updating trip:', error);
-        res.status(500).json({ error: 'Failed to update trip' });
-    } finally {
-        connection.release();
+        logger.error('Error fetching moderation queue', { error });
+        sendError(res, 500, 'Failed to fetch moderation queue');
     }
 });
 
-// Delete trip
-app.delete('/api/trips/:id', async (req, res) => {
+// Edit your own review; the destination rating follows the new rating
+app.patch('/api/reviews/:id', authenticateToken, validate(patchReviewSchema), requireReview, invalidates('destinations'), async (req, res) => {
     try {
-        const [result] = await pool.query(
-            'DELETE FROM trips WHERE id = ?',
-            [req.params.id]
-        );
+        if (req.review.user_id !== req.user.id) {
+            return sendError(res, 403, 'You can only edit your own reviews');
+        }
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Trip not found' });
+        const changes = pickFields(req.body, reviewFields);
+
+        if (Object.keys(changes).length === 0) {
+            return sendError(res, 400, 'Request validation failed', [
+                { field: 'body', message: 'must include at least one review field to update' }
+            ]);
         }
 
-        res.json({ message: 'Trip deleted successfully' });
+        const tripError = changes.trip_id && await reviewTripError(changes.trip_id, req.user.id);
+        if (tripError) {
+            return sendError(res, ...tripError);
+        }
+
+        await repos.reviews.update(req.review.id, changes);
+
+        res.json({
+            message: 'Review updated successfully',
+            review: await repos.reviews.findById(req.review.id)
+        });
     } catch (error) {
-        console.error('Error deleting trip:', error);
-        res.status(500).json({ error: 'Failed to delete trip' });
+        logger.error('Error updating review', { error });
+        sendError(res, 500, 'Failed to update review');
     }
 });
 
-// =====================================================
-// SAVED DESTINATIONS ROUTES
-// =====================================================
+// Delete a review (its author or an admin)
+app.delete('/api/reviews/:id', authenticateToken, validate({ params: idParams }), requireReview, invalidates('destinations', 'stats'), async (req, res) => {
+    try {
+        if (req.review.user_id !== req.user.id && req.user.role !== 'admin') {
+            return sendError(res, 403, 'You can only delete your own reviews');
+        }
 
-// Get saved destinations for user
-app.get('/api/saved/:userId', async (req, res) => {
-    try {
-        const [saved] = await pool.query(
-            `SELECT d.*, sd.created_at AS saved_at
-             FROM saved_destinations sd
-             JOIN destinations d ON sd.destination_id = d.id
-             WHERE sd.user_id = ?
-             ORDER BY sd.created_at DESC`,
-            [req.params.userId]
-        );
-        res.json(saved);
+        await repos.reviews.remove(req.review.id);
+        res.json({ message: 'Review deleted successfully' });
     } catch (error) {
-        console.error('Error fetching saved destinations:', error);
-        res.status(500).json({ error: 'Failed to fetch saved destinations' });
+        logger.error('Error deleting review', { error });
+        sendError(res, 500, 'Failed to delete review');
     }
 });
 
-// Save destination
-app.post('/api/saved', async (req, res) => {
+// Mark someone else's review as helpful (once per user)
+app.post('/api/reviews/:id/helpful', authenticateToken, validate({ params: idParams }), requireReview, invalidates('destinations'), async (req, res) => {
     try {
-        const { user_id, destination_id } = req.body;
+        if (req.review.user_id === req.user.id) {
+            return sendError(res, 400, 'You cannot vote on your own review');
+        }
 
-        await pool.query(
-            'INSERT INTO saved_destinations (user_id, destination_id) VALUES (?, ?)',
-            [user_id, destination_id]
-        );
+        const helpfulCount = await repos.reviews.addVote(req.review.id, req.user.id);
 
-        res.status(201).json({ message: 'Destination saved successfully' });
+        res.status(201).json({
+            message: 'Review marked as helpful',
+            helpful_count: helpfulCount
+        });
     } catch (error) {
         if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(400).json({ error: 'Destination already saved' });
+            return sendError(res, 409, 'You have already marked this review as helpful');
         }
-        console.error('Error saving destination:', error);
-        res.status(500).json({ error: 'Failed to save destination' });
+        logger.error('Error voting on review', { error });
+        sendError(res, 500, 'Failed to record vote');
     }
 });
 
-// Remove saved destination
-app.delete('/api/saved/:userId/:destinationId', async (req, res) => {
+// Take back a helpful vote
+app.delete('/api/reviews/:id/helpful', authenticateToken, validate({ params: idParams }), requireReview, invalidates('destinations'), async (req, res) => {
     try {
-        await pool.query(
-            'DELETE FROM saved_destinations WHERE user_id = ? AND destination_id = ?',
-            [req.params.userId, req.params.destinationId]
-        );
+        const helpfulCount = await repos.reviews.removeVote(req.review.id, req.user.id);
 
-        res.json({ message: 'Destination removed from saved list' });
+        if (helpfulCount === null) {
+            return sendError(res, 404, 'You have not marked this review as helpful');
+        }
+
+        res.json({
+            message: 'Vote removed successfully',
+            helpful_count: helpfulCount
+        });
     } catch (error) {
-        console.error('Error removing saved destination:', error);
-        res.status(500).json({ error: 'Failed to remove destination' });
+        logger.error('Error removing vote', { error });
+        sendError(res, 500, 'Failed to remove vote');
     }
 });
 
-// =====================================================
-// REVIEWS ROUTES
-// =====================================================
+// Report a review to the moderators (once per user)
+app.post('/api/reviews/:id/flag', authenticateToken, validate(flagReviewSchema), requireReview, async (req, res) => {
+    try {
+        if (req.review.user_id === req.user.id) {
+            return sendError(res, 400, 'You cannot report your own review');
+        }
 
-// Get reviews for destination
-app.get('/api/reviews/destination/:destinationId', async (req, res) => {
-    try {
-        const [reviews] = await pool.query(
-            `SELECT r.*, u.name AS user_name
-             FROM reviews r
-             JOIN users u ON r.user_id = u.id
-             WHERE r.destination_id = ?
-             ORDER BY r.created_at DESC`,
-            [req.params.destinationId]
-        );
-        res.json(reviews);
+        await repos.reviews.addFlag(req.review.id, req.user.id, { reason: req.body.reason, note: req.body.note });
+
+        res.status(201).json({ message: 'Review reported to the moderators' });
     } catch (error) {
-        console.error('Error fetching reviews:', error);
-        res.status(500).json({ error: 'Failed to fetch reviews' });
+        if (error.code === 'ER_DUP_ENTRY') {
+            return sendError(res, 409, 'You have already reported this review');
+        }
+        logger.error('Error flagging review', { error });
+        sendError(res, 500, 'Failed to report review');
     }
 });
 
-// Add review
-app.post('/api/reviews', async (req, res) => {
+// Approve or hide a review from the moderation queue
+app.post('/api/reviews/:id/moderate', authenticateToken, requireAdmin, validate(moderateReviewSchema), requireReview, invalidates('destinations'), async (req, res) => {
     try {
-        const { user_id, destination_id, trip_id, rating, review_title, review_text, visit_date } = req.body;
+        const status = req.body.action === 'approve' ? 'published' : 'hidden';
 
-        const [result] = await pool.query(
-            `INSERT INTO reviews 
-             (user_id, destination_id, trip_id, rating, review_title, review_text, visit_date)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [user_id, destination_id, trip_id || null, rating, review_title, review_text, visit_date]
-        );
+        await repos.transaction(tx => tx.reviews.moderate(req.review.id, status, req.user.id));
 
-        res.status(201).json({
-            message: 'Review added successfully',
-            review_id: result.insertId
+        res.json({
+            message: status === 'published' ? 'Review approved' : 'Review hidden',
+            review: await repos.reviews.findById(req.review.id)
         });
     } catch (error) {
-        console.error('Error adding review:', error);
-        res.status(500).json({ error: 'Failed to add review' });
+        logger.error('Error moderating review', { error });
+        sendError(res, 500, 'Failed to moderate review');
     }
 });
 
@@ -654,75 +6013,212 @@ app.post('/api/reviews', async (req, res) => {
 // STATISTICS ROUTES
 // =====================================================
 
+// Sum per-currency totals ({ currency, total } rows) in a single currency
+const sumInCurrency = (rows, to, rates) => {
+    return roundMoney(rows.reduce((sum, row) => sum + convertAmount(row.total, row.currency, to, rates), 0));
+};
+
+const statsCurrencySchema = { params: userIdParams, query: currencyQuery };
+
 // Get user statistics
-app.get('/api/stats/user/:userId', async (req, res) => {
+app.get('/api/stats/user/:userId', authenticateToken, validate(statsCurrencySchema), requireSelfOrAdmin('userId'), withCurrency, async (req, res) => {
     try {
-        const [stats] = await pool.query(
-            'SELECT * FROM user_statistics WHERE id = ?',
-            [req.params.userId]
-        );
+        const stats = await repos.users.statistics(req.params.userId);
+
+        if (!stats) {
+            return res.json({});
+        }
 
-        res.json(stats[0] || {});
+        // The view adds up budgets across currencies, so total_spent is recomputed here
+        const { target, rates } = req.currency;
+        const currency = target || BASE_CURRENCY;
+        const budgets = await repos.trips.budgetTotals(req.params.userId);
+
+        res.json({
+            ...stats,
+            total_spent: sumInCurrency(budgets, currency, rates),
+            currency
+        });
     } catch (error) {
-        console.error('Error fetching user stats:', error);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
+        logger.error('Error fetching user stats', { error });
+        sendError(res, 500, 'Failed to fetch statistics');
     }
 });
 
 // Get dashboard stats
-app.get('/api/stats/dashboard', async (req, res) => {
+app.get('/api/stats/dashboard', authenticateToken, requireAdmin, validate({ query: currencyQuery }), withCurrency, cacheResponse('stats'), async (req, res) => {
     try {
-        const [totalUsers] = await pool.query('SELECT COUNT(*) as count FROM users');
-        const [totalTrips] = await pool.query('SELECT COUNT(*) as count FROM trips');
-        const [totalDestinations] = await pool.query('SELECT COUNT(*) as count FROM destinations');
-        const [totalReviews] = await pool.query('SELECT COUNT(*) as count FROM reviews');
+        const totalUsers = await repos.users.count();
+        const totalTrips = await repos.trips.count();
+        const totalDestinations = await repos.destinations.count();
+        const totalReviews = await repos.reviews.count();
+        const budgets = await repos.trips.budgetTotals();
+
+        const { target, rates } = req.currency;
+        const currency = target || BASE_CURRENCY;
 
         res.json({
-            total_users: totalUsers[0].count,
-            total_trips: totalTrips[0].count,
-            total_destinations: totalDestinations[0].count,
-            total_reviews: totalReviews[0].count
+            total_users: totalUsers,
+            total_trips: totalTrips,
+            total_destinations: totalDestinations,
+            total_reviews: totalReviews,
+            total_budget: sumInCurrency(budgets, currency, rates),
+            currency
         });
     } catch (error) {
-        console.error('Error fetching dashboard stats:', error);
-        res.status(500).json({ error: 'Failed to fetch dashboard statistics' });
+        logger.error('Error fetching dashboard stats', { error });
+        sendError(res, 500, 'Failed to fetch dashboard statistics');
     }
 });
 
 // =====================================================
-// HEALTH CHECK ROUTE
+// HEALTH CHECK ROUTES
 // =====================================================
+
+// Set once the server starts shutting down, so readiness fails while requests drain
+let shuttingDown = false;
+
+const READINESS_TIMEOUT_MS = 2000;
+
+const pingDatabase = () => Promise.race([
+    repos.ping(),
+    new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('Database ping timed out')), READINESS_TIMEOUT_MS).unref();
+    })
+]);
+
+// Combined check kept for existing monitors: answers 500 when the database is unreachable
 app.get('/api/health', async (req, res) => {
     try {
-        await pool.query('SELECT 1');
+        await repos.ping();
         res.json({ 
             status: 'healthy', 
             database: 'connected',
+            backend: repos.backend,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
+        logger.error('Health check failed', { error });
         res.status(500).json({ 
             status: 'unhealthy', 
-            database: 'disconnected',
-            error: error.message 
+            database: 'disconnected'
         });
     }
 });
 
+// Liveness: the process is up and serving requests. Never touches the database, so an
+// outage there doesn't get healthy instances restarted.
+app.get('/api/health/live', (req, res) => {
+    res.json({ status: 'alive', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// Readiness: this instance should receive traffic. Fails with 503 while shutting down or
+// when the database doesn't answer in time.
+app.get('/api/health/ready', async (req, res) => {
+    if (shuttingDown) {
+        return res.status(503).json({ status: 'unavailable', reason: 'shutting down' });
+    }
+
+    try {
+        await pingDatabase();
+        res.json({ status: 'ready', database: 'connected', backend: repos.backend });
+    } catch (error) {
+        logger.warn('Readiness check failed', { error });
+        res.status(503).json({ status: 'unavailable', database: 'disconnected', backend: repos.backend });
+    }
+});
+
+// =====================================================
+// METRICS ROUTE
+// =====================================================
+
+// Prometheus text exposition format, version 0.0.4
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labels = (pairs) => `{${Object.entries(pairs).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+
+const metricFamily = (name, type, help, samples) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(([suffix, pairs, value]) => `${name}${suffix}${pairs ? labels(pairs) : ''} ${value}`)
+].join('\n');
+
+const renderMetrics = () => {
+    const series = [...httpMetrics.values()];
+    const families = [
+        metricFamily('travelmate_http_requests_total', 'counter', 'HTTP requests by method, route and status',
+            series.flatMap(s => [...s.statuses].map(([status, count]) => ['', { method: s.method, route: s.route, status }, count]))),
+        metricFamily('travelmate_http_request_duration_seconds', 'histogram', 'HTTP request latency by method and route',
+            series.flatMap(s => [
+                ...HTTP_DURATION_BUCKETS.map((bound, i) => ['_bucket', { method: s.method, route: s.route, le: bound }, s.buckets[i]]),
+                ['_bucket', { method: s.method, route: s.route, le: '+Inf' }, s.count],
+                ['_sum', { method: s.method, route: s.route }, s.sum],
+                ['_count', { method: s.method, route: s.route }, s.count]
+            ])),
+        metricFamily('travelmate_http_requests_in_flight', 'gauge', 'HTTP requests being served', [['', null, requestsInFlight]])
+    ];
+
+    const poolStats = repos.poolStats();
+    if (poolStats) {
+        families.push(
+            metricFamily('travelmate_db_pool_connections', 'gauge', 'Open database connections by state', [
+                ['', { state: 'in_use' }, poolStats.open - poolStats.idle],
+                ['', { state: 'idle' }, poolStats.idle]
+            ]),
+            metricFamily('travelmate_db_pool_connection_limit', 'gauge', 'Most connections the pool will open', [['', null, poolStats.limit]]),
+            metricFamily('travelmate_db_pool_waiting_requests', 'gauge', 'Queries waiting for a free connection', [['', null, poolStats.waiting]])
+        );
+    }
+
+    const memory = process.memoryUsage();
+    families.push(
+        metricFamily('process_uptime_seconds', 'gauge', 'Seconds since the process started', [['', null, process.uptime()]]),
+        metricFamily('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes', [['', null, memory.rss]]),
+        metricFamily('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use in bytes', [['', null, memory.heapUsed]])
+    );
+
+    return `${families.join('\n')}\n`;
+};
+
+// When METRICS_TOKEN is set, scrapers must send it as a bearer token
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+const metricsTokenMatches = (req) => {
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    const sent = Buffer.from(req.headers.authorization || '');
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+};
+
+// Request counts, latencies, error rates (by status) and database pool usage for Prometheus
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !metricsTokenMatches(req)) {
+        return sendError(res, 401, 'A valid metrics token is required');
+    }
+
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
 // =====================================================
 // ERROR HANDLING
 // =====================================================
 app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ 
-        error: 'Something went wrong!',
-        message: err.message 
-    });
+    // Malformed or oversized bodies rejected by express.json()
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Request body is not valid JSON');
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, 'Request body is too large');
+    }
+
+    // Log the details but never send them to the client. Errors from the body parsers
+    // arrive outside the request's context, so its id is passed along here.
+    logger.error('Unhandled error', { request_id: req.id, error: err });
+    sendError(res, 500, 'Something went wrong');
 });
 
 // 404 Handler
 app.use((req, res) => {
-    res.status(404).json({ error: 'Route not found' });
+    sendError(res, 404, 'Route not found');
 });
 
 // =====================================================
@@ -730,23 +6226,39 @@ app.use((req, res) => {
 // =====================================================
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-    console.log(`
-╔════════════════════════════════════════════════╗
-║        TravelMate Backend Server               ║
-╠════════════════════════════════════════════════╣
-║  Status: Running                               ║
-║  Port: ${PORT}                                    ║
-║  Database: travelmate_db                       ║
-║  User: ananyatravel                            ║
-║  API Docs: http://localhost:${PORT}/api         ║
-╚════════════════════════════════════════════════╝
-    `);
-});
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\nShutting down gracefully...');
-    await pool.end();
-    process.exit(0);
-});
\ No newline at end of file
+// Only listen when run directly; tests require the app and drive it without a port
+if (require.main === module) {
+    // Test database connection
+    repos.ping()
+        .then(() => logger.info('Database connected', { backend: repos.backend }))
+        .catch(err => logger.error('Database connection failed; check MySQL is running and the DB_* settings are correct', { error: err }));
+
+    const server = app.listen(PORT, () => {
+        if (EXCHANGE_RATES_FILE) {
+            loadExchangeRatesFile(EXCHANGE_RATES_FILE)
+                .then(count => logger.info('Loaded exchange rates', { count, file: EXCHANGE_RATES_FILE }))
+                .catch(err => logger.error('Failed to load exchange rates', { file: EXCHANGE_RATES_FILE, error: err }));
+        }
+
+        logger.info('TravelMate backend listening', { port: Number(PORT), backend: repos.backend, log_level: LOG_LEVEL });
+    });
+
+    // Graceful shutdown: fail readiness, finish the requests in progress, then close the pool
+    const shutdown = (signal) => {
+        if (shuttingDown) {
+            return;
+        }
+        shuttingDown = true;
+        logger.info('Shutting down gracefully', { signal });
+
+        server.close(async () => {
+            await repos.close();
+            process.exit(0);
+        });
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+module.exports = { app, repos, registerMailTransport, registerRateLimitStore };
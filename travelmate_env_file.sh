@@ -4,18 +4,46 @@
 PORT=3000
 NODE_ENV=development
 
+# Data Store
+# DB_BACKEND: mysql (default) or memory (in-process store, data is lost on restart)
+DB_BACKEND=mysql
+# Optional JSON file ({ "users": [...], "destinations": [...] }) used to seed the memory backend
+MEMORY_SEED_FILE=
+
 # MySQL Database Configuration
+# DB_USER and DB_PASSWORD are required when NODE_ENV=production
 DB_HOST=localhost
-DB_USER=ananyatravel
-DB_PASSWORD=root123
+DB_USER=your_mysql_user
+DB_PASSWORD=your_password
 DB_NAME=travelmate_db
 DB_PORT=3306
+DB_CONNECTION_LIMIT=10
 
 # JWT Configuration
 JWT_SECRET=travelmate_secret_key_2024_change_this_in_production
+# Access token lifetime (jsonwebtoken format, e.g. 15m, 1h) and refresh token lifetime in days
+ACCESS_TOKEN_TTL=15m
+REFRESH_TOKEN_TTL_DAYS=30
 
 # CORS Configuration
+# Comma-separated origins allowed to call the API from a browser, or * for any.
+# Unset allows any origin in development and none in production.
 CORS_ORIGIN=http://localhost:8080
+# Set behind a proxy or load balancer so client IPs come from X-Forwarded-For
+# (a hop count such as 1, true, or addresses such as loopback)
+TRUST_PROXY=
+
+# Rate Limiting
+# RATE_LIMIT_STORE: memory (per process) or a store added with registerRateLimitStore
+RATE_LIMIT_STORE=memory
+# <max>/<window> per client, or off
+RATE_LIMIT_AUTH=20/15m
+RATE_LIMIT_API=300/1m
+# Failed logins before a lockout, per account and per IP; lockouts double up to LOGIN_LOCKOUT_MAX
+LOGIN_MAX_FAILURES=5
+LOGIN_MAX_FAILURES_PER_IP=20
+LOGIN_LOCKOUT=1m
+LOGIN_LOCKOUT_MAX=1h
 
 # Session Configuration
 SESSION_SECRET=travelmate_session_secret_2024
@@ -25,15 +53,35 @@ GOOGLE_MAPS_API_KEY=your_google_maps_api_key_here
 RAZORPAY_KEY_ID=your_razorpay_key_id
 RAZORPAY_KEY_SECRET=your_razorpay_key_secret
 
-# Email Configuration (Optional)
+# Email Configuration
+# MAIL_TRANSPORT: console (log to stdout), file (write JSON files to MAIL_DIR) or smtp
+MAIL_TRANSPORT=console
+MAIL_DIR=./mail
+MAIL_FROM="TravelMate <no-reply@travelmate.local>"
+# Front-end base URL used in verification and password reset links
+APP_URL=http://localhost:8080
 SMTP_HOST=smtp.gmail.com
 SMTP_PORT=587
 SMTP_USER=your_email@gmail.com
 SMTP_PASS=your_app_password
 
+# Currency Configuration
+# Optional CSV (currency,rate) or JSON ({ "base": "INR", "rates": {...} }) file loaded into exchange_rates at startup
+EXCHANGE_RATES_FILE=
+
 # File Upload Configuration
 MAX_FILE_SIZE=5242880
 UPLOAD_DIR=./uploads
 
+# Response Cache
+# How long cached destination and dashboard responses are kept (e.g. 30s, 5m), or off
+CACHE_TTL_DESTINATIONS=5m
+CACHE_TTL_STATS=1m
+
 # Logging
-LOG_LEVEL=info
\ No newline at end of file
+# JSON log lines at or above LOG_LEVEL: debug, info, warn, error or silent
+LOG_LEVEL=info
+
+# Monitoring
+# Bearer token required by GET /metrics; leave empty to serve metrics without one
+METRICS_TOKEN=
\ No newline at end of file